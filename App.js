@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { StatusBar } from 'expo-status-bar';
 import { NavigationContainer } from '@react-navigation/native';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
@@ -8,8 +8,14 @@ import AppNavigator from './src/navigation/AppNavigator';
 import { AuthProvider } from './src/store/AuthContext';
 import ErrorBoundary from './src/components/ErrorBoundary';
 import NetworkStatusBanner from './src/components/NetworkStatusBanner';
+import ForgottenCheckoutPrompt from './src/components/ForgottenCheckoutPrompt';
+// Imported at module scope so the background sync task is defined on headless launches
+import { backgroundSyncService } from './src/services/backgroundSyncService';
 
 export default function App() {
+  // Send queued writes whenever connectivity and the agent's sync settings allow
+  useEffect(() => backgroundSyncService.start(), []);
+
   return (
     <ErrorBoundary>
       <SafeAreaProvider>
@@ -18,6 +24,7 @@ export default function App() {
             <NavigationContainer>
               <AppNavigator />
               <NetworkStatusBanner />
+              <ForgottenCheckoutPrompt />
               <StatusBar 
                 style="dark" 
                 backgroundColor="transparent"
@@ -1,5 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+
+// Public keys the app checks signed certificates against, { "<key id>": "<base64url Ed25519 public key>" }.
+// The production signing key belongs here so every build can verify certificates offline;
+// EXPO_PUBLIC_CERTIFICATE_PUBLIC_KEYS adds to it (staging, or a rotated key before the next release).
+// Production builds fail while neither provides a key.
+const DEFAULT_CERTIFICATE_PUBLIC_KEYS = {
+  // "<production key id>": "<production public key>",
+};
+
+const parseCertificatePublicKeys = (value) => {
+  if (!value) return {};
+
+  let keys;
+  try {
+    keys = JSON.parse(value);
+  } catch (error) {
+    throw new Error(
+      `EXPO_PUBLIC_CERTIFICATE_PUBLIC_KEYS is not valid JSON (${error.message}). ` +
+      'Expected {"<key id>": "<base64url Ed25519 public key>"}.'
+    );
+  }
+
+  const valid = keys && typeof keys === 'object' && !Array.isArray(keys) &&
+    Object.values(keys).every(key => typeof key === 'string' && /^[\w+/-]{43}=?$/.test(key));
+  if (!valid) {
+    throw new Error(
+      'EXPO_PUBLIC_CERTIFICATE_PUBLIC_KEYS must map each key id to a 32-byte Ed25519 public key in base64url, ' +
+      'e.g. {"fims-2025": "<43 characters>"}.'
+    );
+  }
+  return keys;
+};
+
+// Set by scripts/build-admin-boundaries.js once real LGA and ward boundaries are bundled
+const adminBoundarySource = () => {
+  const data = fs.readFileSync(path.join(__dirname, 'src', 'data', 'admin-boundaries.js'), 'utf8');
+  const match = data.match(/\bsource"?\s*:\s*"([^"]+)"/);
+  return match ? match[1] : null;
+};
+
 export default ({ config }) => {
   const isProduction = process.env.NODE_ENV === 'production';
+  if (isProduction && !adminBoundarySource()) {
+    throw new Error(
+      'src/data/admin-boundaries.js has no boundary data, so location and attendance checks cannot run. ' +
+      'Generate it with npm run build:admin-boundaries before a production build.'
+    );
+  }
+  const certificatePublicKeys = {
+    ...DEFAULT_CERTIFICATE_PUBLIC_KEYS,
+    ...parseCertificatePublicKeys(process.env.EXPO_PUBLIC_CERTIFICATE_PUBLIC_KEYS),
+  };
+  if (Object.keys(certificatePublicKeys).length === 0) {
+    if (isProduction) {
+      throw new Error(
+        'No certificate public keys configured. Add the production key to DEFAULT_CERTIFICATE_PUBLIC_KEYS ' +
+        'or set EXPO_PUBLIC_CERTIFICATE_PUBLIC_KEYS before a production build.'
+      );
+    }
+    console.warn('No certificate public keys configured - certificates are printed unchecked and scanned ones cannot be verified.');
+  }
   
   return {
     ...config,
@@ -82,7 +143,15 @@ export default ({ config }) => {
       },
       // Environment-specific configuration
       // IMPORTANT: Use EXPO_PUBLIC_API_BASE_URL from EAS build environment
-      apiBaseUrl: process.env.EXPO_PUBLIC_API_BASE_URL || "https://fims.cosmopolitan.edu.ng"
+      apiBaseUrl: process.env.EXPO_PUBLIC_API_BASE_URL || "https://fims.cosmopolitan.edu.ng",
+      // Licensed basemap tile servers (or a tile proxy) for offline maps, as {z}/{x}/{y} URL templates.
+      // Offline map downloads are disabled for a source with no server set
+      satelliteTileUrl: process.env.EXPO_PUBLIC_SATELLITE_TILE_URL || null,
+      streetTileUrl: process.env.EXPO_PUBLIC_STREET_TILE_URL || null,
+      // Certificate verification page, defaults to <apiBaseUrl>/verify-certificate
+      certificateVerifyUrl: process.env.EXPO_PUBLIC_CERTIFICATE_VERIFY_URL || null,
+      // Public keys for checking signed certificates offline (see DEFAULT_CERTIFICATE_PUBLIC_KEYS)
+      certificatePublicKeys
     },
     updates: {
       url: "https://u.expo.dev/1deec560-5e59-4944-b0c4-7c9e028e7943"
@@ -0,0 +1,219 @@
+/**
+ * Builds src/data/admin-boundaries.js from LGA and ward boundary GeoJSON
+ *
+ *   npm run build:admin-boundaries -- --lgas lgas.geojson --source "GRID3 NGA v2.0"
+ *     [--wards wards.geojson] [--state-field statename] [--lga-field lganame]
+ *     [--ward-field wardname] [--tolerance 50] [--aliases aliases.json]
+ *
+ * Feature names are slugified and matched against hierarchical-data.js;
+ * anything that does not match is printed and recorded in the output's
+ * unmatched list so it can be added to the aliases file
+ * ({ "states": { "fct": "abuja" }, "lgas": { "abia/obi-ngwa": "obingwa" } }).
+ * Rings are simplified to --tolerance metres and stored as encoded polylines.
+ * --source names the dataset and version, and is stored with generatedAt.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const HIERARCHY_FILE = path.join(ROOT, 'src', 'data', 'hierarchical-data.js');
+const OUTPUT_FILE = path.join(ROOT, 'src', 'data', 'admin-boundaries.js');
+const EARTH_RADIUS_M = 6371008.8;
+
+const DEFAULT_STATE_ALIASES = {
+  'fct': 'abuja',
+  'federal-capital-territory': 'abuja',
+  'nassarawa': 'nasarawa',
+};
+
+function parseArgs(argv) {
+  const options = {
+    stateField: 'statename',
+    lgaField: 'lganame',
+    wardField: 'wardname',
+    tolerance: 50,
+    source: null,
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '').replace(/-(\w)/g, (_, c) => c.toUpperCase());
+    options[key] = key === 'tolerance' ? Number(argv[i + 1]) : argv[i + 1];
+  }
+  if (!options.lgas || !options.source) {
+    throw new Error('Usage: node scripts/build-admin-boundaries.js --lgas lgas.geojson --source "<dataset and version>" [--wards wards.geojson]');
+  }
+  return options;
+}
+
+const slugify = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+// hierarchical-data.js is an ES module holding a single array literal
+function loadHierarchy() {
+  const source = fs.readFileSync(HIERARCHY_FILE, 'utf8')
+    .replace(/export default \w+;?/, '')
+    .replace('const hierarchicalData =', 'return');
+  const states = new Function(source)();
+  return new Map(states.map(state => [
+    state.state,
+    new Map(state.lgas.map(lga => [lga.lga, new Set(lga.wards.map(ward => ward.ward))])),
+  ]));
+}
+
+// Douglas-Peucker on an open ring of [longitude, latitude], tolerance in metres
+function simplifyRing(ring, toleranceM) {
+  const open = ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]
+    ? ring.slice(0, -1)
+    : ring;
+  if (open.length <= 4) return open;
+
+  const cosLat = Math.cos(open[0][1] * Math.PI / 180);
+  const xy = open.map(([lng, lat]) => [lng * Math.PI / 180 * cosLat * EARTH_RADIUS_M, lat * Math.PI / 180 * EARTH_RADIUS_M]);
+  const distance = ([px, py], [ax, ay], [bx, by]) => {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq));
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+  };
+
+  const keep = new Array(open.length).fill(false);
+  keep[0] = true;
+  keep[open.length - 1] = true;
+  const stack = [[0, open.length - 1]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let farthest = -1;
+    let farthestDistance = 0;
+    for (let i = start + 1; i < end; i++) {
+      const d = distance(xy[i], xy[start], xy[end]);
+      if (d > farthestDistance) {
+        farthest = i;
+        farthestDistance = d;
+      }
+    }
+    if (farthest !== -1 && farthestDistance > toleranceM) {
+      keep[farthest] = true;
+      stack.push([start, farthest], [farthest, end]);
+    }
+  }
+  const simplified = open.filter((_, i) => keep[i]);
+  return simplified.length >= 3 ? simplified : open;
+}
+
+// Encoded polyline format, precision 5
+function encodeRing(ring) {
+  let output = '';
+  let previousLat = 0;
+  let previousLng = 0;
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    while (v >= 0x20) {
+      output += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    output += String.fromCharCode(v + 63);
+  };
+  for (const [lng, lat] of ring) {
+    const latE5 = Math.round(lat * 1e5);
+    const lngE5 = Math.round(lng * 1e5);
+    encodeValue(latE5 - previousLat);
+    encodeValue(lngE5 - previousLng);
+    previousLat = latE5;
+    previousLng = lngE5;
+  }
+  return output;
+}
+
+function toUnit(geometry, toleranceM) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const [lng, lat] of polygons.flat(2)) {
+    bbox[0] = Math.min(bbox[0], lng);
+    bbox[1] = Math.min(bbox[1], lat);
+    bbox[2] = Math.max(bbox[2], lng);
+    bbox[3] = Math.max(bbox[3], lat);
+  }
+  return {
+    bbox: bbox.map(value => Math.round(value * 1e5) / 1e5),
+    polygons: polygons.map(rings => rings.map(ring => encodeRing(simplifyRing(ring, toleranceM)))),
+  };
+}
+
+function build(options) {
+  const hierarchy = loadHierarchy();
+  const aliases = options.aliases ? readJson(options.aliases) : {};
+  const stateAliases = { ...DEFAULT_STATE_ALIASES, ...(aliases.states || {}) };
+  const lgaAliases = aliases.lgas || {};
+  const wardAliases = aliases.wards || {};
+  const unmatched = [];
+
+  const resolve = (properties) => {
+    const stateSlug = slugify(properties[options.stateField]);
+    const state = stateAliases[stateSlug] || stateSlug;
+    const lgaSlug = slugify(properties[options.lgaField]);
+    const lga = lgaAliases[`${state}/${lgaSlug}`] || lgaSlug;
+    return { state, lga, lgas: hierarchy.get(state) };
+  };
+
+  const states = {};
+  for (const feature of readJson(options.lgas).features) {
+    if (!feature.geometry) continue;
+    const { state, lga, lgas } = resolve(feature.properties);
+    if (!lgas || !lgas.has(lga)) {
+      unmatched.push(`LGA ${state}/${lga}`);
+      continue;
+    }
+    states[state] = states[state] || {};
+    states[state][lga] = { ...toUnit(feature.geometry, options.tolerance), wards: {} };
+  }
+
+  if (options.wards) {
+    for (const feature of readJson(options.wards).features) {
+      if (!feature.geometry) continue;
+      const { state, lga, lgas } = resolve(feature.properties);
+      const wardSlug = slugify(feature.properties[options.wardField]);
+      const ward = wardAliases[`${state}/${lga}/${wardSlug}`] || wardSlug;
+      const lgaBoundary = states[state]?.[lga];
+      if (!lgaBoundary || !lgas.get(lga).has(ward)) {
+        unmatched.push(`ward ${state}/${lga}/${ward}`);
+        continue;
+      }
+      lgaBoundary.wards[ward] = toUnit(feature.geometry, options.tolerance);
+    }
+  }
+
+  return { states, unmatched };
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const { states, unmatched } = build(options);
+
+  const data = {
+    source: options.source,
+    generatedAt: new Date().toISOString(),
+    unmatched,
+    states,
+  };
+  const header = fs.readFileSync(OUTPUT_FILE, 'utf8').split('const adminBoundaries')[0];
+  fs.writeFileSync(
+    OUTPUT_FILE,
+    `${header}const adminBoundaries = ${JSON.stringify(data)};\n\nexport default adminBoundaries;\n`
+  );
+
+  const lgaCount = Object.values(states).reduce((count, lgas) => count + Object.keys(lgas).length, 0);
+  const wardCount = Object.values(states)
+    .flatMap(lgas => Object.values(lgas))
+    .reduce((count, lga) => count + Object.keys(lga.wards).length, 0);
+  console.log(`Wrote ${lgaCount} LGAs and ${wardCount} wards to ${path.relative(ROOT, OUTPUT_FILE)}`);
+  if (unmatched.length > 0) {
+    console.log(`${unmatched.length} boundaries did not match hierarchical-data.js:`);
+    unmatched.forEach(name => console.log(`  ${name}`));
+  }
+}
+
+main();
@@ -0,0 +1,51 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+/**
+ * Shown on a correction edit screen when unsent edits were restored from a draft
+ */
+export default function CorrectionDraftBanner({ restoredAt, onDiscard }) {
+  if (!restoredAt) {
+    return null;
+  }
+
+  return (
+    <View style={styles.banner}>
+      <Ionicons name="document-text-outline" size={16} color="#1e40af" />
+      <Text style={styles.text}>
+        Unsent edits from {new Date(restoredAt).toLocaleString()} restored
+      </Text>
+      <TouchableOpacity onPress={onDiscard} style={styles.discardButton}>
+        <Text style={styles.discardText}>Discard</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#dbeafe',
+    borderRadius: 10,
+    padding: 10,
+    marginHorizontal: 16,
+    marginTop: 12,
+  },
+  text: {
+    flex: 1,
+    color: '#1e40af',
+    fontSize: 12,
+    marginLeft: 6,
+  },
+  discardButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+  },
+  discardText: {
+    color: '#b91c1c',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+});
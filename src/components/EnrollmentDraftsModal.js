@@ -0,0 +1,206 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { enrollmentDraftService } from '../services/enrollmentDraftService';
+
+/**
+ * Lists half-finished farmer registrations so agents can switch between them
+ */
+export default function EnrollmentDraftsModal({
+  visible,
+  drafts,
+  activeDraftId,
+  stepTitles,
+  onSelect,
+  onDelete,
+  onStartNew,
+  onClose,
+}) {
+  const formatDate = (dateString) => {
+    if (!dateString) return '';
+    return new Date(dateString).toLocaleString();
+  };
+
+  const confirmDelete = (draft) => {
+    Alert.alert(
+      'Discard Draft',
+      `Discard the registration for ${enrollmentDraftService.getDraftLabel(draft)}? This cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: () => onDelete(draft) },
+      ]
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent={false} onRequestClose={onClose}>
+      <View style={styles.container}>
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>Saved Drafts</Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={28} color="#1f2937" />
+          </TouchableOpacity>
+        </View>
+
+        <TouchableOpacity style={styles.newButton} onPress={onStartNew}>
+          <Ionicons name="add-circle-outline" size={20} color="#ffffff" />
+          <Text style={styles.newButtonText}>Start New Registration</Text>
+        </TouchableOpacity>
+
+        <ScrollView style={styles.list}>
+          {drafts.length > 0 ? (
+            drafts.map((draft) => {
+              const isActive = draft.id === activeDraftId;
+              const stepTitle = stepTitles[(draft.currentStep || 1) - 1] || '';
+
+              return (
+                <TouchableOpacity
+                  key={draft.id}
+                  style={[styles.draftCard, isActive && styles.activeCard]}
+                  onPress={() => onSelect(draft)}
+                >
+                  <View style={styles.draftInfo}>
+                    <Text style={styles.draftName}>
+                      {enrollmentDraftService.getDraftLabel(draft)}
+                    </Text>
+                    <Text style={styles.draftDetails}>
+                      Step {draft.currentStep || 1} of {stepTitles.length}: {stepTitle}
+                    </Text>
+                    <Text style={styles.timestamp}>Last edited {formatDate(draft.updatedAt)}</Text>
+                    {isActive && <Text style={styles.activeText}>Currently open</Text>}
+                  </View>
+                  <TouchableOpacity style={styles.deleteButton} onPress={() => confirmDelete(draft)}>
+                    <Ionicons name="trash-outline" size={20} color="#ef4444" />
+                  </TouchableOpacity>
+                </TouchableOpacity>
+              );
+            })
+          ) : (
+            <View style={styles.emptyState}>
+              <Ionicons name="document-text-outline" size={64} color="#9ca3af" />
+              <Text style={styles.emptyStateText}>No saved drafts</Text>
+              <Text style={styles.emptyStateSubtext}>
+                Registrations are saved here automatically as you type
+              </Text>
+            </View>
+          )}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9fafb',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: '#ffffff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e5e7eb',
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1f2937',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  newButton: {
+    flexDirection: 'row',
+    backgroundColor: '#013358',
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    borderRadius: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    margin: 16,
+  },
+  newButtonText: {
+    color: '#ffffff',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  list: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  draftCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ffffff',
+    padding: 16,
+    borderRadius: 12,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: 'transparent',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  activeCard: {
+    borderColor: '#013358',
+  },
+  draftInfo: {
+    flex: 1,
+  },
+  draftName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginBottom: 4,
+  },
+  draftDetails: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginBottom: 4,
+  },
+  timestamp: {
+    fontSize: 12,
+    color: '#9ca3af',
+  },
+  activeText: {
+    fontSize: 12,
+    color: '#013358',
+    fontWeight: '600',
+    marginTop: 4,
+  },
+  deleteButton: {
+    padding: 8,
+  },
+  emptyState: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 60,
+  },
+  emptyStateText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#6b7280',
+    marginTop: 16,
+  },
+  emptyStateSubtext: {
+    fontSize: 14,
+    color: '#9ca3af',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+});
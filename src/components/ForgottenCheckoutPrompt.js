@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, StyleSheet, Modal, TouchableOpacity, AppState, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../store/AuthContext';
+import { attendanceService, AUTO_CLOSE_RULES } from '../services/attendanceService';
+
+const STEPS = [
+  { label: '-1h', minutes: -60 },
+  { label: '-15m', minutes: -15 },
+  { label: '+15m', minutes: 15 },
+  { label: '+1h', minutes: 60 },
+];
+
+const formatDateTime = (value) => {
+  const date = new Date(value);
+  return `${date.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+/**
+ * Global prompt for forgotten check-outs
+ *
+ * Applies the agent's shift rules when the app starts or returns to the
+ * foreground, then asks them to confirm the real end time of each session
+ * the rules closed automatically.
+ */
+export default function ForgottenCheckoutPrompt() {
+  const { user } = useAuth();
+  const agentId = user ? attendanceService.getAgentId(user) : null;
+  const [session, setSession] = useState(null);
+  const [endTime, setEndTime] = useState(null);
+  const [dismissed, setDismissed] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const loadPending = useCallback(async () => {
+    if (!agentId) {
+      setSession(null);
+      return;
+    }
+    const pending = await attendanceService.getUnconfirmedAutoCheckouts(agentId);
+    const next = pending.find(entry => !dismissed.includes(entry.id)) || null;
+    setSession(current => (current?.id === next?.id ? current : next));
+  }, [agentId, dismissed]);
+
+  useEffect(() => {
+    loadPending();
+    return attendanceService.subscribe((changedAgentId) => {
+      if (changedAgentId === agentId) loadPending();
+    });
+  }, [agentId, loadPending]);
+
+  // Close sessions that ran past the shift rules; the change notification loads them
+  useEffect(() => {
+    if (!agentId) return undefined;
+
+    const check = () => {
+      attendanceService.applyShiftRules(agentId, attendanceService.getShiftRules(user)).catch((error) => {
+        console.error('Error applying shift rules:', error?.message || String(error));
+      });
+    };
+
+    check();
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') check();
+    });
+    return () => subscription.remove();
+  }, [agentId, user]);
+
+  // Start from the automatic end time for each session
+  useEffect(() => {
+    setEndTime(session ? new Date(session.autoClosedAt) : null);
+  }, [session?.id]);
+
+  if (!session || !endTime) return null;
+
+  const earliest = session.checkInTime ? new Date(session.checkInTime) : null;
+  const latest = new Date(session.autoClosedAt);
+
+  const step = (minutes) => {
+    const next = new Date(endTime.getTime() + minutes * 60000);
+    setEndTime(new Date(Math.min(latest.getTime(), Math.max(earliest ? earliest.getTime() : -Infinity, next.getTime()))));
+  };
+
+  const confirm = async () => {
+    setSaving(true);
+    try {
+      await attendanceService.confirmAutoCheckout(agentId, session.id, endTime);
+      await loadPending();
+    } catch (error) {
+      Alert.alert('Error', error?.message || 'Failed to save the end time. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Asked again on the next launch
+  const later = () => setDismissed(ids => [...ids, session.id]);
+
+  return (
+    <Modal visible transparent animationType="fade" onRequestClose={later}>
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <View style={styles.titleRow}>
+            <Ionicons name="alarm-outline" size={22} color="#d97706" />
+            <Text style={styles.title}>Did You Forget to Check Out?</Text>
+          </View>
+          <Text style={styles.message}>
+            {earliest ? `You checked in ${formatDateTime(earliest)} and did not check out. ` : ''}
+            The session was closed automatically at {formatDateTime(latest)}
+            {session.autoCloseRule === AUTO_CLOSE_RULES.CUTOFF ? ' (daily cut-off)' : ' (maximum shift length)'}.
+            It won't count towards your hours until you confirm when you stopped working.
+          </Text>
+
+          <Text style={styles.label}>I stopped working at</Text>
+          <Text style={styles.endTime}>{formatDateTime(endTime)}</Text>
+          <View style={styles.steps}>
+            {STEPS.map(({ label, minutes }) => (
+              <TouchableOpacity key={label} style={styles.stepButton} onPress={() => step(minutes)}>
+                <Text style={styles.stepText}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={[styles.button, styles.laterButton]} onPress={later} disabled={saving}>
+              <Text style={styles.laterText}>Later</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.confirmButton, saving && styles.disabledButton]}
+              onPress={confirm}
+              disabled={saving}
+            >
+              <Text style={styles.confirmText}>{saving ? 'Saving...' : 'Confirm'}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  card: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 20,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginLeft: 8,
+    flex: 1,
+  },
+  message: {
+    fontSize: 14,
+    color: '#4b5563',
+    lineHeight: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginTop: 16,
+  },
+  endTime: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#013358',
+    textAlign: 'center',
+    marginVertical: 10,
+  },
+  steps: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  stepButton: {
+    flex: 1,
+    marginHorizontal: 4,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    alignItems: 'center',
+  },
+  stepText: {
+    color: '#374151',
+    fontWeight: '600',
+  },
+  buttons: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  laterButton: {
+    backgroundColor: '#f3f4f6',
+    marginRight: 8,
+  },
+  laterText: {
+    color: '#374151',
+    fontWeight: '600',
+  },
+  confirmButton: {
+    backgroundColor: '#013358',
+    marginLeft: 8,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  confirmText: {
+    color: '#ffffff',
+    fontWeight: '600',
+  },
+});
@@ -1,7 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useMemo } from 'react';
 import { View, Text, Dimensions } from 'react-native';
 import Svg, { 
   Polygon as SvgPolygon, 
+  Polyline,
   Circle, 
   Text as SvgText, 
   Defs, 
@@ -11,132 +12,92 @@ import Svg, {
   G,
   Line
 } from 'react-native-svg';
+import { toPolygons } from '../utils/geodesy';
+import { toLatLng } from '../utils/polygonUtils';
+import { fitView, toViewPixel, metersToPixels } from '../utils/tileMath';
+import { useBasemap } from '../hooks/useBasemap';
+import BasemapLayer, { BasemapAttribution } from './common/BasemapLayer';
 
 const { width: screenWidth } = Dimensions.get('window');
 
+// Points, GeoJSON Polygon/MultiPolygon/Feature, farm shapes and JSON strings all
+// go through the geodesy normalization, so holes and extra plots are kept
+const extractPolygons = (data) => {
+  if (!data) return [];
+
+  // Legacy flat array of alternating lng/lat values
+  if (Array.isArray(data) && data.length > 0 && typeof data[0] === 'number' && data.length % 2 === 0) {
+    const pairs = [];
+    for (let i = 0; i < data.length; i += 2) {
+      pairs.push([data[i], data[i + 1]]);
+    }
+    return extractPolygons(pairs);
+  }
+
+  // Features nested under a geometry property without a type
+  if (!Array.isArray(data) && typeof data === 'object' && !data.type && data.geometry) {
+    return extractPolygons(data.geometry);
+  }
+
+  return toPolygons(data).filter(([outer]) => outer && outer.length >= 3);
+};
+
+/**
+ * Farm boundary drawn over downloaded map tiles (see tileCacheService), or
+ * over a plain grid where none are on the device. marker shows the agent's
+ * position with its accuracy circle; trace is a boundary still being walked
+ * or marked, drawn as an open line.
+ */
 const PolygonMapMobile = ({ 
   polygonData, 
   width = screenWidth - 48, 
   height = 250, 
-  showCoordinates = true 
+  showCoordinates = true,
+  basemap = true,
+  marker = null,
+  trace = null
 }) => {
-  const [coordinates, setCoordinates] = useState([]);
-  const [bounds, setBounds] = useState(null);
-
-  useEffect(() => {
-    if (!polygonData) {
-      return;
-    }
-
+  // Polygons, each a list of rings (outer first, then excluded areas) of [lng, lat]
+  const polygons = useMemo(() => {
     try {
-      console.log('PolygonMapMobile received data:', polygonData);
-      
-      let coords = extractCoordinates(polygonData);
-      console.log('Extracted coordinates:', coords);
-      
-      if (coords.length === 0) {
-        return;
-      }
-
-      setCoordinates(coords);
-      
-      // Calculate bounds
-      const lats = coords.map(coord => parseFloat(coord[1]));
-      const lngs = coords.map(coord => parseFloat(coord[0]));
-      
-      const minLat = Math.min(...lats);
-      const maxLat = Math.max(...lats);
-      const minLng = Math.min(...lngs);
-      const maxLng = Math.max(...lngs);
-
-      setBounds({ minLat, maxLat, minLng, maxLng });
-      
+      return extractPolygons(polygonData);
     } catch (error) {
       console.error('Error processing polygon data:', error);
+      return [];
     }
   }, [polygonData]);
 
-  const extractCoordinates = (data) => {
-    console.log('Extracting from data:', data);
-    
-    // Handle null or undefined
-    if (!data) return [];
-    
-    // Handle string data (JSON)
-    if (typeof data === 'string') {
-      try {
-        const parsed = JSON.parse(data);
-        return extractCoordinates(parsed);
-      } catch (e) {
-        console.error('Failed to parse JSON string:', e);
-        return [];
-      }
-    }
-    
-    // Handle GPS tracking data format - array of objects with latitude/longitude
-    if (Array.isArray(data) && data.length > 0 && data[0].latitude && data[0].longitude) {
-      console.log('Found GPS tracking data format');
-      return data.map(point => [parseFloat(point.longitude), parseFloat(point.latitude)]);
-    }
-    
-    // Handle GeoJSON Polygon
-    if (data.type === 'Polygon' && data.coordinates && Array.isArray(data.coordinates)) {
-      console.log('Found GeoJSON Polygon');
-      return data.coordinates[0]; // First ring
-    }
-    
-    // Handle GeoJSON Feature with Polygon geometry
-    if (data.type === 'Feature' && data.geometry && data.geometry.type === 'Polygon') {
-      console.log('Found GeoJSON Feature with Polygon');
-      return data.geometry.coordinates[0];
-    }
-    
-    // Handle direct coordinates array (nested arrays)
-    if (Array.isArray(data)) {
-      // Check if it's an array of coordinate pairs
-      if (data.length > 0 && Array.isArray(data[0])) {
-        // If first element is array with 2 numbers, it's coordinate pairs
-        if (data[0].length >= 2 && typeof data[0][0] === 'number') {
-          console.log('Found direct coordinate array');
-          return data;
-        }
-        // If nested deeper (like GeoJSON coordinates)
-        if (Array.isArray(data[0][0]) && data[0][0].length >= 2) {
-          console.log('Found nested coordinate array');
-          return data[0];
-        }
-      }
-    }
-    
-    // Handle object with coordinates property
-    if (data.coordinates) {
-      console.log('Found coordinates property');
-      return extractCoordinates(data.coordinates);
-    }
-    
-    // Handle object with geometry property
-    if (data.geometry) {
-      console.log('Found geometry property');
-      return extractCoordinates(data.geometry);
-    }
-    
-    // Handle flat array of alternating lng/lat values
-    if (Array.isArray(data) && data.length > 0 && typeof data[0] === 'number' && data.length % 2 === 0) {
-      console.log('Found flat coordinate array');
-      const pairs = [];
-      for (let i = 0; i < data.length; i += 2) {
-        pairs.push([data[i], data[i + 1]]);
-      }
-      return pairs;
-    }
-    
-    console.log('No coordinate extraction pattern matched');
-    return [];
-  };
+  const traceCoords = useMemo(
+    () => (trace || []).map(toLatLng).filter(Boolean).map(p => [p.longitude, p.latitude]),
+    [trace]
+  );
+
+  // Bounds over every ring, the trace and the marker
+  const bounds = useMemo(() => {
+    const coords = [
+      ...polygons.flat(2),
+      ...traceCoords,
+      ...(marker ? [[marker.longitude, marker.latitude]] : []),
+    ];
+    if (coords.length === 0) return null;
+
+    const lats = coords.map(coord => coord[1]);
+    const lngs = coords.map(coord => coord[0]);
+    return {
+      minLat: Math.min(...lats),
+      maxLat: Math.max(...lats),
+      minLng: Math.min(...lngs),
+      maxLng: Math.max(...lngs),
+    };
+  }, [polygons, traceCoords, marker]);
+
+  // Web Mercator view that fits the bounds, so boundaries line up with map tiles
+  const view = useMemo(() => (bounds ? fitView(bounds, width, height) : null), [bounds, width, height]);
+  const basemapLayer = useBasemap(view, basemap);
 
   const formatCoordinate = (coord) => parseFloat(coord).toFixed(6);
 
-  if (!polygonData) {
+  if (!polygonData && !view) {
     return (
       <View style={{
         width,
@@ -155,7 +116,7 @@ const PolygonMapMobile = ({
     );
   }
 
-  if (coordinates.length === 0) {
+  if (!view) {
     return (
       <View style={{
         width,
@@ -176,20 +137,20 @@ const PolygonMapMobile = ({
   }
 
   // Convert geographic coordinates to SVG coordinates
-  const padding = 20;
-  const svgWidth = width - padding * 2;
-  const svgHeight = height - padding * 2;
-  
-  const latRange = bounds.maxLat - bounds.minLat || 0.001;
-  const lngRange = bounds.maxLng - bounds.minLng || 0.001;
-  
-  const svgCoords = coordinates.map(([lng, lat]) => {
-    const x = padding + ((lng - bounds.minLng) / lngRange) * svgWidth;
-    const y = padding + ((bounds.maxLat - lat) / latRange) * svgHeight; // Flip Y axis
-    return [x, y];
-  });
+  const toSvg = ([lng, lat]) => toViewPixel(view, lng, lat);
 
-  const polygonPoints = svgCoords.map(([x, y]) => `${x},${y}`).join(' ');
+  const svgPolygons = polygons.map(rings => rings.map(ring => ring.map(toSvg)));
+  const ringPath = (ring) => `M ${ring.map(([x, y]) => `${x},${y}`).join(' L ')} Z`;
+  const svgTrace = traceCoords.map(toSvg);
+  const labelColor = basemapLayer ? '#ffffff' : '#374151';
+  const markerRadius = marker && Number.isFinite(marker.accuracy)
+    ? metersToPixels(view, marker.accuracy, marker.latitude)
+    : 0;
+
+  // Corners are labelled on plot boundaries only, numbered straight through
+  const svgCorners = svgPolygons.flatMap(([outer]) => outer);
+  const pointCount = polygons.reduce((count, rings) => count + rings.reduce((sum, ring) => sum + ring.length, 0), 0);
+  const holeCount = polygons.reduce((count, rings) => count + rings.length - 1, 0);
 
   return (
     <View style={{ width, marginBottom: 16 }}>
@@ -219,18 +180,35 @@ const PolygonMapMobile = ({
             </Pattern>
           </Defs>
           <SvgRect width="100%" height="100%" fill="url(#grid)" />
+
+          <BasemapLayer layer={basemapLayer} view={view} />
           
-          {/* Polygon */}
-          <SvgPolygon
-            points={polygonPoints}
-            fill="rgba(34, 197, 94, 0.2)"
-            stroke="#22c55e"
-            strokeWidth="2"
-            strokeLinejoin="round"
-          />
+          {/* Plots, with excluded areas cut out */}
+          {svgPolygons.map((rings, index) => (
+            <G key={`plot-${index}`}>
+              <Path
+                d={rings.map(ringPath).join(' ')}
+                fill="rgba(34, 197, 94, 0.2)"
+                fillRule="evenodd"
+                stroke="#22c55e"
+                strokeWidth="2"
+                strokeLinejoin="round"
+              />
+              {rings.slice(1).map((hole, holeIndex) => (
+                <SvgPolygon
+                  key={`hole-${holeIndex}`}
+                  points={hole.map(([x, y]) => `${x},${y}`).join(' ')}
+                  fill="none"
+                  stroke="#d97706"
+                  strokeWidth="1.5"
+                  strokeDasharray="4,3"
+                />
+              ))}
+            </G>
+          ))}
           
           {/* Corner points and labels */}
-          {svgCoords.map(([x, y], index) => (
+          {svgCorners.map(([x, y], index) => (
             <G key={index}>
               <Circle
                 cx={x}
@@ -244,7 +222,7 @@ const PolygonMapMobile = ({
                 x={x + 8}
                 y={y - 8}
                 fontSize="11"
-                fill="#374151"
+                fill={labelColor}
                 fontFamily="monospace"
                 fontWeight="600"
               >
@@ -253,13 +231,42 @@ const PolygonMapMobile = ({
             </G>
           ))}
           
+          {/* Boundary still being marked or walked */}
+          {svgTrace.length > 1 && (
+            <Polyline
+              points={svgTrace.map(([x, y]) => `${x},${y}`).join(' ')}
+              fill="none"
+              stroke="#2563eb"
+              strokeWidth="2"
+              strokeDasharray="6,4"
+              strokeLinejoin="round"
+            />
+          )}
+          {svgTrace.map(([x, y], index) => (
+            <Circle key={`trace-${index}`} cx={x} cy={y} r="3" fill="#2563eb" />
+          ))}
+
+          {/* Agent's position and GPS accuracy */}
+          {marker && (() => {
+            const [x, y] = toSvg([marker.longitude, marker.latitude]);
+            return (
+              <G>
+                {markerRadius > 6 && (
+                  <Circle cx={x} cy={y} r={markerRadius} fill="rgba(37, 99, 235, 0.15)" stroke="#2563eb" strokeWidth="1" />
+                )}
+                <Circle cx={x} cy={y} r="6" fill="#2563eb" stroke="white" strokeWidth="2" />
+              </G>
+            );
+          })()}
+
           {/* Compass rose */}
           <G transform={`translate(${width - 35}, 35)`}>
             <Circle cx="0" cy="0" r="18" fill="white" stroke="#6b7280" strokeWidth="1" opacity="0.9"/>
             <Path d="M 0,-15 L 4,0 L 0,15 L -4,0 Z" fill="#ef4444"/>
-            <SvgText x="0" y="-25" textAnchor="middle" fontSize="10" fill="#374151" fontWeight="bold">N</SvgText>
+            <SvgText x="0" y="-25" textAnchor="middle" fontSize="10" fill={labelColor} fontWeight="bold">N</SvgText>
           </G>
         </Svg>
+        <BasemapAttribution layer={basemapLayer} />
       </View>
       
       {showCoordinates && bounds && (
@@ -296,7 +303,9 @@ const PolygonMapMobile = ({
             </View>
           </View>
           <Text style={{ fontSize: 12, color: '#64748b', fontWeight: '600' }}>
-            Points: {coordinates.length}
+            Points: {pointCount}
+            {polygons.length > 1 ? `  •  Plots: ${polygons.length}` : ''}
+            {holeCount > 0 ? `  •  Excluded areas: ${holeCount}` : ''}
           </Text>
         </View>
       )}
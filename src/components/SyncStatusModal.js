@@ -8,26 +8,36 @@ import {
   ScrollView,
   ActivityIndicator,
   Alert,
+  Switch,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { offlineSyncService } from '../services/offlineSyncService';
+import { outboxService } from '../services/outboxService';
+import { backgroundSyncService } from '../services/backgroundSyncService';
 
 export default function SyncStatusModal({ visible, onClose }) {
   const [syncStatus, setSyncStatus] = useState(null);
   const [syncing, setSyncing] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [lastRun, setLastRun] = useState(null);
+  const [settings, setSettings] = useState(null);
 
   useEffect(() => {
-    if (visible) {
-      loadSyncStatus();
-    }
+    if (!visible) return undefined;
+
+    loadSyncStatus();
+    // Reflect background syncs while the modal is open
+    return outboxService.subscribe(() => {
+      outboxService.getStatus().then(setSyncStatus);
+    });
   }, [visible]);
 
   const loadSyncStatus = async () => {
     try {
       setLoading(true);
-      const status = await offlineSyncService.getSyncStatus();
+      const status = await outboxService.getStatus();
       setSyncStatus(status);
+      setLastRun(await backgroundSyncService.getLastSummary());
+      setSettings(await backgroundSyncService.getSettings());
     } catch (error) {
       console.error('Error loading sync status:', error);
     } finally {
@@ -38,12 +48,12 @@ export default function SyncStatusModal({ visible, onClose }) {
   const handleSyncNow = async () => {
     try {
       setSyncing(true);
-      const result = await offlineSyncService.syncAllFarms();
+      const result = await outboxService.drain();
       
       if (result.success) {
         Alert.alert(
           'Sync Complete',
-          `Successfully synced ${result.synced} farm(s).\n${result.failed > 0 ? `${result.failed} failed.` : ''}${result.pending > 0 ? `\n${result.pending} still pending.` : ''}`,
+          `Successfully synced ${result.synced} item(s).\n${result.failed > 0 ? `${result.failed} failed.` : ''}${result.pending > 0 ? `\n${result.pending} still pending.` : ''}`,
           [{ text: 'OK', onPress: loadSyncStatus }]
         );
       } else {
@@ -56,27 +66,56 @@ export default function SyncStatusModal({ visible, onClose }) {
     }
   };
 
-  const handleRetryFarm = async (farmId) => {
-    try {
-      Alert.alert(
-        'Retry Sync',
-        'Do you want to retry syncing this farm?',
-        [
-          { text: 'Cancel', style: 'cancel' },
-          {
-            text: 'Retry',
-            onPress: async () => {
-              try {
-                await offlineSyncService.retryFailedFarm(farmId);
-                Alert.alert('Success', 'Farm synced successfully');
-                loadSyncStatus();
-              } catch (error) {
-                Alert.alert('Retry Failed', error.message);
+  const handleRetry = (operation) => {
+    Alert.alert(
+      'Retry Sync',
+      `Do you want to retry syncing "${operation.label}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Retry',
+          onPress: async () => {
+            try {
+              const result = await outboxService.retry(operation.id);
+              if (result.failed > 0) {
+                Alert.alert('Retry Failed', result.message);
+              } else {
+                Alert.alert('Success', 'Synced successfully');
               }
-            },
+            } catch (error) {
+              Alert.alert('Retry Failed', error.message);
+            }
           },
-        ]
-      );
+        },
+      ]
+    );
+  };
+
+  const handleDiscard = (operation) => {
+    Alert.alert(
+      'Discard Item',
+      `Discard "${operation.label}"? It will not be sent to the server, along with anything waiting on it.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await outboxService.discard(operation.id);
+            } catch (error) {
+              Alert.alert('Error', error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleSettingChange = async (key, value) => {
+    setSettings(prev => ({ ...prev, [key]: value }));
+    try {
+      setSettings(await backgroundSyncService.updateSettings({ [key]: value }));
     } catch (error) {
       Alert.alert('Error', error.message);
     }
@@ -84,8 +123,8 @@ export default function SyncStatusModal({ visible, onClose }) {
 
   const handleClearSynced = async () => {
     Alert.alert(
-      'Clear Synced Farms',
-      'Remove all successfully synced farms from the list?',
+      'Clear Synced Items',
+      'Remove all successfully synced items from the list?',
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -93,8 +132,7 @@ export default function SyncStatusModal({ visible, onClose }) {
           style: 'destructive',
           onPress: async () => {
             try {
-              await offlineSyncService.clearSyncedFarms();
-              loadSyncStatus();
+              await outboxService.clearSynced();
             } catch (error) {
               Alert.alert('Error', error.message);
             }
@@ -197,6 +235,15 @@ export default function SyncStatusModal({ visible, onClose }) {
             </View>
           </View>
 
+          {syncStatus?.needsAttention > 0 && (
+            <View style={styles.errorContainer}>
+              <Ionicons name="alert-circle" size={16} color="#ef4444" />
+              <Text style={styles.errorText}>
+                {`${syncStatus.needsAttention} item(s) failed and will not be retried automatically. Retry or discard them below - items queued behind them wait until you do.`}
+              </Text>
+            </View>
+          )}
+
           {syncStatus?.connected && (syncStatus?.pending > 0 || syncStatus?.failed > 0) && (
             <TouchableOpacity
               style={styles.syncButton}
@@ -213,61 +260,127 @@ export default function SyncStatusModal({ visible, onClose }) {
               )}
             </TouchableOpacity>
           )}
+
+          {lastRun && (
+            <View style={styles.lastRunContainer}>
+              <Text style={styles.lastRunTitle}>
+                Last unattended sync
+              </Text>
+              <Text style={styles.lastRunText}>
+                {formatDate(lastRun.finishedAt)} •{' '}
+                {lastRun.skipped
+                  ? `Skipped: ${lastRun.message}`
+                  : `${lastRun.synced} synced, ${lastRun.failed} failed, ${lastRun.pending} pending`}
+              </Text>
+            </View>
+          )}
+
+          {settings && (
+            <View style={styles.settingsContainer}>
+              <View style={styles.settingRow}>
+                <Text style={styles.settingLabel}>Sync in the background</Text>
+                <Switch
+                  value={settings.enabled}
+                  onValueChange={value => handleSettingChange('enabled', value)}
+                />
+              </View>
+              <View style={styles.settingRow}>
+                <Text style={styles.settingLabel}>Only sync automatically on Wi-Fi</Text>
+                <Switch
+                  value={settings.wifiOnly}
+                  onValueChange={value => handleSettingChange('wifiOnly', value)}
+                />
+              </View>
+              <View style={styles.settingRow}>
+                <Text style={styles.settingLabel}>Sync automatically on low battery</Text>
+                <Switch
+                  value={settings.syncOnLowBattery}
+                  onValueChange={value => handleSettingChange('syncOnLowBattery', value)}
+                />
+              </View>
+            </View>
+          )}
         </View>
 
-        {/* Farms List */}
+        {/* Queued Items */}
         <ScrollView style={styles.farmsList}>
-          {syncStatus?.farms && syncStatus.farms.length > 0 ? (
+          {syncStatus?.operations?.length > 0 ? (
             <>
-              {syncStatus.farms.map((farm) => (
-                <View key={farm.id} style={styles.farmCard}>
+              {syncStatus.operations.map((operation) => (
+                <View key={operation.id} style={styles.farmCard}>
                   <View style={styles.farmHeader}>
                     <View style={styles.farmInfo}>
-                      <Text style={styles.farmerName}>
-                        {farm.farmer?.firstName} {farm.farmer?.lastName}
-                      </Text>
-                      <Text style={styles.farmDetails}>
-                        {farm.farmData?.primaryCrop || 'Unknown crop'} • {farm.farmData?.farmSize || 'N/A'} hectares
-                      </Text>
-                      <Text style={styles.timestamp}>{formatDate(farm.timestamp)}</Text>
+                      <Text style={styles.farmerName}>{operation.label}</Text>
+                      {operation.description && (
+                        <Text style={styles.farmDetails}>{operation.description}</Text>
+                      )}
+                      <Text style={styles.timestamp}>{formatDate(operation.createdAt)}</Text>
+                      {operation.status === 'pending' && operation.dependsOn.length > 0 && (
+                        <Text style={styles.timestamp}>Waiting for the farmer to sync first</Text>
+                      )}
+                      {operation.status === 'failed' && operation.nextAttemptAt && (
+                        <Text style={styles.timestamp}>Next attempt {formatDate(operation.nextAttemptAt)}</Text>
+                      )}
+                      {operation.blockedBy && (
+                        <Text style={styles.blockedText}>
+                          Held up by "{operation.blockedBy.label}", which failed - retry or discard it to continue
+                        </Text>
+                      )}
                     </View>
-                    <View style={[styles.statusBadge, { backgroundColor: getStatusColor(farm.status) }]}>
-                      <Ionicons name={getStatusIcon(farm.status)} size={16} color="#ffffff" />
-                      <Text style={styles.statusText}>{farm.status}</Text>
+                    <View style={[styles.statusBadge, { backgroundColor: getStatusColor(operation.status) }]}>
+                      <Ionicons name={getStatusIcon(operation.status)} size={16} color="#ffffff" />
+                      <Text style={styles.statusText}>{operation.status}</Text>
                     </View>
                   </View>
 
-                  {farm.lastError && (
+                  {operation.lastError && operation.status !== 'synced' && (
                     <View style={styles.errorContainer}>
                       <Ionicons name="alert-circle" size={16} color="#ef4444" />
-                      <Text style={styles.errorText}>{farm.lastError}</Text>
+                      <Text style={styles.errorText}>{operation.lastError}</Text>
                     </View>
                   )}
 
-                  {farm.status === 'failed' && (
-                    <TouchableOpacity
-                      style={styles.retryButton}
-                      onPress={() => handleRetryFarm(farm.id)}
-                    >
-                      <Ionicons name="refresh" size={16} color="#013358" />
-                      <Text style={styles.retryButtonText}>Retry</Text>
-                    </TouchableOpacity>
+                  {operation.conflict && operation.status === 'failed' && (
+                    <Text style={styles.timestamp}>
+                      Changed on the server since it was edited - resolve it from Data Correction
+                    </Text>
+                  )}
+
+                  {operation.status === 'failed' && (
+                    <View style={styles.actionRow}>
+                      <TouchableOpacity
+                        style={styles.retryButton}
+                        onPress={() => handleRetry(operation)}
+                      >
+                        <Ionicons name="refresh" size={16} color="#013358" />
+                        <Text style={styles.retryButtonText}>Retry</Text>
+                      </TouchableOpacity>
+                      {operation.exhausted && (
+                        <TouchableOpacity
+                          style={[styles.retryButton, styles.discardButton]}
+                          onPress={() => handleDiscard(operation)}
+                        >
+                          <Ionicons name="trash-outline" size={16} color="#ef4444" />
+                          <Text style={[styles.retryButtonText, styles.discardButtonText]}>Discard</Text>
+                        </TouchableOpacity>
+                      )}
+                    </View>
                   )}
                 </View>
               ))}
 
               {syncStatus.synced > 0 && (
                 <TouchableOpacity style={styles.clearButton} onPress={handleClearSynced}>
-                  <Text style={styles.clearButtonText}>Clear Synced Farms</Text>
+                  <Text style={styles.clearButtonText}>Clear Synced Items</Text>
                 </TouchableOpacity>
               )}
             </>
           ) : (
             <View style={styles.emptyState}>
               <Ionicons name="cloud-done-outline" size={64} color="#9ca3af" />
-              <Text style={styles.emptyStateText}>No offline farms</Text>
+              <Text style={styles.emptyStateText}>Nothing waiting to sync</Text>
               <Text style={styles.emptyStateSubtext}>
-                Farms added without internet will appear here
+                Anything saved without internet will appear here
               </Text>
             </View>
           )}
@@ -383,6 +496,36 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     fontSize: 16,
   },
+  lastRunContainer: {
+    marginTop: 16,
+    padding: 12,
+    backgroundColor: '#f3f4f6',
+    borderRadius: 8,
+  },
+  lastRunTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 2,
+  },
+  lastRunText: {
+    fontSize: 13,
+    color: '#6b7280',
+  },
+  settingsContainer: {
+    marginTop: 12,
+  },
+  settingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  settingLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#374151',
+  },
   farmsList: {
     flex: 1,
     padding: 16,
@@ -435,6 +578,11 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     textTransform: 'capitalize',
   },
+  blockedText: {
+    fontSize: 12,
+    color: '#d97706',
+    marginTop: 2,
+  },
   errorContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -449,7 +597,12 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#ef4444',
   },
+  actionRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
   retryButton: {
+    flex: 1,
     flexDirection: 'row',
     alignItems: 'center',
     justifyContent: 'center',
@@ -466,6 +619,12 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     fontSize: 14,
   },
+  discardButton: {
+    borderColor: '#ef4444',
+  },
+  discardButtonText: {
+    color: '#ef4444',
+  },
   clearButton: {
     backgroundColor: '#ef4444',
     paddingVertical: 12,
@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { lazyLocationService } from '../../services/lazyLocationService';
+import { ATTENDANCE_FLAGS } from '../../services/attendanceService';
+
+const MIN_REASON_LENGTH = 10;
+
+const formatDistance = (meters) =>
+  meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+
+const fenceName = (fence) => {
+  if (!fence) return 'your work area';
+  if (fence.type === 'site') return fence.name;
+  const name = lazyLocationService.formatName(fence.id);
+  return fence.type === 'ward' ? `${name} ward` : `${name} LGA`;
+};
+
+const notCheckedText = (geofence) => (geofence.reason === 'no_assignment'
+  ? 'No work area is assigned to your account, so this location can\'t be checked.'
+  : `No boundary map is available for ${fenceName(geofence.fence)}, so this location can't be checked.`);
+
+/**
+ * Shown before a check-in whose fix is outside the agent's work area, can't
+ * be checked against it, or looks unreliable. Outside the area the agent
+ * must say why to continue.
+ */
+export default function AttendanceCheckModal({ visible, assessment, onCancel, onContinue }) {
+  const [reason, setReason] = useState('');
+
+  useEffect(() => {
+    if (visible) setReason('');
+  }, [visible]);
+
+  if (!assessment) return null;
+
+  const { geofence, jump, flags, requiresReason } = assessment;
+  const canContinue = !requiresReason || reason.trim().length >= MIN_REASON_LENGTH;
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <View style={styles.titleRow}>
+            <Ionicons name="warning" size={22} color={requiresReason ? '#dc2626' : '#d97706'} />
+            <Text style={styles.title}>Check Your Location</Text>
+          </View>
+
+          {flags.includes(ATTENDANCE_FLAGS.OUTSIDE_AREA) && (
+            <View style={styles.issue}>
+              <Ionicons name="navigate-circle-outline" size={18} color="#dc2626" />
+              <Text style={styles.issueText}>
+                You are {formatDistance(geofence.distanceM)} outside {fenceName(geofence.fence)}.
+              </Text>
+            </View>
+          )}
+          {flags.includes(ATTENDANCE_FLAGS.AREA_NOT_CHECKED) && (
+            <View style={styles.issue}>
+              <Ionicons name="help-circle-outline" size={18} color="#d97706" />
+              <Text style={styles.issueText}>
+                Area not checkable. {notCheckedText(geofence)}
+              </Text>
+            </View>
+          )}
+          {flags.includes(ATTENDANCE_FLAGS.MOCK_LOCATION) && (
+            <View style={styles.issue}>
+              <Ionicons name="bug-outline" size={18} color="#d97706" />
+              <Text style={styles.issueText}>
+                This position comes from a mock location app. Turn it off to record your real location.
+              </Text>
+            </View>
+          )}
+          {flags.includes(ATTENDANCE_FLAGS.IMPLAUSIBLE_JUMP) && (
+            <View style={styles.issue}>
+              <Ionicons name="speedometer-outline" size={18} color="#d97706" />
+              <Text style={styles.issueText}>
+                This is {formatDistance(jump.distanceM)} from your last attendance position
+                {jump.speedKmh ? `, about ${jump.speedKmh} km/h` : ''} - faster than possible travel.
+              </Text>
+            </View>
+          )}
+
+          <Text style={styles.hint}>
+            Your supervisor will see {flags.length > 1 ? 'these warnings' : 'this warning'} with the record.
+          </Text>
+
+          {requiresReason && (
+            <>
+              <Text style={styles.reasonLabel}>Reason for checking in here *</Text>
+              <TextInput
+                style={styles.reasonInput}
+                placeholder="e.g. Field visit to a neighbouring ward, training at the LGA office"
+                value={reason}
+                onChangeText={setReason}
+                multiline
+              />
+            </>
+          )}
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onCancel}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.continueButton, !canContinue && styles.disabledButton]}
+              onPress={() => onContinue(requiresReason ? reason.trim() : null)}
+              disabled={!canContinue}
+            >
+              <Text style={styles.continueText}>Check In</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  card: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 20,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginLeft: 8,
+    flex: 1,
+  },
+  issue: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: 10,
+  },
+  issueText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#374151',
+    marginLeft: 8,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  reasonLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginTop: 14,
+    marginBottom: 6,
+  },
+  reasonInput: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    padding: 10,
+    minHeight: 70,
+    textAlignVertical: 'top',
+    fontSize: 14,
+  },
+  buttons: {
+    flexDirection: 'row',
+    marginTop: 16,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: '#f3f4f6',
+    marginRight: 8,
+  },
+  cancelText: {
+    color: '#374151',
+    fontWeight: '600',
+  },
+  continueButton: {
+    backgroundColor: '#013358',
+    marginLeft: 8,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  continueText: {
+    color: '#ffffff',
+    fontWeight: '600',
+  },
+});
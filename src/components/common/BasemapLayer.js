@@ -0,0 +1,52 @@
+import React from 'react';
+import { Text } from 'react-native';
+import { G, Image as SvgImage } from 'react-native-svg';
+import { tileRect } from '../../utils/tileMath';
+import { TILE_SOURCES } from '../../services/tileCacheService';
+
+/**
+ * Offline map tiles from useBasemap, drawn inside an Svg - coarse stand-ins first
+ */
+export default function BasemapLayer({ layer, view }) {
+  if (!layer) return null;
+
+  return (
+    <G>
+      {layer.tiles.map(tile => {
+        const { x, y, size } = tileRect(view, tile);
+        return (
+          <SvgImage
+            key={`${tile.z}/${tile.x}/${tile.y}`}
+            href={{ uri: tile.uri }}
+            x={x}
+            y={y}
+            width={size}
+            height={size}
+            preserveAspectRatio="none"
+          />
+        );
+      })}
+    </G>
+  );
+}
+
+/**
+ * Credit line for the tiles, to sit over the bottom-left corner of the map
+ */
+export function BasemapAttribution({ layer }) {
+  if (!layer) return null;
+
+  return (
+    <Text style={{
+      position: 'absolute',
+      left: 0,
+      bottom: 0,
+      paddingHorizontal: 4,
+      fontSize: 9,
+      color: '#374151',
+      backgroundColor: 'rgba(255, 255, 255, 0.7)'
+    }}>
+      {TILE_SOURCES[layer.source].attribution}
+    </Text>
+  );
+}
@@ -0,0 +1,120 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { polygonArea } from '../../utils/geodesy';
+
+const describeShape = (shape) => {
+  const points = shape.reduce((count, plot) => count + plot.outer.length, 0);
+  const holes = shape.reduce((count, plot) => count + plot.holes.length, 0);
+  return [
+    shape.length > 1 ? `${shape.length} plots` : `${points} points`,
+    holes > 0 && `${holes} excluded area${holes > 1 ? 's' : ''}`,
+  ].filter(Boolean).join(', ');
+};
+
+/**
+ * Lets the agent pick one boundary when an imported file holds several
+ */
+export default function BoundaryChoiceModal({ visible, fileName, boundaries, onSelect, onCancel }) {
+  if (!boundaries) return null;
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <Text style={styles.title}>Choose a Boundary</Text>
+          <Text style={styles.subtitle}>
+            {fileName ? `${fileName} contains` : 'This file contains'} {boundaries.length} boundaries.
+          </Text>
+
+          <ScrollView style={styles.list}>
+            {boundaries.map((boundary, index) => (
+              <TouchableOpacity key={index} style={styles.item} onPress={() => onSelect(boundary)}>
+                <Ionicons name="shapes-outline" size={20} color="#013358" />
+                <View style={styles.itemDetails}>
+                  <Text style={styles.itemName}>{boundary.name}</Text>
+                  <Text style={styles.itemMeta}>
+                    {describeShape(boundary.shape)} • {(polygonArea(boundary.shape) / 10000).toFixed(2)} ha
+                  </Text>
+                </View>
+                <Ionicons name="chevron-forward" size={18} color="#9ca3af" />
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  card: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 20,
+    maxHeight: '85%',
+  },
+  title: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#1f2937',
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 6,
+    marginBottom: 12,
+  },
+  list: {
+    maxHeight: 320,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  itemDetails: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  itemName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  itemMeta: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  cancelButton: {
+    marginTop: 16,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: '#f3f4f6',
+  },
+  cancelText: {
+    color: '#374151',
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { OVERLAP_REASON_THRESHOLD_PERCENT } from '../../services/farmOverlapService';
+
+const MIN_REASON_LENGTH = 10;
+
+const formatArea = (hectares) =>
+  hectares < 0.1 ? `${Math.round(hectares * 10000)} m²` : `${hectares.toFixed(2)} ha`;
+
+/**
+ * Lists registered farms that a new boundary overlaps. When the overlap is
+ * large the agent must explain why the farm should still be saved.
+ */
+export default function FarmOverlapModal({ visible, result, onAdjust, onContinue }) {
+  const [reason, setReason] = useState('');
+
+  useEffect(() => {
+    if (visible) setReason('');
+  }, [visible]);
+
+  if (!result) return null;
+
+  const { overlaps, source, requiresReason } = result;
+  const canContinue = !requiresReason || reason.trim().length >= MIN_REASON_LENGTH;
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onAdjust}>
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <View style={styles.titleRow}>
+            <Ionicons name="warning" size={22} color={requiresReason ? '#dc2626' : '#d97706'} />
+            <Text style={styles.title}>Boundary Overlaps Existing Farms</Text>
+          </View>
+          <Text style={styles.subtitle}>
+            {source === 'server'
+              ? 'Checked against all registered farms.'
+              : 'Offline - checked only against farms saved on this device.'}
+          </Text>
+
+          <ScrollView style={styles.list}>
+            {overlaps.map(overlap => (
+              <View key={overlap.farmId} style={styles.overlapItem}>
+                <View style={styles.overlapDetails}>
+                  <Text style={styles.farmerName}>
+                    {overlap.farmerName || 'Unknown farmer'}
+                    {overlap.sameFarmer ? ' (this farmer)' : ''}
+                  </Text>
+                  <Text style={styles.overlapMeta}>
+                    {formatArea(overlap.overlapHectares)} shared
+                    {overlap.pending ? ' • waiting to sync' : ''}
+                  </Text>
+                </View>
+                <Text style={[styles.percent, overlap.overlapPercent >= OVERLAP_REASON_THRESHOLD_PERCENT && styles.percentHigh]}>
+                  {Math.round(overlap.overlapPercent)}%
+                </Text>
+              </View>
+            ))}
+          </ScrollView>
+
+          {overlaps.some(o => o.sameFarmer) && (
+            <Text style={styles.hint}>
+              This farmer may already have this plot registered.
+            </Text>
+          )}
+
+          {requiresReason && (
+            <>
+              <Text style={styles.reasonLabel}>Reason for continuing *</Text>
+              <TextInput
+                style={styles.reasonInput}
+                placeholder="e.g. Shared family land, boundary disputed, previous record is wrong"
+                value={reason}
+                onChangeText={setReason}
+                multiline
+              />
+            </>
+          )}
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={[styles.button, styles.adjustButton]} onPress={onAdjust}>
+              <Text style={styles.adjustText}>Adjust Boundary</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.continueButton, !canContinue && styles.disabledButton]}
+              onPress={() => onContinue(requiresReason ? reason.trim() : null)}
+              disabled={!canContinue}
+            >
+              <Text style={styles.continueText}>Continue</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  card: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 20,
+    maxHeight: '85%',
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginLeft: 8,
+    flex: 1,
+  },
+  subtitle: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 6,
+    marginBottom: 12,
+  },
+  list: {
+    maxHeight: 220,
+  },
+  overlapItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  overlapDetails: {
+    flex: 1,
+  },
+  farmerName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  overlapMeta: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  percent: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#d97706',
+  },
+  percentHigh: {
+    color: '#dc2626',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#92400e',
+    marginTop: 10,
+  },
+  reasonLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginTop: 14,
+    marginBottom: 6,
+  },
+  reasonInput: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    padding: 10,
+    minHeight: 70,
+    textAlignVertical: 'top',
+    fontSize: 14,
+  },
+  buttons: {
+    flexDirection: 'row',
+    marginTop: 16,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  adjustButton: {
+    backgroundColor: '#f3f4f6',
+    marginRight: 8,
+  },
+  adjustText: {
+    color: '#374151',
+    fontWeight: '600',
+  },
+  continueButton: {
+    backgroundColor: '#013358',
+    marginLeft: 8,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  continueText: {
+    color: '#ffffff',
+    fontWeight: '600',
+  },
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -14,19 +14,167 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import PolygonMapMobile from '../PolygonMapMobile';
+import {
+  validateFarmShape,
+  describeRing,
+  describePolygonIssues,
+  findDuplicateVertices,
+  removeDuplicateVertices,
+  POLYGON_ISSUES,
+  DUPLICATE_VERTEX_TOLERANCE_M,
+} from '../../utils/polygonValidation';
+import { farmOverlapService } from '../../services/farmOverlapService';
+import FarmOverlapModal from './FarmOverlapModal';
+import BoundaryChoiceModal from './BoundaryChoiceModal';
+import PolygonVertexEditor from './PolygonVertexEditor';
+import { boundaryFileService } from '../../services/boundaryFileService';
+import { BOUNDARY_FORMAT_INFO } from '../../utils/boundaryFormats';
+import {
+  averageFixes,
+  isCaptureComplete,
+  GPS_CAPTURE_DEFAULTS,
+  ACCURACY_THRESHOLD_OPTIONS,
+} from '../../utils/gpsAveraging';
+import { distanceMeters, simplifyTrack, toShape } from '../../utils/polygonUtils';
+import { polygonArea, polygonPerimeter } from '../../utils/geodesy';
+
+const ACCURACY_THRESHOLD_KEY = '@gps_accuracy_threshold';
+
+// Walk-the-boundary tracking
+const TRACK_MIN_STEP_M = 2; // Ignore jitter while standing still
+const TRACK_SIMPLIFY_TOLERANCE_M = 3;
+const TRACK_CLOSE_DISTANCE_M = 10; // Coming back this close to the start closes the ring...
+const TRACK_MIN_PERIMETER_M = 40; // ...once at least this far has been walked
+
+// The ring being mapped: a plot's boundary (hole null) or one of its excluded areas
+const FIRST_RING = { plot: 0, hole: null };
+const EMPTY_SHAPE = [{ outer: [], holes: [] }];
+
+function initialShapeOf(initialShape, initialPolygon) {
+  const shape = toShape(initialShape);
+  if (shape.length === 0) return [{ outer: initialPolygon || [], holes: [] }];
+  // Stored GeoJSON drops capture details (accuracy, timestamps) that the first boundary still has
+  if (initialPolygon?.length === shape[0].outer.length) {
+    return [{ ...shape[0], outer: initialPolygon }, ...shape.slice(1)];
+  }
+  return shape;
+}
+
+const ringAt = (shape, { plot, hole }) =>
+  (hole === null ? shape[plot]?.outer : shape[plot]?.holes[hole]) || [];
+
+function replaceRing(shape, { plot, hole }, update) {
+  return shape.map((current, index) => {
+    if (index !== plot) return current;
+    const ring = hole === null ? current.outer : current.holes[hole];
+    const next = typeof update === 'function' ? update(ring) : update;
+    return hole === null
+      ? { ...current, outer: next }
+      : { ...current, holes: current.holes.map((h, i) => (i === hole ? next : h)) };
+  });
+}
 
-export default function FarmPolygonMapper({ onPolygonUpdate, initialPolygon = [] }) {
+const countPoints = (shape) =>
+  shape.reduce((count, plot) => count + plot.outer.length + plot.holes.reduce((sum, hole) => sum + hole.length, 0), 0);
+
+/**
+ * Walk-and-tap farm boundary capture.
+ *
+ * onOverlapReview, when given, turns on the overlap check: finishing a
+ * boundary compares it with known farms and reports the outcome -
+ * { overlaps, source, reason, checkedAt }, or null when nothing overlaps.
+ *
+ * Each corner averages several GPS fixes until accuracyThreshold is met.
+ * Points carry accuracy, spread, samples and flagged (captured worse than
+ * the threshold) so reviewers can judge the boundary.
+ *
+ * In walk mode the agent walks the perimeter instead; the recorded track is
+ * simplified into corners and the ring closes on returning to the start.
+ *
+ * A boundary can also be imported from a GeoJSON, KML or GPX file; it goes
+ * through the same geometry and overlap checks as a mapped one.
+ *
+ * Corners of a finished boundary can be moved, added or deleted on the map
+ * with PolygonVertexEditor, while mapping or later when correcting a farm.
+ *
+ * Farms with excluded areas (ponds, homesteads, rock) or several separate
+ * plots are mapped ring by ring. onPolygonUpdate always receives the first
+ * plot's boundary; onShapeUpdate receives the whole shape as
+ * [{ outer, holes }], one entry per plot, with unfinished rings left out.
+ *
+ * @param {object} props
+ * @param {Function} props.onPolygonUpdate
+ * @param {Array} [props.initialPolygon]
+ * @param {any} [props.initialShape] A farm shape or stored GeoJSON; takes precedence over initialPolygon
+ * @param {Function | null} [props.onShapeUpdate]
+ * @param {string | null} [props.farmCategory] Used to judge whether the area is plausible
+ * @param {string | null} [props.farmerId]
+ * @param {string | null} [props.farmId] The farm being edited, left out of the overlap check
+ * @param {Function | null} [props.onOverlapReview]
+ * @param {number} [props.accuracyThreshold] Starting threshold in metres; the agent can change it
+ */
+export default function FarmPolygonMapper({
+  onPolygonUpdate,
+  initialPolygon = [],
+  initialShape = null,
+  onShapeUpdate = null,
+  farmCategory = null,
+  farmerId = null,
+  farmId = null,
+  onOverlapReview = null,
+  accuracyThreshold: initialThreshold = GPS_CAPTURE_DEFAULTS.accuracyThreshold,
+}) {
   const [isMapping, setIsMapping] = useState(false);
-  const [polygonPoints, setPolygonPoints] = useState(initialPolygon);
+  const [shape, setShape] = useState(() => initialShapeOf(initialShape, initialPolygon));
+  const [activeRing, setActiveRing] = useState(FIRST_RING);
   const [currentLocation, setCurrentLocation] = useState(null);
   const [modalVisible, setModalVisible] = useState(false);
   const [locationWatcher, setLocationWatcher] = useState(null);
   const [pulseAnim] = useState(new Animated.Value(1));
+  const [checkingOverlap, setCheckingOverlap] = useState(false);
+  const [overlapResult, setOverlapResult] = useState(null);
+  const [importChoice, setImportChoice] = useState(null); // { fileName, format, boundaries }
+  const [pendingShape, setPendingShape] = useState(null); // { shape, kind } - an imported or edited boundary awaiting overlap review
+  const [editingShape, setEditingShape] = useState(null); // Snapshot open in the vertex editor
+  const [accuracyThreshold, setAccuracyThreshold] = useState(initialThreshold);
+  const [capture, setCapture] = useState(null);
+  const [mappingMode, setMappingMode] = useState('points');
+  const [trackStatus, setTrackStatus] = useState('idle'); // idle | recording | paused
+  const [trackStats, setTrackStats] = useState({ readings: 0, lengthM: 0 });
+  const trackRef = useRef(null);
+  const captureFixesRef = useRef(null);
+  const captureTimerRef = useRef(null);
+  // The location watcher outlives renders, so it reaches the handlers through refs
+  const collectFixRef = useRef(null);
+  const finishCaptureRef = useRef(null);
+
+  // Point capture, tracking and editing all work on the active ring
+  const polygonPoints = ringAt(shape, activeRing);
+  const setPolygonPoints = (update) => setShape(prev => replaceRing(prev, activeRing, update));
+  const finishedShape = toShape(shape);
+  const ringName = ({ plot, hole }) => {
+    if (hole === null) return shape.length > 1 ? `Plot ${plot + 1}` : 'Farm boundary';
+    return shape.length > 1 ? `Plot ${plot + 1} excluded area ${hole + 1}` : `Excluded area ${hole + 1}`;
+  };
+
+  useEffect(() => {
+    AsyncStorage.getItem(ACCURACY_THRESHOLD_KEY).then(saved => {
+      if (saved) setAccuracyThreshold(Number(saved));
+    });
+    return () => clearTimeout(captureTimerRef.current);
+  }, []);
+
+  const changeAccuracyThreshold = (threshold) => {
+    setAccuracyThreshold(threshold);
+    AsyncStorage.setItem(ACCURACY_THRESHOLD_KEY, String(threshold));
+  };
 
   useEffect(() => {
-    onPolygonUpdate(polygonPoints);
-  }, [polygonPoints]);
+    onPolygonUpdate(shape[0].outer);
+    onShapeUpdate?.(toShape(shape));
+  }, [shape]);
 
   useEffect(() => {
     // Start pulse animation when mapping
@@ -66,7 +214,9 @@ export default function FarmPolygonMapper({ onPolygonUpdate, initialPolygon = []
 
     setIsMapping(true);
     setModalVisible(true);
-    setPolygonPoints([]);
+    setShape(EMPTY_SHAPE);
+    setActiveRing(FIRST_RING);
+    onOverlapReview?.(null);
     
     // Start location tracking
     watchLocation();
@@ -79,14 +229,16 @@ export default function FarmPolygonMapper({ onPolygonUpdate, initialPolygon = []
         {
           accuracy: Location.Accuracy.High,
           timeInterval: 1000, // Update every second
-          distanceInterval: 1, // Update every meter
+          distanceInterval: 0, // Keep reporting while standing at a corner
         },
         (location) => {
-          setCurrentLocation({
+          const fix = {
             latitude: location.coords.latitude,
             longitude: location.coords.longitude,
             accuracy: location.coords.accuracy,
-          });
+          };
+          setCurrentLocation(fix);
+          collectFixRef.current(fix);
         }
       );
       
@@ -98,42 +250,433 @@ export default function FarmPolygonMapper({ onPolygonUpdate, initialPolygon = []
   };
 
   const stopLocationWatching = () => {
+    cancelCapture();
+    resetTrack();
     if (locationWatcher) {
       locationWatcher.remove();
       setLocationWatcher(null);
     }
   };
 
-  const addPoint = async () => {
+  // Corner capture: collect fixes while the agent stands still, then average them
+  const addPoint = () => {
+    if (captureFixesRef.current) return;
     if (!currentLocation) {
       Alert.alert('Location not available', 'Please wait for GPS to get your location');
       return;
     }
 
+    captureFixesRef.current = [];
+    setCapture({ samples: 0, accuracy: null });
+    captureTimerRef.current = setTimeout(() => finishCaptureRef.current(), GPS_CAPTURE_DEFAULTS.timeoutMs);
+  };
+
+  const collectFix = (fix) => {
+    recordTrackFix(fix);
+
+    if (!captureFixesRef.current) return;
+    captureFixesRef.current.push(fix);
+
+    const average = averageFixes(captureFixesRef.current);
+    setCapture({ samples: average?.samples || 0, accuracy: average?.accuracy ?? null });
+    if (isCaptureComplete(average, { ...GPS_CAPTURE_DEFAULTS, accuracyThreshold })) {
+      finishCaptureRef.current();
+    }
+  };
+
+  collectFixRef.current = collectFix;
+
+  const cancelCapture = () => {
+    clearTimeout(captureTimerRef.current);
+    captureFixesRef.current = null;
+    setCapture(null);
+  };
+
+  const finishCapture = () => {
+    const fixes = captureFixesRef.current;
+    if (!fixes) return;
+    cancelCapture();
+
+    const average = averageFixes(fixes);
+    if (!average) {
+      Alert.alert('No GPS Fix', 'No usable GPS reading was received. Move to open sky and try again.');
+      return;
+    }
+
+    if (average.accuracy > GPS_CAPTURE_DEFAULTS.rejectAccuracy) {
+      Alert.alert(
+        'Point Rejected',
+        `GPS accuracy is ±${average.accuracy.toFixed(1)} m, worse than the ${GPS_CAPTURE_DEFAULTS.rejectAccuracy} m limit. Wait for a better signal and try again.`
+      );
+      return;
+    }
+
     const newPoint = {
-      latitude: currentLocation.latitude,
-      longitude: currentLocation.longitude,
+      latitude: average.latitude,
+      longitude: average.longitude,
       timestamp: new Date().toISOString(),
-      accuracy: currentLocation.accuracy,
+      accuracy: average.accuracy,
+      spread: average.spread,
+      samples: average.samples,
+      flagged: average.accuracy > accuracyThreshold,
     };
 
+    if (newPoint.flagged) {
+      Alert.alert(
+        'Low Accuracy',
+        `This corner is only accurate to ±${average.accuracy.toFixed(1)} m (target ${accuracyThreshold} m). It will be flagged for review if you keep it.`,
+        [
+          { text: 'Try Again', style: 'cancel' },
+          { text: 'Keep Flagged Point', onPress: () => commitPoint(newPoint) },
+        ]
+      );
+      return;
+    }
+
+    commitPoint(newPoint);
+  };
+  finishCaptureRef.current = finishCapture;
+
+  const commitPoint = (newPoint) => {
+    const lastPoint = polygonPoints[polygonPoints.length - 1];
+    if (lastPoint && findDuplicateVertices([lastPoint, newPoint]).length > 0) {
+      // Usually a double tap on "Add Point" without moving
+      Alert.alert(
+        'Point Too Close',
+        `You are within ${DUPLICATE_VERTEX_TOLERANCE_M} m of point ${polygonPoints.length}. Walk to the next corner before adding a point.`,
+        [
+          { text: 'Skip', style: 'cancel' },
+          { text: 'Add Anyway', onPress: () => setPolygonPoints(prev => [...prev, newPoint]) },
+        ]
+      );
+      return;
+    }
+
     setPolygonPoints(prev => [...prev, newPoint]);
     
     Alert.alert(
       'Point Added',
-      `Point ${polygonPoints.length + 1} added to farm boundary\nAccuracy: ${currentLocation.accuracy?.toFixed(1)}m`,
+      `Point ${polygonPoints.length + 1} added to ${ringName(activeRing).toLowerCase()}\nAccuracy: ±${newPoint.accuracy.toFixed(1)}m from ${newPoint.samples} readings`,
       [{ text: 'OK' }]
     );
   };
 
+  // Walk mode: record the perimeter, then simplify it into corners
+  const startTracking = () => {
+    const begin = () => {
+      trackRef.current = { points: [], lengthM: 0 };
+      setTrackStats({ readings: 0, lengthM: 0 });
+      setTrackStatus('recording');
+      setPolygonPoints([]);
+    };
+
+    if (polygonPoints.length > 0) {
+      Alert.alert(
+        'Replace Boundary',
+        `Walking the boundary replaces the ${polygonPoints.length} points already marked.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Replace', onPress: begin },
+        ]
+      );
+      return;
+    }
+    begin();
+  };
+
+  const resetTrack = () => {
+    trackRef.current = null;
+    setTrackStatus('idle');
+    setTrackStats({ readings: 0, lengthM: 0 });
+  };
+
+  const recordTrackFix = (fix) => {
+    if (trackStatus !== 'recording' || !trackRef.current) return;
+    if (!Number.isFinite(fix.accuracy) || fix.accuracy > GPS_CAPTURE_DEFAULTS.rejectAccuracy) return;
+
+    const track = trackRef.current;
+    const last = track.points[track.points.length - 1];
+    const step = last ? distanceMeters(last, fix) : 0;
+    if (last && step < TRACK_MIN_STEP_M) return;
+
+    track.points.push({ ...fix, timestamp: new Date().toISOString() });
+    track.lengthM += step;
+    setTrackStats({ readings: track.points.length, lengthM: track.lengthM });
+
+    // Back near the start, but only close once the walk encloses an area -
+    // an out-and-back along one edge keeps recording without an alert per fix
+    if (track.lengthM >= TRACK_MIN_PERIMETER_M &&
+        distanceMeters(track.points[0], fix) <= Math.max(TRACK_CLOSE_DISTANCE_M, fix.accuracy) &&
+        trackCorners(track.points).length >= 3) {
+      closeTrack(true);
+    }
+  };
+
+  const trackCorners = (track) => {
+    const corners = simplifyTrack(track, TRACK_SIMPLIFY_TOLERANCE_M);
+    // The ring closes on its own - drop an end point that just repeats the start
+    if (corners.length > 3 &&
+        distanceMeters(corners[0], corners[corners.length - 1]) <= TRACK_CLOSE_DISTANCE_M) {
+      return corners.slice(0, -1);
+    }
+    return corners;
+  };
+
+  const closeTrack = (returnedToStart = false) => {
+    const track = trackRef.current?.points || [];
+    if (track.length < 3) {
+      Alert.alert('Track Too Short', 'Walk further along the boundary before closing it.');
+      return;
+    }
+
+    const corners = trackCorners(track);
+    if (corners.length < 3) {
+      Alert.alert('Track Too Short', 'The walked track does not enclose an area yet. Keep walking the boundary.');
+      return;
+    }
+
+    resetTrack();
+    setPolygonPoints(corners.map(point => ({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      timestamp: point.timestamp,
+      accuracy: point.accuracy,
+      samples: 1,
+      flagged: point.accuracy > accuracyThreshold,
+    })));
+
+    Alert.alert(
+      returnedToStart ? 'Boundary Closed' : 'Track Finished',
+      `${returnedToStart ? 'You are back at the start. ' : ''}The ${track.length}-reading track was simplified to ${corners.length} corners. Review them, then tap Finish.`
+    );
+  };
+
   const removeLastPoint = () => {
     if (polygonPoints.length > 0) {
       setPolygonPoints(prev => prev.slice(0, -1));
     }
   };
 
+  // Excluded areas and extra plots
+  const ringBusy = !!capture || trackStatus !== 'idle';
+
+  const addExcludedArea = () => {
+    const plot = shape[activeRing.plot];
+    if (plot.outer.length < 3) {
+      Alert.alert('Map the Plot First', `Finish ${ringName({ plot: activeRing.plot, hole: null }).toLowerCase()} (at least 3 points) before marking areas to leave out of it.`);
+      return;
+    }
+
+    setShape(prev => prev.map((p, i) => (i === activeRing.plot ? { ...p, holes: [...p.holes, []] } : p)));
+    setActiveRing({ plot: activeRing.plot, hole: plot.holes.length });
+    Alert.alert(
+      'Excluded Area',
+      'Walk around the pond, homestead, rock outcrop or other area that is not farmed, marking its corners. Its area is subtracted from the farm size.'
+    );
+  };
+
+  const addPlot = () => {
+    if (shape.some(plot => plot.outer.length < 3)) {
+      Alert.alert('Finish This Plot', 'Every plot needs at least 3 points before you start another one.');
+      return;
+    }
+
+    setShape(prev => [...prev, { outer: [], holes: [] }]);
+    setActiveRing({ plot: shape.length, hole: null });
+    Alert.alert('New Plot', `Walk to plot ${shape.length + 1} and mark its corners. Its area is added to the farm size.`);
+  };
+
+  const removeActiveRing = () => {
+    const { plot, hole } = activeRing;
+    if (plot === 0 && hole === null) return;
+
+    Alert.alert(
+      'Remove',
+      `Remove ${ringName(activeRing).toLowerCase()} and its ${polygonPoints.length} points?`,
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => {
+            setShape(prev => (hole === null
+              ? prev.filter((_, i) => i !== plot)
+              : prev.map((p, i) => (i === plot ? { ...p, holes: p.holes.filter((_, j) => j !== hole) } : p))));
+            setActiveRing(FIRST_RING);
+          },
+        },
+      ]
+    );
+  };
+
+  const closeMapping = () => {
+    setIsMapping(false);
+    setModalVisible(false);
+    stopLocationWatching();
+    Alert.alert('Success', 'Farm boundary mapping completed!');
+  };
+
+  const completeMapping = async (mappedShape) => {
+    if (!onOverlapReview) {
+      closeMapping();
+      return;
+    }
+
+    setCheckingOverlap(true);
+    try {
+      const result = await farmOverlapService.checkBoundary(mappedShape, { farmerId, farmId });
+      if (result.overlaps.length === 0) {
+        onOverlapReview(null);
+        closeMapping();
+        return;
+      }
+      setOverlapResult(result);
+    } catch (error) {
+      console.error('Error checking farm overlaps:', error);
+      onOverlapReview(null);
+      closeMapping();
+    } finally {
+      setCheckingOverlap(false);
+    }
+  };
+
+  const acceptOverlap = (reason) => {
+    const { overlaps, source } = overlapResult;
+    setOverlapResult(null);
+    onOverlapReview({ overlaps, source, reason, checkedAt: new Date().toISOString() });
+    if (pendingShape) {
+      applyShape(pendingShape);
+    } else {
+      closeMapping();
+    }
+  };
+
+  const adjustOverlap = () => {
+    setOverlapResult(null);
+    setPendingShape(null);
+  };
+
+  const importFromFile = async () => {
+    let picked;
+    try {
+      picked = await boundaryFileService.pickBoundaries();
+    } catch (error) {
+      Alert.alert('Import Failed', error.message || 'Could not read the boundary file.');
+      return;
+    }
+    if (!picked) return;
+
+    if (picked.boundaries.length > 1) {
+      setImportChoice(picked);
+    } else {
+      reviewImport(picked.boundaries[0], picked.format);
+    }
+  };
+
+  const chooseImportedBoundary = (boundary) => {
+    const { format } = importChoice;
+    setImportChoice(null);
+    reviewImport(boundary, format);
+  };
+
+  const reviewImport = (boundary, format) => {
+    const importedAt = new Date().toISOString();
+    const toImportedPoints = (ring) => ring.map(p => ({
+      latitude: p.latitude,
+      longitude: p.longitude,
+      timestamp: importedAt,
+      accuracy: null,
+      source: `import:${format}`,
+    }));
+    const importedShape = boundary.shape.map(plot => ({
+      outer: toImportedPoints(plot.outer),
+      holes: plot.holes.map(toImportedPoints),
+    }));
+
+    const { valid, errors, warnings } = validateFarmShape(importedShape, { farmCategory });
+    if (!valid) {
+      Alert.alert(
+        'Invalid Farm Boundary',
+        `${describePolygonIssues({ errors, warnings })}\n\nFix the boundary in the file and import it again.`
+      );
+      return;
+    }
+
+    const label = BOUNDARY_FORMAT_INFO[format].label;
+    const pointCount = countPoints(importedShape);
+    const currentCount = countPoints(shape);
+    const confirmation = currentCount > 0
+      ? `Replace the current ${currentCount}-point boundary with "${boundary.name}" from the ${label} file?`
+      : `Use "${boundary.name}" (${pointCount} points) from the ${label} file?`;
+    const message = warnings.length > 0
+      ? `${describePolygonIssues({ warnings })}\n\n${confirmation}`
+      : confirmation;
+
+    Alert.alert('Import Boundary', message, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: warnings.length > 0 ? 'Import Anyway' : 'Import', onPress: () => checkReplacementOverlaps({ shape: importedShape, kind: 'import' }) },
+    ]);
+  };
+
+  // An imported or edited boundary replaces the current one once any overlaps are accepted
+  const checkReplacementOverlaps = async (replacement) => {
+    if (!onOverlapReview) {
+      applyShape(replacement);
+      return;
+    }
+
+    setCheckingOverlap(true);
+    try {
+      const result = await farmOverlapService.checkBoundary(replacement.shape, { farmerId, farmId });
+      if (result.overlaps.length === 0) {
+        onOverlapReview(null);
+        applyShape(replacement);
+        return;
+      }
+      setPendingShape(replacement);
+      setOverlapResult(result);
+    } catch (error) {
+      console.error('Error checking farm overlaps:', error);
+      onOverlapReview(null);
+      applyShape(replacement);
+    } finally {
+      setCheckingOverlap(false);
+    }
+  };
+
+  const applyShape = ({ shape: nextShape, kind }) => {
+    setPendingShape(null);
+    setShape(nextShape);
+    setActiveRing(FIRST_RING);
+    if (kind === 'import') {
+      Alert.alert('Boundary Imported', `${countPoints(nextShape)} boundary points imported.`);
+    } else {
+      Alert.alert('Boundary Updated', `The edited boundary has ${countPoints(nextShape)} points.`);
+    }
+  };
+
+  // Vertex editing works on finished rings only
+  const openEditor = () => {
+    if (countPoints(finishedShape) !== countPoints(shape)) {
+      Alert.alert('Finish Mapping First', 'Add at least 3 points to every plot and excluded area, or remove the unfinished one, before editing on the map.');
+      return;
+    }
+    setEditingShape(finishedShape);
+  };
+
+  const saveEdits = (edited) => {
+    setEditingShape(null);
+    // While mapping, finishing runs the overlap check; afterwards the edit is checked now
+    if (modalVisible) {
+      setShape(edited);
+      setActiveRing(FIRST_RING);
+    } else {
+      checkReplacementOverlaps({ shape: edited, kind: 'edit' });
+    }
+  };
+
   const finishMapping = () => {
-    if (polygonPoints.length < 3) {
+    if (shape[0].outer.length < 3) {
       Alert.alert(
         'Insufficient Points',
         'Please add at least 3 points to create a farm boundary',
@@ -142,20 +685,72 @@ export default function FarmPolygonMapper({ onPolygonUpdate, initialPolygon = []
       return;
     }
 
+    // Rings started but left with one or two points can't be used
+    const rings = shape.flatMap((plot, p) => [
+      { plot: p, hole: null, points: plot.outer },
+      ...plot.holes.map((points, h) => ({ plot: p, hole: h, points })),
+    ]);
+    const unfinished = rings.find(ring => ring.points.length > 0 && ring.points.length < 3);
+    if (unfinished) {
+      setActiveRing({ plot: unfinished.plot, hole: unfinished.hole });
+      Alert.alert(
+        'Insufficient Points',
+        `${describeRing(unfinished.plot, unfinished.hole, shape.length)} has only ${unfinished.points.length} point${unfinished.points.length > 1 ? 's' : ''}. Add at least 3 or remove it.`
+      );
+      return;
+    }
+
+    // Drop rings that were started but never mapped
+    const mappedShape = finishedShape;
+    if (rings.some(ring => ring.points.length === 0)) {
+      setShape(mappedShape);
+      setActiveRing(FIRST_RING);
+    }
+
+    const { valid, errors, warnings } = validateFarmShape(mappedShape, { farmCategory });
+    const hasDuplicates = warnings.some(w => w.code === POLYGON_ISSUES.DUPLICATE_VERTEX);
+    const onlyBoundary = mappedShape.length === 1 && mappedShape[0].holes.length === 0;
+
+    if (!valid) {
+      Alert.alert(
+        'Invalid Farm Boundary',
+        `${describePolygonIssues({ errors, warnings })}\n\nRemove the wrong points and walk those corners again.`,
+        [{ text: 'Keep Mapping', style: 'cancel' }]
+      );
+      return;
+    }
+
+    if (warnings.length > 0) {
+      const buttons = [{ text: 'Keep Mapping', style: 'cancel' }];
+      if (hasDuplicates) {
+        buttons.push({
+          text: 'Remove Duplicates',
+          onPress: () => setShape(prev => prev.map(plot => ({
+            outer: removeDuplicateVertices(plot.outer),
+            holes: plot.holes.map(hole => removeDuplicateVertices(hole)),
+          }))),
+        });
+      }
+      buttons.push({ text: 'Finish Anyway', onPress: () => completeMapping(mappedShape) });
+
+      Alert.alert('Check Farm Boundary', describePolygonIssues({ warnings }), buttons);
+      return;
+    }
+
+    const excludedCount = mappedShape.reduce((count, plot) => count + plot.holes.length, 0);
+    const summary = onlyBoundary
+      ? `${mappedShape[0].outer.length} boundary points`
+      : [
+        `${mappedShape.length} plot${mappedShape.length > 1 ? 's' : ''}`,
+        excludedCount > 0 && `${excludedCount} excluded area${excludedCount > 1 ? 's' : ''}`,
+      ].filter(Boolean).join(' and ');
+
     Alert.alert(
       'Complete Farm Mapping',
-      `You have marked ${polygonPoints.length} boundary points. Do you want to finish mapping?`,
+      `You have marked ${summary}. Do you want to finish mapping?`,
       [
         { text: 'Add More Points', style: 'cancel' },
-        {
-          text: 'Finish',
-          onPress: () => {
-            setIsMapping(false);
-            setModalVisible(false);
-            stopLocationWatching();
-            Alert.alert('Success', 'Farm boundary mapping completed!');
-          }
-        }
+        { text: 'Finish', onPress: () => completeMapping(mappedShape) }
       ]
     );
   };
@@ -169,7 +764,8 @@ export default function FarmPolygonMapper({ onPolygonUpdate, initialPolygon = []
         {
           text: 'Cancel',
           onPress: () => {
-            setPolygonPoints([]);
+            setShape(EMPTY_SHAPE);
+            setActiveRing(FIRST_RING);
             setIsMapping(false);
             setModalVisible(false);
             stopLocationWatching();
@@ -179,32 +775,26 @@ export default function FarmPolygonMapper({ onPolygonUpdate, initialPolygon = []
     );
   };
 
-  const calculateArea = () => {
-    if (polygonPoints.length < 3) return 0;
-    
-    // Simple polygon area calculation (rough estimate)
-    let area = 0;
-    const points = polygonPoints;
-    
-    for (let i = 0; i < points.length; i++) {
-      const j = (i + 1) % points.length;
-      area += points[i].latitude * points[j].longitude;
-      area -= points[j].latitude * points[i].longitude;
-    }
-    
-    return Math.abs(area) / 2 * 111320 * 111320; // Convert to square meters (rough)
-  };
+  // Net area: plots minus their excluded areas
+  const calculateArea = () => polygonArea(finishedShape);
+  const holeCount = finishedShape.reduce((count, plot) => count + plot.holes.length, 0);
 
   return (
     <View style={styles.container}>
       <View style={styles.header}>
         <Text style={styles.title}>Farm Boundary Mapping</Text>
         <Text style={styles.subtitle}>
-          {polygonPoints.length > 0 
-            ? `${polygonPoints.length} points marked${polygonPoints.length >= 3 ? ` • Est. ${(calculateArea() / 10000).toFixed(2)} hectares` : ''}`
+          {countPoints(shape) > 0 
+            ? `${countPoints(shape)} points marked${finishedShape.length > 0 ? ` • Est. ${(calculateArea() / 10000).toFixed(2)} hectares` : ''}`
             : 'No boundary points marked'
           }
         </Text>
+        {(finishedShape.length > 1 || holeCount > 0) && (
+          <Text style={styles.subtitle}>
+            {finishedShape.length} plot{finishedShape.length > 1 ? 's' : ''}
+            {holeCount > 0 ? ` • ${holeCount} excluded area${holeCount > 1 ? 's' : ''} subtracted` : ''}
+          </Text>
+        )}
       </View>
 
       <TouchableOpacity
@@ -213,14 +803,36 @@ export default function FarmPolygonMapper({ onPolygonUpdate, initialPolygon = []
       >
         <Ionicons name="map-outline" size={24} color="#ffffff" />
         <Text style={styles.mapButtonText}>
-          {polygonPoints.length > 0 ? 'Update Farm Boundary' : 'Map Farm Boundary'}
+          {countPoints(shape) > 0 ? 'Update Farm Boundary' : 'Map Farm Boundary'}
+        </Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        style={styles.importButton}
+        onPress={importFromFile}
+        disabled={checkingOverlap}
+      >
+        <Ionicons name="document-attach-outline" size={20} color="#013358" />
+        <Text style={styles.importButtonText}>
+          {checkingOverlap && !modalVisible ? 'Checking...' : 'Import from File (GeoJSON, KML, GPX)'}
         </Text>
       </TouchableOpacity>
 
-      {polygonPoints.length > 0 && (
+      {finishedShape.length > 0 && (
+        <TouchableOpacity
+          style={styles.importButton}
+          onPress={openEditor}
+          disabled={checkingOverlap}
+        >
+          <Ionicons name="create-outline" size={20} color="#013358" />
+          <Text style={styles.importButtonText}>Edit Corners on Map</Text>
+        </TouchableOpacity>
+      )}
+
+      {shape[0].outer.length > 0 && (
         <View style={styles.pointsList}>
-          <Text style={styles.pointsTitle}>Boundary Points:</Text>
-          {polygonPoints.slice(0, 3).map((point, index) => (
+          <Text style={styles.pointsTitle}>Boundary Points{shape.length > 1 ? ' (Plot 1)' : ''}:</Text>
+          {shape[0].outer.slice(0, 3).map((point, index) => (
             <View key={index} style={styles.pointItem}>
               <Ionicons name="location" size={16} color="#10b981" />
               <Text style={styles.pointText}>
@@ -228,21 +840,21 @@ export default function FarmPolygonMapper({ onPolygonUpdate, initialPolygon = []
               </Text>
             </View>
           ))}
-          {polygonPoints.length > 3 && (
+          {countPoints(shape) > 3 && (
             <Text style={styles.morePoints}>
-              +{polygonPoints.length - 3} more points
+              +{countPoints(shape) - Math.min(3, shape[0].outer.length)} more points
             </Text>
           )}
         </View>
       )}
 
       {/* Polygon Preview */}
-      {polygonPoints.length >= 3 && (
+      {finishedShape.length > 0 && (
         <View style={styles.polygonPreview}>
           <Text style={styles.previewTitle}>Farm Boundary Preview:</Text>
           <View style={styles.polygonMapContainer}>
             <PolygonMapMobile 
-              polygonData={polygonPoints}
+              polygonData={finishedShape}
               width={350}
               height={250}
               showCoordinates={false}
@@ -265,8 +877,8 @@ export default function FarmPolygonMapper({ onPolygonUpdate, initialPolygon = []
               <Text style={styles.cancelText}>Cancel</Text>
             </TouchableOpacity>
             <Text style={styles.modalTitle}>Farm Boundary Mapping</Text>
-            <TouchableOpacity onPress={finishMapping} style={styles.finishButton}>
-              <Text style={styles.finishText}>Finish</Text>
+            <TouchableOpacity onPress={finishMapping} style={styles.finishButton} disabled={checkingOverlap}>
+              <Text style={styles.finishText}>{checkingOverlap ? 'Checking...' : 'Finish'}</Text>
               <Ionicons name="checkmark" size={24} color="#10b981" />
             </TouchableOpacity>
           </View>
@@ -276,13 +888,38 @@ export default function FarmPolygonMapper({ onPolygonUpdate, initialPolygon = []
               <Ionicons name="information-circle" size={24} color="#013358" />
               <View style={styles.instructionsText}>
                 <Text style={styles.instructionsTitle}>How to map your farm:</Text>
-                <Text style={styles.instructionsStep}>1. Walk to each corner of your farm</Text>
-                <Text style={styles.instructionsStep}>2. Tap "Add Point" at each corner</Text>
-                <Text style={styles.instructionsStep}>3. Add at least 3 points to create a boundary</Text>
-                <Text style={styles.instructionsStep}>4. Tap "Finish" when done</Text>
+                {mappingMode === 'points' ? (
+                  <>
+                    <Text style={styles.instructionsStep}>1. Walk to each corner of your farm</Text>
+                    <Text style={styles.instructionsStep}>2. Tap "Add Point" at each corner and stand still while readings are averaged</Text>
+                    <Text style={styles.instructionsStep}>3. Add at least 3 points to create a boundary</Text>
+                    <Text style={styles.instructionsStep}>4. Tap "Finish" when done</Text>
+                  </>
+                ) : (
+                  <>
+                    <Text style={styles.instructionsStep}>1. Stand at any point on the boundary and tap "Start Walking"</Text>
+                    <Text style={styles.instructionsStep}>2. Walk along the boundary; pause if you must go around an obstacle</Text>
+                    <Text style={styles.instructionsStep}>3. The boundary closes when you get back to where you started</Text>
+                    <Text style={styles.instructionsStep}>4. Review the corners and tap "Finish"</Text>
+                  </>
+                )}
+                <Text style={styles.instructionsStep}>
+                  Use "Exclude Area" for ponds, homesteads or rock inside the farm, and "Add Plot" for a separate piece of land.
+                </Text>
               </View>
             </View>
 
+            {/* Live map over any offline map tiles downloaded for the area */}
+            <View style={styles.liveMap}>
+              <PolygonMapMobile
+                polygonData={finishedShape.length > 0 ? finishedShape : null}
+                height={260}
+                showCoordinates={false}
+                marker={currentLocation}
+                trace={trackStatus !== 'idle' ? trackRef.current?.points : polygonPoints.length < 3 ? polygonPoints : null}
+              />
+            </View>
+
             <View style={styles.statusCard}>
               <View style={styles.statusRow}>
                 <Text style={styles.statusLabel}>Current Location:</Text>
@@ -300,32 +937,180 @@ export default function FarmPolygonMapper({ onPolygonUpdate, initialPolygon = []
                 )}
               </View>
               
+              <View style={styles.statusRow}>
+                <Text style={styles.statusLabel}>Required Accuracy:</Text>
+                <View style={styles.thresholdOptions}>
+                  {ACCURACY_THRESHOLD_OPTIONS.map(option => (
+                    <TouchableOpacity
+                      key={option}
+                      style={[styles.thresholdChip, accuracyThreshold === option && styles.thresholdChipActive]}
+                      onPress={() => changeAccuracyThreshold(option)}
+                    >
+                      <Text style={[styles.thresholdChipText, accuracyThreshold === option && styles.thresholdChipTextActive]}>
+                        {option} m
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+
               <View style={styles.statusRow}>
                 <Text style={styles.statusLabel}>Points Marked:</Text>
-                <Text style={styles.statusValue}>{polygonPoints.length}</Text>
+                <Text style={styles.statusValue}>
+                  {polygonPoints.length}
+                  {countPoints(shape) > polygonPoints.length ? ` (${countPoints(shape)} in total)` : ''}
+                </Text>
               </View>
               
-              {polygonPoints.length >= 3 && (
+              {finishedShape.length > 0 && (
                 <View style={styles.statusRow}>
-                  <Text style={styles.statusLabel}>Estimated Area:</Text>
+                  <Text style={styles.statusLabel}>{holeCount > 0 ? 'Net Area:' : 'Estimated Area:'}</Text>
                   <Text style={styles.statusValue}>
                     {(calculateArea() / 10000).toFixed(2)} hectares
                   </Text>
                 </View>
               )}
+
+              {finishedShape.length > 0 && (
+                <View style={styles.statusRow}>
+                  <Text style={styles.statusLabel}>Perimeter:</Text>
+                  <Text style={styles.statusValue}>
+                    {Math.round(polygonPerimeter(finishedShape))} m
+                  </Text>
+                </View>
+              )}
             </View>
 
-            <View style={styles.actionButtons}>
-              <Animated.View style={{ transform: [{ scale: isMapping ? pulseAnim : 1 }] }}>
+            {(shape[0].outer.length >= 3 || shape.length > 1) && (
+              <View style={styles.ringsCard}>
+                <Text style={styles.ringsTitle}>Now mapping: {ringName(activeRing)}</Text>
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.ringChips}>
+                  {shape.flatMap((plot, p) => [
+                    { plot: p, hole: null, count: plot.outer.length },
+                    ...plot.holes.map((hole, h) => ({ plot: p, hole: h, count: hole.length })),
+                  ]).map(ring => {
+                    const active = ring.plot === activeRing.plot && ring.hole === activeRing.hole;
+                    return (
+                      <TouchableOpacity
+                        key={`${ring.plot}-${ring.hole}`}
+                        style={[styles.thresholdChip, styles.ringChip, active && styles.thresholdChipActive]}
+                        onPress={() => setActiveRing({ plot: ring.plot, hole: ring.hole })}
+                        disabled={ringBusy}
+                      >
+                        <Text style={[styles.thresholdChipText, active && styles.thresholdChipTextActive]}>
+                          {ringName(ring)} ({ring.count})
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </ScrollView>
+                <View style={styles.ringActions}>
+                  <TouchableOpacity style={styles.ringAction} onPress={addExcludedArea} disabled={ringBusy}>
+                    <Ionicons name="remove-circle-outline" size={18} color="#013358" />
+                    <Text style={styles.ringActionText}>Exclude Area</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.ringAction} onPress={addPlot} disabled={ringBusy}>
+                    <Ionicons name="add-circle-outline" size={18} color="#013358" />
+                    <Text style={styles.ringActionText}>Add Plot</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.ringAction} onPress={openEditor} disabled={ringBusy}>
+                    <Ionicons name="create-outline" size={18} color="#013358" />
+                    <Text style={styles.ringActionText}>Edit on Map</Text>
+                  </TouchableOpacity>
+                  {(activeRing.plot > 0 || activeRing.hole !== null) && (
+                    <TouchableOpacity style={styles.ringAction} onPress={removeActiveRing} disabled={ringBusy}>
+                      <Ionicons name="trash-outline" size={18} color="#ef4444" />
+                      <Text style={[styles.ringActionText, styles.ringRemoveText]}>Remove</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              </View>
+            )}
+
+            <View style={styles.modeSwitch}>
+              {[
+                { key: 'points', label: 'Tap Corners', icon: 'location-outline' },
+                { key: 'track', label: 'Walk Boundary', icon: 'walk-outline' },
+              ].map(mode => (
                 <TouchableOpacity
-                  style={[styles.actionButton, styles.addPointButton]}
-                  onPress={addPoint}
-                  disabled={!currentLocation}
+                  key={mode.key}
+                  style={[styles.modeOption, mappingMode === mode.key && styles.modeOptionActive]}
+                  onPress={() => setMappingMode(mode.key)}
+                  disabled={trackStatus !== 'idle' || !!capture}
                 >
-                  <Ionicons name="add-circle" size={24} color="#ffffff" />
-                  <Text style={styles.actionButtonText}>Add Point</Text>
+                  <Ionicons name={mode.icon} size={18} color={mappingMode === mode.key ? '#ffffff' : '#374151'} />
+                  <Text style={[styles.modeOptionText, mappingMode === mode.key && styles.modeOptionTextActive]}>
+                    {mode.label}
+                  </Text>
                 </TouchableOpacity>
-              </Animated.View>
+              ))}
+            </View>
+
+            {mappingMode === 'track' && (
+              <View style={styles.captureCard}>
+                <Text style={styles.captureTitle}>
+                  {trackStatus === 'recording' ? 'Recording - keep walking the boundary'
+                    : trackStatus === 'paused' ? 'Paused - walk around the obstacle, then resume'
+                    : 'Ready to walk the boundary'}
+                </Text>
+                {trackStatus !== 'idle' && (
+                  <Text style={styles.captureText}>
+                    {trackStats.readings} readings • {Math.round(trackStats.lengthM)} m walked
+                  </Text>
+                )}
+                <View style={styles.captureActions}>
+                  {trackStatus === 'idle' ? (
+                    <TouchableOpacity onPress={startTracking} disabled={!currentLocation}>
+                      <Text style={styles.captureActionText}>Start Walking</Text>
+                    </TouchableOpacity>
+                  ) : (
+                    <>
+                      <TouchableOpacity onPress={() => setTrackStatus(trackStatus === 'recording' ? 'paused' : 'recording')}>
+                        <Text style={styles.captureActionText}>{trackStatus === 'recording' ? 'Pause' : 'Resume'}</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={() => closeTrack(false)}>
+                        <Text style={styles.captureActionText}>Close Boundary</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={resetTrack}>
+                        <Text style={styles.captureCancelText}>Discard</Text>
+                      </TouchableOpacity>
+                    </>
+                  )}
+                </View>
+              </View>
+            )}
+
+            {capture && (
+              <View style={styles.captureCard}>
+                <Text style={styles.captureTitle}>Averaging GPS readings - stand still</Text>
+                <Text style={styles.captureText}>
+                  {capture.samples} reading{capture.samples === 1 ? '' : 's'}
+                  {capture.accuracy !== null ? ` • ±${capture.accuracy.toFixed(1)} m (target ${accuracyThreshold} m)` : ''}
+                </Text>
+                <View style={styles.captureActions}>
+                  <TouchableOpacity onPress={finishCapture} disabled={capture.samples === 0}>
+                    <Text style={styles.captureActionText}>Use Now</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={cancelCapture}>
+                    <Text style={styles.captureCancelText}>Cancel</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            )}
+
+            <View style={styles.actionButtons}>
+              {mappingMode === 'points' && (
+                <Animated.View style={{ transform: [{ scale: isMapping ? pulseAnim : 1 }] }}>
+                  <TouchableOpacity
+                    style={[styles.actionButton, styles.addPointButton]}
+                    onPress={addPoint}
+                    disabled={!currentLocation || !!capture}
+                  >
+                    <Ionicons name="add-circle" size={24} color="#ffffff" />
+                    <Text style={styles.actionButtonText}>{capture ? 'Capturing...' : 'Add Point'}</Text>
+                  </TouchableOpacity>
+                </Animated.View>
+              )}
 
               <TouchableOpacity
                 style={[styles.actionButton, styles.removePointButton]}
@@ -347,7 +1132,7 @@ export default function FarmPolygonMapper({ onPolygonUpdate, initialPolygon = []
 
             {polygonPoints.length > 0 && (
               <View style={styles.pointsListModal}>
-                <Text style={styles.pointsListTitle}>Marked Points:</Text>
+                <Text style={styles.pointsListTitle}>Marked Points ({ringName(activeRing)}):</Text>
                 {polygonPoints.map((point, index) => (
                   <View key={index} style={styles.pointItemModal}>
                     <Text style={styles.pointNumber}>{index + 1}</Text>
@@ -359,16 +1144,58 @@ export default function FarmPolygonMapper({ onPolygonUpdate, initialPolygon = []
                         {new Date(point.timestamp).toLocaleTimeString()}
                       </Text>
                     </View>
-                    <Text style={styles.pointAccuracy}>
-                      ±{point.accuracy?.toFixed(1)}m
-                    </Text>
+                    <View>
+                      <Text style={[styles.pointAccuracy, point.flagged && styles.pointAccuracyFlagged]}>
+                        {point.flagged ? '⚠ ' : ''}
+                        {Number.isFinite(point.accuracy) ? `±${point.accuracy.toFixed(1)}m` : point.source === 'edited' ? 'Edited' : 'Imported'}
+                      </Text>
+                      {point.samples > 1 && (
+                        <Text style={styles.pointTime}>{point.samples} readings</Text>
+                      )}
+                    </View>
                   </View>
                 ))}
               </View>
             )}
           </ScrollView>
+
+          <FarmOverlapModal
+            visible={!!overlapResult && modalVisible}
+            result={overlapResult}
+            onAdjust={adjustOverlap}
+            onContinue={acceptOverlap}
+          />
+          <PolygonVertexEditor
+            visible={!!editingShape && modalVisible}
+            shape={editingShape || EMPTY_SHAPE}
+            farmCategory={farmCategory}
+            onSave={saveEdits}
+            onCancel={() => setEditingShape(null)}
+          />
         </SafeAreaView>
       </Modal>
+
+      {/* Imports and edits made outside the mapping screen are reviewed here */}
+      <FarmOverlapModal
+        visible={!!overlapResult && !modalVisible}
+        result={overlapResult}
+        onAdjust={adjustOverlap}
+        onContinue={acceptOverlap}
+      />
+      <PolygonVertexEditor
+        visible={!!editingShape && !modalVisible}
+        shape={editingShape || EMPTY_SHAPE}
+        farmCategory={farmCategory}
+        onSave={saveEdits}
+        onCancel={() => setEditingShape(null)}
+      />
+      <BoundaryChoiceModal
+        visible={!!importChoice}
+        fileName={importChoice?.fileName}
+        boundaries={importChoice?.boundaries}
+        onSelect={chooseImportedBoundary}
+        onCancel={() => setImportChoice(null)}
+      />
     </View>
   );
 }
@@ -406,6 +1233,23 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginLeft: 8,
   },
+  importButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: '#013358',
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    marginBottom: 12,
+  },
+  importButtonText: {
+    color: '#013358',
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
   pointsList: {
     backgroundColor: '#f3f4f6',
     padding: 12,
@@ -440,6 +1284,9 @@ const styles = StyleSheet.create({
     borderTopWidth: 1,
     borderTopColor: '#e5e7eb',
   },
+  liveMap: {
+    alignItems: 'center',
+  },
   previewTitle: {
     fontSize: 14,
     fontWeight: '600',
@@ -629,4 +1476,123 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#9ca3af',
   },
+  pointAccuracyFlagged: {
+    color: '#d97706',
+    fontWeight: '600',
+  },
+  thresholdOptions: {
+    flexDirection: 'row',
+  },
+  thresholdChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#f3f4f6',
+    marginLeft: 6,
+  },
+  thresholdChipActive: {
+    backgroundColor: '#013358',
+  },
+  thresholdChipText: {
+    fontSize: 12,
+    color: '#374151',
+  },
+  thresholdChipTextActive: {
+    color: '#ffffff',
+    fontWeight: '600',
+  },
+  modeSwitch: {
+    flexDirection: 'row',
+    backgroundColor: '#f3f4f6',
+    borderRadius: 10,
+    padding: 4,
+    marginBottom: 16,
+  },
+  modeOption: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  modeOptionActive: {
+    backgroundColor: '#013358',
+  },
+  modeOptionText: {
+    fontSize: 14,
+    color: '#374151',
+    marginLeft: 6,
+  },
+  modeOptionTextActive: {
+    color: '#ffffff',
+    fontWeight: '600',
+  },
+  captureCard: {
+    backgroundColor: '#eff6ff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  captureTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1e40af',
+  },
+  captureText: {
+    fontSize: 13,
+    color: '#1e3a8a',
+    marginTop: 4,
+  },
+  captureActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 10,
+  },
+  captureActionText: {
+    color: '#013358',
+    fontWeight: '600',
+    marginRight: 20,
+  },
+  captureCancelText: {
+    color: '#ef4444',
+    fontWeight: '600',
+  },
+  ringsCard: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+  },
+  ringsTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  ringChips: {
+    marginTop: 10,
+  },
+  ringChip: {
+    marginLeft: 0,
+    marginRight: 6,
+  },
+  ringActions: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  ringAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 18,
+  },
+  ringActionText: {
+    color: '#013358',
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  ringRemoveText: {
+    color: '#ef4444',
+  },
 });
@@ -0,0 +1,524 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  Modal,
+  SafeAreaView,
+  PanResponder,
+} from 'react-native';
+import Svg, { Path, Polygon as SvgPolygon, Circle, G } from 'react-native-svg';
+import { Ionicons } from '@expo/vector-icons';
+import { validateFarmShape, describePolygonIssues } from '../../utils/polygonValidation';
+import { boundingBox } from '../../utils/polygonUtils';
+import { polygonArea, polygonPerimeter } from '../../utils/geodesy';
+import { fitView, makeView, toViewPixel, fromViewPixel } from '../../utils/tileMath';
+import { useBasemap } from '../../hooks/useBasemap';
+import BasemapLayer, { BasemapAttribution } from './BasemapLayer';
+
+const HIT_RADIUS_PX = 24; // Touch target around a corner or midpoint handle
+const TAP_SLOP_PX = 4; // Movement below this is a tap, not a drag
+const MAX_UNDO = 50;
+const ZOOM_STEP = 2;
+
+// Every ring of a shape as { plot, hole, points }, plots' boundaries before their holes
+const ringsOf = (shape) => shape.flatMap((plot, p) => [
+  { plot: p, hole: null, points: plot.outer },
+  ...plot.holes.map((points, h) => ({ plot: p, hole: h, points })),
+]);
+
+function withRing(shape, { plot, hole }, points) {
+  return shape.map((current, index) => {
+    if (index !== plot) return current;
+    return hole === null
+      ? { ...current, outer: points }
+      : { ...current, holes: current.holes.map((h, i) => (i === hole ? points : h)) };
+  });
+}
+
+// Corners placed by hand have no GPS reading behind them
+const editedPoint = ({ latitude, longitude }) => ({
+  latitude,
+  longitude,
+  timestamp: new Date().toISOString(),
+  accuracy: null,
+  source: 'edited',
+});
+
+const sameRing = (a, b) => a && b && a.plot === b.plot && a.hole === b.hole;
+
+/**
+ * Full-screen editor for a mapped farm shape: drag corners, tap a midpoint
+ * handle to add a corner there, select a corner to delete it, with undo and
+ * redo. Area, perimeter and the geometry checks update as corners move.
+ *
+ * onSave receives the edited shape as [{ outer, holes }]. Corners that were
+ * moved or added carry source 'edited' and no accuracy.
+ */
+export default function PolygonVertexEditor({ visible, shape, farmCategory = null, onSave, onCancel }) {
+  const [history, setHistory] = useState({ past: [], present: shape, future: [] });
+  const [draft, setDraft] = useState(null); // Shape while a corner is being dragged
+  const [selected, setSelected] = useState(null); // { plot, hole, index }
+  const [canvas, setCanvas] = useState(null); // { width, height }
+  const [view, setView] = useState(null);
+  const gesture = useRef(null);
+  const handlers = useRef(null);
+
+  const current = draft || history.present;
+  const basemapLayer = useBasemap(view, visible);
+
+  useEffect(() => {
+    if (!visible) return;
+    setHistory({ past: [], present: shape, future: [] });
+    setDraft(null);
+    setSelected(null);
+    setView(null);
+  }, [visible, shape]);
+
+  const fitToShape = (target = history.present) => {
+    if (!canvas || target.length === 0) return;
+    setView(fitView(boundingBox(target.flatMap(plot => plot.outer)), canvas.width, canvas.height, { padding: 40 }));
+  };
+
+  useEffect(() => {
+    if (visible && canvas && !view) fitToShape();
+  }, [visible, canvas, view]);
+
+  const validation = useMemo(() => validateFarmShape(current, { farmCategory }), [current, farmCategory]);
+  const area = useMemo(() => polygonArea(current), [current]);
+  const perimeter = useMemo(() => polygonPerimeter(current), [current]);
+
+  // Corners named in errors or warnings are drawn in red
+  const flagged = useMemo(() => {
+    const keys = new Set();
+    [...validation.errors, ...validation.warnings].forEach(issue => {
+      const ring = issue.ring || { plot: 0, hole: null };
+      (issue.vertices || []).forEach(index => keys.add(`${ring.plot}:${ring.hole}:${index}`));
+    });
+    return keys;
+  }, [validation]);
+
+  const commit = (next) => {
+    setHistory(prev => ({
+      past: [...prev.past, prev.present].slice(-MAX_UNDO),
+      present: next,
+      future: [],
+    }));
+    setDraft(null);
+  };
+
+  const undo = () => {
+    setSelected(null);
+    setHistory(prev => (prev.past.length === 0 ? prev : {
+      past: prev.past.slice(0, -1),
+      present: prev.past[prev.past.length - 1],
+      future: [prev.present, ...prev.future],
+    }));
+  };
+
+  const redo = () => {
+    setSelected(null);
+    setHistory(prev => (prev.future.length === 0 ? prev : {
+      past: [...prev.past, prev.present],
+      present: prev.future[0],
+      future: prev.future.slice(1),
+    }));
+  };
+
+  const deleteSelected = () => {
+    if (!selected) return;
+    const points = ringsOf(history.present).find(ring => sameRing(ring, selected)).points;
+    if (points.length <= 3) {
+      Alert.alert('Cannot Delete Corner', 'A boundary needs at least 3 corners. Remove the whole area from the mapping screen instead.');
+      return;
+    }
+    commit(withRing(history.present, selected, points.filter((_, i) => i !== selected.index)));
+    setSelected(null);
+  };
+
+  const zoom = (factor) => {
+    if (!view) return;
+    setView(makeView(view.centerX, view.centerY, view.scale * factor, view.width, view.height));
+  };
+
+  // Touch handling: grab the nearest corner, else a midpoint handle (adding a corner), else pan
+  const beginGesture = (x, y) => {
+    if (!view) return;
+    const pixel = (p) => toViewPixel(view, p.longitude, p.latitude);
+    let best = null;
+
+    ringsOf(history.present).forEach(ring => {
+      ring.points.forEach((point, index) => {
+        const [px, py] = pixel(point);
+        const distance = Math.hypot(px - x, py - y);
+        if (distance <= HIT_RADIUS_PX && (!best || distance < best.distance)) {
+          best = { distance, ring, index, px, py, insert: false };
+        }
+      });
+    });
+
+    if (!best) {
+      ringsOf(history.present).forEach(ring => {
+        ring.points.forEach((point, index) => {
+          const [ax, ay] = pixel(point);
+          const [bx, by] = pixel(ring.points[(index + 1) % ring.points.length]);
+          const px = (ax + bx) / 2;
+          const py = (ay + by) / 2;
+          const distance = Math.hypot(px - x, py - y);
+          if (distance <= HIT_RADIUS_PX && (!best || distance < best.distance)) {
+            best = { distance, ring, index: index + 1, px, py, insert: true };
+          }
+        });
+      });
+    }
+
+    if (!best) {
+      gesture.current = { kind: 'pan', startView: view, moved: false };
+      return;
+    }
+
+    let points = best.ring.points;
+    let inserted = null;
+    if (best.insert) {
+      points = [...points];
+      points.splice(best.index, 0, editedPoint(fromViewPixel(view, best.px, best.py)));
+      inserted = withRing(history.present, best.ring, points);
+      setDraft(inserted);
+    }
+    gesture.current = {
+      kind: 'corner',
+      ring: { plot: best.ring.plot, hole: best.ring.hole },
+      index: best.index,
+      points,
+      draft: inserted,
+      startX: best.px,
+      startY: best.py,
+      moved: false,
+    };
+  };
+
+  const moveGesture = (dx, dy) => {
+    const active = gesture.current;
+    if (!active) return;
+    if (Math.abs(dx) + Math.abs(dy) > TAP_SLOP_PX) active.moved = true;
+    if (!active.moved) return;
+
+    if (active.kind === 'pan') {
+      const { startView } = active;
+      setView(makeView(
+        startView.centerX - dx / startView.scale,
+        startView.centerY - dy / startView.scale,
+        startView.scale,
+        startView.width,
+        startView.height
+      ));
+      return;
+    }
+
+    const points = [...active.points];
+    points[active.index] = editedPoint(fromViewPixel(view, active.startX + dx, active.startY + dy));
+    active.draft = withRing(history.present, active.ring, points);
+    setDraft(active.draft);
+  };
+
+  const endGesture = () => {
+    const active = gesture.current;
+    gesture.current = null;
+    if (!active) return;
+
+    if (active.kind === 'pan') {
+      if (!active.moved) setSelected(null);
+      return;
+    }
+
+    const target = { ...active.ring, index: active.index };
+    if (active.draft) {
+      commit(active.draft);
+      setSelected(target);
+    } else {
+      setSelected(prev => (prev && sameRing(prev, target) && prev.index === target.index ? null : target));
+    }
+  };
+
+  const cancelGesture = () => {
+    gesture.current = null;
+    setDraft(null);
+  };
+
+  handlers.current = { beginGesture, moveGesture, endGesture, cancelGesture };
+
+  const panResponder = useMemo(() => PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderGrant: (event) => {
+      const { locationX, locationY } = event.nativeEvent;
+      handlers.current.beginGesture(locationX, locationY);
+    },
+    onPanResponderMove: (event, { dx, dy }) => handlers.current.moveGesture(dx, dy),
+    onPanResponderRelease: () => handlers.current.endGesture(),
+    onPanResponderTerminate: () => handlers.current.cancelGesture(),
+  }), []);
+
+  const save = () => {
+    const { valid, errors, warnings } = validation;
+    if (!valid) {
+      Alert.alert('Invalid Farm Boundary', `${describePolygonIssues({ errors, warnings })}\n\nMove the corners marked in red to fix it.`);
+      return;
+    }
+    if (warnings.length > 0) {
+      Alert.alert('Check Farm Boundary', describePolygonIssues({ warnings }), [
+        { text: 'Keep Editing', style: 'cancel' },
+        { text: 'Save Anyway', onPress: () => onSave(history.present) },
+      ]);
+      return;
+    }
+    onSave(history.present);
+  };
+
+  const close = () => {
+    if (history.past.length === 0) {
+      onCancel();
+      return;
+    }
+    Alert.alert('Discard Changes', 'Your changes to the boundary will be lost.', [
+      { text: 'Keep Editing', style: 'cancel' },
+      { text: 'Discard', style: 'destructive', onPress: onCancel },
+    ]);
+  };
+
+  const renderRing = (ring) => {
+    const pixels = ring.points.map(p => toViewPixel(view, p.longitude, p.latitude));
+    const hole = ring.hole !== null;
+    return (
+      <G key={`${ring.plot}-${ring.hole}`}>
+        {hole && (
+          <SvgPolygon
+            points={pixels.map(([x, y]) => `${x},${y}`).join(' ')}
+            fill="none"
+            stroke="#d97706"
+            strokeWidth="2"
+            strokeDasharray="6,4"
+          />
+        )}
+        {pixels.map(([x, y], index) => {
+          const [nx, ny] = pixels[(index + 1) % pixels.length];
+          return (
+            <Circle
+              key={`mid-${index}`}
+              cx={(x + nx) / 2}
+              cy={(y + ny) / 2}
+              r="5"
+              fill="rgba(255, 255, 255, 0.8)"
+              stroke={hole ? '#d97706' : '#16a34a'}
+              strokeWidth="1.5"
+            />
+          );
+        })}
+        {pixels.map(([x, y], index) => {
+          const isSelected = sameRing(selected, ring) && selected.index === index;
+          const isFlagged = flagged.has(`${ring.plot}:${ring.hole}:${index}`);
+          return (
+            <Circle
+              key={`corner-${index}`}
+              cx={x}
+              cy={y}
+              r={isSelected ? 10 : 7}
+              fill={isSelected ? '#2563eb' : isFlagged ? '#ef4444' : hole ? '#d97706' : '#16a34a'}
+              stroke="white"
+              strokeWidth="2"
+            />
+          );
+        })}
+      </G>
+    );
+  };
+
+  const ringPath = (points) => `M ${points.map(p => toViewPixel(view, p.longitude, p.latitude).join(',')).join(' L ')} Z`;
+  const firstIssue = validation.errors[0] || validation.warnings[0];
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="fullScreen" onRequestClose={close}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={close} style={styles.headerButton}>
+            <Ionicons name="close" size={24} color="#ef4444" />
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Edit Boundary</Text>
+          <TouchableOpacity onPress={save} style={styles.headerButton} disabled={!!draft}>
+            <Text style={styles.saveText}>Save</Text>
+            <Ionicons name="checkmark" size={24} color="#10b981" />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.stats}>
+          <Text style={styles.statsText}>
+            {(area / 10000).toFixed(2)} ha • {Math.round(perimeter)} m perimeter
+          </Text>
+          {firstIssue && (
+            <Text style={[styles.issueText, !validation.valid && styles.errorText]} numberOfLines={2}>
+              {firstIssue.message}
+            </Text>
+          )}
+        </View>
+
+        <View
+          style={styles.canvas}
+          onLayout={(event) => {
+            const { width, height } = event.nativeEvent.layout;
+            setCanvas({ width, height });
+          }}
+          {...panResponder.panHandlers}
+        >
+          {view && (
+            <Svg width={view.width} height={view.height}>
+              <BasemapLayer layer={basemapLayer} view={view} />
+              {current.map((plot, index) => (
+                <Path
+                  key={`plot-${index}`}
+                  d={[plot.outer, ...plot.holes].map(ringPath).join(' ')}
+                  fill="rgba(34, 197, 94, 0.25)"
+                  fillRule="evenodd"
+                  stroke="#16a34a"
+                  strokeWidth="2"
+                  strokeLinejoin="round"
+                />
+              ))}
+              {ringsOf(current).map(renderRing)}
+            </Svg>
+          )}
+          <BasemapAttribution layer={basemapLayer} />
+
+          <View style={styles.zoomControls}>
+            <TouchableOpacity style={styles.zoomButton} onPress={() => zoom(ZOOM_STEP)}>
+              <Ionicons name="add" size={22} color="#1f2937" />
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.zoomButton} onPress={() => zoom(1 / ZOOM_STEP)}>
+              <Ionicons name="remove" size={22} color="#1f2937" />
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.zoomButton} onPress={() => fitToShape()}>
+              <Ionicons name="scan-outline" size={20} color="#1f2937" />
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        <Text style={styles.hint}>
+          Drag a corner to move it. Tap a small circle between corners to add one there. Tap a corner to select it.
+        </Text>
+
+        <View style={styles.toolbar}>
+          <TouchableOpacity style={styles.tool} onPress={undo} disabled={history.past.length === 0}>
+            <Ionicons name="arrow-undo" size={22} color={history.past.length > 0 ? '#013358' : '#cbd5e1'} />
+            <Text style={[styles.toolText, history.past.length === 0 && styles.toolDisabled]}>Undo</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.tool} onPress={redo} disabled={history.future.length === 0}>
+            <Ionicons name="arrow-redo" size={22} color={history.future.length > 0 ? '#013358' : '#cbd5e1'} />
+            <Text style={[styles.toolText, history.future.length === 0 && styles.toolDisabled]}>Redo</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.tool} onPress={deleteSelected} disabled={!selected}>
+            <Ionicons name="trash-outline" size={22} color={selected ? '#ef4444' : '#cbd5e1'} />
+            <Text style={[styles.toolText, !selected && styles.toolDisabled]}>Delete Corner</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#ffffff',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e5e7eb',
+  },
+  headerButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#1f2937',
+  },
+  cancelText: {
+    color: '#ef4444',
+    fontSize: 16,
+    marginLeft: 4,
+  },
+  saveText: {
+    color: '#10b981',
+    fontSize: 16,
+    fontWeight: '600',
+    marginRight: 4,
+  },
+  stats: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    backgroundColor: '#f9fafb',
+  },
+  statsText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  issueText: {
+    fontSize: 13,
+    color: '#d97706',
+    marginTop: 4,
+  },
+  errorText: {
+    color: '#ef4444',
+  },
+  canvas: {
+    flex: 1,
+    backgroundColor: '#e5e7eb',
+    overflow: 'hidden',
+  },
+  zoomControls: {
+    position: 'absolute',
+    right: 12,
+    top: 12,
+  },
+  zoomButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(255, 255, 255, 0.9)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#6b7280',
+    paddingHorizontal: 16,
+    paddingTop: 10,
+  },
+  toolbar: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingVertical: 12,
+  },
+  tool: {
+    alignItems: 'center',
+    paddingHorizontal: 12,
+  },
+  toolText: {
+    fontSize: 12,
+    color: '#013358',
+    marginTop: 2,
+  },
+  toolDisabled: {
+    color: '#cbd5e1',
+  },
+});
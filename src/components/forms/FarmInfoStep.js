@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -20,7 +20,10 @@ import LGASelect from '../common/LGASelect';
 import WardSelect from '../common/WardSelect';
 import PollingUnitSelect from '../common/PollingUnitSelect';
 import FarmPolygonMapper from '../common/FarmPolygonMapper';
+import { validateFarmShape } from '../../utils/polygonValidation';
 import optimizedLocationService from '../../services/optimizedLocationServiceV2';
+import { lazyLocationService } from '../../services/lazyLocationService';
+import { checkAdminUnit, hasAdminBoundaryData } from '../../utils/adminBoundaries';
 
 const FARM_CATEGORIES = [
   { label: 'Select Farm Category', value: '' },
@@ -158,7 +161,7 @@ const getCategoryLabels = (category) => {
   }
 };
 
-export default function FarmInfoStep({ control, errors, setValue, watch, showTitle = true }) {
+export default function FarmInfoStep({ control, errors, setValue, watch, showTitle = true, farmerId }) {
   const [loadingLocation, setLoadingLocation] = useState(false);
   const [coordinates, setCoordinates] = useState(watch('farmInfo.coordinates'));
 
@@ -171,10 +174,15 @@ export default function FarmInfoStep({ control, errors, setValue, watch, showTit
   // State for dropdown options and loading states
   // Note: Individual select components now handle their own loading
 
+  // A unit suggested from the GPS position, applied one level at a time
+  // because the resets below clear everything under a changed parent
+  const pendingUnit = useRef(null);
+
   // Reset dependent fields when parent field changes
   useEffect(() => {
     if (selectedState) {
-      setValue('farmInfo.localGovernment', '');
+      const pending = pendingUnit.current;
+      setValue('farmInfo.localGovernment', pending?.state === selectedState ? pending.lga : '');
       setValue('farmInfo.ward', '');
       setValue('farmInfo.pollingUnit', '');
     }
@@ -182,8 +190,10 @@ export default function FarmInfoStep({ control, errors, setValue, watch, showTit
 
   useEffect(() => {
     if (selectedLocalGovernment) {
-      setValue('farmInfo.ward', '');
+      const pending = pendingUnit.current;
+      setValue('farmInfo.ward', pending?.lga === selectedLocalGovernment ? pending.ward || '' : '');
       setValue('farmInfo.pollingUnit', '');
+      pendingUnit.current = null;
     }
   }, [selectedLocalGovernment, setValue]);
 
@@ -345,6 +355,41 @@ export default function FarmInfoStep({ control, errors, setValue, watch, showTit
   // Get current category labels
   const categoryLabels = getCategoryLabels(selectedFarmCategory);
 
+  const farmPolygon = watch('farmPolygon') || [];
+  const farmShape = watch('farmShape');
+  const boundaryOverlap = watch('boundaryOverlap');
+  const boundaryCheck = farmPolygon.length >= 3
+    ? validateFarmShape(farmShape?.length > 0 ? farmShape : [{ outer: farmPolygon, holes: [] }], { farmCategory: selectedFarmCategory })
+    : null;
+
+  // The GPS fix, or the middle of the mapped boundary, should fall in the chosen LGA and ward
+  const farmPoint = coordinates || (farmPolygon.length >= 3 ? {
+    latitude: farmPolygon.reduce((sum, p) => sum + p.latitude, 0) / farmPolygon.length,
+    longitude: farmPolygon.reduce((sum, p) => sum + p.longitude, 0) / farmPolygon.length,
+  } : null);
+  const adminCheck = checkAdminUnit(
+    { state: selectedState, lga: selectedLocalGovernment, ward: selectedWard },
+    farmPoint
+  );
+  const suggestedUnit = adminCheck.suggestion;
+  const suggestedUnitName = suggestedUnit && [
+    suggestedUnit.ward && `${lazyLocationService.formatName(suggestedUnit.ward)} ward`,
+    `${lazyLocationService.formatName(suggestedUnit.lga)} LGA`,
+    lazyLocationService.formatName(suggestedUnit.state),
+  ].filter(Boolean).join(', ');
+
+  const applySuggestedUnit = () => {
+    if (suggestedUnit.state !== selectedState) {
+      pendingUnit.current = suggestedUnit;
+      setValue('farmInfo.state', suggestedUnit.state);
+    } else if (suggestedUnit.lga !== selectedLocalGovernment) {
+      pendingUnit.current = suggestedUnit;
+      setValue('farmInfo.localGovernment', suggestedUnit.lga);
+    } else {
+      setValue('farmInfo.ward', suggestedUnit.ward || '');
+    }
+  };
+
   return (
     <View style={styles.container}>
       {showTitle && (
@@ -653,6 +698,31 @@ export default function FarmInfoStep({ control, errors, setValue, watch, showTit
           {errors?.farmInfo?.coordinates && (
             <Text style={styles.errorText}>{errors.farmInfo.coordinates.message}</Text>
           )}
+
+          {(adminCheck.status === 'outside_lga' || adminCheck.status === 'outside_ward') && (
+            <View style={styles.adminWarning}>
+              <Text style={styles.warningText}>
+                {coordinates ? 'The GPS position' : 'The farm boundary'} is about {(adminCheck.distanceM / 1000).toFixed(1)} km outside the selected {adminCheck.level === 'lga' ? 'LGA' : 'ward'}.
+                {suggestedUnitName ? ` It falls in ${suggestedUnitName}.` : ''}
+              </Text>
+              {suggestedUnit && (
+                <TouchableOpacity style={styles.adminSuggestionButton} onPress={applySuggestedUnit}>
+                  <Ionicons name="swap-horizontal" size={16} color="#d97706" />
+                  <Text style={styles.adminSuggestionText}>Use {suggestedUnitName}</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+          {farmPoint && selectedLocalGovernment && !hasAdminBoundaryData() && (
+            <Text style={styles.helperText}>
+              This build has no LGA or ward boundaries, so the farm location is not checked against the selected LGA and ward
+            </Text>
+          )}
+          {adminCheck.status === 'near_boundary' && (
+            <Text style={styles.helperText}>
+              The farm is close to the {adminCheck.level === 'lga' ? 'LGA' : 'ward'} boundary - check the selected location is correct
+            </Text>
+          )}
         </View>
 
         {/* Farm Polygon */}
@@ -662,11 +732,34 @@ export default function FarmInfoStep({ control, errors, setValue, watch, showTit
             onPolygonUpdate={(polygon) => {
               setValue('farmPolygon', polygon);
             }}
-            initialPolygon={watch('farmPolygon') || []}
+            initialPolygon={farmPolygon}
+            initialShape={farmShape}
+            onShapeUpdate={(shape) => setValue('farmShape', shape)}
+            farmCategory={selectedFarmCategory}
+            farmerId={farmerId}
+            onOverlapReview={(review) => setValue('boundaryOverlap', review)}
           />
           <Text style={styles.helperText}>
             Walk around farm boundary to capture the area (minimum 3 points required)
           </Text>
+
+          {boundaryCheck?.errors.map(issue => (
+            <Text key={issue.code + issue.message} style={styles.errorText}>{issue.message}</Text>
+          ))}
+          {boundaryCheck?.warnings.map(issue => (
+            <Text key={issue.code + issue.message} style={styles.warningText}>{issue.message}</Text>
+          ))}
+          {boundaryCheck?.excludedArea > 0 && (
+            <Text style={styles.helperText}>
+              {boundaryCheck.grossArea.toFixed(2)} ha mapped, {boundaryCheck.excludedArea.toFixed(2)} ha excluded, {boundaryCheck.area.toFixed(2)} ha cultivable
+            </Text>
+          )}
+          {boundaryOverlap?.overlaps?.length > 0 && (
+            <Text style={styles.warningText}>
+              Overlaps {boundaryOverlap.overlaps.length} existing farm{boundaryOverlap.overlaps.length > 1 ? 's' : ''}
+              {boundaryOverlap.reason ? ` • Reason: ${boundaryOverlap.reason}` : ''}
+            </Text>
+          )}
           
           {errors?.farmPolygon && (
             <Text style={styles.errorText}>{errors.farmPolygon.message}</Text>
@@ -1073,6 +1166,34 @@ const styles = StyleSheet.create({
     color: '#ef4444',
     marginTop: 4,
   },
+  warningText: {
+    fontSize: 14,
+    color: '#d97706',
+    marginTop: 4,
+  },
+  adminWarning: {
+    backgroundColor: '#fffbeb',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 8,
+  },
+  adminSuggestionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    borderWidth: 1,
+    borderColor: '#d97706',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginTop: 8,
+  },
+  adminSuggestionText: {
+    color: '#d97706',
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
   info: {
     backgroundColor: '#f0fdf4',
     padding: 16,
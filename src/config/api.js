@@ -1,12 +1,14 @@
 import Constants from 'expo-constants';
 
+// Read from expo-constants (works in both dev and production builds)
+// Falls back to app.config.js extra.apiBaseUrl, then to production URL
+const BASE_URL = Constants.expoConfig?.extra?.apiBaseUrl || 
+                 process.env.EXPO_PUBLIC_API_BASE_URL || 
+                 'https://fims.cosmopolitan.edu.ng';
+
 // API Configuration
 const API_CONFIG = {
-  // Read from expo-constants (works in both dev and production builds)
-  // Falls back to app.config.js extra.apiBaseUrl, then to production URL
-  BASE_URL: Constants.expoConfig?.extra?.apiBaseUrl || 
-            process.env.EXPO_PUBLIC_API_BASE_URL || 
-            'https://fims.cosmopolitan.edu.ng',
+  BASE_URL,
   
   // API endpoints
   ENDPOINTS: {
@@ -27,8 +29,23 @@ const API_CONFIG = {
     // Mobile authentication bridge
     MOBILE_AUTH_ME: '/api/mobile/auth/me',
 
+    // Offline farmer index (compact farmers in the agent's scope, ?updatedSince= for deltas)
+    MOBILE_FARMER_INDEX: '/api/mobile/farmers/index',
+
+    // Bounding box of an LGA (?state=&lga=), used to pre-download offline map tiles
+    MOBILE_LGA_BOUNDS: '/api/mobile/locations/lga-bounds',
+
+    // Attendance: POST one check-in/check-out entry (upserted by its client id);
+    // GET ?since= returns the agent's entries { entries, serverTime } for reconciliation
+    MOBILE_ATTENDANCE: '/api/mobile/attendance',
+
+    // Certificates: POST { farmerId } returns the farmer's certificate
+    // { certificateId, token, issuedAt }, issuing it on first request
+    MOBILE_CERTIFICATES: '/api/mobile/certificates',
+
     // Data correction module
     CORRECTION_FARMERS: '/api/mobile/correction/farmers',
+    CORRECTION_SUBMISSIONS: '/api/mobile/correction/submissions', // The signed-in agent's corrections
 
     // Survey module
     MOBILE_SURVEYS: '/api/mobile/surveys',
@@ -46,6 +63,21 @@ const API_CONFIG = {
     SMS_VERIFY: '/api/sms/verify-code'
   },
   
+  // Basemap tile servers for offline maps, as {z}/{x}/{y} URL templates, or null when
+  // none is licensed for the source. There is no public fallback - the public OSM and
+  // Esri servers don't allow bulk downloads.
+  TILE_SERVERS: {
+    satellite: Constants.expoConfig?.extra?.satelliteTileUrl || null,
+    streets: Constants.expoConfig?.extra?.streetTileUrl || null,
+  },
+
+  // Certificate QR codes link to VERIFY_BASE_URL/<certificate id> and carry a token
+  // signed by the server, checked offline against PUBLIC_KEYS ({ [key id]: base64 Ed25519 key })
+  CERTIFICATES: {
+    VERIFY_BASE_URL: Constants.expoConfig?.extra?.certificateVerifyUrl || `${BASE_URL}/verify-certificate`,
+    PUBLIC_KEYS: Constants.expoConfig?.extra?.certificatePublicKeys || {},
+  },
+
   // Request timeout in milliseconds
   TIMEOUT: 10000,
   
@@ -0,0 +1,29 @@
+/**
+ * Administrative boundaries for the units in hierarchical-data.js
+ *
+ * GENERATED by scripts/build-admin-boundaries.js - do not edit by hand.
+ * Re-run it with the LGA and ward boundary GeoJSON to refresh it:
+ *   npm run build:admin-boundaries -- --lgas <lgas.geojson> --wards <wards.geojson> --source "<dataset>"
+ *
+ * source and generatedAt identify the dataset; unmatched lists the source
+ * features whose names did not match hierarchical-data.js (add them to an
+ * aliases file and re-run).
+ *
+ * Keyed by the same slugs as hierarchical-data.js:
+ *   { [state]: { [lga]: { bbox, polygons, wards: { [ward]: { bbox, polygons } } } } }
+ * bbox is [west, south, east, north]; polygons is a list of polygons, each a
+ * list of rings (outer ring first, then holes) in encoded polyline format
+ * (precision 5, about 1 m). Units missing here are simply not checked.
+ *
+ * Until it has been generated source is null and states empty: nothing is
+ * checked, and production builds refuse to start (app.config.js).
+ */
+
+const adminBoundaries = {
+  source: null,
+  generatedAt: null,
+  unmatched: [],
+  states: {},
+};
+
+export default adminBoundaries;
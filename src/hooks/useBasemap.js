@@ -0,0 +1,43 @@
+import { useState, useEffect, useMemo } from 'react';
+import tileCacheService, { TILE_SOURCES } from '../services/tileCacheService';
+import { viewTileRange, viewBox } from '../utils/tileMath';
+
+/**
+ * Downloaded map tiles to draw under a view (see tileMath.fitView), as
+ * { source, tiles }, or null when none of the area is on the device.
+ * The preferred source is tried first; another downloaded source fills in
+ * where it has nothing.
+ */
+export function useBasemap(view, enabled = true) {
+  const [sources, setSources] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return;
+    tileCacheService.getSettings().then(settings => {
+      setSources([settings.source, ...Object.keys(TILE_SOURCES).filter(key => key !== settings.source)]);
+    });
+  }, [enabled]);
+
+  const layer = useMemo(() => {
+    if (!enabled || !sources || !view) return null;
+    try {
+      for (const source of sources) {
+        const tiles = tileCacheService.basemapTiles(source, viewTileRange(view, TILE_SOURCES[source].maxZoom));
+        if (tiles.length > 0) return { source, tiles };
+      }
+    } catch (error) {
+      console.error('Error reading offline map tiles:', error);
+    }
+    return null;
+  }, [enabled, sources, view]);
+
+  // Viewed regions are kept longest when storage runs short
+  useEffect(() => {
+    if (!layer || !view) return;
+    tileCacheService.markViewed(layer.source, viewBox(view)).catch(() => {});
+  }, [layer, view]);
+
+  return layer;
+}
+
+export default useBasemap;
@@ -0,0 +1,120 @@
+import { useEffect, useRef, useState } from 'react';
+
+// correctionDraftService.js is an untyped JS module — use require with explicit cast
+// eslint-disable-next-line @typescript-eslint/no-require-imports
+const { correctionDraftService } = require('../services/correctionDraftService') as {
+  correctionDraftService: {
+    getDraft: (
+      kind: string,
+      targetId: string,
+    ) => Promise<{ values: any; updatedAt: string; baseUpdatedAt?: string | null } | null>;
+    saveDraft: (
+      kind: string,
+      targetId: string,
+      draft: { farmerId: string; values: unknown; baseUpdatedAt?: string | null },
+    ) => Promise<unknown>;
+    deleteDraft: (kind: string, targetId: string) => Promise<void>;
+  };
+};
+
+const DRAFT_SAVE_DELAY_MS = 800;
+
+/**
+ * Keep a correction form in a local draft while it is being edited.
+ *
+ * Restores a saved draft on mount, saves shortly after each change (and on
+ * leaving the screen), and drops the draft if the form is changed back to the
+ * loaded record. Call clearDraft once the correction has been submitted.
+ *
+ * baseUpdatedAt is the loaded record's updatedAt. The draft keeps the value
+ * from when editing started, and the returned baseUpdatedAt is the one to
+ * submit the correction against.
+ */
+export function useCorrectionDraft<T>({
+  kind,
+  targetId,
+  farmerId,
+  form,
+  setForm,
+  baseUpdatedAt = null,
+}: {
+  kind: string;
+  targetId: string;
+  farmerId: string;
+  form: T;
+  setForm: (values: T) => void;
+  baseUpdatedAt?: string | null;
+}) {
+  const [restoredAt, setRestoredAt] = useState<string | null>(null);
+  const [draftBase, setDraftBase] = useState<string | null>(null);
+  const draftBaseRef = useRef<string | null>(null);
+  const initialRef = useRef(JSON.stringify(form));
+  const latestRef = useRef(form);
+  const loadedRef = useRef(false);
+  const clearedRef = useRef(false);
+  const timerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+
+  latestRef.current = form;
+
+  const persist = () => {
+    if (timerRef.current) clearTimeout(timerRef.current);
+    timerRef.current = null;
+    if (!loadedRef.current || clearedRef.current) return;
+
+    if (JSON.stringify(latestRef.current) === initialRef.current) {
+      correctionDraftService.deleteDraft(kind, targetId);
+    } else {
+      correctionDraftService.saveDraft(kind, targetId, {
+        farmerId,
+        values: latestRef.current,
+        baseUpdatedAt: draftBaseRef.current ?? baseUpdatedAt,
+      });
+    }
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    correctionDraftService.getDraft(kind, targetId).then((draft) => {
+      if (cancelled) return;
+      if (draft) {
+        setForm(draft.values);
+        setRestoredAt(draft.updatedAt);
+        draftBaseRef.current = draft.baseUpdatedAt ?? null;
+        setDraftBase(draftBaseRef.current);
+      }
+      loadedRef.current = true;
+    });
+    return () => {
+      cancelled = true;
+      // Flush an edit made just before leaving the screen
+      if (timerRef.current) persist();
+    };
+  }, [kind, targetId]);
+
+  useEffect(() => {
+    if (!loadedRef.current || clearedRef.current) return;
+    if (timerRef.current) clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(persist, DRAFT_SAVE_DELAY_MS);
+  }, [form]);
+
+  /** The correction was submitted - stop saving and remove the draft */
+  const clearDraft = async () => {
+    clearedRef.current = true;
+    if (timerRef.current) clearTimeout(timerRef.current);
+    timerRef.current = null;
+    await correctionDraftService.deleteDraft(kind, targetId);
+  };
+
+  /** Throw the draft away and go back to the loaded record */
+  const discardDraft = async () => {
+    if (timerRef.current) clearTimeout(timerRef.current);
+    timerRef.current = null;
+    await correctionDraftService.deleteDraft(kind, targetId);
+    setForm(JSON.parse(initialRef.current));
+    setRestoredAt(null);
+    draftBaseRef.current = null;
+    setDraftBase(null);
+  };
+
+  return { restoredAt, clearDraft, discardDraft, baseUpdatedAt: draftBase ?? baseUpdatedAt };
+}
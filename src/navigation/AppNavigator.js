@@ -17,11 +17,14 @@ import AddFarmScreen from '../screens/AddFarmScreen';
 import FarmersListScreen from '../screens/FarmersListScreen';
 import SearchFarmerScreen from '../screens/SearchFarmerScreen';
 import CertificateScreen from '../screens/CertificateScreen';
+import VerifyCertificateScreen from '../screens/VerifyCertificateScreen';
 import FarmerDetailsScreen from '../screens/FarmerDetailsScreen';
 import ProfileScreen from '../screens/ProfileScreen';
 import AnalyticsScreen from '../screens/AnalyticsScreen';
 import ChangePasswordScreen from '../screens/ChangePasswordScreen';
+import OfflineMapsScreen from '../screens/OfflineMapsScreen';
 import AttendanceScreen from '../screens/AttendanceScreen';
+import TimesheetScreen from '../screens/TimesheetScreen';
 import LoadingScreen from '../screens/LoadingScreen';
 import HomeScreen from '../screens/HomeScreen';
 import CorrectionNavigator from './CorrectionNavigator';
@@ -220,6 +223,33 @@ export default function AppNavigator() {
               headerBackTitle: 'Back'
             }}
           />
+          <Stack.Screen 
+            name="OfflineMaps" 
+            component={OfflineMapsScreen}
+            options={{ 
+              headerShown: true,
+              title: 'Offline Maps',
+              headerBackTitle: 'Back'
+            }}
+          />
+          <Stack.Screen 
+            name="VerifyCertificate" 
+            component={VerifyCertificateScreen}
+            options={{ 
+              headerShown: true,
+              title: 'Verify Certificate',
+              headerBackTitle: 'Back'
+            }}
+          />
+          <Stack.Screen 
+            name="Timesheet" 
+            component={TimesheetScreen}
+            options={{ 
+              headerShown: true,
+              title: 'Timesheet',
+              headerBackTitle: 'Back'
+            }}
+          />
           <Stack.Screen 
             name="Certificate" 
             component={CertificateScreen}
@@ -6,6 +6,9 @@ import FarmerEditScreen from '../screens/correction/FarmerEditScreen';
 import FarmCorrectionDetailScreen from '../screens/correction/FarmCorrectionDetailScreen';
 import FarmEditScreen from '../screens/correction/FarmEditScreen';
 import RefereeEditScreen from '../screens/correction/RefereeEditScreen';
+import CorrectionConflictScreen from '../screens/correction/CorrectionConflictScreen';
+import MyCorrectionsScreen from '../screens/correction/MyCorrectionsScreen';
+import CorrectionSubmissionScreen from '../screens/correction/CorrectionSubmissionScreen';
 import AgentProfileScreen from '../screens/shared/AgentProfileScreen';
 import AgentAttendanceScreen from '../screens/shared/AgentAttendanceScreen';
 
@@ -25,6 +28,9 @@ export default function CorrectionNavigator() {
       <Stack.Screen name="FarmCorrectionDetail"  component={FarmCorrectionDetailScreen} />
       <Stack.Screen name="FarmEdit"              component={FarmEditScreen} />
       <Stack.Screen name="RefereeEdit"           component={RefereeEditScreen} />
+      <Stack.Screen name="CorrectionConflict"    component={CorrectionConflictScreen} />
+      <Stack.Screen name="MyCorrections"         component={MyCorrectionsScreen} />
+      <Stack.Screen name="CorrectionSubmission"  component={CorrectionSubmissionScreen} />
       <Stack.Screen name="AgentProfile"          component={AgentProfileScreen} />
       <Stack.Screen name="AgentAttendance"       component={AgentAttendanceScreen} />
     </Stack.Navigator>
@@ -16,9 +16,9 @@ import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
 import { farmInfoSchema } from '../utils/validation';
-import { farmService } from '../services/farmService';
 import { offlineSyncService } from '../services/offlineSyncService';
 import { calculateFarmSizeFromPolygon, processFarmDataWithSize, validateFarmCoordinates } from '../utils/farmCalculations';
+import { describePolygonIssues } from '../utils/polygonValidation';
 import LoadingScreen from './LoadingScreen';
 import FarmInfoStep from '../components/forms/FarmInfoStep';
 import SyncStatusModal from '../components/SyncStatusModal';
@@ -32,12 +32,18 @@ const farmSchema = z.object({
     latitude: z.number(),
     longitude: z.number(),
     timestamp: z.string().optional(),
-    accuracy: z.number().optional(),
+    accuracy: z.number().nullable().optional(),
+    spread: z.number().optional(),
+    samples: z.number().optional(),
+    flagged: z.boolean().optional(),
+    source: z.string().optional(),
   })).min(3, 'Farm boundary must have at least 3 points'), // Made required with minimum 3 points
   soilType: z.string().min(1, 'Soil type is required'),
   soilPH: z.string().optional(),
   soilFertility: z.string().min(1, 'Soil fertility information is required'),
   farmCoordinates: z.any().optional(),
+  farmShape: z.any().optional(), // Plots and excluded areas from the boundary mapper
+  boundaryOverlap: z.any().optional(), // Overlap review from the boundary mapper
   coordinateSystem: z.string().optional(),
   farmArea: z.string().optional(), // This will be calculated automatically
   farmElevation: z.string().optional(),
@@ -83,7 +89,7 @@ export default function AddFarmScreen({ navigation, route }) {
       if (result.synced > 0) {
         Alert.alert(
           'Sync Complete',
-          `Successfully synced ${result.synced} farm(s) from offline storage.`,
+          `Successfully synced ${result.synced} item(s) from offline storage.`,
           [{ text: 'OK' }]
         );
         loadPendingSyncCount();
@@ -135,6 +141,8 @@ export default function AddFarmScreen({ navigation, route }) {
       soilPH: '',
       soilFertility: '',
       farmCoordinates: null,
+      farmShape: null,
+      boundaryOverlap: null,
       coordinateSystem: 'WGS84',
       farmArea: '',
       farmElevation: '',
@@ -147,12 +155,13 @@ export default function AddFarmScreen({ navigation, route }) {
 
   // Watch for farmPolygon changes and auto-calculate farm size
   const watchedPolygon = watch('farmPolygon');
+  const watchedShape = watch('farmShape');
   
   useEffect(() => {
     if (watchedPolygon && Array.isArray(watchedPolygon) && watchedPolygon.length > 0) {
       try {
-        // Calculate farm size from polygon coordinates
-        const calculatedSize = calculateFarmSizeFromPolygon(watchedPolygon);
+        // Net size: every plot, less its excluded areas
+        const calculatedSize = calculateFarmSizeFromPolygon(watchedShape?.length > 0 ? watchedShape : watchedPolygon);
         
         if (calculatedSize > 0) {
           // Update the farmSize field with calculated value
@@ -163,9 +172,34 @@ export default function AddFarmScreen({ navigation, route }) {
         console.log('Farm size calculation error:', error);
       }
     }
-  }, [watchedPolygon, setValue]);
+  }, [watchedPolygon, watchedShape, setValue]);
 
-  const onSubmit = async (data) => {
+  const onSubmit = (data) => {
+    // Boundary geometry: errors block saving, warnings need confirming
+    const polygon = data.farmPolygon || [];
+    if (polygon.length > 0) {
+      const check = validateFarmCoordinates(polygon, { farmCategory: data.farmInfo?.farmCategory, shape: data.farmShape });
+      if (!check.valid) {
+        Alert.alert('Invalid Farm Boundary', `${check.error}\n\nPlease map the farm boundary again.`);
+        return;
+      }
+      if (check.warnings?.length > 0) {
+        Alert.alert(
+          'Check Farm Boundary',
+          describePolygonIssues({ warnings: check.warnings }),
+          [
+            { text: 'Fix Boundary', style: 'cancel' },
+            { text: 'Save Anyway', onPress: () => saveFarm(data) }
+          ]
+        );
+        return;
+      }
+    }
+
+    return saveFarm(data);
+  };
+
+  const saveFarm = async (data) => {
     try {
       setLoading(true);
 
@@ -197,10 +231,13 @@ export default function AddFarmScreen({ navigation, route }) {
         
         // Top-level fields
         farmPolygon: data.farmPolygon || [],
+        farmShape: data.farmShape || null,
         soilType: data.soilType || '',
         soilPH: data.soilPH || '',
         soilFertility: data.soilFertility || '',
         farmCoordinates: data.farmCoordinates || null,
+        // Farms this boundary overlaps and the agent's reason for continuing
+        boundaryOverlap: data.boundaryOverlap || null,
         coordinateSystem: data.coordinateSystem || 'WGS84',
         farmArea: data.farmArea || '',
         farmElevation: data.farmElevation || '',
@@ -213,87 +250,86 @@ export default function AddFarmScreen({ navigation, route }) {
       // Use the enhanced farm processing utility to handle data and calculate farm size
       const processedData = processFarmDataWithSize(flattenedData);
 
-      // Check network connectivity
-      const netInfo = await NetInfo.fetch();
-      const hasNetwork = netInfo.isConnected && netInfo.isInternetReachable;
+      const outcome = await offlineSyncService.submitFarm(farmerId, processedData, farmer);
 
-      if (!hasNetwork) {
-        // Save offline and notify user
-        await offlineSyncService.saveFarmOffline(farmerId, processedData, farmer);
-        await loadPendingSyncCount();
-        
+      if (outcome.status === 'synced') {
         Alert.alert(
-          'Saved Offline',
-          'No internet connection. Farm data has been saved locally and will sync automatically when you\'re back online.',
+          'Success', 
+          'Farm added successfully!',
           [
             {
-              text: 'View Sync Status',
-              onPress: () => setSyncModalVisible(true)
-            },
-            { 
               text: 'Add Another Farm', 
               onPress: () => {
                 navigation.replace('AddFarm', { farmerId, farmer });
               }
             },
             { 
-              text: 'Done', 
+              text: 'View Farmer', 
               onPress: () => navigation.navigate('FarmerDetails', { farmerId, farmer })
+            },
+            { 
+              text: 'Done (Add New Farmer)', 
+              onPress: () => {
+                navigation.navigate('MainApp', { 
+                  screen: 'MainTabs', 
+                  params: { screen: 'AddFarmer' } 
+                });
+              }
             }
           ]
         );
-      } else {
-        // Try to sync online
-        try {
-          await farmService.createFarm(farmerId, processedData);
-          
-          Alert.alert(
-            'Success', 
-            'Farm added successfully!',
-            [
-              {
-                text: 'Add Another Farm', 
-                onPress: () => {
-                  navigation.replace('AddFarm', { farmerId, farmer });
-                }
-              },
-              { 
-                text: 'View Farmer', 
-                onPress: () => navigation.navigate('FarmerDetails', { farmerId, farmer })
-              },
-              { 
-                text: 'Done (Add New Farmer)', 
-                onPress: () => {
-                  navigation.navigate('MainApp', { 
-                    screen: 'MainTabs', 
-                    params: { screen: 'AddFarmer' } 
-                  });
-                }
-              }
-            ]
-          );
-        } catch (networkError) {
-          // If online submission fails, save offline as fallback
-          console.log('Online submission failed, saving offline:', networkError);
-          await offlineSyncService.saveFarmOffline(farmerId, processedData, farmer);
-          await loadPendingSyncCount();
-          
-          Alert.alert(
-            'Saved Offline',
-            'Unable to reach server. Farm data has been saved locally and will sync when connection is restored.',
-            [
-              {
-                text: 'View Sync Status',
-                onPress: () => setSyncModalVisible(true)
-              },
-              { 
-                text: 'OK',
-                onPress: () => navigation.navigate('FarmerDetails', { farmerId, farmer })
+        return;
+      }
+
+      await loadPendingSyncCount();
+
+      // Farmer registered offline - the farm waits with its registration for the real farmer id
+      if (offlineSyncService.isOfflineEnrollmentId(farmerId)) {
+        Alert.alert(
+          'Saved Offline',
+          'This farmer has not been synced yet. The farm has been saved with their registration and will be uploaded right after it.',
+          [
+            {
+              text: 'View Sync Status',
+              onPress: () => setSyncModalVisible(true)
+            },
+            {
+              text: 'Add Another Farm',
+              onPress: () => {
+                navigation.replace('AddFarm', { farmerId, farmer });
               }
-            ]
-          );
-        }
+            },
+            {
+              text: 'Done',
+              onPress: () => navigation.goBack()
+            }
+          ]
+        );
+        return;
       }
+
+      Alert.alert(
+        'Saved Offline',
+        outcome.error
+          ? 'Unable to reach server. Farm data has been saved locally and will sync when connection is restored.'
+          : 'No internet connection. Farm data has been saved locally and will sync automatically when you\'re back online.',
+        [
+          {
+            text: 'View Sync Status',
+            onPress: () => setSyncModalVisible(true)
+          },
+          { 
+            text: 'Add Another Farm', 
+            onPress: () => {
+              navigation.replace('AddFarm', { farmerId, farmer });
+            }
+          },
+          { 
+            text: 'Done', 
+            onPress: () => navigation.navigate('FarmerDetails', { farmerId, farmer })
+          }
+        ]
+      );
     } catch (error) {
       console.error('Farm creation error:', error);
       Alert.alert('Error', error.message || 'Failed to add farm');
@@ -385,6 +421,7 @@ export default function AddFarmScreen({ navigation, route }) {
         <ScrollView style={styles.formContainer} showsVerticalScrollIndicator={false}>
           <View style={styles.formWrapper}>
             <FarmInfoStep
+              farmerId={farmerId}
               control={control}
               errors={errors}
               setValue={setValue}
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   View,
   Text,
@@ -10,15 +10,20 @@ import {
   KeyboardAvoidingView,
   Platform,
   ScrollView,
+  AppState,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import NetInfo from '@react-native-community/netinfo';
 import { useForm, Controller } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { farmerSchema, ninSchema } from '../utils/validation';
 import { useFarmerStore } from '../store/farmerStore';
 import { farmerService } from '../services/farmerService';
 import { ninService } from '../services/ninService';
+import { offlineSyncService } from '../services/offlineSyncService';
+import { enrollmentDraftService } from '../services/enrollmentDraftService';
 import LoadingScreen from './LoadingScreen';
+import EnrollmentDraftsModal from '../components/EnrollmentDraftsModal';
 import { useAuth } from '../store/AuthContext';
 import { auth } from '../services/firebase';
 
@@ -38,62 +43,195 @@ const STEPS = [
   { id: 5, title: 'Referees', component: RefereeInfoStep },
 ];
 
+const DEFAULT_FORM_VALUES = {
+  nin: '',
+  personalInfo: {
+    firstName: '',
+    middleName: '',
+    lastName: '',
+    dateOfBirth: '',
+    gender: '',
+    maritalStatus: '',
+    employmentStatus: '',
+    state: '',
+    lga: '',
+    photoUrl: '', // Add photoUrl field
+  },
+  contactInfo: {
+    phoneNumber: '',
+    whatsAppNumber: '',
+    email: '',
+    address: '',
+    state: '',
+    localGovernment: '',
+    ward: '',
+    pollingUnit: '',
+    cluster: '',
+    coordinates: null,
+  },
+  bankInfo: {
+    bvn: '',
+    bankName: '',
+    accountNumber: '',
+    accountName: '',
+  },
+  referees: [
+    { fullName: '', phoneNumber: '', relation: '' },
+  ],
+};
+
+const DRAFT_SAVE_DELAY_MS = 800; // Debounce between keystrokes and storage writes
+
+// True once the agent has entered anything worth keeping
+const hasDraftContent = (value) => {
+  if (Array.isArray(value)) return value.some(hasDraftContent);
+  if (value && typeof value === 'object') return Object.values(value).some(hasDraftContent);
+  if (typeof value === 'string') return value.trim() !== '';
+  return typeof value === 'number';
+};
+
 export default function AddFarmerScreen({ navigation }) {
   const [currentStep, setCurrentStep] = useState(1);
   const [loading, setLoading] = useState(false);
   const [ninData, setNinData] = useState(null);
   const [ninValidated, setNinValidated] = useState(false);
+  const [drafts, setDrafts] = useState([]);
+  const [draftsModalVisible, setDraftsModalVisible] = useState(false);
+  const [activeDraftId, setActiveDraftId] = useState(null);
   const { addFarmer } = useFarmerStore();
   const { user } = useAuth();
 
+  // Refs so the debounced save always sees the latest wizard state
+  const draftIdRef = useRef(null);
+  const saveTimerRef = useRef(null);
+  const resumePromptedRef = useRef(false);
+  const wizardStateRef = useRef({ currentStep, ninValidated, ninData });
+  wizardStateRef.current = { currentStep, ninValidated, ninData };
+
   const {
     control,
     handleSubmit,
     setValue,
     watch,
+    getValues,
     formState: { errors },
     trigger,
     reset,
   } = useForm({
     resolver: zodResolver(farmerSchema),
-    defaultValues: {
-      nin: '',
-      personalInfo: {
-        firstName: '',
-        middleName: '',
-        lastName: '',
-        dateOfBirth: '',
-        gender: '',
-        maritalStatus: '',
-        employmentStatus: '',
-        state: '',
-        lga: '',
-        photoUrl: '', // Add photoUrl field
-      },
-      contactInfo: {
-        phoneNumber: '',
-        whatsAppNumber: '',
-        email: '',
-        address: '',
-        state: '',
-        localGovernment: '',
-        ward: '',
-        pollingUnit: '',
-        cluster: '',
-        coordinates: null,
-      },
-      bankInfo: {
-        bvn: '',
-        bankName: '',
-        accountNumber: '',
-        accountName: '',
-      },
-      referees: [
-        { fullName: '', phoneNumber: '', relation: '' },
-      ],
-    },
+    defaultValues: DEFAULT_FORM_VALUES,
   });
 
+  // ── Drafts ─────────────────────────────────────────────────────────────────
+
+  const loadDrafts = useCallback(async () => {
+    if (!user?.id) return [];
+    const agentDrafts = await enrollmentDraftService.getDrafts(user.id);
+    setDrafts(agentDrafts);
+    return agentDrafts;
+  }, [user?.id]);
+
+  const persistDraft = useCallback(async () => {
+    clearTimeout(saveTimerRef.current);
+    if (!user?.id) return;
+
+    const values = getValues();
+    if (!hasDraftContent(values)) return;
+
+    if (!draftIdRef.current) {
+      draftIdRef.current = enrollmentDraftService.createDraftId();
+      setActiveDraftId(draftIdRef.current);
+    }
+
+    await enrollmentDraftService.saveDraft(draftIdRef.current, user.id, {
+      values,
+      ...wizardStateRef.current,
+    });
+  }, [user?.id, getValues]);
+
+  const scheduleDraftSave = useCallback(() => {
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(persistDraft, DRAFT_SAVE_DELAY_MS);
+  }, [persistDraft]);
+
+  const openDraft = (draft) => {
+    clearTimeout(saveTimerRef.current);
+    draftIdRef.current = draft.id;
+    setActiveDraftId(draft.id);
+    reset(draft.values);
+    setCurrentStep(draft.currentStep || 1);
+    setNinValidated(!!draft.ninValidated);
+    setNinData(draft.ninData || null);
+    setDraftsModalVisible(false);
+  };
+
+  const discardDraft = async (draft) => {
+    await enrollmentDraftService.deleteDraft(draft.id);
+    if (draft.id === draftIdRef.current) {
+      resetWizard();
+    }
+    await loadDrafts();
+  };
+
+  // Called once the registration has been handed to the server or the offline queue.
+  // The form is cleared first so a save triggered meanwhile (e.g. the app being
+  // backgrounded under the success alert) can't write the submitted farmer back
+  // as a new draft.
+  const completeDraft = async () => {
+    const draftId = draftIdRef.current;
+    resetWizard();
+    if (draftId) {
+      await enrollmentDraftService.deleteDraft(draftId);
+    }
+    await loadDrafts();
+  };
+
+  // Autosave on every form change and whenever the wizard moves
+  useEffect(() => {
+    const subscription = watch(() => scheduleDraftSave());
+    return () => subscription.unsubscribe();
+  }, [watch, scheduleDraftSave]);
+
+  useEffect(() => {
+    scheduleDraftSave();
+  }, [currentStep, ninValidated, scheduleDraftSave]);
+
+  // Flush immediately when the app is backgrounded - it may be killed there
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState !== 'active') {
+        persistDraft();
+      }
+    });
+    return () => {
+      subscription.remove();
+      clearTimeout(saveTimerRef.current);
+    };
+  }, [persistDraft]);
+
+  // Offer to resume the most recent draft on launch
+  useEffect(() => {
+    if (!user?.id || resumePromptedRef.current) return;
+    resumePromptedRef.current = true;
+
+    loadDrafts().then((agentDrafts) => {
+      if (agentDrafts.length === 0) return;
+      const latest = agentDrafts[0];
+
+      Alert.alert(
+        'Resume Draft?',
+        `You have ${agentDrafts.length} unfinished registration(s). The latest is ${enrollmentDraftService.getDraftLabel(latest)} (step ${latest.currentStep || 1} of ${STEPS.length}).`,
+        [
+          { text: 'Start New', style: 'cancel' },
+          ...(agentDrafts.length > 1
+            ? [{ text: 'View Drafts', onPress: () => setDraftsModalVisible(true) }]
+            : []),
+          { text: 'Resume', onPress: () => openDraft(latest) },
+        ]
+      );
+    });
+  }, [user?.id, loadDrafts]);
+
   const nextStep = async () => {
     // Special validation for NIN step - must be validated before proceeding
     if (currentStep === 1 && !ninValidated) {
@@ -183,6 +321,40 @@ export default function AddFarmerScreen({ navigation }) {
     }
   };
 
+  const resetWizard = () => {
+    clearTimeout(saveTimerRef.current);
+    draftIdRef.current = null;
+    setActiveDraftId(null);
+    setCurrentStep(1);
+    setNinValidated(false);
+    setNinData(null);
+    reset(DEFAULT_FORM_VALUES);
+  };
+
+  // The registration is queued; farms added for it wait on the same outbox operation
+  const showSavedOffline = async (operation, message) => {
+    const offlineFarmer = offlineSyncService.getEnrollmentFarmer(operation);
+    await completeDraft();
+
+    Alert.alert(
+      'Saved Offline',
+      message,
+      [
+        {
+          text: 'Add Farm',
+          onPress: () => navigation.navigate('AddFarm', {
+            farmerId: offlineFarmer.id,
+            farmer: offlineFarmer,
+          }),
+        },
+        {
+          text: 'Add Another Farmer',
+          onPress: resetWizard,
+        },
+      ]
+    );
+  };
+
   const onSubmit = async (data) => {
     try {
       setLoading(true);
@@ -223,36 +395,53 @@ export default function AddFarmerScreen({ navigation }) {
       
       console.log('✅ Form validation passed');
 
-      // Check for unique fields
-      console.log('Checking for duplicate fields...');
-      try {
-        const conflicts = await farmerService.checkUniqueFields(
-          data.nin,
-          data.contactInfo.email,
-          data.contactInfo.phoneNumber,
-          data.bankInfo.bvn
-        );
+      // Duplicate check needs the server - offline, the backend checks on sync
+      const netInfo = await NetInfo.fetch();
+      const hasNetwork = netInfo.isConnected && netInfo.isInternetReachable;
 
-        if (conflicts.length > 0) {
-          console.log('❌ Duplicate fields found:', conflicts);
-          Alert.alert(
-            'Duplicate Data Found',
-            `A farmer is already registered with the following information:\n\n${conflicts.join('\n')}\n\nPlease check the records or contact support if this is an error.`,
-            [{ text: 'OK', style: 'default' }]
+      if (hasNetwork) {
+        // Check for unique fields
+        console.log('Checking for duplicate fields...');
+        try {
+          const conflicts = await farmerService.checkUniqueFields(
+            data.nin,
+            data.contactInfo.email,
+            data.contactInfo.phoneNumber,
+            data.bankInfo.bvn
           );
-          return;
+
+          if (conflicts.length > 0) {
+            console.log('❌ Duplicate fields found:', conflicts);
+            Alert.alert(
+              'Duplicate Data Found',
+              `A farmer is already registered with the following information:\n\n${conflicts.join('\n')}\n\nPlease check the records or contact support if this is an error.`,
+              [{ text: 'OK', style: 'default' }]
+            );
+            return;
+          }
+        } catch (error) {
+          console.log('Error checking duplicates:', error.message);
+          // If the duplicate check fails, we'll let the backend handle it
+          console.log('Proceeding with submission despite duplicate check failure...');
         }
-      } catch (error) {
-        console.log('Error checking duplicates:', error.message);
-        // If the duplicate check fails, we'll let the backend handle it
-        console.log('Proceeding with submission despite duplicate check failure...');
       }
-      
+
       console.log('✅ No duplicate fields found');
 
       console.log('Creating farmer...');
-      const farmer = await addFarmer(data);
+      const outcome = await addFarmer(data);
+      if (outcome.status === 'queued') {
+        await showSavedOffline(
+          outcome.operation,
+          hasNetwork
+            ? 'Unable to reach the server. The registration has been saved on this device and will sync when the connection is restored.'
+            : 'No internet connection. The registration has been saved on this device and will sync automatically when you\'re back online.'
+        );
+        return;
+      }
+      const farmer = outcome.result;
       console.log('✅ Farmer created successfully:', farmer);
+      await completeDraft();
       console.log('Farmer structure:', {
         id: farmer?.id,
         firstName: farmer?.firstName,
@@ -286,47 +475,7 @@ export default function AddFarmerScreen({ navigation }) {
             onPress: () => {
               // Reset form and go back to step 1
               console.log('Resetting form for new farmer');
-              setCurrentStep(1);
-              setNinValidated(false);
-              setNinData(null);
-              
-              // Reset all form values
-              reset({
-                nin: '',
-                personalInfo: {
-                  firstName: '',
-                  middleName: '',
-                  lastName: '',
-                  dateOfBirth: '',
-                  gender: '',
-                  maritalStatus: '',
-                  employmentStatus: '',
-                  state: '',
-                  lga: '',
-                  photoUrl: '', // Add photoUrl to reset
-                },
-                contactInfo: {
-                  phoneNumber: '',
-                  whatsAppNumber: '',
-                  email: '',
-                  address: '',
-                  state: '',
-                  localGovernment: '',
-                  ward: '',
-                  pollingUnit: '',
-                  cluster: '',
-                  coordinates: null,
-                },
-                bankInfo: {
-                  bvn: '',
-                  bankName: '',
-                  accountNumber: '',
-                  accountName: '',
-                },
-                referees: [
-                  { fullName: '', phoneNumber: '', relation: '' }
-                ]
-              });
+              resetWizard();
             }
           },
           { 
@@ -494,7 +643,20 @@ export default function AddFarmerScreen({ navigation }) {
       >
         {/* Header with Progress */}
         <View style={styles.header}>
-          <Text style={styles.title}>Add New Farmer</Text>
+          <View style={styles.headerTop}>
+            <Text style={styles.title}>Add New Farmer</Text>
+            <TouchableOpacity
+              style={styles.draftsButton}
+              onPress={async () => {
+                await persistDraft();
+                await loadDrafts();
+                setDraftsModalVisible(true);
+              }}
+            >
+              <Ionicons name="documents-outline" size={18} color="#013358" />
+              <Text style={styles.draftsButtonText}>Drafts{drafts.length > 0 ? ` (${drafts.length})` : ''}</Text>
+            </TouchableOpacity>
+          </View>
           <Text style={styles.stepText}>
             Step {currentStep} of {STEPS.length}: {STEPS[currentStep - 1].title}
           </Text>
@@ -557,6 +719,20 @@ export default function AddFarmerScreen({ navigation }) {
           </View>
         </View>
       </KeyboardAvoidingView>
+
+      <EnrollmentDraftsModal
+        visible={draftsModalVisible}
+        drafts={drafts}
+        activeDraftId={activeDraftId}
+        stepTitles={STEPS.map(step => step.title)}
+        onSelect={openDraft}
+        onDelete={discardDraft}
+        onStartNew={() => {
+          resetWizard();
+          setDraftsModalVisible(false);
+        }}
+        onClose={() => setDraftsModalVisible(false)}
+      />
     </SafeAreaView>
   );
 }
@@ -576,12 +752,32 @@ const styles = StyleSheet.create({
     borderBottomColor: '#e5e7eb',
     backgroundColor: '#f9fafb',
   },
+  headerTop: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
   title: {
     fontSize: 24,
     fontWeight: 'bold',
     color: '#1f2937',
     marginBottom: 4,
   },
+  draftsButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#013358',
+    gap: 4,
+  },
+  draftsButtonText: {
+    fontSize: 13,
+    color: '#013358',
+    fontWeight: '600',
+  },
   stepText: {
     fontSize: 16,
     color: '#6b7280',
@@ -11,9 +11,9 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useAuth } from '../store/AuthContext';
-import { auth } from '../services/firebase';
+import { attendanceService, summarizeDay, describeFlags, describeAutoClose, ENTRY_TYPES } from '../services/attendanceService';
+import AttendanceCheckModal from '../components/common/AttendanceCheckModal';
 
 export default function AttendanceScreen({ navigation }) {
   const [isCheckedIn, setIsCheckedIn] = useState(false);
@@ -21,35 +21,29 @@ export default function AttendanceScreen({ navigation }) {
   const [checkInTime, setCheckInTime] = useState(null);
   const [attendanceHistory, setAttendanceHistory] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [pendingCheckIn, setPendingCheckIn] = useState(null); // { location, assessment } awaiting confirmation
   const { user } = useAuth();
+  const agentId = attendanceService.getAgentId(user);
 
   useEffect(() => {
-    loadAttendanceState();
-    loadAttendanceHistory();
-  }, []);
-
-  const loadAttendanceState = async () => {
+    if (!agentId) return undefined;
+    // A session left open past the shift rules is closed before it is shown
+    attendanceService.applyShiftRules(agentId, attendanceService.getShiftRules(user))
+      .catch(error => console.error('Error applying shift rules:', error?.message || String(error)))
+      .finally(loadAttendance);
+    return attendanceService.subscribe((changedAgentId) => {
+      if (changedAgentId === agentId) loadAttendance();
+    });
+  }, [agentId]);
+
+  const loadAttendance = async () => {
     try {
-      const checkedIn = await AsyncStorage.getItem('isCheckedIn');
-      const checkInTimeStr = await AsyncStorage.getItem('checkInTime');
-      
-      if (checkedIn === 'true' && checkInTimeStr) {
-        setIsCheckedIn(true);
-        setCheckInTime(new Date(checkInTimeStr));
-      }
+      const state = await attendanceService.getState(agentId);
+      setIsCheckedIn(state.checkedIn);
+      setCheckInTime(state.checkInTime);
+      setAttendanceHistory(state.history);
     } catch (error) {
-      console.error('Error loading attendance state:', error?.message || String(error));
-    }
-  };
-
-  const loadAttendanceHistory = async () => {
-    try {
-      const history = await AsyncStorage.getItem('attendanceHistory');
-      if (history) {
-        setAttendanceHistory(JSON.parse(history));
-      }
-    } catch (error) {
-      console.error('Error loading attendance history:', error?.message || String(error));
+      console.error('Error loading attendance:', error?.message || String(error));
     }
   };
 
@@ -75,6 +69,7 @@ export default function AttendanceScreen({ navigation }) {
         latitude: location.coords.latitude,
         longitude: location.coords.longitude,
         accuracy: location.coords.accuracy,
+        mocked: !!location.mocked,
         timestamp: new Date().toISOString(),
       };
     } catch (error) {
@@ -95,41 +90,46 @@ export default function AttendanceScreen({ navigation }) {
       }
 
       // Ensure we have a valid user ID
-      const agentId = user?.uid || user?.id || auth.currentUser?.uid;
       if (!agentId) {
         Alert.alert('Error', 'User not authenticated. Please log in again.');
         setLoading(false);
         return;
       }
 
-      const checkInData = {
-        type: 'check_in',
-        timestamp: new Date().toISOString(),
-        location: location,
-        agentId: agentId,
-        date: new Date().toDateString(),
-      };
+      // Outside the work area or an unreliable fix: the agent confirms first
+      const assessment = await attendanceService.assessFix(agentId, location, attendanceService.getAssignment(user));
+      if (assessment.flags.length > 0) {
+        setPendingCheckIn({ location, assessment });
+        return;
+      }
+
+      await recordCheckIn(location, assessment, null);
+    } catch (error) {
+      console.error('Error checking in:', error?.message || String(error));
+      Alert.alert('Error', error?.message || 'Failed to check in. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      // Save to local storage
-      await AsyncStorage.setItem('isCheckedIn', 'true');
-      await AsyncStorage.setItem('checkInTime', checkInData.timestamp);
-      
-      // Add to history
-      const history = [...attendanceHistory, checkInData];
-      await AsyncStorage.setItem('attendanceHistory', JSON.stringify(history));
-      
-      // Send to server
-      await syncAttendanceToServer(checkInData);
+  const recordCheckIn = async (location, assessment, reason) => {
+    const { status } = await attendanceService.checkIn(agentId, location, { assessment, reason });
+    setCurrentLocation(location);
 
-      setIsCheckedIn(true);
-      setCheckInTime(new Date());
-      setCurrentLocation(location);
-      setAttendanceHistory(history);
+    Alert.alert('Success', status === 'synced'
+      ? 'Checked in successfully!'
+      : 'Checked in. It will be sent when you are back online.');
+  };
 
-      Alert.alert('Success', 'Checked in successfully!');
+  const confirmCheckIn = async (reason) => {
+    const { location, assessment } = pendingCheckIn;
+    setPendingCheckIn(null);
+    setLoading(true);
+    try {
+      await recordCheckIn(location, assessment, reason);
     } catch (error) {
       console.error('Error checking in:', error?.message || String(error));
-      Alert.alert('Error', 'Failed to check in. Please try again.');
+      Alert.alert('Error', error?.message || 'Failed to check in. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -146,88 +146,35 @@ export default function AttendanceScreen({ navigation }) {
       }
 
       // Ensure we have a valid user ID
-      const agentId = user?.uid || user?.id || auth.currentUser?.uid;
       if (!agentId) {
         Alert.alert('Error', 'User not authenticated. Please log in again.');
         setLoading(false);
         return;
       }
 
-      const checkOutData = {
-        type: 'check_out',
-        timestamp: new Date().toISOString(),
-        location: location,
-        agentId: agentId,
-        date: new Date().toDateString(),
-        duration: checkInTime ? Math.floor((new Date() - checkInTime) / 1000 / 60) : 0, // minutes
-      };
-
-      // Update local storage
-      await AsyncStorage.removeItem('isCheckedIn');
-      await AsyncStorage.removeItem('checkInTime');
-      
-      // Add to history
-      const history = [...attendanceHistory, checkOutData];
-      await AsyncStorage.setItem('attendanceHistory', JSON.stringify(history));
-      
-      // Send to server
-      await syncAttendanceToServer(checkOutData);
+      const autoClosed = await attendanceService.applyShiftRules(agentId, attendanceService.getShiftRules(user));
+      if (autoClosed) {
+        Alert.alert('Session Closed', 'This session ran past your shift rules and was closed automatically. Please confirm when you stopped working.');
+        return;
+      }
 
-      setIsCheckedIn(false);
-      setCheckInTime(null);
+      const assessment = await attendanceService.assessFix(
+        agentId, location, attendanceService.getAssignment(user), ENTRY_TYPES.CHECK_OUT
+      );
+      const { status } = await attendanceService.checkOut(agentId, location, { assessment });
       setCurrentLocation(location);
-      setAttendanceHistory(history);
 
-      Alert.alert('Success', 'Checked out successfully!');
+      Alert.alert('Success', status === 'synced'
+        ? 'Checked out successfully!'
+        : 'Checked out. It will be sent when you are back online.');
     } catch (error) {
       console.error('Error checking out:', error?.message || String(error));
-      Alert.alert('Error', 'Failed to check out. Please try again.');
+      Alert.alert('Error', error?.message || 'Failed to check out. Please try again.');
     } finally {
       setLoading(false);
     }
   };
 
-  const syncAttendanceToServer = async (attendanceData) => {
-    try {
-      const token = await auth.currentUser?.getIdToken();
-      if (!token) {
-        throw new Error('No authentication token available');
-      }
-
-      // Validate that we have required data
-      if (!attendanceData.agentId) {
-        throw new Error('Agent ID is missing');
-      }
-
-      const response = await fetch(`${process.env.EXPO_PUBLIC_API_BASE_URL}/api/attendance`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
-        },
-        body: JSON.stringify(attendanceData),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-        throw new Error(errorData.error || `Server error: ${response.status}`);
-      }
-      
-      console.log('✅ Attendance synced successfully');
-    } catch (error) {
-      console.error('Error syncing to server:', error?.message || String(error));
-      // Store for later sync
-      try {
-        const pendingSync = await AsyncStorage.getItem('pendingAttendanceSync');
-        const pending = pendingSync ? JSON.parse(pendingSync) : [];
-        pending.push(attendanceData);
-        await AsyncStorage.setItem('pendingAttendanceSync', JSON.stringify(pending));
-      } catch (storageError) {
-        console.error('Error storing pending sync data:', storageError?.message || String(storageError));
-      }
-    }
-  };
-
   const formatTime = (time, includeDate = false) => {
     if (!time) return 'N/A';
     try {
@@ -254,43 +201,7 @@ export default function AttendanceScreen({ navigation }) {
     return formatDuration(duration);
   };
 
-  // Helper functions for summary calculations
-  const getTodayCheckIns = () => {
-    const count = attendanceHistory.filter(item => 
-      item.type === 'check_in' && 
-      new Date(item.timestamp).toDateString() === new Date().toDateString()
-    ).length;
-    return String(count);
-  };
-
-  const getTodayCheckOuts = () => {
-    const count = attendanceHistory.filter(item => 
-      item.type === 'check_out' && 
-      new Date(item.timestamp).toDateString() === new Date().toDateString()
-    ).length;
-    return String(count);
-  };
-
-  const getTodayTotalTime = () => {
-    const todayCheckOuts = attendanceHistory.filter(item => 
-      item.type === 'check_out' && 
-      new Date(item.timestamp).toDateString() === new Date().toDateString()
-    );
-    const totalMinutes = todayCheckOuts.reduce((total, item) => total + (item.duration || 0), 0);
-    return formatDuration(totalMinutes);
-  };
-
-  const getTodayUniqueLocations = () => {
-    const todayItems = attendanceHistory.filter(item => 
-      new Date(item.timestamp).toDateString() === new Date().toDateString()
-    );
-    
-    const locations = todayItems
-      .filter(item => item.location?.latitude && item.location?.longitude)
-      .map(item => `${item.location.latitude.toFixed(4)},${item.location.longitude.toFixed(4)}`);
-    
-    return String(new Set(locations).size);
-  };
+  const todaySummary = summarizeDay(attendanceHistory);
 
   return (
     <SafeAreaView style={styles.container}>
@@ -362,24 +273,31 @@ export default function AttendanceScreen({ navigation }) {
             <View style={styles.summaryItem}>
               <Ionicons name="log-in-outline" size={24} color="#10b981" />
               <Text style={styles.summaryLabel}>Check-ins</Text>
-              <Text style={styles.summaryValue}>{getTodayCheckIns()}</Text>
+              <Text style={styles.summaryValue}>{String(todaySummary.checkIns)}</Text>
             </View>
             <View style={styles.summaryItem}>
               <Ionicons name="log-out-outline" size={24} color="#ef4444" />
               <Text style={styles.summaryLabel}>Check-outs</Text>
-              <Text style={styles.summaryValue}>{getTodayCheckOuts()}</Text>
+              <Text style={styles.summaryValue}>{String(todaySummary.checkOuts)}</Text>
             </View>
             <View style={styles.summaryItem}>
               <Ionicons name="time-outline" size={24} color="#3b82f6" />
               <Text style={styles.summaryLabel}>Total Time</Text>
-              <Text style={styles.summaryValue}>{getTodayTotalTime()}</Text>
+              <Text style={styles.summaryValue}>{formatDuration(todaySummary.totalMinutes)}</Text>
             </View>
             <View style={styles.summaryItem}>
               <Ionicons name="location-outline" size={24} color="#8b5cf6" />
               <Text style={styles.summaryLabel}>Locations</Text>
-              <Text style={styles.summaryValue}>{getTodayUniqueLocations()}</Text>
+              <Text style={styles.summaryValue}>{String(todaySummary.locations)}</Text>
             </View>
           </View>
+          <TouchableOpacity
+            style={styles.timesheetButton}
+            onPress={() => navigation.navigate('Timesheet')}
+          >
+            <Ionicons name="calendar-outline" size={18} color="#013358" />
+            <Text style={styles.timesheetButtonText}>View Timesheet</Text>
+          </TouchableOpacity>
         </View>
 
         {/* Recent Activity */}
@@ -428,6 +346,16 @@ export default function AttendanceScreen({ navigation }) {
                         {`📍 ${latitude.toFixed(4)}, ${longitude.toFixed(4)}`}
                       </Text>
                     )}
+                    {item?.flags?.length > 0 && (
+                      <Text style={styles.historyFlag}>
+                        {`⚠ ${describeFlags(item).join(' • ')}`}
+                      </Text>
+                    )}
+                    {describeAutoClose(item) && (
+                      <Text style={styles.historyFlag}>
+                        {describeAutoClose(item)}
+                      </Text>
+                    )}
                     {hasValidDuration && (
                       <Text style={styles.historyDuration}>
                         {`Duration: ${formatDuration(duration)}`}
@@ -469,6 +397,13 @@ export default function AttendanceScreen({ navigation }) {
           </View>
         </View>
       </ScrollView>
+
+      <AttendanceCheckModal
+        visible={!!pendingCheckIn}
+        assessment={pendingCheckIn?.assessment}
+        onCancel={() => setPendingCheckIn(null)}
+        onContinue={confirmCheckIn}
+      />
     </SafeAreaView>
   );
 }
@@ -584,6 +519,22 @@ const styles = StyleSheet.create({
     shadowRadius: 8,
     elevation: 4,
   },
+  timesheetButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 16,
+    paddingVertical: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#013358',
+  },
+  timesheetButtonText: {
+    color: '#013358',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
   sectionTitle: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -661,6 +612,11 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#10b981',
   },
+  historyFlag: {
+    fontSize: 12,
+    color: '#d97706',
+    marginTop: 2,
+  },
   emptyState: {
     alignItems: 'center',
     paddingVertical: 32,
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -17,6 +17,7 @@ import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
 import * as Print from 'expo-print';
 import { useFarmerStore } from '../store/farmerStore';
+import { certificateService } from '../services/certificateService';
 import LoadingScreen from './LoadingScreen';
 import PolygonMapMobile from '../components/PolygonMapMobile';
 
@@ -25,6 +26,9 @@ export default function CertificateScreen({ navigation, route }) {
   const [farmer, setFarmer] = useState(route?.params?.farmer || null);
   const [loading, setLoading] = useState(false);
   const [hasSearched, setHasSearched] = useState(!!route?.params?.farmer);
+  const [certificate, setCertificate] = useState(null);
+  const [certificateError, setCertificateError] = useState(null);
+  const qrRef = useRef(null);
   const { getFarmerByNin } = useFarmerStore();
 
   // Set NIN if farmer data is passed from navigation
@@ -36,6 +40,26 @@ export default function CertificateScreen({ navigation, route }) {
     }
   }, [route?.params?.farmer]);
 
+  // The certificate ID and signed QR token come from the server
+  useEffect(() => {
+    let cancelled = false;
+    setCertificate(null);
+    setCertificateError(null);
+    if (!farmer) return undefined;
+
+    certificateService.getCertificate(farmer)
+      .then((issued) => {
+        if (!cancelled) setCertificate(issued);
+      })
+      .catch((error) => {
+        console.error('Certificate issue error:', error?.message || String(error));
+        if (!cancelled) setCertificateError(error?.message || 'Unable to issue the certificate.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [farmer?.id]);
+
   const searchFarmerByNin = async () => {
     if (!nin.trim() || nin.trim().length !== 11) {
       Alert.alert('Invalid NIN', 'Please enter a valid 11-digit NIN');
@@ -58,14 +82,29 @@ export default function CertificateScreen({ navigation, route }) {
     }
   };
 
+  // The on-screen QR code as a PNG data URL for the printed certificate
+  const getQrDataUrl = () => new Promise((resolve) => {
+    if (!qrRef.current?.toDataURL) {
+      resolve(null);
+      return;
+    }
+    qrRef.current.toDataURL(data => resolve(`data:image/png;base64,${data}`));
+  });
+
   const generateCertificate = async () => {
     if (!farmer) return;
+    if (!certificate) {
+      Alert.alert('Certificate Not Issued', certificateError || 'The certificate is still being issued. Please wait a moment.');
+      return;
+    }
 
     try {
+      // Capture the QR code before the loading screen replaces it
+      const qrDataUrl = await getQrDataUrl();
       setLoading(true);
       
       // Generate HTML content for the certificate
-      const htmlContent = generateCertificateHTML(farmer);
+      const htmlContent = generateCertificateHTML(farmer, certificate, qrDataUrl);
       
       // Use expo-print for both iOS and Android
       await generatePDFWithExpo(htmlContent, farmer.nin);
@@ -146,13 +185,6 @@ export default function CertificateScreen({ navigation, route }) {
     }
   };
 
-  // Generate certificate verification URL (matching backend format)
-  const generateVerificationUrl = (farmer) => {
-    if (!farmer?.id) return farmer?.nin || '';
-    const certificateId = `CCSA-${new Date().getFullYear()}-${farmer.id.slice(-6).toUpperCase()}`;
-    return `http://172.20.10.4:3000/verify-certificate/${certificateId}`;
-  };
-
   const generatePolygonSVG = (polygonData) => {
     if (!polygonData) return '';
     
@@ -252,10 +284,10 @@ export default function CertificateScreen({ navigation, route }) {
     return [];
   };
 
-  const generateCertificateHTML = (farmer) => {
+  const generateCertificateHTML = (farmer, certificate, qrDataUrl) => {
     const currentDate = new Date().toLocaleDateString('en-GB');
-    const certificateId = `CCSA-${new Date().getFullYear()}-${farmer.id.slice(-6).toUpperCase()}`;
-    const verificationUrl = generateVerificationUrl(farmer);
+    const issueDate = new Date(certificate.issuedAt).toLocaleDateString('en-GB');
+    const { certificateId } = certificate;
     
     return `
     <!DOCTYPE html>
@@ -453,6 +485,13 @@ export default function CertificateScreen({ navigation, route }) {
                 line-height: 1.2;
             }
             
+            .qr-code {
+                width: 70px;
+                height: 70px;
+                display: block;
+                margin: 0 auto 6px;
+            }
+            
             .qr-placeholder {
                 width: 50px;
                 height: 50px;
@@ -589,7 +628,7 @@ export default function CertificateScreen({ navigation, route }) {
                         </div>
                         <div class="detail-row">
                             <div class="detail-label">Issue Date:</div>
-                            <div class="detail-value">${currentDate}</div>
+                            <div class="detail-value">${issueDate}</div>
                         </div>
                         
                         ${farmer.farms && farmer.farms.length > 0 && farmer.farms[0].farmPolygon ? generatePolygonSVG(farmer.farms[0].farmPolygon) : ''}
@@ -603,12 +642,13 @@ export default function CertificateScreen({ navigation, route }) {
                     </div>
                     
                     <div class="certificate-info">
+                        ${qrDataUrl ? `<img class="qr-code" src="${qrDataUrl}" />` : ''}
                         <div style="font-weight: bold; margin-bottom: 5px;">Certificate of Registration</div>
                         <div>Generated: ${currentDate}</div>
                         <div>Certificate ID: ${certificateId}</div>
                         <div style="margin-top: 10px; font-style: italic;">
-                            This certificate is valid and can be verified<br>
-                            through the FIMS verification system
+                            Scan the QR code to verify this certificate,<br>
+                            online or offline with the FIMS app
                         </div>
                     </div>
                     
@@ -715,13 +755,27 @@ export default function CertificateScreen({ navigation, route }) {
                 <View style={styles.qrSection}>
                   <Text style={styles.qrTitle}>Certificate Verification QR Code</Text>
                   <View style={styles.qrContainer}>
-                    <QRCode
-                      value={generateVerificationUrl(farmer)}
-                      size={120}
-                      color="#1f2937"
-                      backgroundColor="#ffffff"
-                    />
+                    {certificate ? (
+                      <QRCode
+                        value={certificate.qrValue}
+                        size={120}
+                        color="#1f2937"
+                        backgroundColor="#ffffff"
+                        getRef={(ref) => { qrRef.current = ref; }}
+                      />
+                    ) : (
+                      <Ionicons
+                        name={certificateError ? 'alert-circle-outline' : 'hourglass-outline'}
+                        size={48}
+                        color={certificateError ? '#ef4444' : '#9ca3af'}
+                      />
+                    )}
                   </View>
+                  <Text style={styles.qrDescription}>
+                    {certificate
+                      ? `Certificate ID: ${certificate.certificateId}`
+                      : certificateError || 'Issuing certificate...'}
+                  </Text>
                   <Text style={styles.qrDescription}>
                     Scan to verify certificate and farmer identity
                   </Text>
@@ -880,6 +934,14 @@ export default function CertificateScreen({ navigation, route }) {
             </View>
           </View>
         )}
+
+        <TouchableOpacity
+          style={styles.verifyButton}
+          onPress={() => navigation.navigate('VerifyCertificate')}
+        >
+          <Ionicons name="scan-outline" size={20} color="#013358" />
+          <Text style={styles.verifyButtonText}>Verify a Certificate</Text>
+        </TouchableOpacity>
       </ScrollView>
     </SafeAreaView>
   );
@@ -1127,6 +1189,22 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     fontStyle: 'italic',
   },
+  verifyButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: '#013358',
+    paddingVertical: 14,
+    borderRadius: 12,
+    marginTop: 16,
+  },
+  verifyButtonText: {
+    color: '#013358',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
   instructionsSection: {
     backgroundColor: '#eff6ff',
     borderRadius: 16,
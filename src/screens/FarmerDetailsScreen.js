@@ -11,6 +11,9 @@ import {
 } from 'react-native';
 import { useFarmerStore } from '../store/farmerStore';
 import { farmService } from '../services/farmService';
+import { boundaryFileService } from '../services/boundaryFileService';
+import { BOUNDARY_FORMATS, BOUNDARY_FORMAT_INFO } from '../utils/boundaryFormats';
+import { farmShapeOf } from '../utils/polygonUtils';
 import { Ionicons } from '@expo/vector-icons';
 import QRCode from 'react-native-qrcode-svg';
 import PolygonMapMobile from '../components/PolygonMapMobile';
@@ -21,6 +24,7 @@ const FarmerDetailsScreen = ({ route, navigation }) => {
   const [currentFarmer, setCurrentFarmer] = useState(farmer || null);
   const [farmerFarms, setFarmerFarms] = useState([]);
   const [loadingFarms, setLoadingFarms] = useState(false);
+  const [exporting, setExporting] = useState(false);
 
   useEffect(() => {
     if (farmer) {
@@ -89,6 +93,48 @@ const FarmerDetailsScreen = ({ route, navigation }) => {
     navigation.navigate('AddFarm', { farmerId, farmer: currentFarmer });
   };
 
+  const exportBoundaries = async (format) => {
+    const farmerName = [currentFarmer.firstName, currentFarmer.lastName].filter(Boolean).join(' ');
+    const farms = farmerFarms.map((farm, index) => ({
+      ...farm,
+      name: `${farmerName} - Farm ${index + 1}`,
+      farmerName,
+    }));
+
+    try {
+      setExporting(true);
+      const count = await boundaryFileService.exportFarms(
+        farms,
+        format,
+        `${farmerName || 'farmer'}_farms`
+      );
+      console.log(`Exported ${count} farm boundaries as ${format}`);
+    } catch (error) {
+      console.error('Error exporting farm boundaries:', error);
+      Alert.alert('Export Failed', error.message || 'Could not export farm boundaries.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleExportFarms = () => {
+    const mapped = farmerFarms.filter(farm => farmShapeOf(farm).length > 0).length;
+    if (mapped === 0) {
+      Alert.alert('Nothing to Export', 'None of this farmer\'s farms has a mapped boundary yet.');
+      return;
+    }
+
+    Alert.alert(
+      'Export Farm Boundaries',
+      `Export ${mapped} mapped farm${mapped === 1 ? '' : 's'} as:`,
+      Object.values(BOUNDARY_FORMATS).map(format => ({
+        text: BOUNDARY_FORMAT_INFO[format].label,
+        onPress: () => exportBoundaries(format),
+      })),
+      { cancelable: true }
+    );
+  };
+
   if (loading || !currentFarmer) {
     return (
       <View style={styles.loadingContainer}>
@@ -167,10 +213,26 @@ const FarmerDetailsScreen = ({ route, navigation }) => {
         <View style={styles.section}>
           <View style={styles.sectionHeader}>
             <Text style={styles.sectionTitle}>Farms ({farmerFarms.length})</Text>
-            <TouchableOpacity style={styles.addFarmButtonSmall} onPress={handleAddFarm}>
-              <Ionicons name="add" size={20} color="#28a745" />
-              <Text style={styles.addFarmButtonText}>Add Farm</Text>
-            </TouchableOpacity>
+            <View style={styles.sectionActions}>
+              {farmerFarms.length > 0 && (
+                <TouchableOpacity
+                  style={[styles.addFarmButtonSmall, styles.exportButton]}
+                  onPress={handleExportFarms}
+                  disabled={exporting}
+                >
+                  {exporting ? (
+                    <ActivityIndicator size="small" color="#28a745" />
+                  ) : (
+                    <Ionicons name="share-outline" size={18} color="#28a745" />
+                  )}
+                  <Text style={styles.addFarmButtonText}>Export</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity style={styles.addFarmButtonSmall} onPress={handleAddFarm}>
+                <Ionicons name="add" size={20} color="#28a745" />
+                <Text style={styles.addFarmButtonText}>Add Farm</Text>
+              </TouchableOpacity>
+            </View>
           </View>
           
           {loadingFarms ? (
@@ -196,12 +258,12 @@ const FarmerDetailsScreen = ({ route, navigation }) => {
                   </Text>
                 )}
                 {/* Polygon Preview */}
-                {farm.farmPolygon && farm.farmPolygon.length >= 3 && (
+                {farmShapeOf(farm).length > 0 && (
                   <View style={styles.polygonSection}>
                     <Text style={styles.polygonLabel}>Farm Boundary Map:</Text>
                     <View style={styles.polygonMapContainer}>
                       <PolygonMapMobile 
-                        polygonData={farm.farmPolygon}
+                        polygonData={farmShapeOf(farm)}
                         width={350}
                         height={250}
                         showCoordinates={true}
@@ -467,6 +529,13 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginLeft: 4,
   },
+  sectionActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  exportButton: {
+    marginRight: 8,
+  },
   farmCard: {
     backgroundColor: '#f8f9fa',
     padding: 16,
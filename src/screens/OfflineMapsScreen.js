@@ -0,0 +1,480 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  Switch,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Location from 'expo-location';
+import { useAuth } from '../store/AuthContext';
+import tileCacheService, { TILE_SOURCES, QUOTA_OPTIONS_MB, AREA_RADIUS_M } from '../services/tileCacheService';
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.round(bytes / 1024)} KB`);
+
+const STOPPED_MESSAGES = {
+  cancelled: 'Download cancelled. Tap Resume to continue later.',
+  network: 'Wi-Fi was lost. Tap Resume when you are back on Wi-Fi.',
+  quota: 'The offline map storage limit was reached. Raise the limit or remove a map.',
+};
+
+/**
+ * Download and manage basemap tiles for mapping farms without coverage
+ */
+export default function OfflineMapsScreen() {
+  const { user } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [progress, setProgress] = useState(null);
+
+  const loadStatus = useCallback(async () => {
+    setStatus(await tileCacheService.getStatus());
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const runDownload = async (start) => {
+    setProgress({ done: 0, total: 0, bytes: 0, failed: 0 });
+    try {
+      const { region, stoppedBy, failed } = await start(setProgress);
+      if (stoppedBy) {
+        Alert.alert('Download Stopped', STOPPED_MESSAGES[stoppedBy]);
+      } else if (failed > 0) {
+        Alert.alert('Download Incomplete', `${failed} map tiles could not be downloaded. Tap Resume to try them again.`);
+      } else {
+        Alert.alert('Map Downloaded', `${region.name} is now available offline.`);
+      }
+    } catch (error) {
+      Alert.alert('Download Failed', error.message);
+    } finally {
+      setProgress(null);
+      loadStatus();
+    }
+  };
+
+  const downloadLga = () => runDownload(onProgress =>
+    tileCacheService.downloadLga({ state: user?.assignedState, lga: user?.assignedLga, onProgress }));
+
+  const downloadAroundMe = async () => {
+    const { status: permission } = await Location.requestForegroundPermissionsAsync();
+    if (permission !== 'granted') {
+      Alert.alert('Location Needed', 'Allow location access to download the map around you.');
+      return;
+    }
+    let location;
+    try {
+      location = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
+    } catch (error) {
+      Alert.alert('Location Error', 'Could not get your current location. Please try again.');
+      return;
+    }
+    runDownload(onProgress => tileCacheService.downloadAround({ point: location.coords, onProgress }));
+  };
+
+  const resumeRegion = (region) => runDownload(onProgress =>
+    tileCacheService.download({ name: region.name, kind: region.kind, box: region.box, source: region.source, onProgress }));
+
+  const deleteRegion = (region) => {
+    Alert.alert('Remove Offline Map', `Remove ${region.name} from this device?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: async () => {
+          await tileCacheService.deleteRegion(region.id);
+          loadStatus();
+        },
+      },
+    ]);
+  };
+
+  const clearAll = () => {
+    Alert.alert('Remove All Offline Maps', 'Every downloaded map will be deleted from this device.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove All',
+        style: 'destructive',
+        onPress: async () => {
+          await tileCacheService.clear();
+          loadStatus();
+        },
+      },
+    ]);
+  };
+
+  const updateSettings = async (changes) => {
+    await tileCacheService.saveSettings(changes);
+    loadStatus();
+  };
+
+  if (!status) {
+    return (
+      <View style={styles.loading}>
+        <ActivityIndicator size="large" color="#013358" />
+      </View>
+    );
+  }
+
+  const { settings, regions, usedBytes, quotaBytes } = status;
+  const downloading = !!progress;
+  // Only licensed tile servers are downloaded from; with none set the actions stay off
+  const canDownload = tileCacheService.canDownload(settings.source);
+  const usedShare = Math.min(1, quotaBytes > 0 ? usedBytes / quotaBytes : 0);
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Download Maps</Text>
+        <Text style={styles.cardText}>
+          Maps downloaded here are shown under farm boundaries while mapping and reviewing, with no connection needed.
+        </Text>
+
+        <View style={styles.chipRow}>
+          {Object.entries(TILE_SOURCES).map(([key, source]) => (
+            <TouchableOpacity
+              key={key}
+              style={[styles.chip, settings.source === key && styles.chipActive]}
+              onPress={() => updateSettings({ source: key })}
+              disabled={downloading}
+            >
+              <Text style={[styles.chipText, settings.source === key && styles.chipTextActive]}>{source.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {!canDownload && (
+          <View style={styles.notice}>
+            <Ionicons name="information-circle-outline" size={18} color="#92400e" />
+            <Text style={styles.noticeText}>
+              {TILE_SOURCES[settings.source].label} maps can't be downloaded yet - no map server is set up for this app.
+              Maps already on this device still work.
+            </Text>
+          </View>
+        )}
+
+        <TouchableOpacity
+          style={[styles.primaryButton, (downloading || !canDownload || !user?.assignedLga) && styles.buttonDisabled]}
+          onPress={downloadLga}
+          disabled={downloading || !canDownload || !user?.assignedLga}
+        >
+          <Ionicons name="cloud-download-outline" size={20} color="#ffffff" />
+          <Text style={styles.primaryButtonText}>
+            {user?.assignedLga ? `Download ${user.assignedLga} LGA` : 'No LGA assigned'}
+          </Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.secondaryButton, (downloading || !canDownload) && styles.buttonDisabled]}
+          onPress={downloadAroundMe}
+          disabled={downloading || !canDownload}
+        >
+          <Ionicons name="locate-outline" size={20} color="#013358" />
+          <Text style={styles.secondaryButtonText}>
+            Download {AREA_RADIUS_M / 1000} km Around Me (full detail)
+          </Text>
+        </TouchableOpacity>
+
+        {progress && (
+          <View style={styles.progress}>
+            <View style={styles.progressTrack}>
+              <View style={[styles.progressFill, { width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }]} />
+            </View>
+            <Text style={styles.progressText}>
+              {progress.done} / {progress.total || '…'} tiles • {formatSize(progress.bytes)}
+              {progress.failed > 0 ? ` • ${progress.failed} failed` : ''}
+            </Text>
+            <TouchableOpacity onPress={() => tileCacheService.cancelDownload()}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Storage</Text>
+        <View style={styles.progressTrack}>
+          <View style={[styles.progressFill, usedShare > 0.9 && styles.progressFull, { width: `${usedShare * 100}%` }]} />
+        </View>
+        <Text style={styles.progressText}>
+          {formatSize(usedBytes)} of {settings.quotaMb} MB used
+        </Text>
+
+        <Text style={styles.settingLabel}>Storage limit</Text>
+        <View style={styles.chipRow}>
+          {QUOTA_OPTIONS_MB.map(option => (
+            <TouchableOpacity
+              key={option}
+              style={[styles.chip, settings.quotaMb === option && styles.chipActive]}
+              onPress={() => updateSettings({ quotaMb: option })}
+              disabled={downloading}
+            >
+              <Text style={[styles.chipText, settings.quotaMb === option && styles.chipTextActive]}>
+                {option >= 1000 ? `${option / 1000} GB` : `${option} MB`}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <Text style={styles.hint}>When the limit is reached, the maps you viewed least recently are removed first.</Text>
+
+        <View style={styles.switchRow}>
+          <View style={styles.switchText}>
+            <Text style={styles.settingLabel}>Download on Wi-Fi only</Text>
+            <Text style={styles.hint}>Satellite maps can use hundreds of megabytes.</Text>
+          </View>
+          <Switch
+            value={settings.wifiOnly}
+            onValueChange={(value) => updateSettings({ wifiOnly: value })}
+            disabled={downloading}
+          />
+        </View>
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Downloaded Maps</Text>
+        {regions.length === 0 ? (
+          <Text style={styles.cardText}>No maps downloaded yet.</Text>
+        ) : (
+          regions.map(region => (
+            <View key={region.id} style={styles.region}>
+              <Ionicons
+                name={region.status === 'complete' ? 'map' : 'map-outline'}
+                size={22}
+                color={region.status === 'complete' ? '#10b981' : '#d97706'}
+              />
+              <View style={styles.regionDetails}>
+                <Text style={styles.regionName}>{region.name}</Text>
+                <Text style={styles.regionMeta}>
+                  {TILE_SOURCES[region.source]?.label} • {formatSize(region.bytes)} •{' '}
+                  {region.status === 'complete'
+                    ? `updated ${new Date(region.updatedAt).toLocaleDateString()}`
+                    : `${region.downloadedCount} of ${region.tileCount} tiles`}
+                </Text>
+              </View>
+              {region.status !== 'complete' && tileCacheService.canDownload(region.source) && (
+                <TouchableOpacity style={styles.regionAction} onPress={() => resumeRegion(region)} disabled={downloading}>
+                  <Text style={styles.resumeText}>Resume</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity style={styles.regionAction} onPress={() => deleteRegion(region)} disabled={downloading}>
+                <Ionicons name="trash-outline" size={20} color="#ef4444" />
+              </TouchableOpacity>
+            </View>
+          ))
+        )}
+        {regions.length > 0 && (
+          <TouchableOpacity style={styles.clearButton} onPress={clearAll} disabled={downloading}>
+            <Text style={styles.clearText}>Remove All Offline Maps</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <Text style={styles.attribution}>
+        {Object.values(TILE_SOURCES).map(source => source.attribution).join(' • ')}
+      </Text>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9fafb',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 48,
+  },
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  card: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.08,
+    shadowRadius: 3,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 8,
+  },
+  cardText: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginBottom: 12,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#f3f4f6',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipActive: {
+    backgroundColor: '#013358',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+    fontWeight: '600',
+  },
+  chipTextActive: {
+    color: '#ffffff',
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#013358',
+    paddingVertical: 14,
+    borderRadius: 8,
+    marginBottom: 10,
+  },
+  primaryButtonText: {
+    color: '#ffffff',
+    fontWeight: '600',
+    fontSize: 15,
+    marginLeft: 8,
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: '#013358',
+    paddingVertical: 14,
+    borderRadius: 8,
+  },
+  secondaryButtonText: {
+    color: '#013358',
+    fontWeight: '600',
+    fontSize: 15,
+    marginLeft: 8,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  notice: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#fffbeb',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 12,
+  },
+  noticeText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#92400e',
+    marginLeft: 8,
+  },
+  progress: {
+    marginTop: 16,
+  },
+  progressTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#e5e7eb',
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: '#10b981',
+  },
+  progressFull: {
+    backgroundColor: '#ef4444',
+  },
+  progressText: {
+    fontSize: 13,
+    color: '#4b5563',
+    marginTop: 6,
+    marginBottom: 8,
+  },
+  cancelText: {
+    color: '#ef4444',
+    fontWeight: '600',
+  },
+  settingLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#6b7280',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  switchText: {
+    flex: 1,
+    marginRight: 12,
+  },
+  region: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  regionDetails: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  regionName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  regionMeta: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  regionAction: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  resumeText: {
+    color: '#013358',
+    fontWeight: '600',
+  },
+  clearButton: {
+    marginTop: 16,
+    alignItems: 'center',
+  },
+  clearText: {
+    color: '#ef4444',
+    fontWeight: '600',
+  },
+  attribution: {
+    fontSize: 11,
+    color: '#9ca3af',
+    textAlign: 'center',
+  },
+});
@@ -48,6 +48,10 @@ const ProfileScreen = ({ navigation }) => {
     navigation.navigate('ChangePassword');
   };
 
+  const handleOfflineMaps = () => {
+    navigation.navigate('OfflineMaps');
+  };
+
   const handleSettings = () => {
     Alert.alert('Settings', 'Settings screen will be implemented soon.');
   };
@@ -92,6 +96,13 @@ const ProfileScreen = ({ navigation }) => {
           onPress={handleChangePassword}
         />
         
+        <MenuOption
+          icon="map-outline"
+          title="Offline Maps"
+          subtitle="Download map imagery for your LGA"
+          onPress={handleOfflineMaps}
+        />
+        
         <MenuOption
           icon="settings-outline"
           title="Settings"
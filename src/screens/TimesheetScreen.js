@@ -0,0 +1,398 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../store/AuthContext';
+import { attendanceService } from '../services/attendanceService';
+import { timesheetService } from '../services/timesheetService';
+import { formatMinutes } from '../utils/timesheet';
+
+const PERIODS = [
+  { kind: 'week', label: 'Week' },
+  { kind: 'month', label: 'Month' },
+];
+
+const formatClock = (date) =>
+  date ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '…';
+
+const formatDay = (key) =>
+  new Date(`${key}T00:00:00`).toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' });
+
+const periodLabel = (timesheet) => {
+  if (timesheet.kind === 'month') {
+    return timesheet.from.toLocaleDateString([], { month: 'long', year: 'numeric' });
+  }
+  const lastDay = new Date(timesheet.to.getTime() - 1);
+  return `${timesheet.from.toLocaleDateString([], { day: 'numeric', month: 'short' })} - ${
+    lastDay.toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' })}`;
+};
+
+export default function TimesheetScreen() {
+  const [kind, setKind] = useState('week');
+  const [offset, setOffset] = useState(0);
+  const [timesheet, setTimesheet] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(null); // 'pdf' | 'csv'
+  const { user } = useAuth();
+  const agentId = attendanceService.getAgentId(user);
+
+  const loadTimesheet = useCallback(async () => {
+    if (!agentId) return;
+    try {
+      setTimesheet(await timesheetService.build(agentId, kind, offset));
+    } catch (error) {
+      console.error('Error building timesheet:', error?.message || String(error));
+    } finally {
+      setLoading(false);
+    }
+  }, [agentId, kind, offset]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadTimesheet();
+    return attendanceService.subscribe((changedAgentId) => {
+      if (changedAgentId === agentId) loadTimesheet();
+    });
+  }, [loadTimesheet]);
+
+  const selectKind = (nextKind) => {
+    setKind(nextKind);
+    setOffset(0);
+  };
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      if (format === 'pdf') {
+        await timesheetService.exportPdf(timesheet, { agentName: user?.displayName });
+      } else {
+        await timesheetService.exportCsv(timesheet);
+      }
+    } catch (error) {
+      console.error('Error exporting timesheet:', error?.message || String(error));
+      Alert.alert('Export Failed', error?.message || 'Unable to export the timesheet. Please try again.');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const workedDays = timesheet ? timesheet.days.filter(day => day.sessions.length > 0) : [];
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        {/* Period */}
+        <View style={styles.segment}>
+          {PERIODS.map(period => (
+            <TouchableOpacity
+              key={period.kind}
+              style={[styles.segmentButton, kind === period.kind && styles.segmentButtonActive]}
+              onPress={() => selectKind(period.kind)}
+            >
+              <Text style={[styles.segmentText, kind === period.kind && styles.segmentTextActive]}>
+                {period.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <View style={styles.periodRow}>
+          <TouchableOpacity style={styles.periodArrow} onPress={() => setOffset(offset - 1)}>
+            <Ionicons name="chevron-back" size={22} color="#013358" />
+          </TouchableOpacity>
+          <Text style={styles.periodText}>{timesheet ? periodLabel(timesheet) : ''}</Text>
+          <TouchableOpacity
+            style={[styles.periodArrow, offset >= 0 && styles.periodArrowDisabled]}
+            onPress={() => setOffset(offset + 1)}
+            disabled={offset >= 0}
+          >
+            <Ionicons name="chevron-forward" size={22} color="#013358" />
+          </TouchableOpacity>
+        </View>
+
+        {loading || !timesheet ? (
+          <ActivityIndicator size="large" color="#013358" style={styles.loading} />
+        ) : (
+          <>
+            {/* Totals */}
+            <View style={styles.summaryCard}>
+              <View style={styles.summaryGrid}>
+                <View style={styles.summaryItem}>
+                  <Ionicons name="calendar-outline" size={24} color="#10b981" />
+                  <Text style={styles.summaryLabel}>Days Worked</Text>
+                  <Text style={styles.summaryValue}>{String(timesheet.totals.daysWorked)}</Text>
+                </View>
+                <View style={styles.summaryItem}>
+                  <Ionicons name="time-outline" size={24} color="#3b82f6" />
+                  <Text style={styles.summaryLabel}>Hours</Text>
+                  <Text style={styles.summaryValue}>{formatMinutes(timesheet.totals.minutes)}</Text>
+                </View>
+                <View style={styles.summaryItem}>
+                  <Ionicons name="person-add-outline" size={24} color="#8b5cf6" />
+                  <Text style={styles.summaryLabel}>Enrollments</Text>
+                  <Text style={styles.summaryValue}>{String(timesheet.totals.enrollments)}</Text>
+                </View>
+              </View>
+              {timesheet.totals.unconfirmedMinutes > 0 && (
+                <Text style={styles.unconfirmedNote}>
+                  {`${formatMinutes(timesheet.totals.unconfirmedMinutes)} in auto-closed sessions is not counted until you confirm when you stopped work.`}
+                </Text>
+              )}
+            </View>
+
+            {/* Days */}
+            <View style={styles.daysCard}>
+              <Text style={styles.sectionTitle}>Daily Breakdown</Text>
+              {workedDays.length > 0 ? (
+                workedDays.map(day => (
+                  <View key={day.date} style={styles.dayItem}>
+                    <View style={styles.dayHeader}>
+                      <Text style={styles.dayTitle}>{formatDay(day.date)}</Text>
+                      <Text style={styles.dayTotal}>{formatMinutes(day.minutes)}</Text>
+                    </View>
+                    {day.sessions.map(session => (
+                      <View key={session.id} style={styles.sessionRow}>
+                        <Ionicons
+                          name={session.unconfirmed ? 'alert-circle-outline' : 'time-outline'}
+                          size={16}
+                          color={session.unconfirmed ? '#d97706' : '#6b7280'}
+                        />
+                        <Text style={styles.sessionText}>
+                          {`${formatClock(session.start)} - ${formatClock(session.end)}  (${formatMinutes(session.minutes)})`}
+                        </Text>
+                        {(session.open || session.autoClosed) && (
+                          <Text style={styles.sessionNote}>
+                            {session.open ? 'Open' : (session.unconfirmed ? 'Not confirmed' : 'Auto-closed')}
+                          </Text>
+                        )}
+                      </View>
+                    ))}
+                    <Text style={styles.dayMeta}>
+                      {`📍 ${day.locations} location${day.locations === 1 ? '' : 's'}  •  ${day.enrollments} enrollment${day.enrollments === 1 ? '' : 's'}`}
+                    </Text>
+                  </View>
+                ))
+              ) : (
+                <View style={styles.emptyState}>
+                  <Ionicons name="calendar-outline" size={48} color="#9ca3af" />
+                  <Text style={styles.emptyText}>No attendance in this period</Text>
+                </View>
+              )}
+            </View>
+
+            {/* Export */}
+            <View style={styles.exportRow}>
+              {[
+                { format: 'pdf', label: 'Export PDF', icon: 'document-text-outline' },
+                { format: 'csv', label: 'Export CSV', icon: 'grid-outline' },
+              ].map(option => (
+                <TouchableOpacity
+                  key={option.format}
+                  style={[styles.exportButton, exporting && styles.exportButtonDisabled]}
+                  onPress={() => handleExport(option.format)}
+                  disabled={!!exporting}
+                >
+                  {exporting === option.format ? (
+                    <ActivityIndicator size="small" color="#ffffff" />
+                  ) : (
+                    <Ionicons name={option.icon} size={20} color="#ffffff" />
+                  )}
+                  <Text style={styles.exportButtonText}>{option.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  scrollContent: {
+    padding: 20,
+  },
+  segment: {
+    flexDirection: 'row',
+    backgroundColor: '#e5e7eb',
+    borderRadius: 10,
+    padding: 4,
+    marginBottom: 16,
+  },
+  segmentButton: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  segmentButtonActive: {
+    backgroundColor: '#ffffff',
+  },
+  segmentText: {
+    fontSize: 15,
+    color: '#6b7280',
+    fontWeight: '500',
+  },
+  segmentTextActive: {
+    color: '#013358',
+    fontWeight: '600',
+  },
+  periodRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  periodArrow: {
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: '#ffffff',
+  },
+  periodArrowDisabled: {
+    opacity: 0.3,
+  },
+  periodText: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  loading: {
+    marginTop: 40,
+  },
+  summaryCard: {
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  summaryGrid: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  summaryItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  summaryLabel: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 8,
+  },
+  summaryValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginTop: 4,
+  },
+  unconfirmedNote: {
+    fontSize: 13,
+    color: '#d97706',
+    marginTop: 16,
+  },
+  daysCard: {
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 16,
+  },
+  dayItem: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  dayHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  dayTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  dayTotal: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#013358',
+  },
+  sessionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  sessionText: {
+    fontSize: 14,
+    color: '#374151',
+    marginLeft: 6,
+  },
+  sessionNote: {
+    fontSize: 12,
+    color: '#d97706',
+    marginLeft: 8,
+  },
+  dayMeta: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 4,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 32,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#6b7280',
+    marginTop: 12,
+  },
+  exportRow: {
+    flexDirection: 'row',
+    marginBottom: 20,
+  },
+  exportButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#013358',
+    paddingVertical: 14,
+    borderRadius: 12,
+    marginHorizontal: 4,
+  },
+  exportButtonDisabled: {
+    opacity: 0.6,
+  },
+  exportButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+});
@@ -0,0 +1,299 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import { certificateService } from '../services/certificateService';
+
+const formatIssueDate = (value) =>
+  value ? new Date(`${value}T00:00:00`).toLocaleDateString('en-GB') : 'N/A';
+
+/**
+ * Scan a certificate's QR code and check its signature on the device, so
+ * certificates can be verified in the field without a connection
+ */
+export default function VerifyCertificateScreen() {
+  const [permission, requestPermission] = useCameraPermissions();
+  const [result, setResult] = useState(null);
+  const [nin, setNin] = useState('');
+  const [scannedText, setScannedText] = useState(null);
+
+  const handleScanned = ({ data }) => {
+    if (result) return;
+    setScannedText(data);
+    setResult(certificateService.verify(data));
+  };
+
+  const checkNin = (value) => {
+    setNin(value);
+    if (value.trim().length === 11) {
+      setResult(certificateService.verify(scannedText, value));
+    } else if (result?.ninMatches !== null) {
+      setResult({ ...result, ninMatches: null });
+    }
+  };
+
+  const scanAgain = () => {
+    setResult(null);
+    setScannedText(null);
+    setNin('');
+  };
+
+  if (!permission) {
+    return <SafeAreaView style={styles.container} />;
+  }
+
+  if (!permission.granted) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.permissionState}>
+          <Ionicons name="camera-outline" size={56} color="#013358" />
+          <Text style={styles.permissionTitle}>Camera Access Needed</Text>
+          <Text style={styles.permissionText}>
+            Allow camera access to scan the QR code on a farmer's certificate.
+          </Text>
+          <TouchableOpacity style={styles.primaryButton} onPress={requestPermission}>
+            <Text style={styles.primaryButtonText}>Allow Camera</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (!result) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <CameraView
+          style={styles.camera}
+          facing="back"
+          barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+          onBarcodeScanned={handleScanned}
+        />
+        <View style={styles.scanHint}>
+          <Ionicons name="qr-code-outline" size={22} color="#ffffff" />
+          <Text style={styles.scanHintText}>Point the camera at the certificate's QR code</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const { valid, message, claims, ninMatches } = result;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={[styles.resultCard, valid ? styles.validCard : styles.invalidCard]}>
+          <Ionicons
+            name={valid ? 'shield-checkmark' : 'close-circle'}
+            size={56}
+            color={valid ? '#059669' : '#dc2626'}
+          />
+          <Text style={[styles.resultTitle, { color: valid ? '#065f46' : '#991b1b' }]}>
+            {valid ? 'Genuine Certificate' : 'Not Verified'}
+          </Text>
+          <Text style={styles.resultText}>
+            {valid ? 'Signed by FIMS. Checked on this device, no connection needed.' : message}
+          </Text>
+        </View>
+
+        {valid && (
+          <View style={styles.detailsCard}>
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Certificate ID:</Text>
+              <Text style={styles.detailValue}>{claims.cid}</Text>
+            </View>
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Farmer ID:</Text>
+              <Text style={styles.detailValue}>{claims.fid}</Text>
+            </View>
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Issue Date:</Text>
+              <Text style={styles.detailValue}>{formatIssueDate(claims.iat)}</Text>
+            </View>
+
+            {/* Without a NIN hash in the token there is nothing to compare the NIN against */}
+            {!!claims.nh && (
+              <>
+                <Text style={styles.ninLabel}>Confirm the farmer's NIN</Text>
+                <TextInput
+                  style={styles.ninInput}
+                  placeholder="Enter 11-digit NIN"
+                  value={nin}
+                  onChangeText={checkNin}
+                  keyboardType="numeric"
+                  maxLength={11}
+                />
+                {ninMatches !== null && (
+                  <View style={styles.ninResult}>
+                    <Ionicons
+                      name={ninMatches ? 'checkmark-circle' : 'alert-circle'}
+                      size={20}
+                      color={ninMatches ? '#059669' : '#dc2626'}
+                    />
+                    <Text style={[styles.ninResultText, { color: ninMatches ? '#065f46' : '#991b1b' }]}>
+                      {ninMatches ? 'NIN matches this certificate' : 'NIN does not match this certificate'}
+                    </Text>
+                  </View>
+                )}
+              </>
+            )}
+          </View>
+        )}
+
+        <TouchableOpacity style={styles.primaryButton} onPress={scanAgain}>
+          <Ionicons name="scan-outline" size={20} color="#ffffff" />
+          <Text style={styles.primaryButtonText}>Scan Another</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9fafb',
+  },
+  scrollContent: {
+    padding: 24,
+  },
+  camera: {
+    flex: 1,
+  },
+  scanHint: {
+    position: 'absolute',
+    bottom: 40,
+    left: 24,
+    right: 24,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    borderRadius: 12,
+    padding: 12,
+  },
+  scanHintText: {
+    color: '#ffffff',
+    fontSize: 14,
+    marginLeft: 8,
+  },
+  permissionState: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 32,
+  },
+  permissionTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginTop: 16,
+  },
+  permissionText: {
+    fontSize: 15,
+    color: '#6b7280',
+    textAlign: 'center',
+    marginTop: 8,
+    marginBottom: 24,
+  },
+  resultCard: {
+    alignItems: 'center',
+    borderRadius: 16,
+    padding: 24,
+    marginBottom: 20,
+    borderWidth: 1,
+  },
+  validCard: {
+    backgroundColor: '#ecfdf5',
+    borderColor: '#a7f3d0',
+  },
+  invalidCard: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#fecaca',
+  },
+  resultTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginTop: 12,
+  },
+  resultText: {
+    fontSize: 15,
+    color: '#374151',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  detailsCard: {
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  detailLabel: {
+    fontSize: 14,
+    color: '#6b7280',
+  },
+  detailValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1f2937',
+    flexShrink: 1,
+    textAlign: 'right',
+    marginLeft: 12,
+  },
+  ninLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  ninInput: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  ninResult: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  ninResultText: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#013358',
+    paddingVertical: 14,
+    paddingHorizontal: 24,
+    borderRadius: 12,
+  },
+  primaryButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+});
@@ -0,0 +1,271 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  StatusBar,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useCorrectionStore } from '../../store/correctionStore';
+import type { ConflictChoice, CorrectionConflictField, EditableFields } from '../../types/correction';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports
+const { correctionDraftService } = require('../../services/correctionDraftService') as {
+  correctionDraftService: { deleteDraft: (kind: string, targetId: string) => Promise<void> };
+};
+
+const PRIMARY = '#013358';
+
+const FIELD_LABELS: Record<keyof EditableFields, string> = {
+  firstName: 'First Name',
+  middleName: 'Middle Name',
+  lastName: 'Last Name',
+  dateOfBirth: 'Date of Birth',
+  gender: 'Gender',
+  maritalStatus: 'Marital Status',
+  employmentStatus: 'Employment Status',
+  phone: 'Phone',
+  email: 'Email',
+  whatsAppNumber: 'WhatsApp',
+  address: 'Address',
+  state: 'State',
+  lga: 'LGA',
+  ward: 'Ward',
+  pollingUnit: 'Polling Unit',
+  bankName: 'Bank Name',
+  accountNumber: 'Account Number',
+  accountName: 'Account Name',
+  bvn: 'BVN',
+  latitude: 'Latitude',
+  longitude: 'Longitude',
+};
+
+const CHOICES: { key: ConflictChoice; label: string }[] = [
+  { key: 'mine', label: 'Your correction' },
+  { key: 'server', label: 'Server now' },
+  { key: 'original', label: 'Original' },
+];
+
+const displayValue = (value: unknown) =>
+  value === null || value === undefined || value === '' ? '—' : String(value);
+
+// ─── Field card ───────────────────────────────────────────────────────────────
+
+function ConflictFieldCard({
+  field,
+  choice,
+  onChoose,
+}: {
+  field: CorrectionConflictField;
+  choice: ConflictChoice;
+  onChoose: (choice: ConflictChoice) => void;
+}) {
+  return (
+    <View
+      style={{
+        backgroundColor: '#fff',
+        borderRadius: 12,
+        padding: 14,
+        marginBottom: 12,
+        borderLeftWidth: field.changedOnServer ? 3 : 0,
+        borderLeftColor: '#f59e0b',
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 1 },
+        shadowOpacity: 0.05,
+        shadowRadius: 3,
+        elevation: 1,
+      }}
+    >
+      <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 10 }}>
+        <Text style={{ flex: 1, fontSize: 14, fontWeight: '700', color: '#0f172a' }}>
+          {FIELD_LABELS[field.field] ?? field.field}
+        </Text>
+        {field.changedOnServer && (
+          <View style={{ backgroundColor: '#fef3c7', borderRadius: 6, paddingHorizontal: 8, paddingVertical: 2 }}>
+            <Text style={{ color: '#92400e', fontSize: 11, fontWeight: '600' }}>Changed on server</Text>
+          </View>
+        )}
+      </View>
+
+      {CHOICES.map(({ key, label }) => {
+        const selected = choice === key;
+        return (
+          <TouchableOpacity
+            key={key}
+            onPress={() => onChoose(key)}
+            activeOpacity={0.8}
+            style={{
+              flexDirection: 'row',
+              alignItems: 'center',
+              paddingVertical: 8,
+              paddingHorizontal: 10,
+              borderRadius: 8,
+              marginBottom: 4,
+              backgroundColor: selected ? '#dbeafe' : '#f8fafc',
+            }}
+          >
+            <Ionicons
+              name={selected ? 'radio-button-on' : 'radio-button-off'}
+              size={18}
+              color={selected ? PRIMARY : '#94a3b8'}
+              style={{ marginRight: 10 }}
+            />
+            <Text style={{ width: 110, fontSize: 12, color: '#64748b' }}>{label}</Text>
+            <Text style={{ flex: 1, fontSize: 13, color: '#0f172a', fontWeight: selected ? '600' : '400' }}>
+              {displayValue(field[key])}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+}
+
+// ─── Screen ───────────────────────────────────────────────────────────────────
+
+export default function CorrectionConflictScreen({ navigation }: { navigation: any }) {
+  const { activeConflict, saving, resolveConflict } = useCorrectionStore();
+
+  // The agent's values are preselected; they only need to act on the flagged fields
+  const [choices, setChoices] = useState<Record<string, ConflictChoice>>(() =>
+    Object.fromEntries((activeConflict?.fields ?? []).map((f) => [f.field, 'mine' as ConflictChoice]))
+  );
+
+  if (!activeConflict) {
+    return (
+      <View style={{ flex: 1, alignItems: 'center', justifyContent: 'center' }}>
+        <Text style={{ color: '#94a3b8' }}>No conflict to resolve</Text>
+      </View>
+    );
+  }
+
+  const { farmerId, farmerName, fields } = activeConflict;
+
+  const handleApply = async () => {
+    try {
+      const { queued, conflict } = await resolveConflict(choices);
+      if (conflict) {
+        // The record changed again - show the new server values
+        const next = useCorrectionStore.getState().activeConflict;
+        setChoices(Object.fromEntries((next?.fields ?? []).map((f) => [f.field, 'mine' as ConflictChoice])));
+        Alert.alert('Changed Again', 'This farmer was updated on the server again. Please review the new values.');
+        return;
+      }
+      // The edit screen's draft is settled by this resolution
+      await correctionDraftService.deleteDraft('farmer', farmerId);
+      const message = queued
+        ? 'Your choices are saved on this device and will be submitted when you reconnect.'
+        : 'The conflict has been resolved and the farmer record is up to date.';
+      Alert.alert('Resolved', message, [
+        {
+          text: 'OK',
+          onPress: () => navigation.navigate('CorrectionDetail', { farmerId }),
+        },
+      ]);
+    } catch (e: unknown) {
+      const msg = e instanceof Error ? e.message : 'Update failed';
+      Alert.alert('Error', msg);
+    }
+  };
+
+  return (
+    <View style={{ flex: 1, backgroundColor: '#f1f5f9' }}>
+      <StatusBar barStyle="light-content" backgroundColor={PRIMARY} />
+
+      {/* Header */}
+      <View
+        style={{
+          backgroundColor: PRIMARY,
+          paddingTop: 52,
+          paddingBottom: 16,
+          paddingHorizontal: 20,
+          flexDirection: 'row',
+          alignItems: 'center',
+        }}
+      >
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ marginRight: 12 }}>
+          <Ionicons name="arrow-back" size={22} color="#fff" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={{ color: '#fff', fontSize: 17, fontWeight: '700' }}>Resolve Conflict</Text>
+          <Text style={{ color: '#93c5fd', fontSize: 12, marginTop: 1 }} numberOfLines={1}>
+            {farmerName}
+          </Text>
+        </View>
+      </View>
+
+      <View
+        style={{
+          marginHorizontal: 16,
+          marginTop: 12,
+          backgroundColor: '#fef3c7',
+          borderRadius: 10,
+          padding: 10,
+          flexDirection: 'row',
+          alignItems: 'center',
+        }}
+      >
+        <Ionicons name="git-compare-outline" size={14} color="#92400e" style={{ marginRight: 6 }} />
+        <Text style={{ color: '#92400e', fontSize: 12, flex: 1 }}>
+          This farmer was updated on the server after you loaded it. Choose which value to keep for each field.
+        </Text>
+      </View>
+
+      <ScrollView
+        contentContainerStyle={{ padding: 16, paddingBottom: 120 }}
+        showsVerticalScrollIndicator={false}
+      >
+        {fields.map((field) => (
+          <ConflictFieldCard
+            key={field.field}
+            field={field}
+            choice={choices[field.field] ?? 'mine'}
+            onChoose={(choice) => setChoices((prev) => ({ ...prev, [field.field]: choice }))}
+          />
+        ))}
+      </ScrollView>
+
+      {/* Apply bar */}
+      <View
+        style={{
+          position: 'absolute',
+          bottom: 0,
+          left: 0,
+          right: 0,
+          backgroundColor: '#fff',
+          borderTopWidth: 1,
+          borderTopColor: '#e2e8f0',
+          padding: 16,
+          paddingBottom: Platform.OS === 'ios' ? 32 : 16,
+        }}
+      >
+        <TouchableOpacity
+          onPress={handleApply}
+          disabled={saving}
+          style={{
+            backgroundColor: PRIMARY,
+            borderRadius: 12,
+            height: 50,
+            alignItems: 'center',
+            justifyContent: 'center',
+            flexDirection: 'row',
+            opacity: saving ? 0.7 : 1,
+          }}
+        >
+          {saving ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <>
+              <Ionicons name="checkmark-done-outline" size={18} color="#fff" style={{ marginRight: 8 }} />
+              <Text style={{ color: '#fff', fontWeight: '700', fontSize: 15 }}>Keep Selected Values</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
@@ -0,0 +1,263 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  StatusBar,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useCorrectionStore } from '../../store/correctionStore';
+import { CorrectionStatusBadge } from './MyCorrectionsScreen';
+import type { CorrectionFieldChange } from '../../types/correction';
+
+const PRIMARY = '#013358';
+
+const displayValue = (value: unknown) =>
+  value === null || value === undefined || value === '' ? '—' : String(value);
+
+// ─── Diff row ─────────────────────────────────────────────────────────────────
+
+function DiffRow({
+  change,
+  editing,
+  value,
+  onChange,
+  last,
+}: {
+  change: CorrectionFieldChange;
+  editing: boolean;
+  value: string;
+  onChange: (v: string) => void;
+  last: boolean;
+}) {
+  return (
+    <View
+      style={{
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        borderBottomWidth: last ? 0 : 1,
+        borderBottomColor: '#f1f5f9',
+      }}
+    >
+      <Text style={{ fontSize: 11, color: '#94a3b8', marginBottom: 6 }}>{change.label}</Text>
+      <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+        <Text style={{ flex: 1, fontSize: 13, color: '#991b1b', textDecorationLine: 'line-through' }}>
+          {displayValue(change.oldValue)}
+        </Text>
+        <Ionicons name="arrow-forward" size={14} color="#94a3b8" style={{ marginHorizontal: 8 }} />
+        {editing ? (
+          <TextInput
+            style={{
+              flex: 1,
+              fontSize: 13,
+              color: '#0f172a',
+              borderWidth: 1,
+              borderColor: '#cbd5e1',
+              borderRadius: 8,
+              paddingHorizontal: 10,
+              paddingVertical: 6,
+            }}
+            value={value}
+            onChangeText={onChange}
+          />
+        ) : (
+          <Text style={{ flex: 1, fontSize: 13, color: '#166534', fontWeight: '600' }}>
+            {displayValue(change.newValue)}
+          </Text>
+        )}
+      </View>
+    </View>
+  );
+}
+
+// ─── Screen ───────────────────────────────────────────────────────────────────
+
+export default function CorrectionSubmissionScreen({ route, navigation }: { route: any; navigation: any }) {
+  const { correctionId } = route.params as { correctionId: string };
+  const { submissions, resubmitting, resubmitCorrection } = useCorrectionStore();
+  const correction = submissions.find((c) => c.id === correctionId);
+
+  const [editing, setEditing] = useState(false);
+  const [values, setValues] = useState<Record<string, string>>(() =>
+    Object.fromEntries((correction?.changes ?? []).map((c) => [c.field, c.newValue == null ? '' : String(c.newValue)]))
+  );
+
+  if (!correction) {
+    return (
+      <View style={{ flex: 1, alignItems: 'center', justifyContent: 'center' }}>
+        <Text style={{ color: '#94a3b8' }}>Correction not found</Text>
+      </View>
+    );
+  }
+
+  const handleResubmit = () => {
+    Alert.alert(
+      'Resubmit Correction',
+      'Your revised values will be sent back for admin review.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Resubmit',
+          onPress: async () => {
+            try {
+              const { queued } = await resubmitCorrection(correctionId, values);
+              setEditing(false);
+              Alert.alert(
+                queued ? 'Correction Saved' : 'Correction Resubmitted',
+                queued
+                  ? 'You are offline. The correction is saved on this device and will be resubmitted when you reconnect.'
+                  : 'Your correction is pending admin review again.',
+                [{ text: 'OK', onPress: () => navigation.goBack() }],
+              );
+            } catch (e: unknown) {
+              const msg = e instanceof Error ? e.message : 'Resubmission failed';
+              Alert.alert('Error', msg);
+            }
+          },
+        },
+      ],
+    );
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={{ flex: 1, backgroundColor: '#f1f5f9' }}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      <StatusBar barStyle="light-content" backgroundColor={PRIMARY} />
+
+      {/* Header */}
+      <View
+        style={{
+          backgroundColor: PRIMARY,
+          paddingTop: 52,
+          paddingBottom: 16,
+          paddingHorizontal: 20,
+          flexDirection: 'row',
+          alignItems: 'center',
+        }}
+      >
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ marginRight: 12 }}>
+          <Ionicons name="arrow-back" size={22} color="#fff" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={{ color: '#fff', fontSize: 17, fontWeight: '700' }} numberOfLines={1}>
+            {correction.farmerName}
+          </Text>
+          <Text style={{ color: '#93c5fd', fontSize: 12, marginTop: 1 }}>
+            Submitted {new Date(correction.submittedAt).toLocaleString()}
+          </Text>
+        </View>
+      </View>
+
+      <ScrollView
+        contentContainerStyle={{ padding: 16, paddingBottom: 120 }}
+        keyboardShouldPersistTaps="handled"
+      >
+        {/* Status */}
+        <View
+          style={{
+            backgroundColor: '#fff',
+            borderRadius: 12,
+            padding: 16,
+            marginBottom: 16,
+          }}
+        >
+          <CorrectionStatusBadge status={correction.status} />
+          {correction.reviewedAt ? (
+            <Text style={{ fontSize: 12, color: '#64748b', marginTop: 8 }}>
+              Reviewed {new Date(correction.reviewedAt).toLocaleString()}
+              {correction.reviewedBy ? ` by ${correction.reviewedBy}` : ''}
+            </Text>
+          ) : null}
+          {correction.reviewerComment ? (
+            <View style={{ backgroundColor: '#f8fafc', borderRadius: 8, padding: 10, marginTop: 10 }}>
+              <Text style={{ fontSize: 11, color: '#94a3b8', marginBottom: 2 }}>Reviewer comment</Text>
+              <Text style={{ fontSize: 13, color: '#0f172a' }}>{correction.reviewerComment}</Text>
+            </View>
+          ) : null}
+        </View>
+
+        {/* Diff */}
+        <Text
+          style={{
+            fontSize: 11,
+            fontWeight: '700',
+            color: '#94a3b8',
+            letterSpacing: 1,
+            textTransform: 'uppercase',
+            marginBottom: 8,
+            marginLeft: 4,
+          }}
+        >
+          {editing ? 'Revise values' : 'Changes'}
+        </Text>
+        <View style={{ backgroundColor: '#fff', borderRadius: 12, overflow: 'hidden' }}>
+          {correction.changes.map((change, i) => (
+            <DiffRow
+              key={change.field}
+              change={change}
+              editing={editing}
+              value={values[change.field] ?? ''}
+              onChange={(v) => setValues((prev) => ({ ...prev, [change.field]: v }))}
+              last={i === correction.changes.length - 1}
+            />
+          ))}
+        </View>
+      </ScrollView>
+
+      {/* Rejected corrections can be revised and sent back */}
+      {correction.status === 'REJECTED' && (
+        <View
+          style={{
+            position: 'absolute',
+            bottom: 0,
+            left: 0,
+            right: 0,
+            backgroundColor: '#fff',
+            borderTopWidth: 1,
+            borderTopColor: '#e2e8f0',
+            padding: 16,
+            paddingBottom: Platform.OS === 'ios' ? 32 : 16,
+          }}
+        >
+          <TouchableOpacity
+            onPress={editing ? handleResubmit : () => setEditing(true)}
+            disabled={resubmitting}
+            style={{
+              backgroundColor: PRIMARY,
+              borderRadius: 12,
+              height: 50,
+              alignItems: 'center',
+              justifyContent: 'center',
+              flexDirection: 'row',
+              opacity: resubmitting ? 0.7 : 1,
+            }}
+          >
+            {resubmitting ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <>
+                <Ionicons
+                  name={editing ? 'send-outline' : 'create-outline'}
+                  size={18}
+                  color="#fff"
+                  style={{ marginRight: 8 }}
+                />
+                <Text style={{ color: '#fff', fontWeight: '700', fontSize: 15 }}>
+                  {editing ? 'Resubmit for Review' : 'Edit & Resubmit'}
+                </Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+    </KeyboardAvoidingView>
+  );
+}
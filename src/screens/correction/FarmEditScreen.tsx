@@ -6,6 +6,8 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
 import { useCorrectionStore } from '../../store/correctionStore';
+import { useCorrectionDraft } from '../../hooks/useCorrectionDraft';
+import CorrectionDraftBanner from '../../components/CorrectionDraftBanner';
 import StateSelect from '../../components/common/StateSelect';
 import LGASelect from '../../components/common/LGASelect';
 import WardSelect from '../../components/common/WardSelect';
@@ -13,6 +15,8 @@ import PollingUnitSelect from '../../components/common/PollingUnitSelect';
 import EnhancedCustomSelect from '../../components/common/EnhancedCustomSelect';
 import FarmPolygonMapper from '../../components/common/FarmPolygonMapper';
 import { calculateFarmSizeFromPolygon } from '../../utils/farmCalculations';
+import { shapeToGeometry } from '../../utils/polygonUtils';
+import { toPolygons } from '../../utils/geodesy';
 import type { FarmEditableFields } from '../../types/correction';
 
 const PRIMARY = '#013358';
@@ -125,7 +129,7 @@ export default function FarmEditScreen({ route, navigation }: { route: any; navi
   const { selectedFarm, savingFarm, saveFarmError, updateFarm } = useCorrectionStore();
   const f = selectedFarm;
 
-  const [form, setForm] = useState<Partial<FarmEditableFields> & { farmPolygon?: any; farmLatitude?: number | null; farmLongitude?: number | null }>({
+  const [form, setForm] = useState<Partial<FarmEditableFields> & { farmPolygon?: any; farmBoundaries?: any; farmLatitude?: number | null; farmLongitude?: number | null }>({
     primaryCrop:         f?.primaryCrop ?? '',
     cropVariety:         f?.cropVariety ?? '',
     produceCategory:     f?.produceCategory ?? '',
@@ -150,6 +154,16 @@ export default function FarmEditScreen({ route, navigation }: { route: any; navi
     farmLatitude:        (f as any)?.farmLatitude ?? null,
     farmLongitude:       (f as any)?.farmLongitude ?? null,
     farmPolygon:         (f as any)?.farmPolygon ?? [],
+    farmBoundaries:      (f as any)?.farmBoundaries ?? null,
+  });
+
+  // Unsent edits survive leaving the screen, a failed submit or the app closing
+  const { restoredAt, clearDraft, discardDraft } = useCorrectionDraft({
+    kind: 'farm',
+    targetId: farmId,
+    farmerId: f?.farmerId ?? '',
+    form,
+    setForm,
   });
 
   const [gpsLoading, setGpsLoading] = useState(false);
@@ -191,6 +205,20 @@ export default function FarmEditScreen({ route, navigation }: { route: any; navi
     setForm((p) => ({ ...p, farmPolygon: newPolygon, farmSize: newSize }));
   };
 
+  // Plots and excluded areas are stored as GeoJSON; farm size is the net area
+  const handleShapeUpdate = (shape: Array<{ outer: any[]; holes: any[][] }>) => {
+    if (shape.length === 0) return;
+    const netSize = calculateFarmSizeFromPolygon(shape);
+    setForm((p) => ({
+      ...p,
+      farmBoundaries: shapeToGeometry(shape),
+      farmSize: typeof netSize === 'number' && !isNaN(netSize) && netSize > 0 ? netSize : p.farmSize,
+    }));
+  };
+
+  // Boundaries compared by geometry, ignoring how they were stored
+  const sameGeometry = (a: any, b: any) => JSON.stringify(toPolygons(a)) === JSON.stringify(toPolygons(b));
+
   const str = (v: string | number | undefined) => (v !== undefined && v !== null ? String(v) : '');
   const num = (v: string): number | undefined => {
     const n = parseFloat(v);
@@ -217,6 +245,10 @@ export default function FarmEditScreen({ route, navigation }: { route: any; navi
         if (JSON.stringify(original ?? []) !== JSON.stringify(current ?? [])) {
           (diff as any)[key] = current;
         }
+      } else if (key === 'farmBoundaries') {
+        if (!sameGeometry(original ?? (f as any)?.farmPolygon, current)) {
+          (diff as any)[key] = current;
+        }
       } else {
         const originalStr = String(original ?? '');
         const currentStr = String(current ?? '');
@@ -248,14 +280,17 @@ export default function FarmEditScreen({ route, navigation }: { route: any; navi
           text: 'Submit',
           onPress: async () => {
             try {
-              await updateFarm(farmId, changes);
+              const { queued } = await updateFarm(farmId, changes);
+              await clearDraft();
               Alert.alert(
-                'Correction Submitted',
-                'Your farm correction is pending admin review.',
+                queued ? 'Correction Saved' : 'Correction Submitted',
+                queued
+                  ? 'You are offline. The farm correction is saved on this device and will be submitted for review when you reconnect.'
+                  : 'Your farm correction is pending admin review.',
                 [{ text: 'OK', onPress: () => navigation.goBack() }],
               );
             } catch {
-              // error shown via saveFarmError
+              // error shown via saveFarmError; the draft keeps the edits
             }
           },
         },
@@ -291,6 +326,8 @@ export default function FarmEditScreen({ route, navigation }: { route: any; navi
         </View>
       </View>
 
+      <CorrectionDraftBanner restoredAt={restoredAt} onDiscard={discardDraft} />
+
       <ScrollView
         contentContainerStyle={{ padding: 16, paddingBottom: 120 }}
         showsVerticalScrollIndicator={false}
@@ -404,6 +441,9 @@ export default function FarmEditScreen({ route, navigation }: { route: any; navi
           <FarmPolygonMapper
             onPolygonUpdate={handlePolygonUpdate}
             initialPolygon={form.farmPolygon ?? []}
+            initialShape={form.farmBoundaries}
+            onShapeUpdate={handleShapeUpdate}
+            farmCategory={form.produceCategory}
           />
           {Array.isArray(form.farmPolygon) && form.farmPolygon.length >= 3 && (
             <View style={{
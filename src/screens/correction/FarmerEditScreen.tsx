@@ -14,6 +14,8 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
 import { useCorrectionStore } from '../../store/correctionStore';
+import { useCorrectionDraft } from '../../hooks/useCorrectionDraft';
+import CorrectionDraftBanner from '../../components/CorrectionDraftBanner';
 import StateSelect from '../../components/common/StateSelect';
 import LGASelect from '../../components/common/LGASelect';
 import WardSelect from '../../components/common/WardSelect';
@@ -125,6 +127,16 @@ export default function FarmerEditScreen({
     longitude:        f?.longitude        ?? undefined,
   });
 
+  // Unsent edits survive leaving the screen, a failed save or the app closing
+  const { restoredAt, clearDraft, discardDraft, baseUpdatedAt } = useCorrectionDraft({
+    kind: 'farmer',
+    targetId: farmerId,
+    farmerId,
+    form,
+    setForm,
+    baseUpdatedAt: f?.updatedAt ?? null,
+  });
+
   const [gpsLoading, setGpsLoading] = useState(false);
 
   const captureGPS = async () => {
@@ -181,8 +193,17 @@ export default function FarmerEditScreen({
           style: 'default',
           onPress: async () => {
             try {
-              await updateFarmer(farmerId, changes);
-              Alert.alert('Saved', 'Farmer record has been updated successfully.', [
+              const { queued, conflict } = await updateFarmer(farmerId, changes, baseUpdatedAt);
+              if (conflict) {
+                // The draft stays until the conflict is resolved
+                navigation.replace('CorrectionConflict');
+                return;
+              }
+              await clearDraft();
+              const message = queued
+                ? 'You are offline. The changes are saved on this device and will be submitted when you reconnect.'
+                : 'Farmer record has been updated successfully.';
+              Alert.alert('Saved', message, [
                 {
                   text: 'OK',
                   onPress: () => navigation.navigate('CorrectionDetail', { farmerId }),
@@ -191,7 +212,7 @@ export default function FarmerEditScreen({
             } catch (e: unknown) {
               // saveError is also set in the store; the Alert below is immediate feedback
               const msg = e instanceof Error ? e.message : 'Update failed';
-              Alert.alert('Error', msg);
+              Alert.alert('Error', `${msg}\n\nYour edits are kept on this device as a draft.`);
             }
           },
         },
@@ -238,6 +259,8 @@ export default function FarmerEditScreen({
         </View>
       </View>
 
+      <CorrectionDraftBanner restoredAt={restoredAt} onDiscard={discardDraft} />
+
       {/* Note: NIN is read-only */}
       <View
         style={{
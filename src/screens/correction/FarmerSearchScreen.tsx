@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   View,
   Text,
@@ -12,12 +12,20 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useCorrectionStore } from '../../store/correctionStore';
+import { useAuth } from '../../store/AuthContext';
 import StateSelect from '../../components/common/StateSelect';
 import LGASelect from '../../components/common/LGASelect';
 import WardSelect from '../../components/common/WardSelect';
 import PollingUnitSelect from '../../components/common/PollingUnitSelect';
 import type { CorrectionFarmerSummary } from '../../types/correction';
 
+// eslint-disable-next-line @typescript-eslint/no-require-imports
+const { farmerIndexService } = require('../../services/farmerIndexService') as {
+  farmerIndexService: {
+    refresh: (scope: { state: string | null; lga: string | null }) => Promise<unknown>;
+  };
+};
+
 const PRIMARY = '#013358';
 const CARD_BG = '#ffffff';
 
@@ -51,9 +59,11 @@ function StatusBadge({ status }: { status: string }) {
 
 function FarmerCard({
   item,
+  unsent,
   onPress,
 }: {
   item: CorrectionFarmerSummary;
+  unsent: number;
   onPress: () => void;
 }) {
   const name = [item.firstName, item.middleName, item.lastName]
@@ -109,6 +119,12 @@ function FarmerCard({
         </Text>
         <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
           <StatusBadge status={item.status} />
+          {unsent > 0 ? (
+            <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+              <Ionicons name="cloud-upload-outline" size={12} color="#b45309" style={{ marginRight: 3 }} />
+              <Text style={{ color: '#b45309', fontSize: 11, fontWeight: '600' }}>Unsent</Text>
+            </View>
+          ) : null}
           {location ? (
             <Text style={{ fontSize: 11, color: '#94a3b8' }} numberOfLines={1}>
               {location}
@@ -252,8 +268,33 @@ function FilterPanel() {
 // ─── Main screen ──────────────────────────────────────────────────────────────
 
 export default function FarmerSearchScreen({ navigation }: { navigation: any }) {
-  const { results, searching, searchError, pagination, hasSearched, search, loadNextPage, resetFilter } =
-    useCorrectionStore();
+  const {
+    results, searching, searchError, isOffline, pagination, hasSearched,
+    conflicts, unsentByFarmer, search, loadNextPage, resetFilter, loadConflicts, loadUnsent, openConflict,
+  } = useCorrectionStore();
+  const { user } = useAuth() as any;
+
+  useEffect(() => {
+    loadConflicts();
+    // Drafts change on the edit screens, so recount on every return to the list
+    const unsub = navigation.addListener('focus', () => {
+      loadUnsent();
+    });
+    return unsub;
+  }, [navigation]);
+
+  const handleOpenConflict = () => {
+    const [first] = conflicts;
+    if (!first?.operationId) return;
+    openConflict(first.operationId);
+    navigation.navigate('CorrectionConflict');
+  };
+
+  // Keep the offline farmer index current so searches still work without coverage
+  useEffect(() => {
+    if (!user) return;
+    farmerIndexService.refresh({ state: user.assignedState, lga: user.assignedLga });
+  }, [user?.id, user?.assignedState, user?.assignedLga]);
 
   const handleSearch = () => search(1);
 
@@ -294,13 +335,44 @@ export default function FarmerSearchScreen({ navigation }: { navigation: any })
             Data Correction
           </Text>
         </View>
+        <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+          <TouchableOpacity
+            onPress={() => navigation.navigate('MyCorrections')}
+            style={{ padding: 4, marginRight: 8 }}
+          >
+            <Ionicons name="document-text-outline" size={24} color="#fff" />
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => navigation.navigate('AgentProfile')}
+            style={{ padding: 4 }}
+          >
+            <Ionicons name="person-circle-outline" size={26} color="#fff" />
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {/* Queued corrections rejected because the farmer changed on the server */}
+      {conflicts.length > 0 && (
         <TouchableOpacity
-          onPress={() => navigation.navigate('AgentProfile')}
-          style={{ padding: 4 }}
+          onPress={handleOpenConflict}
+          activeOpacity={0.85}
+          style={{
+            flexDirection: 'row',
+            alignItems: 'center',
+            marginHorizontal: 16,
+            marginTop: 12,
+            padding: 12,
+            backgroundColor: '#fef3c7',
+            borderRadius: 10,
+          }}
         >
-          <Ionicons name="person-circle-outline" size={26} color="#fff" />
+          <Ionicons name="git-compare-outline" size={18} color="#b45309" style={{ marginRight: 8 }} />
+          <Text style={{ color: '#92400e', fontSize: 13, fontWeight: '600', flex: 1 }}>
+            {conflicts.length} correction{conflicts.length !== 1 ? 's' : ''} changed on the server — tap to review
+          </Text>
+          <Ionicons name="chevron-forward" size={16} color="#b45309" />
         </TouchableOpacity>
-      </View>
+      )}
 
       <FilterPanel />
 
@@ -345,8 +417,26 @@ export default function FarmerSearchScreen({ navigation }: { navigation: any })
         </TouchableOpacity>
       </View>
 
+      {/* Offline notice */}
+      {isOffline && searchError ? (
+        <View
+          style={{
+            flexDirection: 'row',
+            alignItems: 'center',
+            marginHorizontal: 16,
+            marginBottom: 8,
+            padding: 10,
+            backgroundColor: '#fef3c7',
+            borderRadius: 8,
+          }}
+        >
+          <Ionicons name="cloud-offline-outline" size={16} color="#b45309" style={{ marginRight: 8 }} />
+          <Text style={{ color: '#92400e', fontSize: 12, flex: 1 }}>{searchError}</Text>
+        </View>
+      ) : null}
+
       {/* Results */}
-      {searchError ? (
+      {searchError && !isOffline ? (
         <View style={{ alignItems: 'center', paddingTop: 40, paddingHorizontal: 32 }}>
           <Ionicons name="warning-outline" size={40} color="#f87171" />
           <Text style={{ color: '#ef4444', fontSize: 14, marginTop: 10, textAlign: 'center' }}>
@@ -359,7 +449,7 @@ export default function FarmerSearchScreen({ navigation }: { navigation: any })
           keyExtractor={(item) => item.id}
           contentContainerStyle={{ paddingHorizontal: 16, paddingBottom: 32 }}
           renderItem={({ item }) => (
-            <FarmerCard item={item} onPress={() => handleSelect(item)} />
+            <FarmerCard item={item} unsent={unsentByFarmer[item.id] ?? 0} onPress={() => handleSelect(item)} />
           )}
           onEndReached={loadNextPage}
           onEndReachedThreshold={0.3}
@@ -0,0 +1,218 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  StatusBar,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useCorrectionStore } from '../../store/correctionStore';
+import type { CorrectionStatus, CorrectionSubmission } from '../../types/correction';
+
+const PRIMARY = '#013358';
+
+const TYPE_LABELS: Record<CorrectionSubmission['correctionType'], string> = {
+  FARMER: 'Farmer details',
+  FARM: 'Farm',
+  REFEREE: 'Referees',
+};
+
+export const CORRECTION_STATUS_STYLES: Record<CorrectionStatus, { bg: string; text: string; label: string }> = {
+  APPLIED: { bg: '#dcfce7', text: '#166534', label: 'Applied' },
+  PENDING: { bg: '#fef3c7', text: '#92400e', label: 'Pending review' },
+  APPROVED: { bg: '#dcfce7', text: '#166534', label: 'Approved' },
+  REJECTED: { bg: '#fee2e2', text: '#991b1b', label: 'Rejected' },
+};
+
+const FILTERS: { key: CorrectionStatus | 'ALL'; label: string }[] = [
+  { key: 'ALL', label: 'All' },
+  { key: 'PENDING', label: 'Pending' },
+  { key: 'REJECTED', label: 'Rejected' },
+  { key: 'APPROVED', label: 'Approved' },
+];
+
+export function CorrectionStatusBadge({ status }: { status: CorrectionStatus }) {
+  const style = CORRECTION_STATUS_STYLES[status] ?? CORRECTION_STATUS_STYLES.PENDING;
+  return (
+    <View
+      style={{
+        backgroundColor: style.bg,
+        borderRadius: 12,
+        paddingHorizontal: 8,
+        paddingVertical: 2,
+        alignSelf: 'flex-start',
+      }}
+    >
+      <Text style={{ color: style.text, fontSize: 11, fontWeight: '600' }}>{style.label}</Text>
+    </View>
+  );
+}
+
+// ─── Row card ─────────────────────────────────────────────────────────────────
+
+function SubmissionCard({ item, onPress }: { item: CorrectionSubmission; onPress: () => void }) {
+  const fields = item.changes.map((c) => c.label).join(', ');
+  return (
+    <TouchableOpacity
+      onPress={onPress}
+      activeOpacity={0.75}
+      style={{
+        backgroundColor: '#fff',
+        borderRadius: 12,
+        padding: 14,
+        marginBottom: 10,
+        borderLeftWidth: item.status === 'REJECTED' ? 3 : 0,
+        borderLeftColor: '#ef4444',
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 1 },
+        shadowOpacity: 0.05,
+        shadowRadius: 4,
+        elevation: 2,
+      }}
+    >
+      <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 4 }}>
+        <Text style={{ flex: 1, fontWeight: '700', fontSize: 15, color: '#0f172a' }} numberOfLines={1}>
+          {item.farmerName}
+        </Text>
+        <CorrectionStatusBadge status={item.status} />
+      </View>
+      <Text style={{ fontSize: 12, color: '#64748b' }}>
+        {TYPE_LABELS[item.correctionType] ?? item.correctionType} · {new Date(item.submittedAt).toLocaleDateString()}
+      </Text>
+      {fields ? (
+        <Text style={{ fontSize: 12, color: '#94a3b8', marginTop: 4 }} numberOfLines={1}>
+          {fields}
+        </Text>
+      ) : null}
+      {item.status === 'REJECTED' && item.reviewerComment ? (
+        <Text style={{ fontSize: 12, color: '#991b1b', marginTop: 6 }} numberOfLines={2}>
+          “{item.reviewerComment}”
+        </Text>
+      ) : null}
+    </TouchableOpacity>
+  );
+}
+
+// ─── Screen ───────────────────────────────────────────────────────────────────
+
+export default function MyCorrectionsScreen({ navigation }: { navigation: any }) {
+  const { submissions, submissionsOffline, loadingSubmissions, submissionsError, loadSubmissions } =
+    useCorrectionStore();
+  const [filter, setFilter] = useState<CorrectionStatus | 'ALL'>('ALL');
+
+  useEffect(() => {
+    const unsub = navigation.addListener('focus', () => {
+      loadSubmissions();
+    });
+    return unsub;
+  }, [navigation]);
+
+  // Applied (FARMER) corrections count as approved for filtering
+  const visible = submissions.filter((c) =>
+    filter === 'ALL' ||
+    c.status === filter ||
+    (filter === 'APPROVED' && c.status === 'APPLIED')
+  );
+
+  return (
+    <View style={{ flex: 1, backgroundColor: '#f1f5f9' }}>
+      <StatusBar barStyle="light-content" backgroundColor={PRIMARY} />
+
+      {/* Header */}
+      <View
+        style={{
+          backgroundColor: PRIMARY,
+          paddingTop: 52,
+          paddingBottom: 16,
+          paddingHorizontal: 20,
+          flexDirection: 'row',
+          alignItems: 'center',
+        }}
+      >
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ marginRight: 12 }}>
+          <Ionicons name="arrow-back" size={22} color="#fff" />
+        </TouchableOpacity>
+        <Text style={{ color: '#fff', fontSize: 18, fontWeight: '700' }}>My Corrections</Text>
+      </View>
+
+      {/* Status filter */}
+      <View style={{ flexDirection: 'row', paddingHorizontal: 16, paddingVertical: 12, gap: 8 }}>
+        {FILTERS.map(({ key, label }) => {
+          const active = filter === key;
+          return (
+            <TouchableOpacity
+              key={key}
+              onPress={() => setFilter(key)}
+              style={{
+                paddingHorizontal: 12,
+                paddingVertical: 6,
+                borderRadius: 16,
+                backgroundColor: active ? PRIMARY : '#e2e8f0',
+              }}
+            >
+              <Text style={{ color: active ? '#fff' : '#475569', fontSize: 12, fontWeight: '600' }}>
+                {label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {submissionsOffline && (
+        <View
+          style={{
+            flexDirection: 'row',
+            alignItems: 'center',
+            marginHorizontal: 16,
+            marginBottom: 8,
+            padding: 10,
+            backgroundColor: '#fef3c7',
+            borderRadius: 8,
+          }}
+        >
+          <Ionicons name="cloud-offline-outline" size={16} color="#b45309" style={{ marginRight: 8 }} />
+          <Text style={{ color: '#92400e', fontSize: 12, flex: 1 }}>
+            Offline — showing statuses from your last sync
+          </Text>
+        </View>
+      )}
+
+      {loadingSubmissions && submissions.length === 0 ? (
+        <ActivityIndicator color={PRIMARY} style={{ marginTop: 40 }} />
+      ) : submissionsError ? (
+        <View style={{ alignItems: 'center', paddingTop: 40, paddingHorizontal: 32 }}>
+          <Ionicons name="warning-outline" size={40} color="#f87171" />
+          <Text style={{ color: '#ef4444', fontSize: 14, marginTop: 10, textAlign: 'center' }}>
+            {submissionsError}
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={visible}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={{ paddingHorizontal: 16, paddingBottom: 32 }}
+          refreshControl={
+            <RefreshControl refreshing={loadingSubmissions} onRefresh={loadSubmissions} colors={[PRIMARY]} />
+          }
+          renderItem={({ item }) => (
+            <SubmissionCard
+              item={item}
+              onPress={() => navigation.navigate('CorrectionSubmission', { correctionId: item.id })}
+            />
+          )}
+          ListEmptyComponent={
+            <View style={{ alignItems: 'center', paddingTop: 60 }}>
+              <Ionicons name="document-text-outline" size={48} color="#cbd5e1" />
+              <Text style={{ color: '#94a3b8', fontSize: 14, marginTop: 12 }}>
+                {filter === 'ALL' ? 'You have not submitted any corrections' : 'No corrections with this status'}
+              </Text>
+            </View>
+          }
+        />
+      )}
+    </View>
+  );
+}
@@ -5,6 +5,8 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useCorrectionStore } from '../../store/correctionStore';
+import { useCorrectionDraft } from '../../hooks/useCorrectionDraft';
+import CorrectionDraftBanner from '../../components/CorrectionDraftBanner';
 import type { CorrectionReferee, RefereeOp } from '../../types/correction';
 
 const PRIMARY = '#013358';
@@ -169,6 +171,15 @@ export default function RefereeEditScreen({ route, navigation }: { route: any; n
   );
   const [editingReferee, setEditingReferee] = useState<Partial<LocalReferee> | null>(null);
 
+  // Unsent edits survive leaving the screen, a failed submit or the app closing
+  const { restoredAt, clearDraft, discardDraft } = useCorrectionDraft({
+    kind: 'referees',
+    targetId: farmerId,
+    farmerId,
+    form: referees,
+    setForm: setReferees,
+  });
+
   const handleEdit = (r: LocalReferee) => setEditingReferee({ ...r });
   const handleAddNew = () => setEditingReferee({ id: undefined, firstName: '', lastName: '', phone: '', relationship: '' });
 
@@ -242,12 +253,16 @@ export default function RefereeEditScreen({ route, navigation }: { route: any; n
         text: 'Submit',
         onPress: async () => {
           try {
-            await updateReferees(farmerId, ops);
-            Alert.alert('Submitted', 'Referee corrections are pending admin review.', [
+            const { queued } = await updateReferees(farmerId, ops);
+            await clearDraft();
+            const message = queued
+              ? 'You are offline. The referee corrections are saved on this device and will be submitted for review when you reconnect.'
+              : 'Referee corrections are pending admin review.';
+            Alert.alert(queued ? 'Saved' : 'Submitted', message, [
               { text: 'OK', onPress: () => navigation.goBack() },
             ]);
           } catch {
-            // error shown via saveRefereesError
+            // error shown via saveRefereesError; the draft keeps the edits
           }
         },
       },
@@ -289,6 +304,8 @@ export default function RefereeEditScreen({ route, navigation }: { route: any; n
         </View>
       </View>
 
+      <CorrectionDraftBanner restoredAt={restoredAt} onDiscard={discardDraft} />
+
       <ScrollView contentContainerStyle={{ padding: 16, paddingBottom: 120 }} showsVerticalScrollIndicator={false}>
         {saveRefereesError && (
           <View style={{
@@ -5,9 +5,39 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useAuth } from '../../store/AuthContext';
-import { auth } from '../../services/firebase';
+import AttendanceCheckModal from '../../components/common/AttendanceCheckModal';
+// eslint-disable-next-line @typescript-eslint/no-require-imports
+const { attendanceService, summarizeDay, describeFlags, describeAutoClose, ENTRY_TYPES } = require('../../services/attendanceService') as {
+  attendanceService: {
+    getAgentId: (user: unknown) => string | null;
+    getAssignment: (user: unknown) => Record<string, unknown>;
+    getShiftRules: (user: unknown) => Record<string, unknown>;
+    applyShiftRules: (agentId: string, rules: Record<string, unknown>) => Promise<AttendanceEntry | null>;
+    subscribe: (listener: (agentId: string) => void) => () => void;
+    getState: (agentId: string) => Promise<{ checkedIn: boolean; checkInTime: Date | null; history: AttendanceEntry[] }>;
+    assessFix: (
+      agentId: string,
+      location: AttendanceEntry['location'],
+      assignment: Record<string, unknown>,
+      type?: AttendanceEntry['type'],
+    ) => Promise<FixAssessment>;
+    checkIn: (
+      agentId: string,
+      location: AttendanceEntry['location'],
+      options: { assessment: FixAssessment | null; reason: string | null },
+    ) => Promise<{ entry: AttendanceEntry; status: 'synced' | 'queued' }>;
+    checkOut: (
+      agentId: string,
+      location: AttendanceEntry['location'],
+      options: { assessment: FixAssessment | null },
+    ) => Promise<{ entry: AttendanceEntry & { duration: number }; status: 'synced' | 'queued' }>;
+  };
+  summarizeDay: (history: AttendanceEntry[]) => { checkIns: number; checkOuts: number; totalMinutes: number };
+  describeFlags: (entry: AttendanceEntry) => string[];
+  describeAutoClose: (entry: AttendanceEntry) => string | null;
+  ENTRY_TYPES: { CHECK_IN: 'check_in'; CHECK_OUT: 'check_out' };
+};
 
 const PRIMARY = '#013358';
 const BG = '#f1f5f9';
@@ -55,49 +85,64 @@ function StatCard({
 // ─── Screen ───────────────────────────────────────────────────────────────────
 
 type AttendanceEntry = {
+  id: string;
   type: 'check_in' | 'check_out';
   timestamp: string;
-  location: { latitude: number; longitude: number; accuracy?: number } | null;
+  location: { latitude: number; longitude: number; accuracy?: number; mocked?: boolean } | null;
   agentId: string;
   date: string;
   duration?: number;
+  checkInId?: string;
+  autoClosed?: boolean;
+  autoCloseRule?: 'max_shift' | 'cutoff';
+  needsConfirmation?: boolean;
+  geofence?: { status: 'inside' | 'outside' | 'unknown'; distanceM: number | null };
+  flags?: string[];
+  reason?: string | null;
+};
+
+// attendanceService.assessFix: the geofence and jump checks for a fix before it is recorded
+type FixAssessment = {
+  geofence: AttendanceEntry['geofence'] & { reason?: 'no_assignment' | 'no_boundary' | 'no_boundary_data' };
+  jump: { distanceM: number; speedKmh: number | null; implausible: boolean } | null;
+  flags: string[];
+  requiresReason: boolean;
 };
 
 export default function AgentAttendanceScreen({ navigation }: { navigation: any }) {
   const { user } = useAuth() as any;
+  const agentId: string | null = attendanceService.getAgentId(user);
 
   const [isCheckedIn, setIsCheckedIn] = useState(false);
   const [checkInTime, setCheckInTime] = useState<Date | null>(null);
   const [history, setHistory] = useState<AttendanceEntry[]>([]);
   const [loading, setLoading] = useState(false);
+  // A check-in outside the work area or with an unreliable fix, awaiting confirmation
+  const [pendingCheckIn, setPendingCheckIn] = useState<{ location: AttendanceEntry['location']; assessment: FixAssessment } | null>(null);
 
   useEffect(() => {
-    loadState();
-    loadHistory();
-  }, []);
+    if (!agentId) return undefined;
+    // A session left open past the shift rules is closed before it is shown
+    attendanceService.applyShiftRules(agentId, attendanceService.getShiftRules(user))
+      .catch((e: any) => console.error('applyShiftRules:', e))
+      .finally(loadState);
+    return attendanceService.subscribe((changedAgentId: string) => {
+      if (changedAgentId === agentId) loadState();
+    });
+  }, [agentId]);
 
   const loadState = async () => {
+    if (!agentId) return;
     try {
-      const checkedIn = await AsyncStorage.getItem('isCheckedIn');
-      const checkInTimeStr = await AsyncStorage.getItem('checkInTime');
-      if (checkedIn === 'true' && checkInTimeStr) {
-        setIsCheckedIn(true);
-        setCheckInTime(new Date(checkInTimeStr));
-      }
+      const state = await attendanceService.getState(agentId);
+      setIsCheckedIn(state.checkedIn);
+      setCheckInTime(state.checkInTime);
+      setHistory(state.history);
     } catch (e) {
       console.error('loadState:', e);
     }
   };
 
-  const loadHistory = async () => {
-    try {
-      const raw = await AsyncStorage.getItem('attendanceHistory');
-      if (raw) setHistory(JSON.parse(raw));
-    } catch (e) {
-      console.error('loadHistory:', e);
-    }
-  };
-
   const getLocation = async (): Promise<AttendanceEntry['location'] | null> => {
     const { status } = await Location.requestForegroundPermissionsAsync();
     if (status !== 'granted') {
@@ -110,6 +155,7 @@ export default function AgentAttendanceScreen({ navigation }: { navigation: any
         latitude: loc.coords.latitude,
         longitude: loc.coords.longitude,
         accuracy: loc.coords.accuracy ?? undefined,
+        mocked: !!loc.mocked,
       };
     } catch {
       Alert.alert('Error', 'Failed to get location. Please try again.');
@@ -117,50 +163,47 @@ export default function AgentAttendanceScreen({ navigation }: { navigation: any
     }
   };
 
-  const syncToServer = async (entry: AttendanceEntry) => {
-    try {
-      const token = await (auth as any).currentUser?.getIdToken();
-      if (!token) return;
-      const base = (require('../../config/api').default as any).BASE_URL;
-      await fetch(`${base}/api/mobile/attendance`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
-        body: JSON.stringify(entry),
-      });
-    } catch (e) {
-      console.error('syncToServer (non-fatal):', e);
-    }
-  };
-
   const handleCheckIn = async () => {
     setLoading(true);
     try {
       const location = await getLocation();
       if (!location) { setLoading(false); return; }
-      const agentId = user?.uid || user?.id || (auth as any).currentUser?.uid || '';
       if (!agentId) {
         Alert.alert('Error', 'Not authenticated. Please log in again.');
         setLoading(false);
         return;
       }
-      const entry: AttendanceEntry = {
-        type: 'check_in',
-        timestamp: new Date().toISOString(),
-        location,
-        agentId,
-        date: new Date().toDateString(),
-      };
-      await AsyncStorage.setItem('isCheckedIn', 'true');
-      await AsyncStorage.setItem('checkInTime', entry.timestamp);
-      const updated = [...history, entry];
-      await AsyncStorage.setItem('attendanceHistory', JSON.stringify(updated));
-      await syncToServer(entry);
-      setIsCheckedIn(true);
-      setCheckInTime(new Date());
-      setHistory(updated);
-      Alert.alert('Checked In', `You checked in at ${formatTime(entry.timestamp)}.`);
-    } catch (e) {
-      Alert.alert('Error', 'Failed to check in. Please try again.');
+      const assessment = await attendanceService.assessFix(agentId, location, attendanceService.getAssignment(user));
+      if (assessment.flags.length > 0) {
+        setPendingCheckIn({ location, assessment });
+        return;
+      }
+      await recordCheckIn(location, assessment, null);
+    } catch (e: any) {
+      Alert.alert('Error', e?.message || 'Failed to check in. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const recordCheckIn = async (location: AttendanceEntry['location'], assessment: FixAssessment, reason: string | null) => {
+    if (!agentId) return;
+    const { entry, status } = await attendanceService.checkIn(agentId, location, { assessment, reason });
+    Alert.alert(
+      'Checked In',
+      `You checked in at ${formatTime(entry.timestamp)}.${status === 'queued' ? ' It will be sent when you are back online.' : ''}`,
+    );
+  };
+
+  const confirmCheckIn = async (reason: string | null) => {
+    if (!pendingCheckIn) return;
+    const { location, assessment } = pendingCheckIn;
+    setPendingCheckIn(null);
+    setLoading(true);
+    try {
+      await recordCheckIn(location, assessment, reason);
+    } catch (e: any) {
+      Alert.alert('Error', e?.message || 'Failed to check in. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -171,42 +214,33 @@ export default function AgentAttendanceScreen({ navigation }: { navigation: any
     try {
       const location = await getLocation();
       if (!location) { setLoading(false); return; }
-      const agentId = user?.uid || user?.id || (auth as any).currentUser?.uid || '';
-      const duration = checkInTime
-        ? Math.floor((Date.now() - checkInTime.getTime()) / 60000)
-        : 0;
-      const entry: AttendanceEntry = {
-        type: 'check_out',
-        timestamp: new Date().toISOString(),
-        location,
-        agentId,
-        date: new Date().toDateString(),
-        duration,
-      };
-      await AsyncStorage.removeItem('isCheckedIn');
-      await AsyncStorage.removeItem('checkInTime');
-      const updated = [...history, entry];
-      await AsyncStorage.setItem('attendanceHistory', JSON.stringify(updated));
-      await syncToServer(entry);
-      setIsCheckedIn(false);
-      setCheckInTime(null);
-      setHistory(updated);
-      Alert.alert('Checked Out', `Duration: ${formatDuration(duration)}`);
-    } catch (e) {
-      Alert.alert('Error', 'Failed to check out. Please try again.');
+      if (!agentId) {
+        Alert.alert('Error', 'Not authenticated. Please log in again.');
+        setLoading(false);
+        return;
+      }
+      const autoClosed = await attendanceService.applyShiftRules(agentId, attendanceService.getShiftRules(user));
+      if (autoClosed) {
+        Alert.alert('Session Closed', 'This session ran past your shift rules and was closed automatically. Please confirm when you stopped working.');
+        return;
+      }
+      const assessment = await attendanceService.assessFix(
+        agentId, location, attendanceService.getAssignment(user), ENTRY_TYPES.CHECK_OUT,
+      );
+      const { entry, status } = await attendanceService.checkOut(agentId, location, { assessment });
+      Alert.alert(
+        'Checked Out',
+        `Duration: ${formatDuration(entry.duration)}${status === 'queued' ? '\nIt will be sent when you are back online.' : ''}`,
+      );
+    } catch (e: any) {
+      Alert.alert('Error', e?.message || 'Failed to check out. Please try again.');
     } finally {
       setLoading(false);
     }
   };
 
   // Computed stats
-  const today = new Date().toDateString();
-  const todayEntries = history.filter((e) => new Date(e.timestamp).toDateString() === today);
-  const checkIns = todayEntries.filter((e) => e.type === 'check_in').length;
-  const checkOuts = todayEntries.filter((e) => e.type === 'check_out').length;
-  const totalMins = todayEntries
-    .filter((e) => e.type === 'check_out')
-    .reduce((sum, e) => sum + (e.duration || 0), 0);
+  const { checkIns, checkOuts, totalMinutes: totalMins } = summarizeDay(history);
 
   const workingMins = isCheckedIn && checkInTime
     ? Math.floor((Date.now() - checkInTime.getTime()) / 60000)
@@ -334,6 +368,19 @@ export default function AgentAttendanceScreen({ navigation }: { navigation: any
           <StatCard icon="time-outline"    iconColor="#2563eb" label="Total Time" value={formatDuration(totalMins)} />
         </View>
 
+        <TouchableOpacity
+          onPress={() => navigation.navigate('Timesheet')}
+          activeOpacity={0.85}
+          style={{
+            backgroundColor: '#fff', borderRadius: 14, paddingVertical: 12, marginTop: -8, marginBottom: 20,
+            flexDirection: 'row', alignItems: 'center', justifyContent: 'center',
+            borderWidth: 1, borderColor: '#e2e8f0',
+          }}
+        >
+          <Ionicons name="calendar-outline" size={18} color={PRIMARY} style={{ marginRight: 8 }} />
+          <Text style={{ color: PRIMARY, fontWeight: '700', fontSize: 14 }}>View Timesheet</Text>
+        </TouchableOpacity>
+
         {/* ── Recent activity ── */}
         <Text style={{
           fontSize: 11, fontWeight: '700', color: '#94a3b8',
@@ -416,6 +463,18 @@ export default function AgentAttendanceScreen({ navigation }: { navigation: any
                     </Text>
                   )}
 
+                  {!!item.flags?.length && (
+                    <Text style={{ fontSize: 11, color: '#d97706', marginTop: 2 }}>
+                      ⚠ {describeFlags(item).join(' • ')}
+                    </Text>
+                  )}
+
+                  {item.autoClosed && (
+                    <Text style={{ fontSize: 11, color: '#d97706', marginTop: 2 }}>
+                      {describeAutoClose(item)}
+                    </Text>
+                  )}
+
                   {!isIn && item.duration && item.duration > 0 && (
                     <Text style={{ fontSize: 11, color: '#64748b', marginTop: 2 }}>
                       Duration: {formatDuration(item.duration)}
@@ -427,6 +486,13 @@ export default function AgentAttendanceScreen({ navigation }: { navigation: any
           })
         )}
       </ScrollView>
+
+      <AttendanceCheckModal
+        visible={!!pendingCheckIn}
+        assessment={pendingCheckIn?.assessment}
+        onCancel={() => setPendingCheckIn(null)}
+        onContinue={confirmCheckIn}
+      />
     </View>
   );
 }
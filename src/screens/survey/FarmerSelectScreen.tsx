@@ -1,20 +1,35 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   View, Text, TextInput, FlatList, TouchableOpacity,
   ActivityIndicator, Alert, StatusBar,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useSurveyStore } from '../../store/surveyStore';
+import { useAuth } from '../../store/AuthContext';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports
+const { farmerIndexService } = require('../../services/farmerIndexService') as {
+  farmerIndexService: {
+    refresh: (scope: { state: string | null; lga: string | null }) => Promise<unknown>;
+  };
+};
 
 export default function FarmerSelectScreen({ navigation }: { navigation: any }) {
   const {
     selectedSurvey, loadingDetail, detailError,
-    farmerQuery, farmerResults, searchingFarmers, farmerAlreadyCompleted,
+    farmerQuery, farmerResults, searchingFarmers, farmerResultsOffline,
     setFarmerQuery, searchFarmers, selectFarmer,
   } = useSurveyStore();
+  const { user } = useAuth() as any;
 
   const [localQuery, setLocalQuery] = useState(farmerQuery);
 
+  // Keep the offline farmer index current so searches still work without coverage
+  useEffect(() => {
+    if (!user) return;
+    farmerIndexService.refresh({ state: user.assignedState, lga: user.assignedLga });
+  }, [user?.id, user?.assignedState, user?.assignedLga]);
+
   if (loadingDetail) {
     return (
       <View style={{ flex: 1, alignItems: 'center', justifyContent: 'center' }}>
@@ -45,10 +60,14 @@ export default function FarmerSelectScreen({ navigation }: { navigation: any })
 
   const handleSelectFarmer = async (farmer: any) => {
     await selectFarmer(farmer);
+    // Read the result from the store — the destructured value is from before the check
+    const { farmerAlreadyCompleted, farmerResponseQueued } = useSurveyStore.getState();
     if (farmerAlreadyCompleted) {
       Alert.alert(
         'Already Completed',
-        `${farmer.firstName} ${farmer.lastName} has already completed this survey.`,
+        farmerResponseQueued
+          ? `${farmer.firstName} ${farmer.lastName}'s response to this survey is saved on this device and awaiting upload.`
+          : `${farmer.firstName} ${farmer.lastName} has already completed this survey.`,
         [{ text: 'OK' }],
       );
       return;
@@ -108,6 +127,12 @@ export default function FarmerSelectScreen({ navigation }: { navigation: any })
             </TouchableOpacity>
           )}
         </View>
+        {farmerResultsOffline && farmerResults.length > 0 && (
+          <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: 8 }}>
+            <Ionicons name="cloud-offline-outline" size={14} color="#b45309" style={{ marginRight: 6 }} />
+            <Text style={{ color: '#92400e', fontSize: 12 }}>Offline — results from the downloaded farmer index</Text>
+          </View>
+        )}
       </View>
 
       {/* Results */}
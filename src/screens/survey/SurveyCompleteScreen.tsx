@@ -4,7 +4,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { useSurveyStore } from '../../store/surveyStore';
 
 export default function SurveyCompleteScreen({ navigation }: { navigation: any }) {
-  const { selectedSurvey, selectedFarmer, submitError, resetSession } = useSurveyStore();
+  const { selectedSurvey, selectedFarmer, submitError, submitQueued, resetSession } = useSurveyStore();
 
   const success = !submitError;
 
@@ -33,19 +33,22 @@ export default function SurveyCompleteScreen({ navigation }: { navigation: any }
         }}
       >
         <Ionicons
-          name={success ? 'checkmark-circle' : 'warning'}
+          name={success ? (submitQueued ? 'cloud-upload' : 'checkmark-circle') : 'warning'}
           size={54}
           color="#ffffff"
         />
       </View>
 
       <Text style={{ color: '#ffffff', fontSize: 24, fontWeight: '800', textAlign: 'center', marginBottom: 12 }}>
-        {success ? 'Survey Submitted!' : 'Submission Failed'}
+        {success ? (submitQueued ? 'Survey Saved' : 'Survey Submitted!') : 'Submission Failed'}
       </Text>
 
       {success && selectedFarmer && selectedSurvey ? (
         <Text style={{ color: 'rgba(255,255,255,0.75)', fontSize: 14, textAlign: 'center', lineHeight: 22 }}>
-          {selectedFarmer.firstName} {selectedFarmer.lastName}'s responses{'\n'}for "{selectedSurvey.title}"{'\n'}have been recorded.
+          {selectedFarmer.firstName} {selectedFarmer.lastName}'s responses{'\n'}for "{selectedSurvey.title}"{'\n'}
+          {submitQueued
+            ? 'are saved on this device and will upload when you\'re back online.'
+            : 'have been recorded.'}
         </Text>
       ) : (
         <Text style={{ color: 'rgba(255,255,255,0.75)', fontSize: 14, textAlign: 'center', lineHeight: 22 }}>
@@ -7,16 +7,22 @@ import { Ionicons } from '@expo/vector-icons';
 import { useSurveyStore } from '../../store/surveyStore';
 
 export default function SurveyListScreen({ navigation }: { navigation: any }) {
-  const { surveys, loadingSurveys, surveysError, loadSurveys, selectSurvey, clearSurvey } =
-    useSurveyStore();
+  const {
+    surveys, loadingSurveys, surveysError, queuedResponses,
+    loadSurveys, loadQueuedResponses, selectSurvey, clearSurvey,
+  } = useSurveyStore();
 
   useEffect(() => {
     const unsub = navigation.addListener('focus', () => {
       loadSurveys();
+      loadQueuedResponses();
     });
     return unsub;
   }, [navigation]);
 
+  const awaitingUpload = (surveyId: string) =>
+    queuedResponses.filter((r) => r.surveyId === surveyId);
+
   const handleSelect = async (surveyId: string) => {
     clearSurvey();
     await selectSurvey(surveyId);
@@ -81,52 +87,67 @@ export default function SurveyListScreen({ navigation }: { navigation: any }) {
         refreshControl={
           <RefreshControl refreshing={loadingSurveys} onRefresh={loadSurveys} colors={['#013358']} />
         }
-        renderItem={({ item }) => (
-          <TouchableOpacity
-            onPress={() => handleSelect(item.id)}
-            activeOpacity={0.8}
-            style={{
-              backgroundColor: '#fff',
-              borderRadius: 14,
-              padding: 18,
-              marginBottom: 12,
-              flexDirection: 'row',
-              alignItems: 'center',
-              shadowColor: '#000',
-              shadowOffset: { width: 0, height: 1 },
-              shadowOpacity: 0.06,
-              shadowRadius: 5,
-              elevation: 2,
-            }}
-          >
-            <View
+        renderItem={({ item }) => {
+          const pending = awaitingUpload(item.id);
+          return (
+            <TouchableOpacity
+              onPress={() => handleSelect(item.id)}
+              activeOpacity={0.8}
               style={{
-                width: 46, height: 46, borderRadius: 12,
-                backgroundColor: '#d1fae5', alignItems: 'center', justifyContent: 'center',
-                marginRight: 14,
+                backgroundColor: '#fff',
+                borderRadius: 14,
+                padding: 18,
+                marginBottom: 12,
+                flexDirection: 'row',
+                alignItems: 'center',
+                shadowColor: '#000',
+                shadowOffset: { width: 0, height: 1 },
+                shadowOpacity: 0.06,
+                shadowRadius: 5,
+                elevation: 2,
               }}
             >
-              <Ionicons name="clipboard-outline" size={22} color="#065f46" />
-            </View>
+              <View
+                style={{
+                  width: 46, height: 46, borderRadius: 12,
+                  backgroundColor: '#d1fae5', alignItems: 'center', justifyContent: 'center',
+                  marginRight: 14,
+                }}
+              >
+                <Ionicons name="clipboard-outline" size={22} color="#065f46" />
+              </View>
 
-            <View style={{ flex: 1 }}>
-              <Text style={{ fontSize: 15, fontWeight: '700', color: '#0f172a' }}>
-                {item.title}
-              </Text>
-              {item.description ? (
-                <Text numberOfLines={1} style={{ fontSize: 12, color: '#64748b', marginTop: 2 }}>
-                  {item.description}
+              <View style={{ flex: 1 }}>
+                <Text style={{ fontSize: 15, fontWeight: '700', color: '#0f172a' }}>
+                  {item.title}
                 </Text>
-              ) : null}
-              <Text style={{ fontSize: 11, color: '#94a3b8', marginTop: 4 }}>
-                {item._count.questions} question{item._count.questions !== 1 ? 's' : ''} ·{' '}
-                {item._count.responses} response{item._count.responses !== 1 ? 's' : ''}
-              </Text>
-            </View>
+                {item.description ? (
+                  <Text numberOfLines={1} style={{ fontSize: 12, color: '#64748b', marginTop: 2 }}>
+                    {item.description}
+                  </Text>
+                ) : null}
+                <Text style={{ fontSize: 11, color: '#94a3b8', marginTop: 4 }}>
+                  {item._count.questions} question{item._count.questions !== 1 ? 's' : ''} ·{' '}
+                  {item._count.responses} response{item._count.responses !== 1 ? 's' : ''}
+                </Text>
+                {pending.length > 0 && (
+                  <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: 6 }}>
+                    <Ionicons
+                      name={pending.some((r) => r.status === 'failed') ? 'alert-circle' : 'cloud-upload-outline'}
+                      size={13}
+                      color="#b45309"
+                    />
+                    <Text style={{ fontSize: 11, color: '#b45309', fontWeight: '600', marginLeft: 4 }}>
+                      {pending.length} awaiting upload
+                    </Text>
+                  </View>
+                )}
+              </View>
 
-            <Ionicons name="chevron-forward" size={18} color="#cbd5e1" />
-          </TouchableOpacity>
-        )}
+              <Ionicons name="chevron-forward" size={18} color="#cbd5e1" />
+            </TouchableOpacity>
+          );
+        }}
       />
     </View>
   );
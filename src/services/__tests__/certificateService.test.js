@@ -0,0 +1,83 @@
+import nacl from 'tweetnacl';
+import { TOKEN_PREFIX, base64UrlEncode } from '../../utils/certificateToken';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('@react-native-community/netinfo', () =>
+  require('@react-native-community/netinfo/jest/netinfo-mock.js')
+);
+jest.mock('../firebase', () => ({
+  auth: { currentUser: { getIdToken: async () => 'test-token' } },
+}));
+jest.mock('../../config/api', () => ({
+  __esModule: true,
+  default: {
+    BASE_URL: 'https://fims.example',
+    ENDPOINTS: { MOBILE_CERTIFICATES: '/api/mobile/certificates' },
+    CERTIFICATES: { VERIFY_BASE_URL: 'https://fims.example/verify-certificate', PUBLIC_KEYS: {} },
+  },
+}));
+
+const API_CONFIG = require('../../config/api').default;
+const { certificateService } = require('../certificateService');
+
+const ascii = text => Uint8Array.from(text, char => char.charCodeAt(0));
+const { publicKey, secretKey } = nacl.sign.keyPair.fromSeed(new Uint8Array(32).fill(1));
+
+const signToken = (claims) => {
+  const signedText = `${TOKEN_PREFIX}.${base64UrlEncode(ascii(JSON.stringify(claims)))}`;
+  return `${signedText}.${base64UrlEncode(nacl.sign.detached(ascii(signedText), secretKey))}`;
+};
+
+const respondWith = (claims) => {
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    json: async () => ({ certificateId: 'CERT-1', token: signToken(claims), issuedAt: '2025-03-14T10:00:00.000Z' }),
+  }));
+};
+
+const CLAIMS = { kid: 'fims-test', cid: 'CERT-1', fid: 'farmer_1', iat: '2025-03-14' };
+
+const realFetch = global.fetch;
+
+beforeEach(() => {
+  API_CONFIG.CERTIFICATES.PUBLIC_KEYS = { 'fims-test': base64UrlEncode(publicKey) };
+});
+
+afterAll(() => {
+  global.fetch = realFetch;
+});
+
+describe('certificateService.issue', () => {
+  it('keeps a certificate signed for the requested farmer', async () => {
+    respondWith(CLAIMS);
+
+    const certificate = await certificateService.issue('farmer_1');
+
+    expect(certificate).toMatchObject({ certificateId: 'CERT-1', farmerId: 'farmer_1' });
+    expect(await certificateService.getCached('farmer_1')).toEqual(certificate);
+  });
+
+  it('refuses a certificate signed for a different farmer', async () => {
+    respondWith({ ...CLAIMS, fid: 'farmer_2' });
+
+    await expect(certificateService.issue('farmer_1')).rejects.toThrow('a different farmer');
+  });
+
+  it('refuses a certificate signed with an unknown key', async () => {
+    respondWith({ ...CLAIMS, kid: 'fims-2031' });
+
+    await expect(certificateService.issue('farmer_1')).rejects.toThrow('a key this app does not know');
+  });
+
+  it('still issues certificates in a build without public keys', async () => {
+    API_CONFIG.CERTIFICATES.PUBLIC_KEYS = {};
+    respondWith(CLAIMS);
+
+    await expect(certificateService.issue('farmer_1')).resolves.toMatchObject({ certificateId: 'CERT-1' });
+
+    respondWith({ ...CLAIMS, fid: 'farmer_2' });
+    await expect(certificateService.issue('farmer_1')).rejects.toThrow('a different farmer');
+  });
+});
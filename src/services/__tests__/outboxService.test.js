@@ -0,0 +1,184 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('@react-native-community/netinfo', () =>
+  require('@react-native-community/netinfo/jest/netinfo-mock.js')
+);
+jest.mock('../firebase', () => ({
+  auth: {
+    currentUser: { getIdToken: async () => 'test-token' },
+    onAuthStateChanged: jest.fn(() => () => {}),
+  },
+}));
+
+/**
+ * Replays against a local server standing in for the API: a 409 echoing our
+ * idempotency key, a 412 stale edit, and a response lost after the server
+ * had already committed the write.
+ */
+
+let server;
+let baseUrl;
+let requests;
+let respond;
+let outboxService;
+let OPERATION_TYPES;
+let AsyncStorage;
+
+const readBody = req =>
+  new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(body ? JSON.parse(body) : null));
+  });
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+beforeAll(async () => {
+  server = http.createServer(async (req, res) => {
+    if (req.url === '/api/health') {
+      sendJson(res, 200, { ok: true });
+      return;
+    }
+    const body = await readBody(req);
+    const request = { method: req.method, url: req.url, headers: req.headers, body };
+    requests.push(request);
+    respond(request, req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  jest.doMock('../../config/api', () => {
+    const actual = jest.requireActual('../../config/api').default;
+    return { __esModule: true, default: { ...actual, BASE_URL: baseUrl } };
+  });
+
+  // farmerService checks connectivity against a public host first
+  const realFetch = global.fetch;
+  global.fetch = (url, options) =>
+    String(url).startsWith('https://www.google.com')
+      ? Promise.resolve(new Response(null, { status: 200 }))
+      : realFetch(url, options);
+
+  AsyncStorage = require('@react-native-async-storage/async-storage');
+  ({ outboxService, OPERATION_TYPES } = require('../outboxService'));
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(async () => {
+  requests = [];
+  respond = (request, req, res) => sendJson(res, 500, { error: 'Unexpected request' });
+  await AsyncStorage.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const getOperation = async (id) =>
+  (await outboxService.getOperations()).find(op => op.id === id);
+
+const queueFarmer = () =>
+  outboxService.enqueue(OPERATION_TYPES.FARMER_CREATE, {
+    farmerData: { nin: '12345678901', firstName: 'Amina' },
+  });
+
+describe('outboxService.processOperation', () => {
+  it('treats a 409 echoing the idempotency key as synced', async () => {
+    const operation = await queueFarmer();
+    respond = (request, req, res) =>
+      sendJson(res, 409, {
+        error: 'Farmer already exists',
+        existing: { id: 'farmer_1', clientId: request.body.clientId },
+      });
+
+    const outcome = await outboxService.processOperation(operation.id);
+
+    expect(outcome).toMatchObject({ success: true, result: { id: 'farmer_1' } });
+    expect(requests[0].headers['idempotency-key']).toBe(operation.idempotencyKey);
+    expect(requests[0].body.clientId).toBe(operation.idempotencyKey);
+
+    const stored = await getOperation(operation.id);
+    expect(stored.status).toBe('synced');
+    expect(stored.result).toEqual({ id: 'farmer_1', clientId: operation.idempotencyKey });
+  });
+
+  it('fails a 409 for a different record without retrying', async () => {
+    const operation = await queueFarmer();
+    respond = (request, req, res) =>
+      sendJson(res, 409, {
+        error: 'NIN already registered',
+        existing: { id: 'farmer_2', clientId: 'another-device-key' },
+      });
+
+    const outcome = await outboxService.processOperation(operation.id);
+
+    expect(outcome).toMatchObject({ success: false, retryable: false });
+    const stored = await getOperation(operation.id);
+    expect(stored).toMatchObject({ status: 'failed', exhausted: true, lastError: 'NIN already registered' });
+  });
+
+  it('keeps a 412 as a conflict with the server copy', async () => {
+    const current = { id: 'farmer_1', firstName: 'Amina', updatedAt: '2024-05-02T10:00:00.000Z' };
+    const operation = await outboxService.enqueue(OPERATION_TYPES.CORRECTION_FARMER, {
+      farmerId: 'farmer_1',
+      changes: { firstName: 'Aminat' },
+      baseUpdatedAt: '2024-05-01T09:00:00.000Z',
+    });
+    respond = (request, req, res) =>
+      sendJson(res, 412, { error: 'Farmer was changed on the server', current });
+
+    const outcome = await outboxService.processOperation(operation.id);
+
+    expect(outcome).toMatchObject({ success: false, retryable: false });
+    expect(requests[0].method).toBe('PATCH');
+    expect(requests[0].headers['if-match']).toBe('"2024-05-01T09:00:00.000Z"');
+
+    const stored = await getOperation(operation.id);
+    expect(stored).toMatchObject({ status: 'failed', exhausted: true, conflict: current });
+  });
+
+  it('retries a response lost after commit with the same clientId and Idempotency-Key', async () => {
+    const committed = new Map();
+    respond = (request, req, res) => {
+      const key = request.headers['idempotency-key'];
+      if (committed.has(key)) {
+        sendJson(res, 409, { error: 'Duplicate request', existing: committed.get(key) });
+        return;
+      }
+      // Commit, then drop the connection before answering
+      committed.set(key, { id: `farmer_${committed.size + 1}`, clientId: request.body.clientId });
+      req.socket.destroy();
+    };
+
+    const operation = await queueFarmer();
+
+    const first = await outboxService.processOperation(operation.id);
+    expect(first).toMatchObject({ success: false, retryable: true });
+    expect(await getOperation(operation.id)).toMatchObject({ status: 'failed', attempts: 1, exhausted: false });
+
+    const second = await outboxService.processOperation(operation.id);
+    expect(second).toMatchObject({ success: true, result: { id: 'farmer_1' } });
+
+    expect(requests).toHaveLength(2);
+    expect(committed.size).toBe(1);
+    expect(requests[1].headers['idempotency-key']).toBe(requests[0].headers['idempotency-key']);
+    expect(requests[1].body.clientId).toBe(requests[0].body.clientId);
+    expect(requests[0].body.clientId).toBe(operation.idempotencyKey);
+    expect((await getOperation(operation.id)).status).toBe('synced');
+  });
+});
@@ -0,0 +1,604 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import API_CONFIG from '../config/api';
+import { auth } from './firebase';
+import { outboxService, OPERATION_TYPES } from './outboxService';
+import { evaluateGeofence, detectJump } from '../utils/geofence';
+
+/**
+ * Agent attendance
+ *
+ * Check-ins and check-outs for each agent on the device, stored under a key
+ * per agent so a second agent signing in on a shared phone starts from their
+ * own state. Every entry is written locally first and sent through the outbox,
+ * so attendance recorded without coverage reaches the server later, in order.
+ * On sign-in the local record is reconciled with the server's: the server's
+ * entries win, and entries still waiting in the outbox are kept on top.
+ *
+ * Each fix is checked against the agent's assigned work area before it is
+ * recorded; the result, any flags and the agent's reason travel with the entry.
+ *
+ * Shift rules close a session the agent forgot to check out of, at the
+ * maximum shift length or the daily cutoff, whichever comes first. These
+ * auto-closed check-outs are marked and left out of worked time until the
+ * agent confirms when they really stopped.
+ */
+
+const RECORD_KEY_PREFIX = '@attendance_';
+const MAX_HISTORY = 500;
+const RECONCILE_WINDOW_DAYS = 30;
+
+// Global keys used before attendance was stored per agent - migrated on first load
+const LEGACY_KEYS = {
+  CHECKED_IN: 'isCheckedIn',
+  CHECK_IN_TIME: 'checkInTime',
+  HISTORY: 'attendanceHistory',
+};
+
+export const ENTRY_TYPES = {
+  CHECK_IN: 'check_in',
+  CHECK_OUT: 'check_out',
+};
+
+// Overridden per agent by shiftRules in their FIMS profile
+export const DEFAULT_SHIFT_RULES = {
+  maxShiftHours: 12,
+  autoCheckoutTime: '20:00', // Local time; a session still open then is closed
+};
+
+export const AUTO_CLOSE_RULES = {
+  MAX_SHIFT: 'max_shift',
+  CUTOFF: 'cutoff',
+};
+
+export const ATTENDANCE_FLAGS = {
+  OUTSIDE_AREA: 'outside_area',
+  AREA_NOT_CHECKED: 'area_not_checked', // No assignment, or no boundary for the assigned unit
+  MOCK_LOCATION: 'mock_location',
+  IMPLAUSIBLE_JUMP: 'implausible_jump',
+};
+
+const generateEntryId = () =>
+  `att_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+const emptyRecord = (agentId) => ({ agentId, history: [], reconciledAt: null });
+
+const byTimestamp = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+
+const minutesBetween = (from, to) =>
+  Math.max(0, Math.floor((new Date(to) - new Date(from)) / 60000));
+
+// The open check-in is the latest entry when it is a check-in
+const openCheckIn = (history) => {
+  const last = history[history.length - 1];
+  return last?.type === ENTRY_TYPES.CHECK_IN ? last : null;
+};
+
+// What an entry records about its fix: inside/outside, distance, flags and reason
+const assessmentFields = (assessment, reason) => {
+  if (!assessment) return {};
+  const { geofence, jump, flags } = assessment;
+  return {
+    geofence: {
+      status: geofence.status,
+      inside: geofence.inside,
+      fence: geofence.fence,
+      distanceM: geofence.distanceM,
+      ...(geofence.reason ? { reason: geofence.reason } : {}),
+    },
+    ...(jump ? { jump: { distanceM: jump.distanceM, speedKmh: jump.speedKmh } } : {}),
+    flags,
+    reason: reason?.trim() || null,
+  };
+};
+
+// Server entries echo the client id they were created with
+const fromServerEntry = ({ clientId, ...entry }) => ({
+  ...entry,
+  id: clientId || entry.id,
+  location: entry.location || null,
+  date: entry.date || new Date(entry.timestamp).toDateString(),
+});
+
+/**
+ * When the shift rules close a session that started at checkInTime:
+ * { at, rule }, or null when no rule applies
+ */
+export function autoCloseTime(checkInTime, rules = DEFAULT_SHIFT_RULES) {
+  const start = new Date(checkInTime);
+  const candidates = [];
+
+  if (rules.maxShiftHours > 0) {
+    candidates.push({
+      at: new Date(start.getTime() + rules.maxShiftHours * 60 * 60 * 1000),
+      rule: AUTO_CLOSE_RULES.MAX_SHIFT,
+    });
+  }
+
+  const [hours, minutes] = (rules.autoCheckoutTime || '').split(':').map(Number);
+  if (Number.isInteger(hours) && Number.isInteger(minutes)) {
+    // The first cutoff after the check-in
+    const cutoff = new Date(start);
+    cutoff.setHours(hours, minutes, 0, 0);
+    if (cutoff <= start) cutoff.setDate(cutoff.getDate() + 1);
+    candidates.push({ at: cutoff, rule: AUTO_CLOSE_RULES.CUTOFF });
+  }
+
+  if (candidates.length === 0) return null;
+  return candidates.reduce((earliest, candidate) => (candidate.at < earliest.at ? candidate : earliest));
+}
+
+export const attendanceService = {
+  listeners: [],
+  writeLock: Promise.resolve(),
+  migrationPromise: null,
+  reconcilePromises: {},
+
+  getAgentId(user = null) {
+    return user?.uid || user?.id || auth.currentUser?.uid || null;
+  },
+
+  // ── Storage ────────────────────────────────────────────────────────────────
+
+  async readRecord(agentId) {
+    await this.migrateLegacyKeys();
+    try {
+      const json = await AsyncStorage.getItem(`${RECORD_KEY_PREFIX}${agentId}`);
+      return json ? JSON.parse(json) : emptyRecord(agentId);
+    } catch (error) {
+      console.error('Error reading attendance:', error);
+      return emptyRecord(agentId);
+    }
+  },
+
+  /**
+   * Read-modify-write an agent's record; writes are serialised so a
+   * reconciliation can't overwrite a check-in made while it ran
+   */
+  mutate(agentId, updater) {
+    const run = this.writeLock.then(async () => {
+      const record = await this.readRecord(agentId);
+      const next = await updater(record);
+      next.history = [...next.history].sort(byTimestamp).slice(-MAX_HISTORY);
+      await AsyncStorage.setItem(`${RECORD_KEY_PREFIX}${agentId}`, JSON.stringify(next));
+      return next;
+    });
+    this.writeLock = run.catch(() => {});
+    return run.then((record) => {
+      this.notify(agentId);
+      return record;
+    });
+  },
+
+  /**
+   * Move the shared pre-per-agent keys into each agent's record. Entries carry
+   * their agentId; the open check-in goes to the agent whose last entry it is.
+   */
+  migrateLegacyKeys() {
+    if (!this.migrationPromise) {
+      this.migrationPromise = this.runLegacyMigration().catch((error) => {
+        console.error('Error migrating attendance:', error);
+      });
+    }
+    return this.migrationPromise;
+  },
+
+  async runLegacyMigration() {
+    const json = await AsyncStorage.getItem(LEGACY_KEYS.HISTORY);
+    if (!json) {
+      await AsyncStorage.multiRemove([LEGACY_KEYS.CHECKED_IN, LEGACY_KEYS.CHECK_IN_TIME]);
+      return;
+    }
+
+    const byAgent = {};
+    for (const entry of JSON.parse(json)) {
+      if (!entry?.agentId || !entry.timestamp) continue;
+      byAgent[entry.agentId] = byAgent[entry.agentId] || [];
+      byAgent[entry.agentId].push({ ...entry, id: entry.id || `legacy_${entry.agentId}_${entry.timestamp}` });
+    }
+
+    for (const [agentId, entries] of Object.entries(byAgent)) {
+      const key = `${RECORD_KEY_PREFIX}${agentId}`;
+      const existing = await AsyncStorage.getItem(key);
+      if (existing) continue;
+      const record = { ...emptyRecord(agentId), history: entries.sort(byTimestamp).slice(-MAX_HISTORY) };
+      await AsyncStorage.setItem(key, JSON.stringify(record));
+    }
+
+    await AsyncStorage.multiRemove(Object.values(LEGACY_KEYS));
+    console.log(`📦 Attendance: migrated history for ${Object.keys(byAgent).length} agent(s)`);
+  },
+
+  // ── Reading ────────────────────────────────────────────────────────────────
+
+  /**
+   * { checkedIn, checkIn, checkInTime, history, reconciledAt } for an agent;
+   * history is oldest first
+   */
+  async getState(agentId) {
+    const record = await this.readRecord(agentId);
+    const checkIn = openCheckIn(record.history);
+    return {
+      checkedIn: !!checkIn,
+      checkIn,
+      checkInTime: checkIn ? new Date(checkIn.timestamp) : null,
+      history: record.history,
+      reconciledAt: record.reconciledAt,
+    };
+  },
+
+  /**
+   * Ids of the agent's entries that have not reached the server yet
+   */
+  async getPendingEntryIds(agentId) {
+    const operations = await outboxService.getUnsynced(OPERATION_TYPES.ATTENDANCE_RECORD);
+    return new Set(
+      operations
+        .map(op => op.payload?.entry)
+        .filter(entry => entry?.agentId === agentId && entry.id)
+        .map(entry => entry.id)
+    );
+  },
+
+  /**
+   * The agent's work area from their profile: assigned state, LGA and ward
+   * plus any configured attendance sites
+   */
+  getAssignment(user) {
+    return {
+      state: user?.assignedState || null,
+      lga: user?.assignedLga || null,
+      ward: user?.assignedWard || null,
+      sites: user?.attendanceSites || [],
+    };
+  },
+
+  /**
+   * Check a fix before recording it: { geofence, jump, flags, requiresReason }.
+   * geofence is the evaluateGeofence result, jump the distance and speed from
+   * the agent's previous fix. Check-ins outside the work area need a reason.
+   */
+  async assessFix(agentId, location, assignment, type = ENTRY_TYPES.CHECK_IN) {
+    const { history } = await this.getState(agentId);
+    const previous = [...history].reverse().find(entry => entry.location?.latitude);
+    const timestamp = location.timestamp || new Date().toISOString();
+
+    const geofence = evaluateGeofence(location, assignment);
+    const jump = previous
+      ? detectJump({ ...previous.location, timestamp: previous.timestamp }, { ...location, timestamp })
+      : null;
+
+    const flags = [];
+    if (geofence.status === 'outside') flags.push(ATTENDANCE_FLAGS.OUTSIDE_AREA);
+    // Without any boundary data no one's area can be checked, and a flag on every entry would bury the real ones
+    if (geofence.status === 'unknown' && geofence.reason !== 'no_boundary_data') {
+      flags.push(ATTENDANCE_FLAGS.AREA_NOT_CHECKED);
+    }
+    if (location.mocked) flags.push(ATTENDANCE_FLAGS.MOCK_LOCATION);
+    if (jump?.implausible) flags.push(ATTENDANCE_FLAGS.IMPLAUSIBLE_JUMP);
+
+    return {
+      geofence,
+      jump,
+      flags,
+      requiresReason: type === ENTRY_TYPES.CHECK_IN && geofence.status === 'outside',
+    };
+  },
+
+  // ── Shift rules ────────────────────────────────────────────────────────────
+
+  getShiftRules(user) {
+    return { ...DEFAULT_SHIFT_RULES, ...(user?.shiftRules || {}) };
+  },
+
+  /**
+   * Close the agent's open session if it has run past the shift rules.
+   * Resolves with the auto-closed check-out, or null when nothing was closed.
+   */
+  async applyShiftRules(agentId, rules = DEFAULT_SHIFT_RULES, now = new Date()) {
+    const { checkIn } = await this.getState(agentId);
+    const close = checkIn ? autoCloseTime(checkIn.timestamp, rules) : null;
+    if (!close || close.at > now) return null;
+
+    let entry = null;
+    await this.mutate(agentId, (record) => {
+      // Checked out (or closed) while we were reading
+      const open = openCheckIn(record.history);
+      if (open?.id !== checkIn.id) return record;
+
+      const timestamp = close.at.toISOString();
+      entry = {
+        id: generateEntryId(),
+        type: ENTRY_TYPES.CHECK_OUT,
+        timestamp,
+        location: null,
+        agentId,
+        date: close.at.toDateString(),
+        duration: minutesBetween(checkIn.timestamp, timestamp),
+        checkInId: checkIn.id,
+        autoClosed: true,
+        autoCloseRule: close.rule,
+        autoClosedAt: timestamp,
+        needsConfirmation: true,
+      };
+      return { ...record, history: [...record.history, entry] };
+    });
+    if (!entry) return null;
+
+    console.log(`⏱️ Attendance: closed forgotten session (${close.rule})`);
+    // Kept locally even if the server refuses it, so the session stays closed
+    await this.send(entry, { keepOnError: true }).catch((error) => {
+      console.error('Error sending auto check-out:', error.message);
+    });
+    return entry;
+  },
+
+  /**
+   * Auto-closed check-outs the agent has not confirmed yet, oldest first,
+   * each with the checkInTime of the session it closed
+   */
+  async getUnconfirmedAutoCheckouts(agentId) {
+    const { history } = await this.getState(agentId);
+    return history
+      .filter(entry => entry.autoClosed && entry.needsConfirmation)
+      .map(entry => ({
+        ...entry,
+        checkInTime: history.find(item => item.id === entry.checkInId)?.timestamp || null,
+      }));
+  },
+
+  /**
+   * Record when the agent really stopped for an auto-closed session. The end
+   * can't be before the check-in or after the time the rules closed it.
+   */
+  async confirmAutoCheckout(agentId, entryId, endTime) {
+    let updated = null;
+    await this.mutate(agentId, (record) => {
+      const entry = record.history.find(item => item.id === entryId);
+      const checkIn = record.history.find(item => item.id === entry?.checkInId);
+      if (!entry || !checkIn) {
+        throw new Error('That session is no longer on this device.');
+      }
+
+      const end = new Date(endTime);
+      if (end < new Date(checkIn.timestamp) || end > new Date(entry.autoClosedAt)) {
+        throw new Error('The end time must be between your check-in and the automatic check-out.');
+      }
+
+      updated = {
+        ...entry,
+        timestamp: end.toISOString(),
+        date: end.toDateString(),
+        duration: minutesBetween(checkIn.timestamp, end),
+        needsConfirmation: false,
+        confirmedAt: new Date().toISOString(),
+      };
+      return { ...record, history: record.history.map(item => (item.id === entryId ? updated : item)) };
+    });
+
+    // The server updates the check-out with the same client id
+    await this.send(updated, { keepOnError: true }).catch((error) => {
+      console.error('Error sending confirmed check-out:', error.message);
+    });
+    return updated;
+  },
+
+  // ── Recording ──────────────────────────────────────────────────────────────
+
+  /**
+   * options: { assessment, reason } - the assessFix result for this location
+   * and the agent's explanation, required when the assessment asks for one
+   */
+  async checkIn(agentId, location, { assessment = null, reason = null } = {}) {
+    if (assessment?.requiresReason && !reason?.trim()) {
+      throw new Error('Please give a reason for checking in outside your work area.');
+    }
+
+    const entry = {
+      id: generateEntryId(),
+      type: ENTRY_TYPES.CHECK_IN,
+      timestamp: new Date().toISOString(),
+      location,
+      agentId,
+      date: new Date().toDateString(),
+      ...assessmentFields(assessment, reason),
+    };
+
+    await this.mutate(agentId, (record) => {
+      if (openCheckIn(record.history)) {
+        throw new Error('You are already checked in.');
+      }
+      return { ...record, history: [...record.history, entry] };
+    });
+    return this.send(entry);
+  },
+
+  async checkOut(agentId, location, { assessment = null, reason = null } = {}) {
+    const timestamp = new Date().toISOString();
+    let entry = null;
+
+    await this.mutate(agentId, (record) => {
+      const checkIn = openCheckIn(record.history);
+      if (!checkIn) {
+        throw new Error('You are not checked in.');
+      }
+      entry = {
+        id: generateEntryId(),
+        type: ENTRY_TYPES.CHECK_OUT,
+        timestamp,
+        location,
+        agentId,
+        date: new Date(timestamp).toDateString(),
+        duration: minutesBetween(checkIn.timestamp, timestamp),
+        checkInId: checkIn.id,
+        ...assessmentFields(assessment, reason),
+      };
+      return { ...record, history: [...record.history, entry] };
+    });
+    return this.send(entry);
+  },
+
+  /**
+   * Queue an entry in the outbox and try it straight away. Resolves with
+   * { entry, status: 'synced' | 'queued' }; an entry the server rejects
+   * outright is removed again (unless keepOnError) and the error rethrown.
+   */
+  async send(entry, { keepOnError = false } = {}) {
+    try {
+      const outcome = await outboxService.submit(
+        OPERATION_TYPES.ATTENDANCE_RECORD,
+        { endpoint: API_CONFIG.ENDPOINTS.MOBILE_ATTENDANCE, entry },
+        {
+          group: `attendance:${entry.agentId}`,
+          label: entry.type === ENTRY_TYPES.CHECK_OUT ? 'Check-out' : 'Check-in',
+          description: new Date(entry.timestamp).toLocaleString(),
+        }
+      );
+      return { entry, status: outcome.status };
+    } catch (error) {
+      if (keepOnError) throw error;
+      await this.mutate(entry.agentId, record => ({
+        ...record,
+        history: record.history.filter(item => item.id !== entry.id),
+      }));
+      throw error;
+    }
+  },
+
+  // ── Reconciliation ─────────────────────────────────────────────────────────
+
+  /**
+   * Replace the last RECONCILE_WINDOW_DAYS of local history with the server's
+   * entries, keeping local ones still queued in the outbox. Offline or failed
+   * attempts leave the local record as it is.
+   */
+  reconcile(agentId) {
+    if (!agentId) return Promise.resolve(null);
+    if (!this.reconcilePromises[agentId]) {
+      this.reconcilePromises[agentId] = this.runReconcile(agentId).finally(() => {
+        delete this.reconcilePromises[agentId];
+      });
+    }
+    return this.reconcilePromises[agentId];
+  },
+
+  async runReconcile(agentId) {
+    const netInfo = await NetInfo.fetch();
+    if (!netInfo.isConnected || !netInfo.isInternetReachable) {
+      return this.getState(agentId);
+    }
+
+    try {
+      const token = await auth.currentUser?.getIdToken();
+      if (!token) return this.getState(agentId);
+
+      const since = new Date(Date.now() - RECONCILE_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      // Entries queued before the request or recorded while it runs are not on the server yet
+      const pendingIds = await this.getPendingEntryIds(agentId);
+      const requestedAt = new Date().toISOString();
+      const response = await fetch(
+        `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.MOBILE_ATTENDANCE}?${new URLSearchParams({ since })}`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Request failed (${response.status})`);
+      }
+
+      const data = await response.json();
+      const serverEntries = (data.entries || [])
+        .map(fromServerEntry)
+        .filter(entry => entry.id && entry.timestamp);
+
+      await this.mutate(agentId, (record) => {
+        const serverIds = new Set(serverEntries.map(entry => entry.id));
+        const kept = record.history.filter(entry =>
+          !serverIds.has(entry.id) &&
+          (pendingIds.has(entry.id) || entry.timestamp < since || entry.timestamp >= requestedAt)
+        );
+        return {
+          ...record,
+          history: [...kept, ...serverEntries],
+          reconciledAt: data.serverTime || new Date().toISOString(),
+        };
+      });
+
+      console.log(`✅ Attendance reconciled: ${serverEntries.length} server entries, ${pendingIds.size} pending`);
+    } catch (error) {
+      console.error('Error reconciling attendance:', error.message);
+    }
+    return this.getState(agentId);
+  },
+
+  // ── Listeners ──────────────────────────────────────────────────────────────
+
+  /**
+   * Called with the agentId whenever that agent's record changes.
+   * Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  },
+
+  notify(agentId) {
+    this.listeners.forEach(listener => listener(agentId));
+  },
+};
+
+/**
+ * Check-ins, check-outs, minutes worked and distinct places for one day.
+ * Unconfirmed auto-closed sessions are counted in unconfirmedMinutes only.
+ */
+export function summarizeDay(history, day = new Date()) {
+  const dayString = day.toDateString();
+  const entries = history.filter(entry => new Date(entry.timestamp).toDateString() === dayString);
+  const checkOuts = entries.filter(entry => entry.type === ENTRY_TYPES.CHECK_OUT);
+  // An auto-closed session only counts once the agent has confirmed its end
+  const unconfirmed = checkOuts.filter(entry => entry.autoClosed && entry.needsConfirmation);
+  const counted = checkOuts.filter(entry => !(entry.autoClosed && entry.needsConfirmation));
+  const locations = entries
+    .filter(entry => typeof entry.location?.latitude === 'number' && typeof entry.location?.longitude === 'number')
+    .map(entry => `${entry.location.latitude.toFixed(4)},${entry.location.longitude.toFixed(4)}`);
+
+  return {
+    checkIns: entries.filter(entry => entry.type === ENTRY_TYPES.CHECK_IN).length,
+    checkOuts: checkOuts.length,
+    totalMinutes: counted.reduce((total, entry) => total + (entry.duration || 0), 0),
+    unconfirmedMinutes: unconfirmed.reduce((total, entry) => total + (entry.duration || 0), 0),
+    autoClosed: checkOuts.filter(entry => entry.autoClosed).length,
+    locations: new Set(locations).size,
+  };
+}
+
+/**
+ * How an auto-closed check-out is shown in history, or null for a normal one
+ */
+export function describeAutoClose(entry) {
+  if (!entry.autoClosed) return null;
+  const rule = entry.autoCloseRule === AUTO_CLOSE_RULES.CUTOFF ? 'daily cut-off' : 'maximum shift length';
+  return entry.needsConfirmation
+    ? `Closed automatically at the ${rule} - end time not confirmed`
+    : `Closed automatically at the ${rule} - end time confirmed`;
+}
+
+/**
+ * Short labels for an entry's flags, e.g. ['Outside work area (1.2 km)', 'Mock location']
+ */
+export function describeFlags(entry) {
+  return (entry.flags || []).map((flag) => {
+    if (flag === ATTENDANCE_FLAGS.OUTSIDE_AREA) {
+      const meters = entry.geofence?.distanceM;
+      if (typeof meters !== 'number') return 'Outside work area';
+      return `Outside work area (${meters < 1000 ? `${meters} m` : `${(meters / 1000).toFixed(1)} km`})`;
+    }
+    if (flag === ATTENDANCE_FLAGS.AREA_NOT_CHECKED) return 'Work area not checked';
+    if (flag === ATTENDANCE_FLAGS.MOCK_LOCATION) return 'Mock location';
+    if (flag === ATTENDANCE_FLAGS.IMPLAUSIBLE_JUMP) return 'Implausible jump';
+    return flag;
+  });
+}
+
+export default attendanceService;
@@ -0,0 +1,209 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import * as BackgroundTask from 'expo-background-task';
+import * as TaskManager from 'expo-task-manager';
+import * as Battery from 'expo-battery';
+import { auth } from './firebase';
+import { outboxService } from './outboxService';
+
+/**
+ * Unattended sync runner
+ *
+ * Drains the outbox from a scheduled OS background task (the app may be
+ * closed) and for the automatic foreground triggers in outboxService. Every
+ * unattended run checks the agent's battery and metered-network settings
+ * first. Scheduled runs store a summary that SyncStatusModal shows on the
+ * next open; the foreground triggers run while the agent is watching and
+ * would otherwise replace it within seconds.
+ */
+
+export const BACKGROUND_SYNC_TASK = 'fims-background-sync';
+
+const SETTINGS_KEY = '@background_sync_settings';
+const SUMMARY_KEY = '@background_sync_summary'; // Scheduled runs only
+
+const LOW_BATTERY_LEVEL = 0.2;
+const AUTH_RESTORE_TIMEOUT_MS = 10 * 1000;
+
+export const DEFAULT_SYNC_SETTINGS = {
+  enabled: true, // Scheduled background runs
+  wifiOnly: false, // Skip cellular and other metered connections
+  syncOnLowBattery: false, // Run below 20% or in low power mode when not charging
+  intervalMinutes: 30, // The OS treats this as a minimum; 15 is the floor
+};
+
+// A background launch starts without the UI, so Firebase may still be
+// restoring the persisted session when the task fires
+const waitForAuthRestore = () =>
+  new Promise(resolve => {
+    if (auth.currentUser) {
+      resolve(auth.currentUser);
+      return;
+    }
+    const timeoutId = setTimeout(() => {
+      unsubscribe();
+      resolve(null);
+    }, AUTH_RESTORE_TIMEOUT_MS);
+    const unsubscribe = auth.onAuthStateChanged(user => {
+      clearTimeout(timeoutId);
+      unsubscribe();
+      resolve(user);
+    });
+  });
+
+// Must be defined in module scope so the OS can run it without the UI mounting
+TaskManager.defineTask(BACKGROUND_SYNC_TASK, async () => {
+  try {
+    await waitForAuthRestore();
+    const summary = await backgroundSyncService.runSync('background');
+    return summary.failed > 0
+      ? BackgroundTask.BackgroundTaskResult.Failed
+      : BackgroundTask.BackgroundTaskResult.Success;
+  } catch (error) {
+    console.error('Background sync task failed:', error);
+    return BackgroundTask.BackgroundTaskResult.Failed;
+  }
+});
+
+export const backgroundSyncService = {
+  async getSettings() {
+    try {
+      const json = await AsyncStorage.getItem(SETTINGS_KEY);
+      return json ? { ...DEFAULT_SYNC_SETTINGS, ...JSON.parse(json) } : { ...DEFAULT_SYNC_SETTINGS };
+    } catch (error) {
+      console.error('Error reading sync settings:', error);
+      return { ...DEFAULT_SYNC_SETTINGS };
+    }
+  },
+
+  /**
+   * Save settings and re-register the scheduled task to match
+   */
+  async updateSettings(changes) {
+    const settings = { ...(await this.getSettings()), ...changes };
+    await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    await this.registerTask(settings);
+    return settings;
+  },
+
+  /**
+   * Summary of the most recent scheduled background run, or null
+   */
+  async getLastSummary() {
+    try {
+      const json = await AsyncStorage.getItem(SUMMARY_KEY);
+      return json ? JSON.parse(json) : null;
+    } catch (error) {
+      console.error('Error reading sync summary:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Why an unattended sync should not run now, or null when it may
+   */
+  async getSkipReason(settings) {
+    const netInfo = await NetInfo.fetch();
+    if (!netInfo.isConnected || !netInfo.isInternetReachable) {
+      return 'No network connection';
+    }
+
+    if (settings.wifiOnly && (netInfo.type !== 'wifi' || netInfo.details?.isConnectionExpensive)) {
+      return 'Waiting for Wi-Fi';
+    }
+
+    if (!settings.syncOnLowBattery) {
+      try {
+        const power = await Battery.getPowerStateAsync();
+        const charging = power.batteryState === Battery.BatteryState.CHARGING ||
+          power.batteryState === Battery.BatteryState.FULL;
+        const lowBattery = power.lowPowerMode ||
+          (power.batteryLevel >= 0 && power.batteryLevel < LOW_BATTERY_LEVEL);
+
+        if (lowBattery && !charging) {
+          return 'Battery low';
+        }
+      } catch (error) {
+        // Battery info is unavailable on some devices/emulators - don't block sync on it
+        console.log('Battery state unavailable:', error.message);
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Drain the outbox if settings allow. Returns a summary of the run, which
+   * is also stored when the trigger is 'background'.
+   * trigger: 'background' | 'connectivity' | 'foreground' | 'startup' | 'retry'
+   */
+  async runSync(trigger) {
+    const settings = await this.getSettings();
+    const pendingBefore = await outboxService.getPendingCount();
+
+    // Nothing to do - keep the previous summary rather than overwrite it
+    if (pendingBefore === 0) {
+      return { trigger, synced: 0, failed: 0, pending: 0, skipped: true };
+    }
+
+    const skipReason = await this.getSkipReason(settings);
+    const summary = skipReason
+      ? { synced: 0, failed: 0, pending: pendingBefore, message: skipReason }
+      : await outboxService.drain();
+
+    const record = {
+      trigger,
+      finishedAt: new Date().toISOString(),
+      synced: summary.synced,
+      failed: summary.failed,
+      pending: summary.pending,
+      skipped: !!skipReason,
+      message: summary.message,
+    };
+
+    if (trigger === 'background') {
+      await AsyncStorage.setItem(SUMMARY_KEY, JSON.stringify(record));
+    }
+    console.log(`🔄 Unattended sync (${trigger}):`, record.message);
+    return record;
+  },
+
+  async registerTask(settings) {
+    try {
+      const status = await BackgroundTask.getStatusAsync();
+      if (status !== BackgroundTask.BackgroundTaskStatus.Available) {
+        console.log('Background tasks are restricted on this device');
+        return false;
+      }
+
+      const registered = await TaskManager.isTaskRegisteredAsync(BACKGROUND_SYNC_TASK);
+
+      if (!settings.enabled) {
+        if (registered) {
+          await BackgroundTask.unregisterTaskAsync(BACKGROUND_SYNC_TASK);
+        }
+        return false;
+      }
+
+      // Re-registering replaces the previous interval
+      await BackgroundTask.registerTaskAsync(BACKGROUND_SYNC_TASK, {
+        minimumInterval: Math.max(settings.intervalMinutes, 15),
+      });
+      return true;
+    } catch (error) {
+      console.error('Error registering background sync:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Register the scheduled task and route the outbox's automatic triggers
+   * through the same settings checks. Returns a stop function.
+   */
+  start() {
+    this.getSettings().then(settings => this.registerTask(settings));
+    return outboxService.startAutoSync(trigger => this.runSync(trigger));
+  },
+};
+
+export default backgroundSyncService;
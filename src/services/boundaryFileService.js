@@ -0,0 +1,57 @@
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { parseBoundaryFile, serializeBoundaries, BOUNDARY_FORMAT_INFO } from '../utils/boundaryFormats';
+
+const isPickerCancelled = (error) => /cancel/i.test(error?.message || '');
+
+const safeFileName = (name) => name.replace(/[^\w.-]+/g, '_').replace(/_+/g, '_');
+
+/**
+ * Moving farm boundaries in and out of the app as GeoJSON, KML or GPX files
+ */
+export const boundaryFileService = {
+  /**
+   * Let the user pick a boundary file from device storage and parse it.
+   * Returns { fileName, format, boundaries }, or null if the picker was cancelled.
+   */
+  async pickBoundaries() {
+    let picked;
+    try {
+      picked = await File.pickFileAsync();
+    } catch (error) {
+      if (isPickerCancelled(error)) return null;
+      throw error;
+    }
+
+    const file = Array.isArray(picked) ? picked[0] : picked;
+    if (!file) return null;
+
+    const text = await file.text();
+    return { fileName: file.name, ...parseBoundaryFile(text, file.name) };
+  },
+
+  /**
+   * Write farms' boundaries to a file and open the share sheet.
+   * Returns the number of farms exported.
+   */
+  async exportFarms(farms, format, baseName = 'farm_boundaries') {
+    const info = BOUNDARY_FORMAT_INFO[format];
+    const { content, count } = serializeBoundaries(farms, format, baseName);
+    if (count === 0) {
+      throw new Error('None of these farms has a mapped boundary to export.');
+    }
+
+    const file = new File(Paths.cache, safeFileName(`${baseName}.${info.extension}`));
+    if (file.exists) file.delete();
+    file.create();
+    file.write(content);
+
+    if (!(await Sharing.isAvailableAsync())) {
+      throw new Error('Sharing is not available on this device.');
+    }
+    await Sharing.shareAsync(file.uri, { mimeType: info.mimeType, dialogTitle: `Export ${info.label}` });
+    return count;
+  },
+};
+
+export default boundaryFileService;
@@ -0,0 +1,155 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { auth } from './firebase';
+import API_CONFIG from '../config/api';
+import {
+  decodeCertificateToken,
+  verifyCertificateToken,
+  ninMatchesClaims,
+  buildCertificateQrValue,
+  extractCertificateToken,
+} from '../utils/certificateToken';
+
+// Certificates issued to this device, by farmer id, so they can be reprinted offline
+const STORAGE_KEY = '@certificates';
+
+export const VERIFY_REASONS = {
+  NOT_A_CERTIFICATE: 'not_a_certificate',
+  MALFORMED: 'malformed',
+  UNKNOWN_KEY: 'unknown_key',
+  BAD_SIGNATURE: 'bad_signature',
+};
+
+const REASON_MESSAGES = {
+  [VERIFY_REASONS.NOT_A_CERTIFICATE]: 'This QR code is not a FIMS certificate.',
+  [VERIFY_REASONS.MALFORMED]: 'The certificate code is damaged or incomplete.',
+  [VERIFY_REASONS.UNKNOWN_KEY]: 'This certificate was signed with a key this app does not know. Update the app and try again.',
+  [VERIFY_REASONS.BAD_SIGNATURE]: 'The signature does not match. This certificate has been altered or was not issued by FIMS.',
+};
+
+// A build without public keys (development) can't check signatures, only what the token claims
+const readUnverified = (token) => {
+  const decoded = decodeCertificateToken(token);
+  return { valid: !!decoded, reason: decoded ? null : VERIFY_REASONS.MALFORMED, claims: decoded?.claims || null };
+};
+
+/**
+ * Farmer certificates: issued and signed by the server, verified offline
+ */
+export const certificateService = {
+  async readAll() {
+    const stored = await AsyncStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  },
+
+  async getCached(farmerId) {
+    const all = await this.readAll();
+    return all[farmerId] || null;
+  },
+
+  /**
+   * The farmer's certificate { certificateId, token, issuedAt, qrValue }.
+   * The server issues it once and returns the same one afterwards; offline
+   * a certificate this device received before is reused.
+   */
+  async getCertificate(farmer) {
+    if (!farmer?.id) {
+      throw new Error('This farmer has not been synced yet. Certificates are issued once the registration reaches the server.');
+    }
+
+    const cached = await this.getCached(farmer.id);
+    const netInfo = await NetInfo.fetch();
+    if (!netInfo.isConnected || !netInfo.isInternetReachable) {
+      if (cached) return this.withQrValue(cached);
+      throw new Error('Connect to the internet to issue this farmer\'s certificate.');
+    }
+
+    try {
+      return this.withQrValue(await this.issue(farmer.id));
+    } catch (error) {
+      if (cached) {
+        console.warn('Using cached certificate:', error.message);
+        return this.withQrValue(cached);
+      }
+      throw error;
+    }
+  },
+
+  async issue(farmerId) {
+    const token = await auth.currentUser?.getIdToken();
+    if (!token) throw new Error('User not authenticated');
+
+    const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.MOBILE_CERTIFICATES}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ farmerId }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Request failed (${response.status})`);
+    }
+
+    const data = await response.json();
+    const certificate = {
+      certificateId: data.certificateId,
+      token: data.token,
+      issuedAt: data.issuedAt,
+      farmerId,
+    };
+
+    // Refuse a certificate this app couldn't verify later
+    const publicKeys = API_CONFIG.CERTIFICATES.PUBLIC_KEYS;
+    const check = Object.keys(publicKeys).length > 0
+      ? verifyCertificateToken(certificate.token, publicKeys)
+      : readUnverified(certificate.token);
+    if (!check.valid || check.claims.fid !== farmerId || check.claims.cid !== certificate.certificateId) {
+      throw new Error(REASON_MESSAGES[check.reason] || 'The server returned a certificate for a different farmer.');
+    }
+
+    const all = await this.readAll();
+    all[farmerId] = certificate;
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+    return certificate;
+  },
+
+  withQrValue(certificate) {
+    return {
+      ...certificate,
+      qrValue: buildCertificateQrValue(
+        API_CONFIG.CERTIFICATES.VERIFY_BASE_URL,
+        certificate.certificateId,
+        certificate.token
+      ),
+    };
+  },
+
+  /**
+   * Check scanned QR text offline. Returns { valid, reason, message, claims,
+   * ninMatches } where ninMatches is null unless a NIN was given and the
+   * token carries a NIN hash.
+   */
+  verify(scannedText, nin = null) {
+    const token = extractCertificateToken(scannedText);
+    if (!token) {
+      return {
+        valid: false,
+        reason: VERIFY_REASONS.NOT_A_CERTIFICATE,
+        message: REASON_MESSAGES[VERIFY_REASONS.NOT_A_CERTIFICATE],
+        claims: null,
+        ninMatches: null,
+      };
+    }
+
+    const result = verifyCertificateToken(token, API_CONFIG.CERTIFICATES.PUBLIC_KEYS);
+    return {
+      ...result,
+      message: result.valid ? null : REASON_MESSAGES[result.reason],
+      ninMatches: result.valid && nin && result.claims.nh ? ninMatchesClaims(result.claims, nin) : null,
+    };
+  },
+};
+
+export default certificateService;
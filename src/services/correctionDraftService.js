@@ -0,0 +1,94 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { auth } from './firebase';
+
+const DRAFTS_KEY = '@correction_drafts';
+
+export const DRAFT_KINDS = {
+  FARMER: 'farmer',
+  FARM: 'farm',
+  REFEREES: 'referees',
+};
+
+/**
+ * Local drafts for the correction edit screens.
+ *
+ * One draft per edited record (a farmer, a farm, or a farmer's referees),
+ * keyed by kind and record id and tagged with the farmer it belongs to, so
+ * the search list can flag farmers with unsent edits. A draft is removed once
+ * its correction has been handed to the outbox.
+ *
+ * baseUpdatedAt is the record's updatedAt when editing started; it is sent
+ * as the correction's precondition so edits resumed after the record changed
+ * on the server come back as a conflict instead of overwriting it.
+ */
+export const correctionDraftService = {
+  draftId(kind, targetId) {
+    return `${kind}:${targetId}`;
+  },
+
+  async getAllDrafts() {
+    try {
+      const json = await AsyncStorage.getItem(DRAFTS_KEY);
+      return json ? JSON.parse(json) : [];
+    } catch (error) {
+      console.error('Error getting correction drafts:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Drafts belonging to the signed-in agent
+   */
+  async getDrafts() {
+    const agentId = auth.currentUser?.uid;
+    const drafts = await this.getAllDrafts();
+    return drafts.filter(draft => draft.agentId === agentId);
+  },
+
+  async getDraft(kind, targetId) {
+    const drafts = await this.getDrafts();
+    return drafts.find(draft => draft.id === this.draftId(kind, targetId)) || null;
+  },
+
+  /**
+   * Create or replace the draft for a record
+   */
+  async saveDraft(kind, targetId, { farmerId, values, baseUpdatedAt }) {
+    try {
+      const id = this.draftId(kind, targetId);
+      const drafts = await this.getAllDrafts();
+      const existing = drafts.find(draft => draft.id === id);
+
+      const draft = {
+        id,
+        kind,
+        targetId,
+        farmerId,
+        agentId: auth.currentUser?.uid || null,
+        values,
+        baseUpdatedAt: baseUpdatedAt ?? existing?.baseUpdatedAt ?? null,
+        createdAt: existing?.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      const updated = [draft, ...drafts.filter(d => d.id !== id)];
+      await AsyncStorage.setItem(DRAFTS_KEY, JSON.stringify(updated));
+      return draft;
+    } catch (error) {
+      console.error('Error saving correction draft:', error);
+      return null;
+    }
+  },
+
+  async deleteDraft(kind, targetId) {
+    try {
+      const id = this.draftId(kind, targetId);
+      const drafts = await this.getAllDrafts();
+      await AsyncStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts.filter(draft => draft.id !== id)));
+    } catch (error) {
+      console.error('Error deleting correction draft:', error);
+    }
+  },
+};
+
+export default correctionDraftService;
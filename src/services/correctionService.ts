@@ -13,6 +13,7 @@ import type {
   FarmCorrectionDetail,
   FarmEditableFields,
   RefereeOp,
+  CorrectionSubmission,
 } from '../types/correction';
 
 const BASE = API_CONFIG.BASE_URL;
@@ -38,10 +39,21 @@ async function request<T>(path: string, options: RequestInit = {}): Promise<T> {
     },
   });
   const data = await res.json();
-  if (!res.ok) throw new Error((data as any).error ?? `Request failed (${res.status})`);
+  if (!res.ok) {
+    // status lets the outbox tell rejected submissions from transient failures
+    throw Object.assign(new Error((data as any).error ?? `Request failed (${res.status})`), {
+      status: res.status,
+      data,
+    });
+  }
   return data as T;
 }
 
+/** Lets the server deduplicate a retried submission */
+function idempotencyHeaders(key?: string): Record<string, string> {
+  return key ? { 'Idempotency-Key': key } : {};
+}
+
 // ─── Service ─────────────────────────────────────────────────────────────────
 
 export interface SearchFarmersResult {
@@ -73,13 +85,22 @@ export const correctionService = {
 
   /**
    * Submit a partial update. Only EDITABLE_FIELDS are accepted by the server.
+   * baseUpdatedAt is the updatedAt of the record the edit was made against;
+   * if the farmer has changed since, the server rejects it with 412 and
+   * { error, current } where current is the farmer as it is now.
    */
   updateFarmer: (
     id: string,
     changes: Partial<EditableFields>,
+    baseUpdatedAt?: string | null,
+    idempotencyKey?: string,
   ): Promise<CorrectionFarmerDetail> =>
     request<CorrectionFarmerDetail>(`${API_CONFIG.ENDPOINTS.CORRECTION_FARMERS}/${id}`, {
       method: 'PATCH',
+      headers: {
+        ...idempotencyHeaders(idempotencyKey),
+        ...(baseUpdatedAt ? { 'If-Match': `"${baseUpdatedAt}"` } : {}),
+      },
       body: JSON.stringify(changes),
     }),
 
@@ -103,9 +124,11 @@ export const correctionService = {
   updateFarm: (
     farmId: string,
     changes: Partial<FarmEditableFields>,
+    idempotencyKey?: string,
   ): Promise<{ pending: true; correctionId: string; message: string }> =>
     request(`/api/mobile/correction/farms/${farmId}`, {
       method: 'PATCH',
+      headers: idempotencyHeaders(idempotencyKey),
       body: JSON.stringify(changes),
     }),
 
@@ -117,9 +140,35 @@ export const correctionService = {
   updateReferees: (
     farmerId: string,
     ops: RefereeOp[],
+    idempotencyKey?: string,
   ): Promise<{ pending: true; correctionId: string; message: string }> =>
     request(`${API_CONFIG.ENDPOINTS.CORRECTION_FARMERS}/${farmerId}/referees`, {
       method: 'POST',
+      headers: idempotencyHeaders(idempotencyKey),
       body: JSON.stringify({ ops }),
     }),
+
+  // ── Correction history ───────────────────────────────────────────────────────
+
+  /**
+   * Every correction the signed-in agent has submitted, newest first.
+   */
+  getMyCorrections: (): Promise<CorrectionSubmission[]> =>
+    request<{ corrections: CorrectionSubmission[] }>(API_CONFIG.ENDPOINTS.CORRECTION_SUBMISSIONS)
+      .then((data) => data.corrections),
+
+  /**
+   * Resubmit a rejected correction with revised values (field -> new value).
+   * The server puts it back into PENDING review.
+   */
+  resubmitCorrection: (
+    correctionId: string,
+    changes: Record<string, unknown>,
+    idempotencyKey?: string,
+  ): Promise<CorrectionSubmission> =>
+    request<CorrectionSubmission>(`${API_CONFIG.ENDPOINTS.CORRECTION_SUBMISSIONS}/${correctionId}/resubmit`, {
+      method: 'POST',
+      headers: idempotencyHeaders(idempotencyKey),
+      body: JSON.stringify({ changes }),
+    }),
 };
@@ -0,0 +1,156 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Each draft is stored under its own key so one draft with a NIN photo stays
+// well inside Android's per-row limit; the index lists the draft ids
+const INDEX_KEY = '@farmer_enrollment_drafts_index';
+const DRAFT_KEY_PREFIX = '@farmer_enrollment_draft_';
+const MAX_DRAFTS = 20; // Oldest drafts are dropped beyond this
+
+const draftKey = (draftId) => `${DRAFT_KEY_PREFIX}${draftId}`;
+
+// The NIMC photo lives in values.personalInfo.photoUrl; ninData keeps a copy
+// on screen but is stored without it
+const withoutNinPhoto = (ninData) => {
+  if (!ninData?.photoUrl) return ninData ?? null;
+  const { photoUrl, ...rest } = ninData;
+  return rest;
+};
+
+const withNinPhoto = (draft) => {
+  const photoUrl = draft.values?.personalInfo?.photoUrl;
+  if (!draft.ninData || !photoUrl) return draft;
+  return { ...draft, ninData: { ...draft.ninData, photoUrl } };
+};
+
+let storageLock = Promise.resolve();
+
+const withStorageLock = (fn) => {
+  const run = storageLock.then(fn, fn);
+  storageLock = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Local drafts for the AddFarmerScreen wizard.
+ *
+ * Each draft holds the react-hook-form values plus the wizard state needed to
+ * reopen it (current step, NIN validation result). Drafts are scoped to the
+ * agent that created them so a shared phone doesn't mix registrations.
+ */
+export const enrollmentDraftService = {
+  /**
+   * Generate an id for a new draft
+   */
+  createDraftId() {
+    return `draft_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  },
+
+  async readIndex() {
+    const json = await AsyncStorage.getItem(INDEX_KEY);
+    return json ? JSON.parse(json) : [];
+  },
+
+  /**
+   * Get all drafts, most recently updated first
+   */
+  async getAllDrafts() {
+    try {
+      const ids = await this.readIndex();
+      const entries = await AsyncStorage.multiGet(ids.map(draftKey));
+      return entries
+        .map(([, json]) => (json ? JSON.parse(json) : null))
+        .filter(Boolean)
+        .map(withNinPhoto)
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    } catch (error) {
+      console.error('Error getting enrollment drafts:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Get the drafts belonging to an agent
+   */
+  async getDrafts(agentId) {
+    const drafts = await this.getAllDrafts();
+    return drafts.filter(draft => draft.agentId === agentId);
+  },
+
+  /**
+   * Get a single draft by id
+   */
+  async getDraft(draftId) {
+    try {
+      const json = await AsyncStorage.getItem(draftKey(draftId));
+      return json ? withNinPhoto(JSON.parse(json)) : null;
+    } catch (error) {
+      console.error('Error getting enrollment draft:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Create or replace a draft
+   */
+  async saveDraft(draftId, agentId, { values, currentStep, ninValidated, ninData }) {
+    try {
+      return await withStorageLock(async () => {
+        const existingJson = await AsyncStorage.getItem(draftKey(draftId));
+        const existing = existingJson ? JSON.parse(existingJson) : null;
+
+        const draft = {
+          id: draftId,
+          agentId,
+          values,
+          currentStep,
+          ninValidated,
+          ninData: withoutNinPhoto(ninData),
+          createdAt: existing?.createdAt || new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+        };
+        await AsyncStorage.setItem(draftKey(draftId), JSON.stringify(draft));
+
+        // Newest first; drafts past the limit are dropped
+        const ids = [draftId, ...(await this.readIndex()).filter(id => id !== draftId)];
+        const dropped = ids.slice(MAX_DRAFTS);
+        await AsyncStorage.setItem(INDEX_KEY, JSON.stringify(ids.slice(0, MAX_DRAFTS)));
+        if (dropped.length > 0) {
+          await AsyncStorage.multiRemove(dropped.map(draftKey));
+        }
+
+        return withNinPhoto(draft);
+      });
+    } catch (error) {
+      console.error('Error saving enrollment draft:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Delete a draft (after submission or when discarded)
+   */
+  async deleteDraft(draftId) {
+    try {
+      await withStorageLock(async () => {
+        const ids = await this.readIndex();
+        await AsyncStorage.setItem(INDEX_KEY, JSON.stringify(ids.filter(id => id !== draftId)));
+        await AsyncStorage.removeItem(draftKey(draftId));
+      });
+    } catch (error) {
+      console.error('Error deleting enrollment draft:', error);
+    }
+  },
+
+  /**
+   * Short label for lists and prompts
+   */
+  getDraftLabel(draft) {
+    const info = draft.values?.personalInfo || {};
+    const name = [info.firstName, info.lastName].filter(Boolean).join(' ');
+    if (name) return name;
+    if (draft.values?.nin) return `NIN ${draft.values.nin}`;
+    return 'Unnamed farmer';
+  },
+};
+
+export default enrollmentDraftService;
@@ -0,0 +1,139 @@
+import { farmService } from './farmService';
+import { offlineCacheService } from './offlineCacheService';
+import { outboxService, OPERATION_TYPES } from './outboxService';
+import { toShape, farmShapeOf, shapeToGeometry, estimateOverlap } from '../utils/polygonUtils';
+import { polygonArea } from '../utils/geodesy';
+
+// Overlaps at or above this share of the new boundary need a reason to continue
+export const OVERLAP_REASON_THRESHOLD_PERCENT = 20;
+
+// Smaller overlaps are usually GPS drift along a shared hedge or path
+const OVERLAP_IGNORE_PERCENT = 2;
+
+const farmerNameOf = (farm) =>
+  farm.farmerName ||
+  [farm.farmer?.firstName, farm.farmer?.lastName].filter(Boolean).join(' ') ||
+  null;
+
+/**
+ * Overlap checks for a newly mapped farm boundary.
+ *
+ * Asks the server which registered farms the boundary intersects and also
+ * compares it with farms known on this device - the cached farm lists and
+ * farms still waiting in the outbox - so duplicates are caught offline too.
+ */
+export const farmOverlapService = {
+  /**
+   * Overlaps found on this device. plot is one { outer, holes } of the new
+   * boundary; each known farm is compared plot by plot, net of excluded areas.
+   */
+  async findLocalOverlaps(plot, { farmId } = {}) {
+    const cachedFarms = await offlineCacheService.getAllCachedFarms();
+
+    const queuedFarms = (await outboxService.getUnsynced(OPERATION_TYPES.FARM_CREATE)).map(op => ({
+      id: op.id,
+      farmerId: typeof op.payload.farmerId === 'string' ? op.payload.farmerId : null,
+      farmerName: op.label?.replace(/^Farm for /, '') || null,
+      farmPolygon: op.payload.farmData?.farmPolygon,
+      farmBoundaries: op.payload.farmData?.farmBoundaries,
+      pending: true,
+    }));
+
+    const seen = new Set();
+    const overlaps = [];
+
+    for (const farm of [...cachedFarms, ...queuedFarms]) {
+      if (!farm.id || seen.has(farm.id) || farm.id === farmId) continue;
+      seen.add(farm.id);
+
+      const shape = farmShapeOf(farm);
+      if (shape.length === 0) continue;
+
+      const { overlapHectares, percentOfA } = estimateOverlap([plot], shape);
+      if (percentOfA < OVERLAP_IGNORE_PERCENT) continue;
+
+      overlaps.push({
+        farmId: farm.id,
+        farmerId: farm.farmerId || null,
+        farmerName: farmerNameOf(farm),
+        overlapHectares,
+        overlapPercent: percentOfA,
+        pending: !!farm.pending,
+      });
+    }
+
+    return overlaps;
+  },
+
+  /**
+   * Overlaps of one plot, merged from the server and this device. fromServer
+   * is false when the server could not be asked.
+   */
+  async checkPlot(plot, { farmerId, farmId } = {}) {
+    const local = await this.findLocalOverlaps(plot, { farmId });
+
+    let remote = null;
+    try {
+      // One Polygon, with the plot's excluded areas as holes
+      const polygon = shapeToGeometry([plot]);
+      remote = await farmService.findOverlappingFarms(polygon, { farmerId, excludeFarmId: farmId });
+    } catch (error) {
+      console.log('Farm overlap check unavailable, using cached farms:', error.message);
+    }
+
+    // Server figures are exact; keep device-only matches such as queued farms
+    const byFarm = new Map(local.map(o => [o.farmId, o]));
+    (remote || []).forEach(o => byFarm.set(o.farmId, { ...byFarm.get(o.farmId), ...o }));
+
+    return { overlaps: [...byFarm.values()], fromServer: !!remote };
+  },
+
+  /**
+   * Check a boundary against known farms. The boundary may be a ring of
+   * points or a farm shape with several plots; each plot is checked and the
+   * shared area is totalled per farm.
+   *
+   * Returns { overlaps, source, requiresReason } where overlaps are sorted
+   * largest first and each has { farmId, farmerId, farmerName,
+   * overlapHectares, overlapPercent, sameFarmer }. overlapPercent is the share
+   * of the new boundary that is already registered. source is 'server' when
+   * the server answered, otherwise 'device'.
+   */
+  async checkBoundary(boundary, { farmerId, farmId } = {}) {
+    const plots = toShape(boundary);
+    if (plots.length === 0) {
+      return { overlaps: [], source: 'device', requiresReason: false };
+    }
+
+    const byFarm = new Map();
+    let fromServer = true;
+    for (const plot of plots) {
+      const result = await this.checkPlot(plot, { farmerId, farmId });
+      fromServer = fromServer && result.fromServer;
+      result.overlaps.forEach(o => {
+        const previous = byFarm.get(o.farmId);
+        byFarm.set(o.farmId, previous
+          ? { ...previous, overlapHectares: previous.overlapHectares + o.overlapHectares }
+          : o);
+      });
+    }
+
+    // With several plots the share is of the whole farm, not of one plot
+    const totalHectares = polygonArea(plots) / 10000;
+    const overlaps = [...byFarm.values()]
+      .map(o => (plots.length > 1 && totalHectares > 0
+        ? { ...o, overlapPercent: Math.min(100, o.overlapHectares / totalHectares * 100) }
+        : o))
+      .filter(o => o.overlapPercent >= OVERLAP_IGNORE_PERCENT)
+      .map(o => ({ ...o, sameFarmer: !!farmerId && o.farmerId === farmerId }))
+      .sort((a, b) => b.overlapPercent - a.overlapPercent);
+
+    return {
+      overlaps,
+      source: fromServer ? 'server' : 'device',
+      requiresReason: overlaps.some(o => o.overlapPercent >= OVERLAP_REASON_THRESHOLD_PERCENT),
+    };
+  },
+};
+
+export default farmOverlapService;
@@ -25,8 +25,10 @@ const getAuthToken = async () => {
 };
 
 export const farmService = {
-  // Create a new farm for a farmer
-  async createFarm(farmerId, farmData) {
+  // Create a new farm for a farmer.
+  // options.idempotencyKey is sent as the Idempotency-Key header and as
+  // clientId so the server can recognise a retried request.
+  async createFarm(farmerId, farmData, options = {}) {
     try {
       const token = await getAuthToken();
       
@@ -34,7 +36,8 @@ export const farmService = {
       
       const requestBody = {
         farmerId,
-        ...farmData
+        ...farmData,
+        ...(options.idempotencyKey && { clientId: options.idempotencyKey }),
       };
       
       // Create AbortController for timeout
@@ -46,6 +49,7 @@ export const farmService = {
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`,
+          ...(options.idempotencyKey && { 'Idempotency-Key': options.idempotencyKey }),
         },
         body: JSON.stringify(requestBody),
         signal: controller.signal,
@@ -58,15 +62,23 @@ export const farmService = {
       console.log('Farm creation response text:', responseText.substring(0, 500)); // Log first 500 chars
 
       if (!response.ok) {        
+        let errorData;
         try {
-          const errorData = JSON.parse(responseText);
-          throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+          errorData = JSON.parse(responseText);
         } catch (parseError) {
           // If JSON parse fails, the server returned HTML (likely an error page)
           console.error('Failed to parse error response as JSON:', parseError);
           console.error('Raw response:', responseText.substring(0, 1000)); // Log more detail
-          throw new Error(`Server returned HTML instead of JSON. Status: ${response.status}. Response: ${responseText.substring(0, 200)}...`);
+          const error = new Error(`Server returned HTML instead of JSON. Status: ${response.status}. Response: ${responseText.substring(0, 200)}...`);
+          error.status = response.status;
+          throw error;
         }
+
+        // status and data let the outbox classify the failure
+        const error = new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        error.data = errorData;
+        throw error;
       }
 
     const data = JSON.parse(responseText);
@@ -184,6 +196,40 @@ export const farmService = {
     }
   },
 
+  // Find registered farms whose boundaries intersect a new boundary.
+  // polygon is a GeoJSON Polygon; excludeFarmId skips the farm being edited.
+  // Resolves to [{ farmId, farmerId, farmerName, overlapHectares, overlapPercent }].
+  async findOverlappingFarms(polygon, { farmerId, excludeFarmId } = {}) {
+    const token = await getAuthToken();
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 15000);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/mobile/farms/overlaps`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ polygon, farmerId, excludeFarmId }),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const error = new Error(errorData.error || 'Failed to check farm overlaps');
+        error.status = response.status;
+        throw error;
+      }
+
+      const data = await response.json();
+      return data.overlaps || [];
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  },
+
   // Get farm by ID
   async getFarmById(farmId) {
     try {
@@ -0,0 +1,265 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import API_CONFIG from '../config/api';
+import { auth } from './firebase';
+
+/**
+ * Offline farmer index
+ *
+ * A compact copy of the farmers in the agent's assigned state/LGA, so the
+ * survey and correction modules can find a farmer without coverage. The
+ * first download fetches everything in scope; later refreshes only ask for
+ * records changed since the server time of the previous one. Agents with no
+ * assigned state or LGA get no index rather than every farmer.
+ *
+ * A state can hold hundreds of thousands of farmers, far past what Android
+ * reads back from one AsyncStorage row (about 2 MB), so the index is stored
+ * as a small header plus the farmers in chunks, each under its own key.
+ */
+
+const INDEX_KEY_PREFIX = '@farmer_index_';
+const CHUNK_SIZE = 2000; // Farmers per stored chunk, a few hundred KB
+const PAGE_SIZE = 500;
+const MIN_REFRESH_INTERVAL_MS = 15 * 60 * 1000; // Don't re-poll on every screen focus
+
+// Fields kept per farmer - enough to pick one and show who it is
+const INDEX_FIELDS = [
+  'id', 'nin', 'firstName', 'middleName', 'lastName', 'phone',
+  'state', 'lga', 'ward', 'pollingUnit', 'status', 'registrationDate', 'updatedAt',
+];
+
+const toIndexRecord = (farmer) =>
+  Object.fromEntries(INDEX_FIELDS.map(field => [field, farmer[field] ?? null]));
+
+const normalizeText = (value) => (value || '').toString().trim().toLowerCase();
+
+// Compare phone numbers on their national part: +234 803..., 234803... and 0803... all match
+const normalizePhone = (value) => {
+  const digits = (value || '').toString().replace(/\D/g, '');
+  if (digits.startsWith('234')) return digits.slice(3);
+  if (digits.startsWith('0')) return digits.slice(1);
+  return digits;
+};
+
+const getAgentId = () => auth.currentUser?.uid || null;
+
+const headerKey = (agentId) => `${INDEX_KEY_PREFIX}${agentId}`;
+const chunkKey = (agentId, chunk) => `${INDEX_KEY_PREFIX}${agentId}_${chunk}`;
+
+export const farmerIndexService = {
+  // Parsed index for the signed-in agent, kept in memory between searches
+  loaded: null,
+  refreshPromise: null,
+
+  async getIndex() {
+    const agentId = getAgentId();
+    if (!agentId) return null;
+
+    if (this.loaded?.agentId === agentId) {
+      return this.loaded;
+    }
+
+    try {
+      const json = await AsyncStorage.getItem(headerKey(agentId));
+      const header = json ? JSON.parse(json) : null;
+      if (!header) {
+        this.loaded = null;
+        return null;
+      }
+
+      const keys = Array.from({ length: header.chunkCount || 0 }, (_, chunk) => chunkKey(agentId, chunk));
+      const farmers = {};
+      for (const [, chunkJson] of await AsyncStorage.multiGet(keys)) {
+        for (const farmer of chunkJson ? JSON.parse(chunkJson) : []) {
+          farmers[farmer.id] = farmer;
+        }
+      }
+
+      const { chunkCount, ...index } = header;
+      this.loaded = { ...index, farmers };
+      return this.loaded;
+    } catch (error) {
+      console.error('Error reading farmer index:', error);
+      return null;
+    }
+  },
+
+  async saveIndex(index) {
+    const { farmers, ...header } = index;
+    const records = Object.values(farmers);
+    const chunkCount = Math.ceil(records.length / CHUNK_SIZE);
+    const previous = JSON.parse(await AsyncStorage.getItem(headerKey(index.agentId)) || 'null');
+
+    const chunks = Array.from({ length: chunkCount }, (_, chunk) => [
+      chunkKey(index.agentId, chunk),
+      JSON.stringify(records.slice(chunk * CHUNK_SIZE, (chunk + 1) * CHUNK_SIZE)),
+    ]);
+    await AsyncStorage.multiSet([...chunks, [headerKey(index.agentId), JSON.stringify({ ...header, chunkCount })]]);
+
+    // The index shrank - drop chunks past the new end
+    const stale = [];
+    for (let chunk = chunkCount; chunk < (previous?.chunkCount || 0); chunk++) {
+      stale.push(chunkKey(index.agentId, chunk));
+    }
+    if (stale.length > 0) {
+      await AsyncStorage.multiRemove(stale);
+    }
+
+    this.loaded = index;
+  },
+
+  /**
+   * { farmerCount, syncedAt, state, lga } or null when nothing is downloaded
+   */
+  async getStatus() {
+    const index = await this.getIndex();
+    if (!index) return null;
+    return {
+      farmerCount: Object.keys(index.farmers).length,
+      syncedAt: index.syncedAt,
+      state: index.state,
+      lga: index.lga,
+    };
+  },
+
+  /**
+   * Download changes for the agent's scope. Changing the scope (or passing
+   * force) discards the local copy and starts over.
+   */
+  refresh({ state = null, lga = null, force = false } = {}) {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.runRefresh({ state, lga, force }).finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  },
+
+  async runRefresh({ state, lga, force }) {
+    const agentId = getAgentId();
+    if (!agentId) return null;
+
+    // Without an assignment the only scope would be the whole country
+    if (!state && !lga) {
+      console.log('Farmer index skipped: no state or LGA assigned');
+      return this.getStatus();
+    }
+
+    const netInfo = await NetInfo.fetch();
+    if (!netInfo.isConnected || !netInfo.isInternetReachable) {
+      return this.getStatus();
+    }
+
+    const existing = await this.getIndex();
+    const sameScope = existing && existing.state === state && existing.lga === lga;
+    const recentlySynced = existing?.syncedAt &&
+      Date.now() - new Date(existing.syncedAt).getTime() < MIN_REFRESH_INTERVAL_MS;
+
+    if (sameScope && recentlySynced && !force) {
+      return this.getStatus();
+    }
+
+    const index = sameScope && !force
+      ? { ...existing, farmers: { ...existing.farmers } }
+      : { agentId, state, lga, cursor: null, syncedAt: null, farmers: {} };
+
+    try {
+      const token = await auth.currentUser.getIdToken();
+      let page = 1;
+      let serverTime = null;
+      let hasMore = true;
+
+      while (hasMore) {
+        const params = new URLSearchParams({ page: String(page), limit: String(PAGE_SIZE) });
+        if (state) params.set('state', state);
+        if (lga) params.set('lga', lga);
+        if (index.cursor) params.set('updatedSince', index.cursor);
+
+        const response = await fetch(
+          `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.MOBILE_FARMER_INDEX}?${params}`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(errorData.error || `Request failed (${response.status})`);
+        }
+
+        // { farmers, deletedIds, serverTime, pagination: { page, pages } }
+        const data = await response.json();
+        for (const farmer of data.farmers || []) {
+          index.farmers[farmer.id] = toIndexRecord(farmer);
+        }
+        for (const id of data.deletedIds || []) {
+          delete index.farmers[id];
+        }
+
+        // The first page's server time is the cursor - later pages are the same snapshot
+        serverTime = serverTime || data.serverTime;
+        hasMore = !!data.pagination && data.pagination.page < data.pagination.pages;
+        page += 1;
+      }
+
+      index.cursor = serverTime || new Date().toISOString();
+      index.syncedAt = new Date().toISOString();
+      await this.saveIndex(index);
+
+      console.log(`✅ Farmer index refreshed: ${Object.keys(index.farmers).length} farmers`);
+      return this.getStatus();
+    } catch (error) {
+      // A failed refresh keeps the previous copy usable
+      console.error('Error refreshing farmer index:', error.message);
+      return this.getStatus();
+    }
+  },
+
+  /**
+   * Prefix search over name, phone and NIN. Every word of the query must
+   * prefix one of the farmer's names, so "ami bel" finds Amina Bello.
+   * filters: { state, lga, ward } narrow results further.
+   */
+  async search(query, { limit = 20, filters = {} } = {}) {
+    const index = await this.getIndex();
+    if (!index) return [];
+
+    const text = normalizeText(query);
+    const words = text.split(/\s+/).filter(Boolean);
+    const phone = normalizePhone(query);
+    const isNumeric = /^[\d\s+()-]+$/.test(text);
+
+    const matches = [];
+    for (const farmer of Object.values(index.farmers)) {
+      if (filters.state && normalizeText(farmer.state) !== normalizeText(filters.state)) continue;
+      if (filters.lga && normalizeText(farmer.lga) !== normalizeText(filters.lga)) continue;
+      if (filters.ward && normalizeText(farmer.ward) !== normalizeText(filters.ward)) continue;
+
+      let matched = words.length === 0;
+      if (!matched && isNumeric) {
+        matched = (farmer.nin || '').startsWith(text.replace(/\D/g, '')) ||
+          (phone.length > 0 && normalizePhone(farmer.phone).startsWith(phone));
+      }
+      if (!matched && !isNumeric) {
+        const names = [farmer.firstName, farmer.middleName, farmer.lastName].map(normalizeText);
+        matched = words.every(word => names.some(name => name.startsWith(word)));
+      }
+
+      if (matched) {
+        matches.push(farmer);
+        if (matches.length >= limit) break;
+      }
+    }
+
+    return matches;
+  },
+
+  async clear() {
+    const agentId = getAgentId();
+    if (!agentId) return;
+    const keys = (await AsyncStorage.getAllKeys())
+      .filter(key => key === headerKey(agentId) || key.startsWith(chunkKey(agentId, '')));
+    await AsyncStorage.multiRemove(keys);
+    this.loaded = null;
+  },
+};
+
+export default farmerIndexService;
@@ -135,12 +135,20 @@ const makeAuthenticatedRequest = async (url, options = {}) => {
   }
 };
 
+const idempotencyHeaders = (key) => (key ? { 'Idempotency-Key': key } : {});
+
 export const farmerService = {
-  async createFarmer(farmerData) {
+  // options.idempotencyKey is sent as the Idempotency-Key header and as
+  // clientId so a retried registration is not created twice
+  async createFarmer(farmerData, options = {}) {
     const url = `${API_BASE_URL}/api/mobile/farmers`;
     const data = await makeAuthenticatedRequest(url, {
       method: 'POST',
-      body: JSON.stringify(farmerData),
+      headers: idempotencyHeaders(options.idempotencyKey),
+      body: JSON.stringify({
+        ...farmerData,
+        ...(options.idempotencyKey && { clientId: options.idempotencyKey }),
+      }),
     });
     return data;
   },
@@ -203,10 +211,11 @@ export const farmerService = {
     return data.farmers || [];
   },
 
-  async updateFarmer(id, updates) {
+  async updateFarmer(id, updates, options = {}) {
     const url = `${API_BASE_URL}/api/mobile/farmers/${id}`;
     const data = await makeAuthenticatedRequest(url, {
       method: 'PUT',
+      headers: idempotencyHeaders(options.idempotencyKey),
       body: JSON.stringify(updates),
     });
     return data;
@@ -270,6 +270,24 @@ export const offlineCacheService = {
     }
   },
 
+  /**
+   * Get every cached farm, tagged with the farmer it was cached under
+   */
+  async getAllCachedFarms() {
+    try {
+      const allFarmsCache = await this.getCache(CACHE_KEYS.FARMS_BY_FARMER, CACHE_EXPIRY.FARMS);
+      if (!allFarmsCache) {
+        return [];
+      }
+      return Object.entries(allFarmsCache).flatMap(([farmerId, entry]) =>
+        (entry.farms || []).map(farm => ({ ...farm, farmerId: farm.farmerId || farmerId }))
+      );
+    } catch (error) {
+      console.error('Error getting all cached farms:', error);
+      return [];
+    }
+  },
+
   /**
    * Cache clusters
    */
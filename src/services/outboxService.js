@@ -0,0 +1,857 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { AppState } from 'react-native';
+import API_CONFIG from '../config/api';
+import { auth } from './firebase';
+import { farmService } from './farmService';
+import { farmerService } from './farmerService';
+import { surveyService } from './surveyService';
+import { correctionService } from './correctionService';
+
+/**
+ * Operation Outbox
+ *
+ * Every write the app makes to the server goes through this queue:
+ * - Operations are persisted before they are attempted, so nothing is lost
+ *   when the app is killed or the network drops mid-request
+ * - dependsOn holds an operation until the ones it references have synced;
+ *   payload values built with ref() are replaced by their results
+ * - Operations sharing a group run strictly in creation order
+ * - Failed attempts back off exponentially; client errors stop retrying
+ * - Each operation carries a client-generated UUID that handlers send as the
+ *   idempotency key; a conflict echoing that key counts as already synced
+ */
+
+const OUTBOX_KEY = '@outbox_operations';
+const LAST_SYNC_KEY = '@last_sync';
+
+// Queues used before the outbox existed - migrated on start
+const LEGACY_KEYS = {
+  FARMS: '@offline_farms',
+  OPERATIONS: '@offline_operations',
+  SYNC_STATUS: '@sync_status',
+  ATTENDANCE: 'pendingAttendanceSync',
+};
+
+export const OPERATION_TYPES = {
+  FARMER_CREATE: 'farmer.create',
+  FARMER_UPDATE: 'farmer.update',
+  FARM_CREATE: 'farm.create',
+  ATTENDANCE_RECORD: 'attendance.record',
+  SURVEY_RESPONSE: 'survey.response',
+  CORRECTION_FARMER: 'correction.farmer',
+  CORRECTION_FARM: 'correction.farm',
+  CORRECTION_REFEREES: 'correction.referees',
+  CORRECTION_RESUBMIT: 'correction.resubmit',
+};
+
+const MAX_ATTEMPTS = 8;
+const BACKOFF_BASE_MS = 30 * 1000; // 30 seconds
+const BACKOFF_MAX_MS = 30 * 60 * 1000; // 30 minutes
+const SYNCED_RETENTION_MS = 24 * 60 * 60 * 1000; // Keep synced operations visible for 24h
+
+// ─── Handlers ────────────────────────────────────────────────────────────────
+
+const postAttendanceEntry = async (endpoint, entry, idempotencyKey) => {
+  const token = await auth.currentUser?.getIdToken();
+  if (!token) {
+    throw new Error('User not authenticated');
+  }
+
+  const response = await fetch(`${API_CONFIG.BASE_URL}${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`,
+      'Idempotency-Key': idempotencyKey,
+    },
+    body: JSON.stringify(entry),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+    const error = new Error(errorData.error || `Server error: ${response.status}`);
+    error.status = response.status;
+    error.data = errorData;
+    throw error;
+  }
+
+  return response.json().catch(() => ({}));
+};
+
+// Each handler receives the resolved payload and { idempotencyKey, operation }
+const HANDLERS = {
+  [OPERATION_TYPES.FARMER_CREATE]: (payload, { idempotencyKey }) =>
+    farmerService.createFarmer(payload.farmerData, { idempotencyKey }),
+
+  [OPERATION_TYPES.FARMER_UPDATE]: (payload, { idempotencyKey }) =>
+    farmerService.updateFarmer(payload.farmerId, payload.updates, { idempotencyKey }),
+
+  [OPERATION_TYPES.FARM_CREATE]: (payload, { idempotencyKey }) =>
+    farmService.createFarm(payload.farmerId, payload.farmData, { idempotencyKey }),
+
+  [OPERATION_TYPES.ATTENDANCE_RECORD]: (payload, { idempotencyKey }) =>
+    postAttendanceEntry(payload.endpoint, payload.entry, idempotencyKey),
+
+  [OPERATION_TYPES.SURVEY_RESPONSE]: (payload, { idempotencyKey }) =>
+    surveyService.submitResponse(payload.surveyId, payload.farmerId, payload.answers, idempotencyKey),
+
+  [OPERATION_TYPES.CORRECTION_FARMER]: (payload, { idempotencyKey }) =>
+    correctionService.updateFarmer(payload.farmerId, payload.changes, payload.baseUpdatedAt, idempotencyKey),
+
+  [OPERATION_TYPES.CORRECTION_FARM]: (payload, { idempotencyKey }) =>
+    correctionService.updateFarm(payload.farmId, payload.changes, idempotencyKey),
+
+  [OPERATION_TYPES.CORRECTION_REFEREES]: (payload, { idempotencyKey }) =>
+    correctionService.updateReferees(payload.farmerId, payload.ops, idempotencyKey),
+
+  [OPERATION_TYPES.CORRECTION_RESUBMIT]: (payload, { idempotencyKey }) =>
+    correctionService.resubmitCorrection(payload.correctionId, payload.changes, idempotencyKey),
+};
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const generateId = (prefix) =>
+  `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// RFC 4122 v4 format; Math.random is enough for a per-device dedup key
+const generateIdempotencyKey = () =>
+  'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0;
+    return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+  });
+
+const getBackoffDelay = (attempts) => {
+  const delay = Math.min(BACKOFF_BASE_MS * Math.pow(2, attempts - 1), BACKOFF_MAX_MS);
+  // ±20% jitter so devices coming back online together don't retry in lockstep
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Client errors won't succeed on retry; network failures, timeouts and 5xx might
+const isRetryableError = (error) => {
+  const status = error?.status;
+  if (!status) return true;
+  return status >= 500 || status === 408 || status === 429;
+};
+
+/**
+ * A 409 that echoes our idempotency key means an earlier attempt already
+ * succeeded (typically one whose response was lost to a timeout). Returns the
+ * existing record to use as the result, or null for any other failure -
+ * e.g. a 409 for a duplicate NIN belonging to a different farmer.
+ */
+const getAlreadyAppliedResult = (error, idempotencyKey) => {
+  if (error?.status !== 409 || !error.data) return null;
+
+  const { data } = error;
+  const existing = data.existing || data.farmer || data.farm || data.data;
+  const echoedKey = data.clientId || data.idempotencyKey || existing?.clientId;
+
+  if (echoedKey !== idempotencyKey) return null;
+  return existing || {};
+};
+
+const isRef = (value) =>
+  value !== null && typeof value === 'object' && typeof value.$outboxRef === 'string';
+
+// Replace ref() placeholders with fields from the referenced operations' results
+const resolvePayload = (value, opsById) => {
+  if (isRef(value)) {
+    const source = opsById[value.$outboxRef];
+    const resolved = source?.result?.[value.field];
+    if (resolved === undefined) {
+      throw new Error(`Missing result for dependency ${value.$outboxRef}`);
+    }
+    return resolved;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolvePayload(item, opsById));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolvePayload(item, opsById)])
+    );
+  }
+  return value;
+};
+
+// ─── Service ─────────────────────────────────────────────────────────────────
+
+// Serialises read-modify-write cycles so UI writes and a running drain don't clobber each other
+let storageLock = Promise.resolve();
+const withStorageLock = (fn) => {
+  const run = storageLock.then(fn, fn);
+  storageLock = run.catch(() => {});
+  return run;
+};
+
+// Only one drain or immediate submit sends operations at a time, so the same
+// operation is never in flight twice
+let processLock = Promise.resolve();
+const withProcessLock = (fn) => {
+  const run = processLock.then(fn, fn);
+  processLock = run.catch(() => {});
+  return run;
+};
+
+// Legacy attendance entries had no id; this is the id attendanceService gives
+// the same entry when it migrates the local history, so both stay paired
+const legacyAttendanceId = entry => `legacy_${entry.agentId}_${entry.timestamp}`;
+
+export const outboxService = {
+  changeListeners: [],
+  syncListeners: [],
+  drainPromise: null,
+  retryTimer: null,
+  autoRunner: null,
+  recovered: false,
+
+  /**
+   * Placeholder for a field of another operation's result, e.g. the server
+   * id of a farmer created earlier in the queue
+   */
+  ref(operationId, field = 'id') {
+    return { $outboxRef: operationId, field };
+  },
+
+  // ── Storage ────────────────────────────────────────────────────────────────
+
+  async getOperations() {
+    try {
+      const json = await AsyncStorage.getItem(OUTBOX_KEY);
+      return json ? JSON.parse(json) : [];
+    } catch (error) {
+      console.error('Error reading outbox:', error);
+      return [];
+    }
+  },
+
+  async mutate(updater) {
+    const next = await withStorageLock(async () => {
+      const operations = await this.getOperations();
+      const updated = updater(operations);
+      await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(updated));
+      return updated;
+    });
+    this.notifyChange();
+    return next;
+  },
+
+  async updateOperation(operationId, changes) {
+    await this.mutate(operations =>
+      operations.map(op =>
+        op.id === operationId
+          ? { ...op, ...changes, updatedAt: new Date().toISOString() }
+          : op
+      )
+    );
+  },
+
+  // ── Enqueue ────────────────────────────────────────────────────────────────
+
+  /**
+   * Persist an operation without attempting it
+   *
+   * options: id, dependsOn, group, label, description, idempotencyKey
+   */
+  async enqueue(type, payload, options = {}) {
+    if (!HANDLERS[type]) {
+      throw new Error(`Unknown outbox operation type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const operation = {
+      id: options.id || generateId('op'),
+      type,
+      payload,
+      dependsOn: options.dependsOn || [],
+      group: options.group || null,
+      idempotencyKey: options.idempotencyKey || generateIdempotencyKey(),
+      label: options.label || type,
+      description: options.description || null,
+      status: 'pending', // pending, syncing, synced, failed
+      attempts: 0,
+      nextAttemptAt: null,
+      exhausted: false, // No more automatic retries
+      lastError: null,
+      conflict: null, // Server's current record when rejected as stale (412)
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      syncedAt: null,
+    };
+
+    await this.mutate(operations => [...operations, operation]);
+    console.log(`📤 Outbox: queued ${type} (${operation.id})`);
+    return operation;
+  },
+
+  /**
+   * Queue an operation and attempt it straight away when possible.
+   *
+   * Resolves with { status: 'synced', result } when the server accepted it,
+   * or { status: 'queued' } when it will be retried later. A client error
+   * (4xx) on this first attempt removes the operation and is thrown, so the
+   * caller can show it to the agent while they can still fix the input.
+   *
+   * The attempt waits for a drain that is already running; that drain may
+   * send the operation itself, in which case its outcome is reported.
+   */
+  async submit(type, payload, options = {}) {
+    const operation = await this.enqueue(type, payload, options);
+
+    const connected = await this.isConnected();
+    if (!connected) {
+      return { status: 'queued', operation };
+    }
+
+    return withProcessLock(async () => {
+      const operations = await this.getOperations();
+      const current = operations.find(op => op.id === operation.id);
+      if (current?.status === 'synced') {
+        return { status: 'synced', result: current.result, operation: current };
+      }
+      if (!current || !this.isReady(current, operations, Date.now())) {
+        return { status: 'queued', operation: current || operation };
+      }
+
+      const outcome = await this.processOperation(operation.id);
+      if (outcome.success) {
+        return { status: 'synced', result: outcome.result, operation };
+      }
+
+      if (!outcome.retryable) {
+        await this.discard(operation.id);
+        throw outcome.error;
+      }
+
+      return { status: 'queued', operation, error: outcome.error };
+    });
+  },
+
+  // ── Processing ─────────────────────────────────────────────────────────────
+
+  isReady(operation, operations, now) {
+    if (operation.status !== 'pending' && operation.status !== 'failed') return false;
+    if (operation.exhausted) return false;
+    if (operation.nextAttemptAt && new Date(operation.nextAttemptAt).getTime() > now) return false;
+
+    const opsById = Object.fromEntries(operations.map(op => [op.id, op]));
+    const dependenciesSynced = operation.dependsOn.every(id => opsById[id]?.status === 'synced');
+    if (!dependenciesSynced) return false;
+
+    // Earlier operations in the same group must go first
+    if (operation.group) {
+      const blockedByEarlier = operations.some(op =>
+        op.group === operation.group &&
+        op.id !== operation.id &&
+        op.status !== 'synced' &&
+        op.createdAt < operation.createdAt
+      );
+      if (blockedByEarlier) return false;
+    }
+
+    return true;
+  },
+
+  /**
+   * The failed operation that has run out of retries and is holding this one
+   * back - through dependsOn or as an earlier operation in its group - or
+   * null. Nothing behind it moves until the agent retries or discards it.
+   */
+  findBlocker(operation, operations, seen = new Set()) {
+    if (seen.has(operation.id)) return null;
+    seen.add(operation.id);
+
+    const ahead = operations.filter(op =>
+      op.id !== operation.id &&
+      op.status !== 'synced' &&
+      (operation.dependsOn.includes(op.id) ||
+        (operation.group && op.group === operation.group && op.createdAt < operation.createdAt))
+    );
+
+    const stuck = ahead.find(op => op.status === 'failed' && op.exhausted);
+    if (stuck) return stuck;
+    for (const op of ahead) {
+      const blocker = this.findBlocker(op, operations, seen);
+      if (blocker) return blocker;
+    }
+    return null;
+  },
+
+  async markSynced(operationId, result) {
+    await this.updateOperation(operationId, {
+      status: 'synced',
+      result,
+      lastError: null,
+      nextAttemptAt: null,
+      syncedAt: new Date().toISOString(),
+    });
+  },
+
+  async processOperation(operationId) {
+    const operations = await this.getOperations();
+    const operation = operations.find(op => op.id === operationId);
+    if (!operation) {
+      return { success: false, retryable: false, error: new Error('Operation not found') };
+    }
+
+    const opsById = Object.fromEntries(operations.map(op => [op.id, op]));
+    await this.updateOperation(operationId, { status: 'syncing' });
+
+    try {
+      const payload = resolvePayload(operation.payload, opsById);
+      const result = await HANDLERS[operation.type](payload, {
+        idempotencyKey: operation.idempotencyKey,
+        operation,
+      });
+
+      await this.markSynced(operationId, result ?? {});
+      console.log(`✅ Outbox: synced ${operation.type} (${operationId})`);
+      return { success: true, result };
+    } catch (error) {
+      const existing = getAlreadyAppliedResult(error, operation.idempotencyKey);
+      if (existing) {
+        await this.markSynced(operationId, existing);
+        console.log(`✅ Outbox: ${operation.type} (${operationId}) already on server`);
+        return { success: true, result: existing };
+      }
+
+      const attempts = operation.attempts + 1;
+      const retryable = isRetryableError(error);
+      const exhausted = !retryable || attempts >= MAX_ATTEMPTS;
+
+      await this.updateOperation(operationId, {
+        status: 'failed',
+        attempts,
+        exhausted,
+        lastError: error.message,
+        // 412: the record changed on the server since the edit was made - keep
+        // the current version so the agent can resolve it
+        conflict: error.status === 412 ? (error.data?.current ?? null) : null,
+        nextAttemptAt: exhausted ? null : new Date(Date.now() + getBackoffDelay(attempts)).toISOString(),
+      });
+
+      console.error(`❌ Outbox: ${operation.type} (${operationId}) failed, attempt ${attempts}:`, error.message);
+      return { success: false, retryable, error };
+    }
+  },
+
+  /**
+   * Attempt every operation that is due, in queue order, until nothing more
+   * can make progress. Concurrent calls share one run.
+   */
+  drain() {
+    if (!this.drainPromise) {
+      this.drainPromise = withProcessLock(() => this.runDrain()).finally(() => {
+        this.drainPromise = null;
+        this.scheduleRetry();
+      });
+    }
+    return this.drainPromise;
+  },
+
+  async runDrain() {
+    const summary = { synced: 0, failed: 0, pending: 0 };
+
+    const connected = await this.isConnected();
+    if (!connected) {
+      summary.pending = await this.getPendingCount();
+      return { ...summary, success: false, message: 'No network connection' };
+    }
+
+    // Every handler needs a token; wait for sign-in rather than burning attempts
+    if (!auth.currentUser) {
+      summary.pending = await this.getPendingCount();
+      return { ...summary, success: false, message: 'Sign in to sync' };
+    }
+
+    await this.recoverInterrupted();
+
+    // Repeat passes so dependents run in the same drain as what they wait on
+    const attempted = new Set();
+    let progressed = true;
+    while (progressed) {
+      progressed = false;
+      const operations = await this.getOperations();
+      const now = Date.now();
+      const ready = operations.filter(op => !attempted.has(op.id) && this.isReady(op, operations, now));
+
+      for (const operation of ready) {
+        attempted.add(operation.id);
+        const outcome = await this.processOperation(operation.id);
+        if (outcome.success) {
+          summary.synced += 1;
+          progressed = true;
+        } else {
+          summary.failed += 1;
+        }
+      }
+    }
+
+    await this.pruneSynced();
+    summary.pending = await this.getPendingCount();
+
+    if (attempted.size > 0) {
+      await AsyncStorage.setItem(LAST_SYNC_KEY, new Date().toISOString());
+    }
+
+    const result = {
+      ...summary,
+      success: summary.failed === 0,
+      message: summary.synced > 0
+        ? `${summary.synced} item(s) synced successfully`
+        : attempted.size > 0 ? 'Some items could not be synced' : 'Nothing to sync',
+    };
+
+    if (attempted.size > 0) {
+      this.syncListeners.forEach(listener => listener(result));
+    }
+
+    return result;
+  },
+
+  // Operations left 'syncing' by a killed app are retried (once per launch)
+  async recoverInterrupted() {
+    if (this.recovered) return;
+    this.recovered = true;
+    const operations = await this.getOperations();
+    if (!operations.some(op => op.status === 'syncing')) return;
+
+    await this.mutate(ops =>
+      ops.map(op => (op.status === 'syncing' ? { ...op, status: 'pending' } : op))
+    );
+  },
+
+  // Wake up when the earliest backed-off operation becomes due
+  async scheduleRetry() {
+    clearTimeout(this.retryTimer);
+    const operations = await this.getOperations();
+    const due = operations
+      .filter(op => op.status === 'failed' && !op.exhausted && op.nextAttemptAt)
+      .map(op => new Date(op.nextAttemptAt).getTime());
+
+    if (due.length === 0) return;
+
+    const delay = Math.max(Math.min(...due) - Date.now(), 1000);
+    this.retryTimer = setTimeout(
+      () => (this.autoRunner ? this.autoRunner('retry') : this.drain()),
+      delay
+    );
+  },
+
+  // ── Manual actions ─────────────────────────────────────────────────────────
+
+  /**
+   * Reset backoff on a failed operation and try it again now
+   */
+  async retry(operationId) {
+    const operations = await this.getOperations();
+    const operation = operations.find(op => op.id === operationId);
+
+    if (!operation) {
+      throw new Error('Item not found');
+    }
+
+    if (operation.status !== 'failed') {
+      throw new Error('Item is not in failed state');
+    }
+
+    const connected = await this.isConnected();
+    if (!connected) {
+      throw new Error('No network connection');
+    }
+
+    await this.updateOperation(operationId, {
+      status: 'pending',
+      attempts: 0,
+      exhausted: false,
+      nextAttemptAt: null,
+    });
+
+    return this.drain();
+  },
+
+  /**
+   * Remove an operation, along with anything that depends on it
+   */
+  async discard(operationId) {
+    await this.mutate(operations => {
+      const removed = new Set([operationId]);
+      let grew = true;
+      while (grew) {
+        grew = false;
+        for (const op of operations) {
+          if (!removed.has(op.id) && op.dependsOn.some(id => removed.has(id))) {
+            removed.add(op.id);
+            grew = true;
+          }
+        }
+      }
+      return operations.filter(op => !removed.has(op.id));
+    });
+  },
+
+  /**
+   * Remove synced operations that nothing pending still references.
+   * Without maxAgeMs every eligible synced operation is removed.
+   */
+  async pruneSynced(maxAgeMs = SYNCED_RETENTION_MS) {
+    await this.mutate(operations => {
+      const referenced = new Set(
+        operations.filter(op => op.status !== 'synced').flatMap(op => op.dependsOn)
+      );
+      return operations.filter(op =>
+        op.status !== 'synced' ||
+        referenced.has(op.id) ||
+        (maxAgeMs !== null && Date.now() - new Date(op.syncedAt).getTime() < maxAgeMs)
+      );
+    });
+  },
+
+  async clearSynced() {
+    await this.pruneSynced(null);
+  },
+
+  /**
+   * Drop every queued operation (use with caution)
+   */
+  async clearAll() {
+    try {
+      await withStorageLock(() => AsyncStorage.multiRemove([OUTBOX_KEY, LAST_SYNC_KEY]));
+      this.notifyChange();
+      console.log('All offline data cleared');
+    } catch (error) {
+      console.error('Error clearing offline data:', error);
+      throw error;
+    }
+  },
+
+  // ── Status ─────────────────────────────────────────────────────────────────
+
+  async isConnected() {
+    try {
+      const netInfo = await NetInfo.fetch();
+      return netInfo.isConnected && netInfo.isInternetReachable;
+    } catch (error) {
+      console.error('Error checking network:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Operations of one type that have not reached the server yet
+   */
+  async getUnsynced(type) {
+    const operations = await this.getOperations();
+    return operations.filter(op => op.type === type && op.status !== 'synced');
+  },
+
+  async getPendingCount() {
+    const operations = await this.getOperations();
+    return operations.filter(op => op.status !== 'synced').length;
+  },
+
+  async getLastSyncTime() {
+    try {
+      const lastSync = await AsyncStorage.getItem(LAST_SYNC_KEY);
+      return lastSync ? new Date(lastSync) : null;
+    } catch (error) {
+      console.error('Error getting last sync time:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Single status snapshot for the sync UI
+   */
+  async getStatus() {
+    const operations = await this.getOperations();
+    const count = status => operations.filter(op => op.status === status).length;
+
+    const byType = {};
+    for (const op of operations) {
+      if (op.status !== 'synced') {
+        byType[op.type] = (byType[op.type] || 0) + 1;
+      }
+    }
+
+    const withBlockers = operations.map((op) => {
+      if (op.status === 'synced' || op.exhausted) return op;
+      const blocker = this.findBlocker(op, operations);
+      return blocker ? { ...op, blockedBy: { id: blocker.id, label: blocker.label } } : op;
+    });
+
+    return {
+      connected: await this.isConnected(),
+      lastSync: await this.getLastSyncTime(),
+      total: operations.length,
+      pending: count('pending'),
+      syncing: count('syncing'),
+      failed: count('failed'),
+      synced: count('synced'),
+      // Failed for good: these need the agent to retry or discard them
+      needsAttention: operations.filter(op => op.status === 'failed' && op.exhausted).length,
+      byType,
+      // Newest first for display
+      operations: withBlockers.reverse(),
+    };
+  },
+
+  /**
+   * Called whenever the queue changes. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.changeListeners.push(listener);
+    return () => {
+      this.changeListeners = this.changeListeners.filter(l => l !== listener);
+    };
+  },
+
+  /**
+   * Called with the summary of each drain that attempted something
+   */
+  addSyncListener(listener) {
+    this.syncListeners.push(listener);
+    return () => {
+      this.syncListeners = this.syncListeners.filter(l => l !== listener);
+    };
+  },
+
+  notifyChange() {
+    this.changeListeners.forEach(listener => listener());
+  },
+
+  // ── Lifecycle ──────────────────────────────────────────────────────────────
+
+  /**
+   * Migrate legacy queues and drain whenever the network comes back, the app
+   * returns to the foreground or an agent signs in. Returns a stop function.
+   *
+   * runner(trigger) performs each automatic drain; backgroundSyncService
+   * passes one that applies the battery and metered-network settings first.
+   */
+  startAutoSync(runner = () => this.drain()) {
+    let wasConnected = null;
+    this.autoRunner = runner;
+
+    const netInfoUnsubscribe = NetInfo.addEventListener(state => {
+      const connected = !!(state.isConnected && state.isInternetReachable);
+      if (connected && wasConnected === false) {
+        console.log('📶 Network restored - draining outbox');
+        runner('connectivity');
+      }
+      wasConnected = connected;
+    });
+
+    const appStateSubscription = AppState.addEventListener('change', nextState => {
+      if (nextState === 'active') {
+        runner('foreground');
+      }
+    });
+
+    const authUnsubscribe = auth.onAuthStateChanged(user => {
+      if (user) {
+        runner('startup');
+      }
+    });
+
+    this.migrateLegacyQueues()
+      .catch(error => console.error('Outbox migration failed:', error))
+      .finally(() => runner('startup'));
+
+    return () => {
+      netInfoUnsubscribe();
+      authUnsubscribe();
+      appStateSubscription.remove();
+      clearTimeout(this.retryTimer);
+      this.autoRunner = null;
+    };
+  },
+
+  /**
+   * Move records from the per-feature queues into the outbox
+   */
+  async migrateLegacyQueues() {
+    const read = async key => {
+      const json = await AsyncStorage.getItem(key);
+      return json ? JSON.parse(json) : [];
+    };
+
+    const farms = await read(LEGACY_KEYS.FARMS);
+    const attendance = await read(LEGACY_KEYS.ATTENDANCE);
+
+    if (farms.length + attendance.length === 0) {
+      await AsyncStorage.multiRemove([LEGACY_KEYS.OPERATIONS, LEGACY_KEYS.SYNC_STATUS]);
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const base = {
+      dependsOn: [],
+      group: null,
+      description: null,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: null,
+      exhausted: false,
+      lastError: null,
+      result: null,
+      updatedAt: now,
+      syncedAt: null,
+    };
+    const migrated = [];
+
+    for (const farm of farms.filter(f => f.status !== 'synced')) {
+      migrated.push({
+        ...base,
+        id: farm.id,
+        type: OPERATION_TYPES.FARM_CREATE,
+        payload: { farmerId: farm.farmerId, farmData: farm.farmData },
+        idempotencyKey: generateIdempotencyKey(),
+        label: `Farm for ${farm.farmer?.firstName || ''} ${farm.farmer?.lastName || ''}`.trim(),
+        description: `${farm.farmData?.primaryCrop || 'Unknown crop'} • ${farm.farmData?.farmSize || 'N/A'} hectares`,
+        createdAt: farm.timestamp || now,
+      });
+    }
+
+    // Entries written for the old /api/attendance endpoint. The mobile endpoint
+    // upserts by the entry's client id and needs the agent, so entries without
+    // an agent or time can't be sent and are dropped.
+    const sendableAttendance = attendance.filter(entry => entry?.agentId && entry.timestamp);
+    if (sendableAttendance.length < attendance.length) {
+      console.warn(`📦 Outbox: dropped ${attendance.length - sendableAttendance.length} legacy attendance entry(ies) with no agent or time`);
+    }
+
+    for (const legacyEntry of sendableAttendance) {
+      const entry = {
+        id: legacyEntry.id || legacyAttendanceId(legacyEntry),
+        type: legacyEntry.type === 'check_out' ? 'check_out' : 'check_in',
+        timestamp: legacyEntry.timestamp,
+        location: legacyEntry.location || null,
+        agentId: legacyEntry.agentId,
+        date: legacyEntry.date || new Date(legacyEntry.timestamp).toDateString(),
+        ...(typeof legacyEntry.duration === 'number' ? { duration: legacyEntry.duration } : {}),
+      };
+
+      migrated.push({
+        ...base,
+        id: generateId('op'),
+        type: OPERATION_TYPES.ATTENDANCE_RECORD,
+        payload: { endpoint: API_CONFIG.ENDPOINTS.MOBILE_ATTENDANCE, entry },
+        group: `attendance:${entry.agentId}`,
+        idempotencyKey: generateIdempotencyKey(),
+        label: entry.type === 'check_out' ? 'Check-out' : 'Check-in',
+        description: new Date(entry.timestamp).toLocaleString(),
+        createdAt: entry.timestamp,
+      });
+    }
+
+    await this.mutate(operations => [...operations, ...migrated]);
+    await AsyncStorage.multiRemove(Object.values(LEGACY_KEYS));
+
+    console.log(`📦 Outbox: migrated ${migrated.length} legacy queued item(s)`);
+  },
+};
+
+export default outboxService;
@@ -34,10 +34,21 @@ async function request<T>(path: string, options: RequestInit = {}): Promise<T> {
     },
   });
   const data = await res.json();
-  if (!res.ok) throw new Error((data as any).error ?? `Request failed (${res.status})`);
+  if (!res.ok) {
+    // status lets the outbox tell rejected submissions from transient failures
+    throw Object.assign(new Error((data as any).error ?? `Request failed (${res.status})`), {
+      status: res.status,
+      data,
+    });
+  }
   return data as T;
 }
 
+/** Lets the server deduplicate a retried submission */
+function idempotencyHeaders(key?: string): Record<string, string> {
+  return key ? { 'Idempotency-Key': key } : {};
+}
+
 // ─── Service ─────────────────────────────────────────────────────────────────
 
 export const surveyService = {
@@ -67,9 +78,11 @@ export const surveyService = {
     surveyId: string,
     farmerId: string,
     answers: AnswerDraft[],
+    idempotencyKey?: string,
   ): Promise<SurveyResponseResult> =>
     request<SurveyResponseResult>(`${API_CONFIG.ENDPOINTS.MOBILE_SURVEYS}/${surveyId}/responses`, {
       method: 'POST',
+      headers: idempotencyHeaders(idempotencyKey),
       body: JSON.stringify({ farmerId, answers }),
     }),
 };
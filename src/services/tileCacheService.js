@@ -0,0 +1,449 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { Directory, File, Paths } from 'expo-file-system';
+import API_CONFIG from '../config/api';
+import { auth } from './firebase';
+import { boxesIntersect } from '../utils/polygonUtils';
+import { countTiles, tilesInBox, tileInBox, boxAround } from '../utils/tileMath';
+
+/**
+ * Offline basemap tiles
+ *
+ * Satellite or street-map tiles are downloaded on Wi-Fi for a region - the
+ * agent's assigned LGA, or the area around where they stand - and kept on
+ * disk as tiles/{source}/{z}/{x}/{y}. The regions are listed in
+ * AsyncStorage; when the storage limit is reached the regions viewed least
+ * recently are removed first. Maps read tiles straight from disk, so a
+ * downloaded region needs no connection at all. A source can only be
+ * downloaded once a tile server is configured for it (API_CONFIG.TILE_SERVERS).
+ */
+
+const REGIONS_KEY = '@tile_cache_regions';
+const SETTINGS_KEY = '@tile_cache_settings';
+const TILE_ROOT = 'tiles';
+const DOWNLOAD_BATCH = 4; // Tile requests in flight at once
+const NETWORK_CHECK_EVERY = 50; // Tiles between Wi-Fi checks
+const VIEWED_STAMP_INTERVAL_MS = 60 * 60 * 1000; // Don't rewrite the region list on every map render
+const MB = 1024 * 1024;
+
+export const TILE_SOURCES = {
+  satellite: {
+    label: 'Satellite',
+    extension: 'jpg',
+    maxZoom: 18,
+    averageTileBytes: 20 * 1024,
+    attribution: 'Imagery © Esri',
+  },
+  streets: {
+    label: 'Street Map',
+    extension: 'png',
+    maxZoom: 18,
+    averageTileBytes: 12 * 1024,
+    attribution: '© OpenStreetMap contributors',
+  },
+};
+
+// A whole LGA at overview detail; the area around the agent down to individual fields
+export const REGION_ZOOMS = {
+  lga: { minZoom: 10, maxZoom: 16 },
+  area: { minZoom: 12, maxZoom: 18 },
+};
+
+export const AREA_RADIUS_M = 2000;
+export const QUOTA_OPTIONS_MB = [100, 250, 500, 1000];
+
+const DEFAULT_SETTINGS = { source: 'satellite', quotaMb: 250, wifiOnly: true };
+
+const tileKey = ({ z, x, y }) => `${z}/${x}/${y}`;
+
+const tileUrl = (source, { z, x, y }) => API_CONFIG.TILE_SERVERS[source]
+  .replace('{z}', String(z))
+  .replace('{x}', String(x))
+  .replace('{y}', String(y));
+
+const zoomsFor = (kind, source) => {
+  const zooms = REGION_ZOOMS[kind];
+  return { minZoom: zooms.minZoom, maxZoom: Math.min(zooms.maxZoom, TILE_SOURCES[source].maxZoom) };
+};
+
+const coversTile = (region, tile) =>
+  tile.z >= region.minZoom && tile.z <= region.maxZoom && tileInBox(tile, region.box);
+
+const formatMb = (bytes) => `${Math.ceil(bytes / MB)} MB`;
+
+export const tileCacheService = {
+  // Region list, kept in memory once read
+  regions: null,
+  activeDownload: null,
+
+  async getSettings() {
+    try {
+      const json = await AsyncStorage.getItem(SETTINGS_KEY);
+      return { ...DEFAULT_SETTINGS, ...(json ? JSON.parse(json) : {}) };
+    } catch (error) {
+      console.error('Error reading offline map settings:', error);
+      return { ...DEFAULT_SETTINGS };
+    }
+  },
+
+  async saveSettings(changes) {
+    const settings = { ...(await this.getSettings()), ...changes };
+    await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    return settings;
+  },
+
+  async getRegions() {
+    if (this.regions) return this.regions;
+    try {
+      const json = await AsyncStorage.getItem(REGIONS_KEY);
+      this.regions = json ? JSON.parse(json) : [];
+    } catch (error) {
+      console.error('Error reading offline map regions:', error);
+      this.regions = [];
+    }
+    return this.regions;
+  },
+
+  async saveRegions(regions) {
+    await AsyncStorage.setItem(REGIONS_KEY, JSON.stringify(regions));
+    this.regions = regions;
+  },
+
+  async saveRegion(region) {
+    const regions = await this.getRegions();
+    await this.saveRegions([...regions.filter(r => r.id !== region.id), region]);
+  },
+
+  /**
+   * Whether a tile server is configured to download this source from
+   */
+  canDownload(source) {
+    return !!API_CONFIG.TILE_SERVERS[source];
+  },
+
+  /**
+   * Bytes of tiles on disk, across every source
+   */
+  getUsedBytes() {
+    const root = new Directory(Paths.document, TILE_ROOT);
+    return root.exists ? root.size || 0 : 0;
+  },
+
+  /**
+   * { regions, usedBytes, quotaBytes, settings, downloading }
+   */
+  async getStatus() {
+    const settings = await this.getSettings();
+    return {
+      regions: await this.getRegions(),
+      usedBytes: this.getUsedBytes(),
+      quotaBytes: settings.quotaMb * MB,
+      settings,
+      downloading: !!this.activeDownload,
+    };
+  },
+
+  tileFile(source, { z, x, y }) {
+    return new File(Paths.document, TILE_ROOT, source, String(z), String(x), `${y}.${TILE_SOURCES[source].extension}`);
+  },
+
+  /**
+   * URI of a downloaded tile, or null
+   */
+  tileUri(source, tile) {
+    const file = this.tileFile(source, tile);
+    return file.exists ? file.uri : null;
+  },
+
+  /**
+   * Downloaded tiles to draw for a tile range, coarsest first. Where a tile
+   * is missing the nearest downloaded ancestor (up to maxFallback zoom
+   * levels out) stands in, stretched over the gap.
+   */
+  basemapTiles(source, range, maxFallback = 4) {
+    const found = new Map();
+    for (let x = range.minX; x <= range.maxX; x++) {
+      for (let y = range.minY; y <= range.maxY; y++) {
+        for (let up = 0; up <= maxFallback && range.z - up >= 0; up++) {
+          const tile = { z: range.z - up, x: x >> up, y: y >> up };
+          const key = tileKey(tile);
+          if (found.has(key)) break;
+          const uri = this.tileUri(source, tile);
+          if (uri) {
+            found.set(key, { ...tile, uri });
+            break;
+          }
+        }
+      }
+    }
+    return [...found.values()].sort((a, b) => a.z - b.z);
+  },
+
+  /**
+   * Note that a map showed part of these regions, for least-recently-used eviction
+   */
+  async markViewed(source, box) {
+    const regions = await this.getRegions();
+    const now = Date.now();
+    let changed = false;
+    const updated = regions.map(region => {
+      if (region.source !== source || !boxesIntersect(region.box, box)) return region;
+      if (now - new Date(region.lastViewedAt || 0).getTime() < VIEWED_STAMP_INTERVAL_MS) return region;
+      changed = true;
+      return { ...region, lastViewedAt: new Date(now).toISOString() };
+    });
+    if (changed) await this.saveRegions(updated);
+  },
+
+  /**
+   * Bounding box of an LGA from the server
+   */
+  async fetchLgaBox(state, lga) {
+    const token = await auth.currentUser.getIdToken();
+    const params = new URLSearchParams({ lga });
+    if (state) params.set('state', state);
+    const response = await fetch(
+      `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.MOBILE_LGA_BOUNDS}?${params}`,
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Could not get the map area for ${lga} (${response.status})`);
+    }
+
+    // { bbox: [west, south, east, north] }
+    const { bbox } = await response.json();
+    if (!Array.isArray(bbox) || bbox.length !== 4) {
+      throw new Error(`No map area is available for ${lga}.`);
+    }
+    const [minLng, minLat, maxLng, maxLat] = bbox.map(Number);
+    return { minLat, maxLat, minLng, maxLng };
+  },
+
+  /**
+   * Tile count and approximate download size of a region
+   */
+  estimate(box, kind, source) {
+    const { minZoom, maxZoom } = zoomsFor(kind, source);
+    const tileCount = countTiles(box, minZoom, maxZoom);
+    return { tileCount, bytes: tileCount * TILE_SOURCES[source].averageTileBytes };
+  },
+
+  async checkNetwork(settings) {
+    const netInfo = await NetInfo.fetch();
+    if (!netInfo.isConnected || netInfo.isInternetReachable === false) {
+      throw new Error('You are offline. Offline maps can only be downloaded with a connection.');
+    }
+    if (settings.wifiOnly && netInfo.type !== 'wifi') {
+      throw new Error('Connect to Wi-Fi to download offline maps, or allow mobile data in the offline map settings.');
+    }
+  },
+
+  /**
+   * Remove the least recently viewed regions until bytesNeeded fits under the quota
+   */
+  async makeRoom(bytesNeeded, quotaBytes, keepId) {
+    const candidates = (await this.getRegions())
+      .filter(region => region.id !== keepId)
+      .sort((a, b) => new Date(a.lastViewedAt || a.updatedAt).getTime() - new Date(b.lastViewedAt || b.updatedAt).getTime());
+
+    const evicted = [];
+    for (const region of candidates) {
+      if (this.getUsedBytes() + bytesNeeded <= quotaBytes) break;
+      await this.deleteRegion(region.id);
+      evicted.push(region.name);
+    }
+    if (evicted.length > 0) {
+      console.log('🗺️ Removed offline maps to make room:', evicted);
+    }
+    return evicted;
+  },
+
+  /**
+   * Download the agent's assigned LGA
+   */
+  async downloadLga({ state, lga, onProgress }) {
+    if (!lga) {
+      throw new Error('No LGA is assigned to your account.');
+    }
+    const settings = await this.getSettings();
+    await this.checkNetwork(settings);
+    const box = await this.fetchLgaBox(state, lga);
+    return this.download({ name: state ? `${lga}, ${state}` : lga, kind: 'lga', box, onProgress });
+  },
+
+  /**
+   * Download the fields around a point at full detail
+   */
+  downloadAround({ point, name, onProgress }) {
+    return this.download({
+      name: name || `Around ${point.latitude.toFixed(4)}, ${point.longitude.toFixed(4)}`,
+      kind: 'area',
+      box: boxAround(point, AREA_RADIUS_M),
+      onProgress,
+    });
+  },
+
+  /**
+   * Download every tile of a region, in the preferred source unless one is
+   * given. Tiles already
+   * on disk are skipped, so running it again resumes an interrupted region.
+   * Resolves to { region, stoppedBy } where stoppedBy is null when the
+   * download ran to the end, or 'cancelled', 'network' or 'quota'.
+   */
+  async download({ name, kind, box, source: requestedSource = null, onProgress }) {
+    if (this.activeDownload) {
+      throw new Error('An offline map download is already running.');
+    }
+
+    const settings = await this.getSettings();
+    const source = requestedSource || settings.source;
+    if (!this.canDownload(source)) {
+      throw new Error(`${TILE_SOURCES[source].label} maps can't be downloaded - no map server is set up for this app.`);
+    }
+    const quotaBytes = settings.quotaMb * MB;
+    const { minZoom, maxZoom } = zoomsFor(kind, source);
+    const estimate = this.estimate(box, kind, source);
+
+    if (estimate.bytes > quotaBytes) {
+      throw new Error(
+        `This area needs about ${formatMb(estimate.bytes)}, more than the ${settings.quotaMb} MB offline map limit. ` +
+        'Raise the limit or download a smaller area.'
+      );
+    }
+    await this.checkNetwork(settings);
+
+    const id = `${source}:${kind}:${name}`;
+    await this.makeRoom(estimate.bytes, quotaBytes, id);
+
+    const existing = (await this.getRegions()).find(region => region.id === id);
+    const now = new Date().toISOString();
+    const region = {
+      id,
+      name,
+      kind,
+      source,
+      box,
+      minZoom,
+      maxZoom,
+      tileCount: estimate.tileCount,
+      downloadedCount: 0,
+      bytes: existing?.bytes || 0,
+      status: 'downloading',
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      lastViewedAt: now,
+    };
+    await this.saveRegion(region);
+
+    this.activeDownload = { cancelled: false };
+    const download = this.activeDownload;
+    const startBytes = this.getUsedBytes();
+    let newBytes = 0;
+    let failed = 0;
+    let done = 0;
+    let stoppedBy = null;
+    const headers = { 'User-Agent': 'CCSA-FIMS-Mobile' };
+
+    const fetchTile = async (tile) => {
+      const file = this.tileFile(source, tile);
+      if (file.exists) return;
+      try {
+        file.parentDirectory.create({ intermediates: true, idempotent: true });
+        const saved = await File.downloadFileAsync(tileUrl(source, tile), file, { headers, idempotent: true });
+        newBytes += saved.size || 0;
+      } catch (error) {
+        // Android can leave a partly written file behind; it would pass for a downloaded tile
+        if (file.exists) file.delete();
+        failed += 1;
+      }
+    };
+
+    try {
+      let batch = [];
+      for (const tile of tilesInBox(box, minZoom, maxZoom)) {
+        batch.push(tile);
+        if (batch.length < DOWNLOAD_BATCH) continue;
+
+        await Promise.all(batch.map(fetchTile));
+        done += batch.length;
+        batch = [];
+        onProgress?.({ done, total: estimate.tileCount, bytes: newBytes, failed });
+
+        if (download.cancelled) {
+          stoppedBy = 'cancelled';
+          break;
+        }
+        if (startBytes + newBytes > quotaBytes) {
+          stoppedBy = 'quota';
+          break;
+        }
+        if (done % NETWORK_CHECK_EVERY < DOWNLOAD_BATCH) {
+          const stillAllowed = await this.checkNetwork(settings).then(() => true, () => false);
+          if (!stillAllowed) {
+            stoppedBy = 'network';
+            break;
+          }
+        }
+      }
+      if (!stoppedBy && batch.length > 0) {
+        await Promise.all(batch.map(fetchTile));
+        done += batch.length;
+        onProgress?.({ done, total: estimate.tileCount, bytes: newBytes, failed });
+      }
+    } finally {
+      this.activeDownload = null;
+    }
+
+    const finished = {
+      ...region,
+      downloadedCount: done - failed,
+      bytes: region.bytes + newBytes,
+      status: !stoppedBy && failed === 0 ? 'complete' : 'partial',
+      updatedAt: new Date().toISOString(),
+    };
+    await this.saveRegion(finished);
+
+    console.log(`🗺️ Offline map ${finished.status}: ${name} (${finished.downloadedCount}/${finished.tileCount} tiles)`);
+    return { region: finished, stoppedBy, failed };
+  },
+
+  cancelDownload() {
+    if (this.activeDownload) this.activeDownload.cancelled = true;
+  },
+
+  /**
+   * Delete a region and the tiles no other region of the same source still uses
+   */
+  async deleteRegion(id) {
+    const regions = await this.getRegions();
+    const region = regions.find(r => r.id === id);
+    if (!region) return;
+
+    const remaining = regions.filter(r => r.id !== id);
+    const sameSource = remaining.filter(r => r.source === region.source);
+
+    if (sameSource.length === 0) {
+      const directory = new Directory(Paths.document, TILE_ROOT, region.source);
+      if (directory.exists) directory.delete();
+    } else {
+      for (const tile of tilesInBox(region.box, region.minZoom, region.maxZoom)) {
+        if (sameSource.some(other => coversTile(other, tile))) continue;
+        const file = this.tileFile(region.source, tile);
+        if (file.exists) file.delete();
+      }
+    }
+    await this.saveRegions(remaining);
+  },
+
+  /**
+   * Delete every offline map
+   */
+  async clear() {
+    const root = new Directory(Paths.document, TILE_ROOT);
+    if (root.exists) root.delete();
+    await this.saveRegions([]);
+  },
+};
+
+export default tileCacheService;
@@ -0,0 +1,67 @@
+import { File, Paths } from 'expo-file-system';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import { attendanceService } from './attendanceService';
+import { offlineSyncService } from './offlineSyncService';
+import { buildTimesheet, periodRange, timesheetToCsv, timesheetToHtml, dayKey } from '../utils/timesheet';
+
+const safeFileName = (name) => name.replace(/[^\w.-]+/g, '_').replace(/_+/g, '_');
+
+/**
+ * Weekly and monthly attendance timesheets, exported as PDF or CSV
+ */
+export const timesheetService = {
+  /**
+   * When the agent registered farmers on this device, synced or not
+   */
+  async getEnrollmentTimes(agentId) {
+    const log = await offlineSyncService.getEnrollmentLog(agentId);
+    return log.map(entry => entry.createdAt);
+  },
+
+  /**
+   * The timesheet for the week or month ('week' | 'month') offset periods
+   * from the current one
+   */
+  async build(agentId, kind = 'week', offset = 0) {
+    const { history } = await attendanceService.getState(agentId);
+    const enrollments = await this.getEnrollmentTimes(agentId);
+    return buildTimesheet(history, periodRange(kind, new Date(), offset), { enrollments });
+  },
+
+  fileName(timesheet, extension) {
+    return safeFileName(`timesheet_${timesheet.kind}_${dayKey(timesheet.from)}.${extension}`);
+  },
+
+  async share(file, mimeType, dialogTitle) {
+    if (!(await Sharing.isAvailableAsync())) {
+      throw new Error('Sharing is not available on this device.');
+    }
+    await Sharing.shareAsync(file.uri, { mimeType, dialogTitle });
+  },
+
+  async exportPdf(timesheet, { agentName } = {}) {
+    const { uri } = await Print.printToFileAsync({
+      html: timesheetToHtml(timesheet, { agentName }),
+      base64: false,
+    });
+
+    // Give the printed file a recognisable name before sharing it
+    const file = new File(Paths.cache, this.fileName(timesheet, 'pdf'));
+    if (file.exists) file.delete();
+    new File(uri).move(file);
+
+    await this.share(file, 'application/pdf', 'Share Timesheet');
+  },
+
+  async exportCsv(timesheet) {
+    const file = new File(Paths.cache, this.fileName(timesheet, 'csv'));
+    if (file.exists) file.delete();
+    file.create();
+    file.write(timesheetToCsv(timesheet));
+
+    await this.share(file, 'text/csv', 'Share Timesheet');
+  },
+};
+
+export default timesheetService;
@@ -2,6 +2,7 @@ import React, { createContext, useContext, useState, useEffect } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { auth } from '../services/firebase';
 import API_CONFIG from '../config/api';
+import { attendanceService } from '../services/attendanceService';
 
 const FIMS_CACHE_PREFIX = '@fims_profile_';
 
@@ -38,6 +39,14 @@ const buildUserData = (firebaseUser, fimsProfile) => ({
   fimsUserId: fimsProfile?.userId ?? null,
   firstName: fimsProfile?.firstName ?? null,
   lastName: fimsProfile?.lastName ?? null,
+  // Assignment scope - limits the offline farmer index download
+  assignedState: fimsProfile?.assignedState ?? null,
+  assignedLga: fimsProfile?.assignedLga ?? null,
+  // Attendance geofences: the assigned ward and any sites { id, name, latitude, longitude, radiusM }
+  assignedWard: fimsProfile?.assignedWard ?? null,
+  attendanceSites: fimsProfile?.attendanceSites ?? [],
+  // { maxShiftHours, autoCheckoutTime } overriding the attendance defaults
+  shiftRules: fimsProfile?.shiftRules ?? null,
 });
 
 const AuthContext = createContext({});
@@ -93,6 +102,9 @@ export const AuthProvider = ({ children }) => {
             }
 
             setUser(buildUserData(firebaseUser, fimsProfile));
+
+            // Bring this agent's check-in state in line with the server; runs in the background
+            attendanceService.reconcile(firebaseUser.uid);
           } else {
             setUser(null);
           }
@@ -5,6 +5,9 @@ import type {
   CorrectionFarmerDetail,
   CorrectionFilter,
   CorrectionPagination,
+  CorrectionConflict,
+  ConflictChoice,
+  CorrectionSubmission,
   EditableFields,
   FarmCorrectionDetail,
   FarmEditableFields,
@@ -19,11 +22,60 @@ const { offlineCacheService } = require('../services/offlineCacheService') as {
   };
 };
 
+// eslint-disable-next-line @typescript-eslint/no-require-imports
+const { outboxService, OPERATION_TYPES } = require('../services/outboxService') as {
+  outboxService: {
+    submit: (
+      type: string,
+      payload: unknown,
+      options?: { group?: string; label?: string; description?: string; dependsOn?: string[] },
+    ) => Promise<{ status: 'synced' | 'queued'; result?: any }>;
+    ref: (operationId: string, field?: string) => unknown;
+    getUnsynced: (type: string) => Promise<any[]>;
+    updateOperation: (operationId: string, changes: Record<string, unknown>) => Promise<void>;
+    markSynced: (operationId: string, result: unknown) => Promise<void>;
+    drain: () => Promise<unknown>;
+    getOperations: () => Promise<any[]>;
+    subscribe: (listener: () => void) => () => void;
+  };
+  OPERATION_TYPES: Record<string, string>;
+};
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports
+const { correctionDraftService } = require('../services/correctionDraftService') as {
+  correctionDraftService: {
+    getDrafts: () => Promise<{ farmerId: string }[]>;
+  };
+};
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports
+const { farmerIndexService } = require('../services/farmerIndexService') as {
+  farmerIndexService: {
+    search: (
+      query: string,
+      options?: { limit?: number; filters?: { state?: string; lga?: string; ward?: string } },
+    ) => Promise<CorrectionFarmerSummary[]>;
+    getStatus: () => Promise<{ farmerCount: number; syncedAt: string | null } | null>;
+  };
+};
+
+const OFFLINE_INDEX_LIMIT = 100;
+
 const CACHE_KEY_CORRECTION_RESULTS = '@cache_correction_results';
+const CACHE_KEY_MY_CORRECTIONS = '@cache_my_corrections';
 const CACHE_EXPIRY_MS = 4 * 60 * 60 * 1000; // 4 hours
 
 // ─── State shape ─────────────────────────────────────────────────────────────
 
+/**
+ * queued: saved to the outbox and will be submitted when back online
+ * conflict: the farmer changed on the server since it was loaded - see activeConflict
+ */
+export interface CorrectionSubmitResult {
+  queued: boolean;
+  conflict?: boolean;
+}
+
 interface CorrectionState {
   // Search
   filter: CorrectionFilter;
@@ -43,6 +95,20 @@ interface CorrectionState {
   saving: boolean;
   saveError: string | null;
 
+  // Farmers with corrections not yet on the server (drafts + outbox), by farmer id
+  unsentByFarmer: Record<string, number>;
+
+  // Conflicts - queued corrections the server rejected as stale, and the one being resolved
+  conflicts: CorrectionConflict[];
+  activeConflict: CorrectionConflict | null;
+
+  // Submitted correction history
+  submissions: CorrectionSubmission[];
+  submissionsOffline: boolean;
+  loadingSubmissions: boolean;
+  submissionsError: string | null;
+  resubmitting: boolean;
+
   // Farm
   farms: FarmCorrectionDetail[];
   selectedFarm: FarmCorrectionDetail | null;
@@ -62,12 +128,56 @@ interface CorrectionState {
   loadNextPage: () => Promise<void>;
   selectFarmer: (id: string) => Promise<void>;
   clearSelected: () => void;
-  updateFarmer: (id: string, changes: Partial<EditableFields>) => Promise<void>;
+  updateFarmer: (
+    id: string,
+    changes: Partial<EditableFields>,
+    baseUpdatedAt?: string | null,
+  ) => Promise<CorrectionSubmitResult>;
+  loadUnsent: () => Promise<void>;
+  loadConflicts: () => Promise<void>;
+  openConflict: (operationId: string) => void;
+  resolveConflict: (choices: Record<string, ConflictChoice>) => Promise<CorrectionSubmitResult>;
+  loadSubmissions: () => Promise<void>;
+  resubmitCorrection: (correctionId: string, changes: Record<string, unknown>) => Promise<CorrectionSubmitResult>;
   loadFarms: (farmerId: string) => Promise<void>;
   selectFarm: (farmId: string) => Promise<void>;
   clearSelectedFarm: () => void;
-  updateFarm: (farmId: string, changes: Partial<FarmEditableFields>) => Promise<void>;
-  updateReferees: (farmerId: string, ops: RefereeOp[]) => Promise<void>;
+  updateFarm: (farmId: string, changes: Partial<FarmEditableFields>) => Promise<CorrectionSubmitResult>;
+  updateReferees: (farmerId: string, ops: RefereeOp[]) => Promise<CorrectionSubmitResult>;
+}
+
+function farmerLabel(farmer: { firstName: string; lastName: string } | null): string {
+  return farmer ? `${farmer.firstName} ${farmer.lastName}` : 'farmer';
+}
+
+// Form fields are strings, so compare values the way FarmerEditScreen diffs them
+const sameValue = (a: unknown, b: unknown) => String(a ?? '') === String(b ?? '');
+
+function pickFields(record: object | null, fields: string[]): Record<string, unknown> {
+  return Object.fromEntries(fields.map((field) => [field, (record as any)?.[field] ?? null]));
+}
+
+/** Pair the agent's changes with the server's current record, field by field */
+function buildConflict(
+  farmerId: string,
+  changes: Record<string, unknown>,
+  original: Record<string, unknown>,
+  server: CorrectionFarmerDetail,
+  operationId: string | null,
+): CorrectionConflict {
+  return {
+    farmerId,
+    farmerName: farmerLabel(server),
+    operationId,
+    server,
+    fields: Object.keys(changes).map((field) => ({
+      field: field as keyof EditableFields,
+      mine: changes[field],
+      server: (server as any)[field] ?? null,
+      original: original[field] ?? null,
+      changedOnServer: !sameValue((server as any)[field], original[field]),
+    })),
+  };
 }
 
 const DEFAULT_FILTER: CorrectionFilter = {
@@ -98,6 +208,17 @@ export const useCorrectionStore = create<CorrectionState>((set, get) => ({
   saving: false,
   saveError: null,
 
+  unsentByFarmer: {},
+
+  conflicts: [],
+  activeConflict: null,
+
+  submissions: [],
+  submissionsOffline: false,
+  loadingSubmissions: false,
+  submissionsError: null,
+  resubmitting: false,
+
   farms: [],
   selectedFarm: null,
   loadingFarms: false,
@@ -143,7 +264,29 @@ export const useCorrectionStore = create<CorrectionState>((set, get) => ({
       }));
     } catch (e: unknown) {
       const msg = e instanceof Error ? e.message : 'Search failed';
-      // Try offline cache on first page
+      const { filter } = get();
+      // Search the downloaded farmer index first — it has no BVNs, so those searches skip it
+      if (page === 1 && !filter.bvn.trim()) {
+        try {
+          const indexStatus = await farmerIndexService.getStatus();
+          if (indexStatus) {
+            const farmers = await farmerIndexService.search(filter.search || filter.nin, {
+              limit: OFFLINE_INDEX_LIMIT,
+              filters: { state: filter.state, lga: filter.lga, ward: filter.ward },
+            });
+            set({
+              results: farmers,
+              pagination: { page: 1, limit: OFFLINE_INDEX_LIMIT, total: farmers.length, pages: 1 },
+              searching: false,
+              hasSearched: true,
+              isOffline: true,
+              searchError: 'Showing results from the offline farmer index',
+            });
+            return;
+          }
+        } catch { /* fall through */ }
+      }
+      // Otherwise the last cached first page
       if (page === 1) {
         try {
           const cached = await offlineCacheService.getCache(CACHE_KEY_CORRECTION_RESULTS) as SearchFarmersResult | null;
@@ -188,25 +331,219 @@ export const useCorrectionStore = create<CorrectionState>((set, get) => ({
 
   // ── Update ─────────────────────────────────────────────────────────────────
 
-  updateFarmer: async (id, changes) => {
+  // baseUpdatedAt: the record's updatedAt when the edit started, if it was
+  // resumed from a draft; defaults to the loaded record
+  updateFarmer: async (id, changes, baseUpdatedAt) => {
     set({ saving: true, saveError: null });
+    const current = get().selectedFarmer;
+    const original = pickFields(current, Object.keys(changes));
     try {
-      const updated = await correctionService.updateFarmer(id, changes);
+      // An earlier correction still in the outbox will change updatedAt when it
+      // lands, so base this one on that result rather than the loaded record
+      const pending = (await outboxService.getUnsynced(OPERATION_TYPES.CORRECTION_FARMER))
+        .filter((op) => op.payload.farmerId === id)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .pop();
+
+      // Corrections to one farmer are submitted in the order they were made
+      const outcome = await outboxService.submit(
+        OPERATION_TYPES.CORRECTION_FARMER,
+        {
+          farmerId: id,
+          changes,
+          original,
+          baseUpdatedAt: pending
+            ? outboxService.ref(pending.id, 'updatedAt')
+            : baseUpdatedAt ?? current?.updatedAt ?? null,
+        },
+        {
+          group: `correction:${id}`,
+          dependsOn: pending ? [pending.id] : [],
+          label: `Correction for ${farmerLabel(current)}`,
+          description: `${Object.keys(changes).length} field(s) changed`,
+        },
+      );
+      // While queued, show the agent's values locally
+      const updated: CorrectionFarmerDetail | null = outcome.status === 'synced'
+        ? outcome.result
+        : current && { ...current, ...changes };
       set((s) => ({
         saving: false,
         selectedFarmer: updated,
         // Refresh the matching entry in the results list
         results: s.results.map((r) =>
-          r.id === id ? { ...r, ...updated } : r
+          r.id === id ? { ...r, ...(updated ?? changes) } : r
         ),
       }));
+      return { queued: outcome.status === 'queued' };
     } catch (e: unknown) {
+      const server = (e as any)?.status === 412 ? (e as any).data?.current : null;
+      if (server) {
+        set({
+          saving: false,
+          activeConflict: buildConflict(id, changes, original, server, null),
+        });
+        return { queued: false, conflict: true };
+      }
       const msg = e instanceof Error ? e.message : 'Update failed';
       set({ saving: false, saveError: msg });
       throw e;
     }
   },
 
+  // ── Unsent corrections ─────────────────────────────────────────────────────
+
+  loadUnsent: async () => {
+    const [drafts, ...queued] = await Promise.all([
+      correctionDraftService.getDrafts(),
+      outboxService.getUnsynced(OPERATION_TYPES.CORRECTION_FARMER),
+      outboxService.getUnsynced(OPERATION_TYPES.CORRECTION_FARM),
+      outboxService.getUnsynced(OPERATION_TYPES.CORRECTION_REFEREES),
+    ]);
+    const unsentByFarmer: Record<string, number> = {};
+    const farmerIds = [
+      ...drafts.map((d) => d.farmerId),
+      ...queued.flat().map((op) => op.payload.farmerId),
+    ];
+    for (const farmerId of farmerIds) {
+      if (farmerId) unsentByFarmer[farmerId] = (unsentByFarmer[farmerId] ?? 0) + 1;
+    }
+    set({ unsentByFarmer });
+  },
+
+  // ── Conflicts ──────────────────────────────────────────────────────────────
+
+  loadConflicts: async () => {
+    const operations = await outboxService.getUnsynced(OPERATION_TYPES.CORRECTION_FARMER);
+    const conflicts = operations
+      .filter((op) => op.status === 'failed' && op.conflict)
+      .map((op) =>
+        buildConflict(op.payload.farmerId, op.payload.changes, op.payload.original ?? {}, op.conflict, op.id)
+      );
+    set({ conflicts });
+  },
+
+  openConflict: (operationId) =>
+    set((s) => ({
+      activeConflict: s.conflicts.find((c) => c.operationId === operationId) ?? null,
+    })),
+
+  resolveConflict: async (choices) => {
+    const conflict = get().activeConflict;
+    if (!conflict) return { queued: false };
+
+    const { server, farmerId, operationId } = conflict;
+    // Only fields whose kept value differs from the server still need sending
+    const changes: Record<string, unknown> = {};
+    for (const field of conflict.fields) {
+      const value = field[choices[field.field] ?? 'mine'];
+      if (!sameValue(value, field.server)) changes[field.field] = value;
+    }
+    const original = pickFields(server, Object.keys(changes));
+
+    set({ saving: true, saveError: null, selectedFarmer: server });
+    try {
+      let queued = false;
+
+      if (!operationId) {
+        // Rejected straight away - nothing in the outbox yet
+        if (Object.keys(changes).length > 0) {
+          const result = await get().updateFarmer(farmerId, changes as Partial<EditableFields>);
+          // A second conflict replaces activeConflict inside updateFarmer
+          if (!result.conflict) set({ activeConflict: null });
+          return result;
+        }
+      } else if (Object.keys(changes).length === 0) {
+        // Keeping the server's values - settle the operation with the current
+        // record so later corrections chained to it see the right updatedAt
+        await outboxService.markSynced(operationId, server);
+      } else {
+        // Rebase the queued operation on the server's version and send it again
+        await outboxService.updateOperation(operationId, {
+          payload: { farmerId, changes, original, baseUpdatedAt: server.updatedAt },
+          status: 'pending',
+          attempts: 0,
+          exhausted: false,
+          nextAttemptAt: null,
+          lastError: null,
+          conflict: null,
+        });
+        await outboxService.drain();
+        const operation = (await outboxService.getOperations()).find((op) => op.id === operationId);
+        queued = operation?.status !== 'synced';
+        if (operation?.status === 'synced') {
+          set({ selectedFarmer: operation.result });
+        } else if (operation?.conflict) {
+          // Changed again on the server while resolving
+          set({ saving: false, activeConflict: buildConflict(farmerId, changes, original, operation.conflict, operationId) });
+          return { queued: false, conflict: true };
+        } else {
+          set({ selectedFarmer: { ...server, ...changes } });
+        }
+      }
+
+      set((s) => ({
+        saving: false,
+        activeConflict: null,
+        results: s.results.map((r) => (r.id === farmerId ? { ...r, ...(s.selectedFarmer ?? {}) } : r)),
+      }));
+      return { queued };
+    } catch (e: unknown) {
+      const msg = e instanceof Error ? e.message : 'Update failed';
+      set({ saving: false, saveError: msg });
+      throw e;
+    }
+  },
+
+  // ── Correction history ─────────────────────────────────────────────────────
+
+  loadSubmissions: async () => {
+    set({ loadingSubmissions: true, submissionsError: null });
+    try {
+      const submissions = await correctionService.getMyCorrections();
+      offlineCacheService
+        .setCache(CACHE_KEY_MY_CORRECTIONS, submissions, CACHE_EXPIRY_MS)
+        .catch(() => { /* non-fatal */ });
+      set({ submissions, submissionsOffline: false, loadingSubmissions: false });
+    } catch (e: unknown) {
+      const cached = await offlineCacheService
+        .getCache(CACHE_KEY_MY_CORRECTIONS)
+        .catch(() => null) as CorrectionSubmission[] | null;
+      if (cached) {
+        set({ submissions: cached, submissionsOffline: true, loadingSubmissions: false });
+        return;
+      }
+      const msg = e instanceof Error ? e.message : 'Failed to load corrections';
+      set({ loadingSubmissions: false, submissionsError: msg });
+    }
+  },
+
+  resubmitCorrection: async (correctionId, changes) => {
+    set({ resubmitting: true });
+    try {
+      const submission = get().submissions.find((c) => c.id === correctionId);
+      const outcome = await outboxService.submit(
+        OPERATION_TYPES.CORRECTION_RESUBMIT,
+        { correctionId, changes },
+        {
+          group: `correction-resubmit:${correctionId}`,
+          label: `Resubmitted correction for ${submission?.farmerName ?? 'farmer'}`,
+          description: `${Object.keys(changes).length} field(s)`,
+        },
+      );
+      set((s) => ({
+        resubmitting: false,
+        submissions: outcome.status === 'synced'
+          ? s.submissions.map((c) => (c.id === correctionId ? outcome.result : c))
+          : s.submissions,
+      }));
+      return { queued: outcome.status === 'queued' };
+    } catch (e: unknown) {
+      set({ resubmitting: false });
+      throw e;
+    }
+  },
+
   // ── Farm correction ────────────────────────────────────────────────────────
 
   loadFarms: async (farmerId) => {
@@ -236,8 +573,18 @@ export const useCorrectionStore = create<CorrectionState>((set, get) => ({
   updateFarm: async (farmId, changes) => {
     set({ savingFarm: true, saveFarmError: null });
     try {
-      await correctionService.updateFarm(farmId, changes);
+      const farm = get().selectedFarm;
+      const outcome = await outboxService.submit(
+        OPERATION_TYPES.CORRECTION_FARM,
+        { farmId, farmerId: farm?.farmerId ?? null, changes },
+        {
+          group: `correction-farm:${farmId}`,
+          label: `Farm correction for ${farmerLabel(get().selectedFarmer)}`,
+          description: farm?.primaryCrop ?? undefined,
+        },
+      );
       set({ savingFarm: false });
+      return { queued: outcome.status === 'queued' };
     } catch (e: unknown) {
       const msg = e instanceof Error ? e.message : 'Farm update failed';
       set({ savingFarm: false, saveFarmError: msg });
@@ -250,8 +597,17 @@ export const useCorrectionStore = create<CorrectionState>((set, get) => ({
   updateReferees: async (farmerId, ops) => {
     set({ savingReferees: true, saveRefereesError: null });
     try {
-      await correctionService.updateReferees(farmerId, ops);
+      const outcome = await outboxService.submit(
+        OPERATION_TYPES.CORRECTION_REFEREES,
+        { farmerId, ops },
+        {
+          group: `correction:${farmerId}`,
+          label: `Referee correction for ${farmerLabel(get().selectedFarmer)}`,
+          description: `${ops.length} change(s)`,
+        },
+      );
       set({ savingReferees: false });
+      return { queued: outcome.status === 'queued' };
     } catch (e: unknown) {
       const msg = e instanceof Error ? e.message : 'Referee update failed';
       set({ savingReferees: false, saveRefereesError: msg });
@@ -259,3 +615,9 @@ export const useCorrectionStore = create<CorrectionState>((set, get) => ({
     }
   },
 }));
+
+// Keep the conflict list in step with the outbox
+outboxService.subscribe(() => {
+  useCorrectionStore.getState().loadConflicts();
+  useCorrectionStore.getState().loadUnsent();
+});
@@ -2,6 +2,8 @@ import { create } from 'zustand';
 import { farmerService } from '../services/farmerService';
 import { auth } from '../services/firebase';
 import { offlineCacheService } from '../services/offlineCacheService';
+import { offlineSyncService } from '../services/offlineSyncService';
+import { outboxService, OPERATION_TYPES } from '../services/outboxService';
 
 export const useFarmerStore = create((set, get) => ({
   farmers: [],
@@ -32,10 +34,19 @@ export const useFarmerStore = create((set, get) => ({
     farmers: []
   }),
 
+  // Resolves with the outbox outcome - { status: 'queued' } when the
+  // registration is waiting for connectivity instead of created
   addFarmer: async (farmerData) => {
     try {
       set({ loading: true, error: null });
-      const newFarmer = await farmerService.createFarmer(farmerData);
+      const outcome = await offlineSyncService.submitEnrollment(farmerData);
+
+      if (outcome.status !== 'synced') {
+        set({ loading: false });
+        return outcome;
+      }
+
+      const newFarmer = outcome.result;
       set((state) => ({
         farmers: [newFarmer, ...state.farmers], // Add to beginning
         pagination: {
@@ -49,7 +60,7 @@ export const useFarmerStore = create((set, get) => ({
       const currentFarmers = get().farmers;
       await offlineCacheService.cacheFarmers(currentFarmers);
       
-      return newFarmer;
+      return outcome;
     } catch (error) {
       set({ loading: false, error: error.message });
       throw error;
@@ -344,16 +355,24 @@ export const useFarmerStore = create((set, get) => ({
     }
   },
 
+  // Updates to the same farmer are sent in order; while queued the local
+  // copy is updated optimistically
   updateFarmer: async (id, updates) => {
     try {
       set({ loading: true, error: null });
-      const updatedFarmer = await farmerService.updateFarmer(id, updates);
+      const outcome = await outboxService.submit(
+        OPERATION_TYPES.FARMER_UPDATE,
+        { farmerId: id, updates },
+        { group: `farmer:${id}`, label: 'Farmer update' }
+      );
       set((state) => ({
-        farmers: state.farmers.map((farmer) =>
-          farmer.id === id ? updatedFarmer : farmer
-        ),
+        farmers: state.farmers.map((farmer) => {
+          if (farmer.id !== id) return farmer;
+          return outcome.status === 'synced' ? outcome.result : { ...farmer, ...updates };
+        }),
         loading: false,
       }));
+      return outcome;
     } catch (error) {
       set({ loading: false, error: error.message });
       throw error;
@@ -5,6 +5,7 @@ import type {
   SurveyDetail,
   SurveyFarmerRef,
   AnswerDraft,
+  QueuedSurveyResponse,
 } from '../types/survey';
 
 // eslint-disable-next-line @typescript-eslint/no-require-imports
@@ -15,6 +16,27 @@ const { offlineCacheService } = require('../services/offlineCacheService') as {
   };
 };
 
+// eslint-disable-next-line @typescript-eslint/no-require-imports
+const { outboxService, OPERATION_TYPES } = require('../services/outboxService') as {
+  outboxService: {
+    submit: (
+      type: string,
+      payload: unknown,
+      options?: { group?: string; label?: string; description?: string },
+    ) => Promise<{ status: 'synced' | 'queued'; result?: any }>;
+    getUnsynced: (type: string) => Promise<any[]>;
+    subscribe: (listener: () => void) => () => void;
+  };
+  OPERATION_TYPES: Record<string, string>;
+};
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports
+const { farmerIndexService } = require('../services/farmerIndexService') as {
+  farmerIndexService: {
+    search: (query: string, options?: { limit?: number }) => Promise<SurveyFarmerRef[]>;
+  };
+};
+
 const CACHE_KEY_SURVEYS = '@cache_active_surveys';
 const CACHE_KEY_SURVEY_DETAIL = (id: string) => `@cache_survey_detail_${id}`;
 const CACHE_EXPIRY_MS = 6 * 60 * 60 * 1000; // 6 hours
@@ -37,8 +59,13 @@ interface SurveyState {
   farmerQuery: string;
   farmerResults: SurveyFarmerRef[];
   searchingFarmers: boolean;
+  farmerResultsOffline: boolean; // Results came from the on-device farmer index
   selectedFarmer: SurveyFarmerRef | null;
   farmerAlreadyCompleted: boolean;
+  farmerResponseQueued: boolean; // Completed on this device, not yet uploaded
+
+  // Responses waiting in the outbox
+  queuedResponses: QueuedSurveyResponse[];
 
   // Answer drafts: questionId → AnswerDraft
   answers: Record<string, AnswerDraft>;
@@ -47,9 +74,11 @@ interface SurveyState {
   submitting: boolean;
   submitError: string | null;
   submittedResponseId: string | null;
+  submitQueued: boolean; // Saved to the outbox, awaiting upload
 
   // Actions
   loadSurveys: () => Promise<void>;
+  loadQueuedResponses: () => Promise<void>;
   selectSurvey: (surveyId: string) => Promise<void>;
   clearSurvey: () => void;
 
@@ -80,17 +109,40 @@ export const useSurveyStore = create<SurveyState>((set, get) => ({
   farmerQuery: '',
   farmerResults: [],
   searchingFarmers: false,
+  farmerResultsOffline: false,
   selectedFarmer: null,
   farmerAlreadyCompleted: false,
+  farmerResponseQueued: false,
+
+  queuedResponses: [],
 
   answers: {},
 
   submitting: false,
   submitError: null,
   submittedResponseId: null,
+  submitQueued: false,
 
   // ── Survey list ────────────────────────────────────────────────────────────
 
+  loadQueuedResponses: async () => {
+    try {
+      const operations = await outboxService.getUnsynced(OPERATION_TYPES.SURVEY_RESPONSE);
+      const queuedResponses: QueuedSurveyResponse[] = operations.map((op) => ({
+        operationId: op.id,
+        surveyId: op.payload.surveyId,
+        farmerId: op.payload.farmerId,
+        farmerName: op.description,
+        status: op.status,
+        queuedAt: op.createdAt,
+        lastError: op.lastError,
+      }));
+      set({ queuedResponses });
+    } catch {
+      // Non-fatal — list just won't show pending uploads
+    }
+  },
+
   loadSurveys: async () => {
     set({ loadingSurveys: true, surveysError: null, surveysOffline: false });
     try {
@@ -172,16 +224,33 @@ export const useSurveyStore = create<SurveyState>((set, get) => ({
     set({ searchingFarmers: true });
     try {
       const results = await surveyService.searchFarmers(farmerQuery.trim());
-      set({ farmerResults: results, searchingFarmers: false });
+      set({ farmerResults: results, searchingFarmers: false, farmerResultsOffline: false });
     } catch {
-      set({ searchingFarmers: false });
+      // Offline or server unreachable — search the downloaded farmer index instead
+      try {
+        const results = await farmerIndexService.search(farmerQuery.trim());
+        set({ farmerResults: results, searchingFarmers: false, farmerResultsOffline: true });
+      } catch {
+        set({ searchingFarmers: false });
+      }
     }
   },
 
   selectFarmer: async (farmer: SurveyFarmerRef) => {
     const { selectedSurvey } = get();
-    set({ selectedFarmer: farmer, farmerAlreadyCompleted: false });
+    set({ selectedFarmer: farmer, farmerAlreadyCompleted: false, farmerResponseQueued: false });
     if (!selectedSurvey) return;
+
+    // A response taken offline counts as completed before the server knows about it
+    await get().loadQueuedResponses();
+    const queued = get().queuedResponses.some(
+      (r) => r.surveyId === selectedSurvey.id && r.farmerId === farmer.id,
+    );
+    if (queued) {
+      set({ farmerAlreadyCompleted: true, farmerResponseQueued: true });
+      return;
+    }
+
     try {
       const { completed } = await surveyService.checkCompletion(selectedSurvey.id, farmer.id);
       set({ farmerAlreadyCompleted: completed });
@@ -191,7 +260,13 @@ export const useSurveyStore = create<SurveyState>((set, get) => ({
   },
 
   clearFarmer: () =>
-    set({ selectedFarmer: null, farmerAlreadyCompleted: false, farmerResults: [] }),
+    set({
+      selectedFarmer: null,
+      farmerAlreadyCompleted: false,
+      farmerResponseQueued: false,
+      farmerResults: [],
+      farmerResultsOffline: false,
+    }),
 
   // ── Answers ────────────────────────────────────────────────────────────────
 
@@ -218,15 +293,23 @@ export const useSurveyStore = create<SurveyState>((set, get) => ({
   submitSurvey: async () => {
     const { selectedSurvey, selectedFarmer, answers } = get();
     if (!selectedSurvey || !selectedFarmer) return;
-    set({ submitting: true, submitError: null });
+    set({ submitting: true, submitError: null, submitQueued: false });
     try {
       const draftList = Object.values(answers);
-      const result = await surveyService.submitResponse(
-        selectedSurvey.id,
-        selectedFarmer.id,
-        draftList,
+      const outcome = await outboxService.submit(
+        OPERATION_TYPES.SURVEY_RESPONSE,
+        { surveyId: selectedSurvey.id, farmerId: selectedFarmer.id, answers: draftList },
+        {
+          label: `Survey: ${selectedSurvey.title}`,
+          description: `${selectedFarmer.firstName} ${selectedFarmer.lastName}`,
+        },
       );
-      set({ submitting: false, submittedResponseId: result.id });
+      if (outcome.status === 'synced') {
+        set({ submitting: false, submittedResponseId: outcome.result.id });
+      } else {
+        set({ submitting: false, submitQueued: true });
+      }
+      get().loadQueuedResponses();
     } catch (e: any) {
       set({ submitting: false, submitError: e.message });
     }
@@ -237,11 +320,19 @@ export const useSurveyStore = create<SurveyState>((set, get) => ({
       selectedSurvey: null,
       selectedFarmer: null,
       farmerAlreadyCompleted: false,
+      farmerResponseQueued: false,
       answers: {},
       submitting: false,
       submitError: null,
       submittedResponseId: null,
+      submitQueued: false,
       farmerQuery: '',
       farmerResults: [],
+      farmerResultsOffline: false,
     }),
 }));
+
+// Keep the awaiting-upload list current as the outbox syncs in the background
+outboxService.subscribe(() => {
+  useSurveyStore.getState().loadQueuedResponses();
+});
@@ -38,6 +38,7 @@ export interface CorrectionFarmerDetail extends CorrectionFarmerSummary {
   latitude: number | null;
   longitude: number | null;
   referees: CorrectionReferee[];
+  updatedAt: string; // Version a correction is based on
 }
 
 export interface CorrectionFilter {
@@ -83,6 +84,56 @@ export type EditableFields = Pick<
   | 'longitude'
 >;
 
+// ─── Conflict resolution types ────────────────────────────────────────────────
+
+/** Which value to keep for a field edited on both the device and the server */
+export type ConflictChoice = 'mine' | 'server' | 'original';
+
+export interface CorrectionConflictField {
+  field: keyof EditableFields;
+  mine: unknown; // The agent's corrected value
+  server: unknown; // The value on the server now
+  original: unknown; // The value the agent started from
+  changedOnServer: boolean;
+}
+
+/** A farmer correction the server rejected because the record changed since it was loaded */
+export interface CorrectionConflict {
+  farmerId: string;
+  farmerName: string;
+  operationId: string | null; // Outbox operation holding the rejected edit, if it was queued
+  fields: CorrectionConflictField[];
+  server: CorrectionFarmerDetail;
+}
+
+// ─── Submitted correction history ─────────────────────────────────────────────
+
+export type CorrectionType = 'FARMER' | 'FARM' | 'REFEREE';
+
+/** FARMER corrections apply immediately; FARM and REFEREE ones wait for admin review */
+export type CorrectionStatus = 'APPLIED' | 'PENDING' | 'APPROVED' | 'REJECTED';
+
+export interface CorrectionFieldChange {
+  field: string;
+  label: string;
+  oldValue: unknown;
+  newValue: unknown;
+}
+
+export interface CorrectionSubmission {
+  id: string;
+  correctionType: CorrectionType;
+  status: CorrectionStatus;
+  farmerId: string;
+  farmerName: string;
+  farmId: string | null;
+  changes: CorrectionFieldChange[];
+  reviewerComment: string | null;
+  reviewedBy: string | null;
+  reviewedAt: string | null;
+  submittedAt: string;
+}
+
 // ─── Farm correction types ────────────────────────────────────────────────────
 
 export interface FarmCorrectionDetail {
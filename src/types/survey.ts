@@ -66,3 +66,14 @@ export interface SurveyResponseResult {
   farmerId: string;
   completedAt: string;
 }
+
+/** A completed response saved on the device, not yet uploaded */
+export interface QueuedSurveyResponse {
+  operationId: string;
+  surveyId: string;
+  farmerId: string;
+  farmerName: string | null;
+  status: 'pending' | 'syncing' | 'failed';
+  queuedAt: string;
+  lastError: string | null;
+}
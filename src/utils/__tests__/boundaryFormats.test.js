@@ -0,0 +1,188 @@
+import {
+  BOUNDARY_FORMATS,
+  detectFormat,
+  parseBoundaryFile,
+  serializeBoundaries,
+} from '../boundaryFormats';
+
+// A small square plot near Abuja and a pond inside it, as "lng,lat" corners
+const OUTER = [[7.4900, 9.0500], [7.4920, 9.0500], [7.4920, 9.0520], [7.4900, 9.0520]];
+const HOLE = [[7.4905, 9.0505], [7.4910, 9.0505], [7.4910, 9.0510], [7.4905, 9.0510]];
+const SECOND = [[7.5000, 9.0600], [7.5010, 9.0600], [7.5010, 9.0610]];
+
+const closed = ring => [...ring, ring[0]];
+const kmlCoordinates = ring => closed(ring).map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+const points = ring => ring.map(([longitude, latitude]) => ({ latitude, longitude }));
+
+const kml = body => `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>${body}</Document></kml>`;
+
+const gpx = body => `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">${body}</gpx>`;
+
+describe('detectFormat', () => {
+  it('uses the extension first, then the content', () => {
+    expect(detectFormat('', 'farm.KML')).toBe(BOUNDARY_FORMATS.KML);
+    expect(detectFormat('', 'walk.gpx')).toBe(BOUNDARY_FORMATS.GPX);
+    expect(detectFormat('  {"type":"Polygon"}')).toBe(BOUNDARY_FORMATS.GEOJSON);
+    expect(detectFormat(kml(''), 'export')).toBe(BOUNDARY_FORMATS.KML);
+    expect(detectFormat('plain text')).toBeNull();
+  });
+});
+
+describe('parseBoundaryFile - KML', () => {
+  it('reads namespaced tags and drops the repeated closing point', () => {
+    const text = `<?xml version="1.0"?>
+<kml:kml xmlns:kml="http://www.opengis.net/kml/2.2"><kml:Document>
+  <kml:Placemark>
+    <kml:name>Plot A</kml:name>
+    <kml:Polygon><kml:outerBoundaryIs><kml:LinearRing>
+      <kml:coordinates>${kmlCoordinates(OUTER)}</kml:coordinates>
+    </kml:LinearRing></kml:outerBoundaryIs></kml:Polygon>
+  </kml:Placemark>
+</kml:Document></kml:kml>`;
+
+    const { format, boundaries } = parseBoundaryFile(text, 'survey.kml');
+
+    expect(format).toBe(BOUNDARY_FORMATS.KML);
+    expect(boundaries).toEqual([{ name: 'Plot A', shape: [{ outer: points(OUTER), holes: [] }] }]);
+  });
+
+  it('keeps innerBoundaryIs rings as holes', () => {
+    const text = kml(`<Placemark><name>Fish pond farm</name><Polygon>
+      <outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(OUTER)}</coordinates></LinearRing></outerBoundaryIs>
+      <innerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(HOLE)}</coordinates></LinearRing></innerBoundaryIs>
+    </Polygon></Placemark>`);
+
+    const [boundary] = parseBoundaryFile(text, 'farm.kml').boundaries;
+
+    expect(boundary.shape).toEqual([{ outer: points(OUTER), holes: [points(HOLE)] }]);
+  });
+
+  it('reads each Polygon in a MultiGeometry as a plot of one boundary', () => {
+    const text = kml(`<Placemark><name>Two plots</name><MultiGeometry>
+      <Polygon><outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(OUTER)}</coordinates></LinearRing></outerBoundaryIs></Polygon>
+      <Polygon><outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(SECOND)}</coordinates></LinearRing></outerBoundaryIs></Polygon>
+    </MultiGeometry></Placemark>`);
+
+    const { boundaries } = parseBoundaryFile(text, 'farm.kml');
+
+    expect(boundaries).toHaveLength(1);
+    expect(boundaries[0].shape).toEqual([
+      { outer: points(OUTER), holes: [] },
+      { outer: points(SECOND), holes: [] },
+    ]);
+  });
+
+  it('decodes CDATA and entities in names', () => {
+    const text = kml(`
+      <Placemark><name><![CDATA[Bello & Sons <north>]]></name>
+        <LineString><coordinates>${kmlCoordinates(OUTER)}</coordinates></LineString></Placemark>
+      <Placemark><name>Musa &amp; Co</name>
+        <LineString><coordinates>${kmlCoordinates(SECOND)}</coordinates></LineString></Placemark>`);
+
+    const names = parseBoundaryFile(text, 'farm.kml').boundaries.map(boundary => boundary.name);
+
+    expect(names).toEqual(['Bello & Sons <north>', 'Musa & Co']);
+  });
+
+  it('names unnamed placemarks and throws when none has three points', () => {
+    const text = kml(`<Placemark><LineString><coordinates>${kmlCoordinates(OUTER)}</coordinates></LineString></Placemark>`);
+    expect(parseBoundaryFile(text, 'farm.kml').boundaries[0].name).toBe('Boundary 1');
+
+    const short = kml('<Placemark><LineString><coordinates>7.49,9.05 7.50,9.06</coordinates></LineString></Placemark>');
+    expect(() => parseBoundaryFile(short, 'farm.kml')).toThrow('No farm boundary with at least 3 points');
+  });
+});
+
+describe('parseBoundaryFile - GPX', () => {
+  const trkpts = (ring, selfClosing = true) => ring
+    .map(([lng, lat]) => (selfClosing
+      ? `<trkpt lat="${lat}" lon="${lng}"/>`
+      : `<trkpt lat="${lat}" lon="${lng}"><ele>410</ele></trkpt>`))
+    .join('\n');
+
+  it('reads each trkseg as its own boundary', () => {
+    const text = gpx(`<trk><name>Morning walk</name>
+      <trkseg>${trkpts(closed(OUTER))}</trkseg>
+      <trkseg>${trkpts(SECOND, false)}</trkseg>
+    </trk>`);
+
+    const { format, boundaries } = parseBoundaryFile(text, 'walk.gpx');
+
+    expect(format).toBe(BOUNDARY_FORMATS.GPX);
+    expect(boundaries).toEqual([
+      { name: 'Morning walk (1)', shape: [{ outer: points(OUTER), holes: [] }] },
+      { name: 'Morning walk (2)', shape: [{ outer: points(SECOND), holes: [] }] },
+    ]);
+  });
+
+  it('reads self-closing trkpt tags without swallowing the next point', () => {
+    const text = gpx(`<trk><name><![CDATA[Plot 7]]></name><trkseg>${trkpts(OUTER)}</trkseg></trk>`);
+
+    const [boundary] = parseBoundaryFile(text, 'walk.gpx').boundaries;
+
+    expect(boundary.name).toBe('Plot 7');
+    expect(boundary.shape[0].outer).toEqual(points(OUTER));
+  });
+
+  it('falls back to waypoints when there is no track or route', () => {
+    const waypoints = OUTER.map(([lng, lat]) => `<wpt lat="${lat}" lon="${lng}"><name>corner</name></wpt>`).join('');
+
+    const [boundary] = parseBoundaryFile(gpx(waypoints), 'corners.gpx').boundaries;
+
+    expect(boundary.shape[0].outer).toEqual(points(OUTER));
+  });
+});
+
+describe('parseBoundaryFile - GeoJSON', () => {
+  it('reads features, holes and multipolygons', () => {
+    const text = JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: { farmName: 'With pond' }, geometry: { type: 'Polygon', coordinates: [closed(OUTER), closed(HOLE)] } },
+        { type: 'Feature', properties: {}, geometry: { type: 'MultiPolygon', coordinates: [[closed(OUTER)], [closed(SECOND)]] } },
+      ],
+    });
+
+    const { boundaries } = parseBoundaryFile(text, 'farms.geojson');
+
+    expect(boundaries).toEqual([
+      { name: 'With pond', shape: [{ outer: points(OUTER), holes: [points(HOLE)] }] },
+      {
+        name: 'Boundary 2',
+        shape: [{ outer: points(OUTER), holes: [] }, { outer: points(SECOND), holes: [] }],
+      },
+    ]);
+  });
+
+  it('rejects malformed JSON', () => {
+    expect(() => parseBoundaryFile('{"type":', 'farms.geojson')).toThrow('not valid GeoJSON');
+  });
+});
+
+describe('serializeBoundaries', () => {
+  const farms = [
+    { id: 'f1', name: 'Pond farm', farmBoundaries: [{ outer: points(OUTER), holes: [points(HOLE)] }] },
+    { id: 'f2', name: 'Split farm', farmBoundaries: [{ outer: points(OUTER), holes: [] }, { outer: points(SECOND), holes: [] }] },
+    { id: 'f3', name: 'No boundary' },
+  ];
+
+  it.each([BOUNDARY_FORMATS.GEOJSON, BOUNDARY_FORMATS.KML])('round-trips holes and plots through %s', (format) => {
+    const { content, count } = serializeBoundaries(farms, format);
+    const { boundaries } = parseBoundaryFile(content, `export.${format}`);
+
+    expect(count).toBe(2);
+    expect(boundaries.map(boundary => boundary.name)).toEqual(['Pond farm', 'Split farm']);
+    expect(boundaries[0].shape).toEqual(farms[0].farmBoundaries);
+    expect(boundaries[1].shape).toEqual(farms[1].farmBoundaries);
+  });
+
+  it('writes one GPX segment per plot outline', () => {
+    const { content } = serializeBoundaries(farms, BOUNDARY_FORMATS.GPX);
+    const { boundaries } = parseBoundaryFile(content, 'export.gpx');
+
+    expect(boundaries.map(boundary => boundary.name)).toEqual(['Pond farm', 'Split farm (1)', 'Split farm (2)']);
+    expect(boundaries[0].shape).toEqual([{ outer: points(OUTER), holes: [] }]);
+  });
+});
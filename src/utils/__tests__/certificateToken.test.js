@@ -0,0 +1,165 @@
+import nacl from 'tweetnacl';
+import {
+  TOKEN_PREFIX,
+  base64UrlEncode,
+  base64UrlDecode,
+  hashNin,
+  decodeCertificateToken,
+  verifyCertificateToken,
+  ninMatchesClaims,
+  extractCertificateToken,
+} from '../certificateToken';
+
+// Tokens are signed the way the server does it, with fixed test keys
+const ascii = text => Uint8Array.from(text, char => char.charCodeAt(0));
+const keyPair = seedByte => nacl.sign.keyPair.fromSeed(new Uint8Array(32).fill(seedByte));
+
+const SIGNING_KEY = keyPair(1);
+const OTHER_KEY = keyPair(2);
+const PUBLIC_KEYS = { 'fims-test': base64UrlEncode(SIGNING_KEY.publicKey) };
+
+const NIN = '12345678901';
+const SALT = base64UrlEncode(new Uint8Array(16).fill(7));
+
+const encodePayload = claims => base64UrlEncode(ascii(JSON.stringify(claims)));
+
+const signToken = (claims, secretKey = SIGNING_KEY.secretKey) => {
+  const signedText = `${TOKEN_PREFIX}.${encodePayload(claims)}`;
+  return `${signedText}.${base64UrlEncode(nacl.sign.detached(ascii(signedText), secretKey))}`;
+};
+
+const CLAIMS = {
+  kid: 'fims-test',
+  cid: 'CERT-2025-000123',
+  fid: 'farmer_1',
+  ns: SALT,
+  nh: hashNin(SALT, 'farmer_1', NIN),
+  iat: '2025-03-14',
+};
+
+describe('base64UrlDecode', () => {
+  it('reverses base64UrlEncode for every padding length', () => {
+    for (let length = 0; length <= 6; length++) {
+      const bytes = Uint8Array.from({ length }, (_, i) => (i * 97 + 250) % 256);
+      expect(base64UrlDecode(base64UrlEncode(bytes))).toEqual(bytes);
+    }
+  });
+
+  it('decodes RFC 4648 vectors, padded or not, in either alphabet', () => {
+    expect(base64UrlDecode('Zm9vYmFy')).toEqual(ascii('foobar'));
+    expect(base64UrlDecode('Zm9vYg==')).toEqual(ascii('foob'));
+    expect(base64UrlDecode('Zm9vYg')).toEqual(ascii('foob'));
+    expect(base64UrlDecode('-_8')).toEqual(Uint8Array.from([0xfb, 0xff]));
+    expect(base64UrlDecode('+/8=')).toEqual(Uint8Array.from([0xfb, 0xff]));
+  });
+
+  it('rejects text that is not base64', () => {
+    expect(() => base64UrlDecode('abc$')).toThrow('Invalid base64 text');
+    expect(() => base64UrlDecode('abcde')).toThrow('Invalid base64 text');
+  });
+});
+
+describe('decodeCertificateToken', () => {
+  it('splits a token into claims, signed text and signature', () => {
+    const token = signToken(CLAIMS);
+    const decoded = decodeCertificateToken(`  ${token}\n`);
+
+    expect(decoded.claims).toEqual(CLAIMS);
+    expect(decoded.signedText).toBe(token.split('.').slice(0, 2).join('.'));
+    expect(decoded.signature).toHaveLength(nacl.sign.signatureLength);
+  });
+
+  it('returns null for anything that is not a token', () => {
+    const [, payload, signature] = signToken(CLAIMS).split('.');
+
+    expect(decodeCertificateToken(null)).toBeNull();
+    expect(decodeCertificateToken(`FC2.${payload}.${signature}`)).toBeNull();
+    expect(decodeCertificateToken(`${TOKEN_PREFIX}.${payload}`)).toBeNull();
+    expect(decodeCertificateToken(`${TOKEN_PREFIX}.${base64UrlEncode(ascii('not json'))}.${signature}`)).toBeNull();
+    expect(decodeCertificateToken(`${TOKEN_PREFIX}.${base64UrlEncode(ascii('42'))}.${signature}`)).toBeNull();
+  });
+});
+
+describe('verifyCertificateToken', () => {
+  it('accepts a token signed with a bundled key', () => {
+    expect(verifyCertificateToken(signToken(CLAIMS), PUBLIC_KEYS)).toEqual({ valid: true, reason: null, claims: CLAIMS });
+  });
+
+  it('rejects a payload changed after signing', () => {
+    const [prefix, , signature] = signToken(CLAIMS).split('.');
+    const tampered = `${prefix}.${encodePayload({ ...CLAIMS, fid: 'farmer_2' })}.${signature}`;
+
+    expect(verifyCertificateToken(tampered, PUBLIC_KEYS)).toMatchObject({
+      valid: false,
+      reason: 'bad_signature',
+      claims: { fid: 'farmer_2' },
+    });
+  });
+
+  it('rejects a changed signature', () => {
+    const [prefix, payload, signature] = signToken(CLAIMS).split('.');
+    const bytes = base64UrlDecode(signature);
+    bytes[10] ^= 1;
+
+    const result = verifyCertificateToken(`${prefix}.${payload}.${base64UrlEncode(bytes)}`, PUBLIC_KEYS);
+    expect(result).toMatchObject({ valid: false, reason: 'bad_signature' });
+  });
+
+  it('rejects a token signed with another key under a bundled key id', () => {
+    const result = verifyCertificateToken(signToken(CLAIMS, OTHER_KEY.secretKey), PUBLIC_KEYS);
+    expect(result).toMatchObject({ valid: false, reason: 'bad_signature' });
+  });
+
+  it('reports a key id the app does not know', () => {
+    const token = signToken({ ...CLAIMS, kid: 'fims-2031' });
+
+    expect(verifyCertificateToken(token, PUBLIC_KEYS)).toMatchObject({ valid: false, reason: 'unknown_key' });
+    expect(verifyCertificateToken(signToken(CLAIMS), {})).toMatchObject({ valid: false, reason: 'unknown_key' });
+    expect(verifyCertificateToken(signToken(CLAIMS), { 'fims-test': 'too-short' }))
+      .toMatchObject({ valid: false, reason: 'unknown_key' });
+  });
+
+  it('reports tokens missing the certificate or farmer id as malformed', () => {
+    const { fid, ...withoutFarmer } = CLAIMS;
+
+    expect(verifyCertificateToken(signToken(withoutFarmer), PUBLIC_KEYS)).toMatchObject({ valid: false, reason: 'malformed' });
+    expect(verifyCertificateToken('FC1.abc', PUBLIC_KEYS)).toEqual({ valid: false, reason: 'malformed', claims: null });
+  });
+});
+
+describe('ninMatchesClaims', () => {
+  it('confirms the NIN the certificate was issued for', () => {
+    const { claims } = verifyCertificateToken(signToken(CLAIMS), PUBLIC_KEYS);
+
+    expect(ninMatchesClaims(claims, NIN)).toBe(true);
+    expect(ninMatchesClaims(claims, ` ${NIN} `)).toBe(true);
+    expect(ninMatchesClaims(claims, '12345678902')).toBe(false);
+  });
+
+  it('does not match the hash against a different farmer', () => {
+    // The same NIN hash copied onto another farmer's certificate
+    expect(ninMatchesClaims({ ...CLAIMS, fid: 'farmer_2' }, NIN)).toBe(false);
+  });
+
+  it('hashes the same NIN differently under each salt', () => {
+    const otherSalt = base64UrlEncode(new Uint8Array(16).fill(8));
+
+    expect(hashNin(otherSalt, 'farmer_1', NIN)).not.toBe(CLAIMS.nh);
+    expect(ninMatchesClaims({ ...CLAIMS, ns: otherSalt }, NIN)).toBe(false);
+  });
+
+  it('is false for tokens without a NIN hash', () => {
+    const { ns, nh, ...claims } = CLAIMS;
+    expect(ninMatchesClaims(claims, NIN)).toBe(false);
+  });
+});
+
+describe('extractCertificateToken', () => {
+  it('reads the token from a verification URL or bare text', () => {
+    const token = signToken(CLAIMS);
+
+    expect(extractCertificateToken(`https://fims.example/verify-certificate/CERT-2025-000123?t=${token}`)).toBe(token);
+    expect(extractCertificateToken(token)).toBe(token);
+    expect(extractCertificateToken('https://example.com')).toBeNull();
+  });
+});
@@ -0,0 +1,100 @@
+import {
+  polygonArea,
+  polygonPerimeter,
+  geodesicDistance,
+  measurePolygon,
+} from '../geodesy';
+
+// Reference values from GeographicLib (Karney) on WGS84
+
+const dms = (degrees, minutes, seconds) =>
+  Math.sign(degrees) * (Math.abs(degrees) + minutes / 60 + seconds / 3600);
+
+const expectWithinPpm = (actual, expected, ppm) => {
+  expect(Math.abs(actual - expected) / expected).toBeLessThan(ppm * 1e-6);
+};
+
+// A ~4.2 ha plot near Abuja and a ~3,175 ha block near Ibadan, as [lng, lat]
+const PLOT = [[7.4912, 9.0571], [7.4931, 9.0573], [7.4934, 9.0556], [7.4917, 9.0551], [7.4912, 9.0571]];
+const BLOCK = [[3.90, 7.40], [3.95, 7.41], [3.96, 7.36], [3.91, 7.35]];
+
+describe('polygonArea', () => {
+  it('matches GeographicLib within 0.2 ppm', () => {
+    expectWithinPpm(polygonArea(PLOT), 42194.027188334614, 0.2);
+    expectWithinPpm(polygonArea(BLOCK), 31745485.09390104, 0.2);
+  });
+
+  it('gives the same area for every accepted shape', () => {
+    const points = PLOT.map(([longitude, latitude]) => ({ latitude, longitude }));
+    const geometry = { type: 'Polygon', coordinates: [PLOT] };
+
+    expect(polygonArea(points)).toBeCloseTo(polygonArea(PLOT), 6);
+    expect(polygonArea(geometry)).toBeCloseTo(polygonArea(PLOT), 6);
+    expect(polygonArea(JSON.stringify(geometry))).toBeCloseTo(polygonArea(PLOT), 6);
+    expect(polygonArea([{ outer: points, holes: [] }])).toBeCloseTo(polygonArea(PLOT), 6);
+  });
+
+  it('subtracts holes and adds their edges to the perimeter', () => {
+    // The plot moved inside the block
+    const hole = PLOT.map(([lng, lat]) => [lng - 3.56, lat - 1.68]);
+    const shape = { type: 'Polygon', coordinates: [BLOCK, hole] };
+
+    expect(polygonArea(shape)).toBeCloseTo(polygonArea(BLOCK) - polygonArea(hole), 6);
+    expect(polygonPerimeter(shape)).toBeCloseTo(polygonPerimeter(BLOCK) + polygonPerimeter(hole), 6);
+  });
+
+  it('is zero for fewer than three points', () => {
+    expect(polygonArea(PLOT.slice(0, 2))).toBe(0);
+    expect(polygonArea(null)).toBe(0);
+  });
+});
+
+describe('polygonPerimeter', () => {
+  it('matches GeographicLib to the millimetre', () => {
+    expect(polygonPerimeter(PLOT)).toBeCloseTo(823.7904141670604, 3);
+    expect(polygonPerimeter(BLOCK)).toBeCloseTo(22537.260770191748, 3);
+  });
+
+  it('is reported in measurePolygon with the area in hectares', () => {
+    const measured = measurePolygon(PLOT);
+    expect(measured.areaHectares).toBeCloseTo(4.2194027, 6);
+    expect(measured.perimeterMeters).toBeCloseTo(823.790414, 3);
+  });
+});
+
+describe('geodesicDistance', () => {
+  it('gives Vincenty\'s Flinders Peak to Buninyong distance', () => {
+    const flindersPeak = { latitude: dms(-37, 57, 3.72030), longitude: dms(144, 25, 29.52440) };
+    const buninyong = { latitude: dms(-37, 39, 10.15610), longitude: dms(143, 55, 35.38390) };
+
+    expect(geodesicDistance(flindersPeak, buninyong)).toBeCloseTo(54972.271, 3);
+  });
+
+  it('follows the equator for points on it', () => {
+    // 20 degrees of the equator, a * 20 * pi / 180
+    expect(geodesicDistance([-10, 0], [10, 0])).toBeCloseTo(2226389.815865, 3);
+  });
+
+  it('measures across the antimeridian the short way', () => {
+    expect(geodesicDistance([179.5, 0], [-179.5, 0])).toBeCloseTo(111319.490793, 3);
+  });
+
+  it('is zero for the same point', () => {
+    expect(geodesicDistance({ lat: 9.05, lng: 7.49 }, { lat: 9.05, lng: 7.49 })).toBe(0);
+  });
+
+  it('falls back to a great circle for nearly antipodal points', () => {
+    // Vincenty's iteration does not converge for these
+    const cases = [
+      [[0, 0], [179.7, 0.5], 19944127.420750458],
+      [[0, 0], [179.5, 0], 19980861.908890963],
+      [[20, 10], [-160.0001, -10.0001], 20003920.396926012],
+    ];
+
+    for (const [from, to, expected] of cases) {
+      const distance = geodesicDistance(from, to);
+      expect(Number.isFinite(distance)).toBe(true);
+      expect(Math.abs(distance - expected) / expected).toBeLessThan(0.002);
+    }
+  });
+});
@@ -0,0 +1,150 @@
+import adminBoundaries from '../data/admin-boundaries';
+import { pointInPolygon, distanceToRing, toLatLng } from './polygonUtils';
+
+/**
+ * Point-in-polygon checks against the bundled LGA and ward boundaries
+ *
+ * Units are addressed by the slugs used in hierarchical-data.js and the
+ * location dropdowns. Where a unit has no boundary in the bundle it is not
+ * checked, so the result is 'unknown' rather than a false warning.
+ */
+
+// Boundaries are simplified and GPS fixes drift, so a point just outside is
+// reported as near the boundary rather than in the wrong unit
+export const BORDER_TOLERANCE_M = 200;
+
+const decodedRings = new Map();
+
+// Encoded polyline (precision 5) to [{ latitude, longitude }]
+function decodeRing(encoded) {
+  if (decodedRings.has(encoded)) return decodedRings.get(encoded);
+
+  const ring = [];
+  let index = 0;
+  let latitude = 0;
+  let longitude = 0;
+  const next = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+  while (index < encoded.length) {
+    latitude += next();
+    longitude += next();
+    ring.push({ latitude: latitude / 1e5, longitude: longitude / 1e5 });
+  }
+
+  decodedRings.set(encoded, ring);
+  return ring;
+}
+
+function inBox(unit, { latitude, longitude }) {
+  const [west, south, east, north] = unit.bbox;
+  return longitude >= west && longitude <= east && latitude >= south && latitude <= north;
+}
+
+function unitContains(unit, point) {
+  if (!inBox(unit, point)) return false;
+  return unit.polygons.some(([outer, ...holes]) =>
+    pointInPolygon(point, decodeRing(outer)) &&
+    !holes.some(hole => pointInPolygon(point, decodeRing(hole)))
+  );
+}
+
+function distanceToUnit(unit, point) {
+  return Math.min(...unit.polygons.flat().map(ring => distanceToRing(point, decodeRing(ring))));
+}
+
+function lgaUnit(state, lga) {
+  return adminBoundaries.states[state]?.[lga] || null;
+}
+
+function wardUnit(state, lga, ward) {
+  return lgaUnit(state, lga)?.wards?.[ward] || null;
+}
+
+/**
+ * Whether this build carries a generated boundary dataset at all
+ */
+export function hasAdminBoundaryData() {
+  return !!adminBoundaries.source && Object.keys(adminBoundaries.states).length > 0;
+}
+
+/**
+ * Whether boundaries are bundled for an LGA
+ */
+export function hasAdminBoundaries(state, lga) {
+  return lgaUnit(state, lga) !== null;
+}
+
+/**
+ * The state, LGA and ward (slugs) containing a point, or null when it lies
+ * outside every bundled LGA. ward is null when the LGA has no ward boundaries
+ * or the point falls between them.
+ */
+export function locateAdminUnit(point) {
+  if (!point) return null;
+  const location = toLatLng(point);
+
+  for (const [state, lgas] of Object.entries(adminBoundaries.states)) {
+    for (const [lga, unit] of Object.entries(lgas)) {
+      if (!unitContains(unit, location)) continue;
+      const ward = Object.entries(unit.wards || {}).find(([, wardBoundary]) => unitContains(wardBoundary, location));
+      return { state, lga, ward: ward ? ward[0] : null };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that a point lies within the selected LGA and ward.
+ *
+ * Returns { status, level, distanceM, suggestion } where status is
+ *   'match'         - inside the selected LGA (and ward, when one is chosen)
+ *   'near_boundary' - just outside the selected unit, within BORDER_TOLERANCE_M
+ *   'outside_lga'   - outside the selected LGA
+ *   'outside_ward'  - inside the LGA but outside the selected ward
+ *   'unknown'       - no boundary bundled for the selection, or nothing to check
+ * level is the unit that failed ('lga' or 'ward'), distanceM how far outside
+ * it the point is, and suggestion the unit from locateAdminUnit.
+ */
+export function checkAdminUnit({ state, lga, ward } = {}, point) {
+  const unknown = { status: 'unknown', level: null, distanceM: null, suggestion: null };
+  if (!point || !state || !lga) return unknown;
+
+  const selectedLga = lgaUnit(state, lga);
+  if (!selectedLga) return unknown;
+
+  const location = toLatLng(point);
+  const outside = (level, unit) => {
+    const distanceM = Math.round(distanceToUnit(unit, location));
+    if (distanceM <= BORDER_TOLERANCE_M) {
+      return { status: 'near_boundary', level, distanceM, suggestion: null };
+    }
+    // A ward-level miss is only worth suggesting when the point lies in another ward
+    const located = locateAdminUnit(location);
+    const suggestion = level === 'ward' && !located?.ward ? null : located;
+    return { status: `outside_${level}`, level, distanceM, suggestion };
+  };
+
+  if (!unitContains(selectedLga, location)) return outside('lga', selectedLga);
+
+  const selectedWard = ward ? wardUnit(state, lga, ward) : null;
+  if (selectedWard && !unitContains(selectedWard, location)) return outside('ward', selectedWard);
+
+  return { status: 'match', level: null, distanceM: null, suggestion: null };
+}
+
+export default {
+  BORDER_TOLERANCE_M,
+  hasAdminBoundaryData,
+  hasAdminBoundaries,
+  locateAdminUnit,
+  checkAdminUnit,
+};
@@ -0,0 +1,329 @@
+/**
+ * Reading and writing farm boundaries as GeoJSON, KML and GPX
+ *
+ * Boundaries arrive from drone surveys and handheld GPS units. Whatever the
+ * file format, each shape is passed through toShape so imported boundaries
+ * look exactly like ones captured in the app - including excluded areas and
+ * farms made of several plots.
+ */
+
+import { toShape, farmShapeOf, shapeToGeometry } from './polygonUtils';
+import { measurePolygon } from './geodesy';
+
+export const BOUNDARY_FORMATS = {
+  GEOJSON: 'geojson',
+  KML: 'kml',
+  GPX: 'gpx',
+};
+
+export const BOUNDARY_FORMAT_INFO = {
+  [BOUNDARY_FORMATS.GEOJSON]: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  [BOUNDARY_FORMATS.KML]: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  [BOUNDARY_FORMATS.GPX]: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' },
+};
+
+// ─── Format detection ────────────────────────────────────────────────────────
+
+/**
+ * Work out a file's format from its extension, falling back to its content
+ */
+export function detectFormat(text, fileName = '') {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'geojson' || extension === 'json') return BOUNDARY_FORMATS.GEOJSON;
+  if (extension === 'kml') return BOUNDARY_FORMATS.KML;
+  if (extension === 'gpx') return BOUNDARY_FORMATS.GPX;
+
+  const start = (text || '').trimStart();
+  if (start.startsWith('{')) return BOUNDARY_FORMATS.GEOJSON;
+  if (/<kml[\s>]/i.test(start)) return BOUNDARY_FORMATS.KML;
+  if (/<gpx[\s>]/i.test(start)) return BOUNDARY_FORMATS.GPX;
+  return null;
+}
+
+// ─── XML helpers ─────────────────────────────────────────────────────────────
+
+// Tag names may carry a namespace prefix (kml:Placemark) in exported files
+const tagPattern = (tag) => new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*?(?:/>|>([\\s\\S]*?)</(?:\\w+:)?${tag}>)`, 'gi');
+
+const elements = (xml, tag) => [...xml.matchAll(tagPattern(tag))].map(match => match[1] || '');
+
+const firstElement = (xml, tag) => elements(xml, tag)[0];
+
+const attribute = (element, name) => {
+  const match = element.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+  return match ? match[1] : undefined;
+};
+
+const decodeXml = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&')
+  .trim();
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// ─── Parsing ─────────────────────────────────────────────────────────────────
+
+function parseGeoJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid GeoJSON');
+  }
+
+  const boundaries = [];
+  const visit = (node, name) => {
+    if (!node || typeof node !== 'object') return;
+    switch (node.type) {
+      case 'FeatureCollection':
+        (node.features || []).forEach(feature => visit(feature));
+        break;
+      case 'Feature': {
+        const props = node.properties || {};
+        visit(node.geometry, props.name || props.farmName || props.title || name);
+        break;
+      }
+      case 'GeometryCollection':
+        (node.geometries || []).forEach(geometry => visit(geometry, name));
+        break;
+      case 'Polygon':
+      case 'MultiPolygon':
+        boundaries.push({ name, shape: toShape(node) });
+        break;
+      case 'LineString':
+        boundaries.push({ name, shape: toShape(node.coordinates) });
+        break;
+      default:
+        break;
+    }
+  };
+  visit(data);
+  return boundaries;
+}
+
+// KML coordinates are "lng,lat[,alt]" tuples separated by whitespace
+const parseKmlCoordinates = (text) => decodeXml(text || '')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+
+const kmlRing = (boundaryElement) => parseKmlCoordinates(firstElement(boundaryElement, 'coordinates'));
+
+function parseKml(text) {
+  const placemarks = elements(text, 'Placemark');
+  return placemarks.flatMap(placemark => {
+    const nameElement = firstElement(placemark, 'name');
+    const name = nameElement ? decodeXml(nameElement) : undefined;
+
+    // Each Polygon (several inside a MultiGeometry) is a plot; inner boundaries are excluded areas
+    const polygons = elements(placemark, 'Polygon').map(polygon => [
+      kmlRing(firstElement(polygon, 'outerBoundaryIs') || polygon),
+      ...elements(polygon, 'innerBoundaryIs').map(kmlRing),
+    ]);
+    if (polygons.length > 0) {
+      return [{ name, shape: toShape(polygons) }];
+    }
+
+    // A walked boundary is often saved as a LineString rather than a Polygon
+    return elements(placemark, 'LineString').map(line => ({
+      name,
+      shape: toShape(parseKmlCoordinates(firstElement(line, 'coordinates'))),
+    }));
+  });
+}
+
+const gpxPoints = (xml, tag) => toShape(
+  [...xml.matchAll(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>`, 'gi'))].map(match => [
+    Number(attribute(match[0], 'lon')),
+    Number(attribute(match[0], 'lat')),
+  ])
+);
+
+const gpxName = (xml) => {
+  const nameElement = firstElement(xml, 'name');
+  return nameElement ? decodeXml(nameElement) : undefined;
+};
+
+// GPX has no polygons: each track segment or route is one plot outline
+function parseGpx(text) {
+  const tracks = elements(text, 'trk').flatMap(track => {
+    const name = gpxName(track);
+    const segments = elements(track, 'trkseg');
+    return segments.map((segment, index) => ({
+      name: name && segments.length > 1 ? `${name} (${index + 1})` : name,
+      shape: gpxPoints(segment, 'trkpt'),
+    }));
+  });
+  const routes = elements(text, 'rte').map(route => ({ name: gpxName(route), shape: gpxPoints(route, 'rtept') }));
+  const boundaries = [...tracks, ...routes];
+
+  // Some units save corners as loose waypoints
+  if (boundaries.length === 0) {
+    boundaries.push({ name: undefined, shape: gpxPoints(text, 'wpt') });
+  }
+  return boundaries;
+}
+
+/**
+ * Parse a boundary file.
+ *
+ * Returns { format, boundaries } where each boundary is { name, shape } and
+ * shape is a farm shape of {latitude, longitude} points - one plot for most
+ * files, with any excluded areas as holes. Plots with fewer than three
+ * usable points are dropped. Throws when the format is unknown or the file
+ * holds no boundary.
+ */
+export function parseBoundaryFile(text, fileName) {
+  const format = detectFormat(text, fileName);
+  if (!format) {
+    throw new Error('Unsupported file. Choose a GeoJSON, KML or GPX file.');
+  }
+
+  const parsers = {
+    [BOUNDARY_FORMATS.GEOJSON]: parseGeoJson,
+    [BOUNDARY_FORMATS.KML]: parseKml,
+    [BOUNDARY_FORMATS.GPX]: parseGpx,
+  };
+
+  const boundaries = parsers[format](text)
+    .filter(boundary => boundary.shape.length > 0)
+    .map((boundary, index) => ({ ...boundary, name: boundary.name || `Boundary ${index + 1}` }));
+
+  if (boundaries.length === 0) {
+    throw new Error(`No farm boundary with at least 3 points was found in this ${BOUNDARY_FORMAT_INFO[format].label} file.`);
+  }
+
+  return { format, boundaries };
+}
+
+// ─── Writing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Farms with a usable boundary, reduced to what the export formats carry
+ */
+const exportableFarms = (farms) => (farms || [])
+  .map((farm, index) => ({
+    id: farm.id,
+    name: farm.name || `Farm ${index + 1}`,
+    farmerName: farm.farmerName,
+    primaryCrop: farm.primaryCrop,
+    farmSize: farm.farmSize,
+    shape: farmShapeOf(farm),
+  }))
+  .filter(farm => farm.shape.length > 0);
+
+const closedLngLat = (ring) => [...ring, ring[0]].map(p => [p.longitude, p.latitude]);
+
+const kmlBoundary = (tag, ring) => `<${tag}>
+          <LinearRing>
+            <coordinates>${closedLngLat(ring).map(([lng, lat]) => `${lng},${lat},0`).join(' ')}</coordinates>
+          </LinearRing>
+        </${tag}>`;
+
+const kmlPolygon = (plot) => `<Polygon>
+        ${[kmlBoundary('outerBoundaryIs', plot.outer), ...plot.holes.map(hole => kmlBoundary('innerBoundaryIs', hole))].join('\n        ')}
+      </Polygon>`;
+
+function toGeoJson(farms) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: farms.map(farm => {
+      const { areaHectares, perimeterMeters } = measurePolygon(farm.shape);
+      return {
+        type: 'Feature',
+        properties: {
+          id: farm.id,
+          name: farm.name,
+          farmerName: farm.farmerName || null,
+          primaryCrop: farm.primaryCrop || null,
+          farmSize: farm.farmSize || null,
+          areaHectares: Math.round(areaHectares * 10000) / 10000,
+          perimeterMeters: Math.round(perimeterMeters * 10) / 10,
+        },
+        geometry: shapeToGeometry(farm.shape),
+      };
+    }),
+  }, null, 2);
+}
+
+const describeFarm = (farm) => [
+  farm.farmerName && `Farmer: ${farm.farmerName}`,
+  farm.primaryCrop && `Crop: ${farm.primaryCrop}`,
+  `Area: ${measurePolygon(farm.shape).areaHectares.toFixed(2)} ha`,
+].filter(Boolean).join(', ');
+
+function toKml(farms, title) {
+  const placemarks = farms.map(farm => `    <Placemark>
+      <name>${escapeXml(farm.name)}</name>
+      <description>${escapeXml(describeFarm(farm))}</description>
+      ${farm.shape.length === 1
+    ? kmlPolygon(farm.shape[0])
+    : `<MultiGeometry>\n      ${farm.shape.map(kmlPolygon).join('\n      ')}\n      </MultiGeometry>`}
+    </Placemark>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(title)}</name>
+${placemarks.join('\n')}
+  </Document>
+</kml>
+`;
+}
+
+// GPX cannot describe holes, so only plot outlines are written - one segment per plot
+function toGpx(farms, title) {
+  const tracks = farms.map(farm => `  <trk>
+    <name>${escapeXml(farm.name)}</name>
+    <desc>${escapeXml(describeFarm(farm))}</desc>
+${farm.shape.map(plot => `    <trkseg>
+${closedLngLat(plot.outer).map(([lng, lat]) => `      <trkpt lat="${lat}" lon="${lng}"/>`).join('\n')}
+    </trkseg>`).join('\n')}
+  </trk>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="FarmAgent" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(title)}</name>
+  </metadata>
+${tracks.join('\n')}
+</gpx>
+`;
+}
+
+/**
+ * Serialize farms' boundaries to one of BOUNDARY_FORMATS.
+ *
+ * Each farm is { id, name, farmerName, primaryCrop, farmSize } plus its
+ * boundary in farmPolygon, farmBoundaries or farmCoordinates. Farms without
+ * a usable boundary are left out; count says how many were written.
+ */
+export function serializeBoundaries(farms, format, title = 'Farm boundaries') {
+  const usable = exportableFarms(farms);
+  const writers = {
+    [BOUNDARY_FORMATS.GEOJSON]: toGeoJson,
+    [BOUNDARY_FORMATS.KML]: toKml,
+    [BOUNDARY_FORMATS.GPX]: toGpx,
+  };
+  if (!writers[format]) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  return { content: writers[format](usable, title), count: usable.length };
+}
+
+export default {
+  BOUNDARY_FORMATS,
+  BOUNDARY_FORMAT_INFO,
+  detectFormat,
+  parseBoundaryFile,
+  serializeBoundaries,
+};
@@ -0,0 +1,165 @@
+import nacl from 'tweetnacl';
+
+/**
+ * Signed certificate tokens
+ *
+ * The server signs each certificate it issues and the token goes into the
+ * certificate's QR code, so a certificate can be checked without a network
+ * connection against the public keys bundled with the app.
+ *
+ *   FC1.<payload>.<signature>
+ *
+ * payload is base64url JSON { kid, cid, fid, ns, nh, iat }: the signing key
+ * id, certificate id, farmer id, NIN salt, NIN hash and issue date
+ * (YYYY-MM-DD). signature is the base64url Ed25519 signature of the ASCII
+ * text "FC1.<payload>". Other claims are ignored.
+ *
+ * ns is 16 random bytes the server picks for each certificate, base64url,
+ * and nh the first 16 bytes of SHA-512("<ns>:<farmer id>:<NIN>"), base64url.
+ * A verifier can confirm the NIN a farmer presents without the token carrying
+ * it. The salt stops one table of precomputed hashes from reading every
+ * certificate, but with only 10^11 NINs a single token can still be brute
+ * forced - nh confirms a NIN, it does not keep it secret.
+ */
+
+export const TOKEN_PREFIX = 'FC1';
+
+const NIN_HASH_BYTES = 16;
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+export const base64UrlEncode = (bytes) => {
+  let output = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    const chars = Math.min(4, Math.ceil(((bytes.length - i) * 8) / 6));
+    for (let j = 0; j < chars; j++) {
+      output += BASE64_ALPHABET[(chunk >> (18 - j * 6)) & 63];
+    }
+  }
+  return output;
+};
+
+export const base64UrlDecode = (text) => {
+  const clean = text.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  if (!/^[\w-]*$/.test(clean) || clean.length % 4 === 1) {
+    throw new Error('Invalid base64 text');
+  }
+
+  const bytes = new Uint8Array(Math.floor((clean.length * 6) / 8));
+  let buffer = 0;
+  let bits = 0;
+  let index = 0;
+  for (const char of clean) {
+    buffer = (buffer << 6) | BASE64_ALPHABET.indexOf(char);
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[index++] = (buffer >> bits) & 0xff;
+    }
+  }
+  return bytes;
+};
+
+const utf8Encode = (text) => {
+  const bytes = [];
+  encodeURIComponent(text).replace(/%([0-9A-F]{2})|[^%]/gi, (char, hex) => {
+    bytes.push(hex ? parseInt(hex, 16) : char.charCodeAt(0));
+    return '';
+  });
+  return Uint8Array.from(bytes);
+};
+
+const utf8Decode = (bytes) =>
+  decodeURIComponent(Array.from(bytes, byte => `%${byte.toString(16).padStart(2, '0')}`).join(''));
+
+/**
+ * The NIN hash for a farmer under a certificate's salt
+ */
+export function hashNin(salt, farmerId, nin) {
+  const digest = nacl.hash(utf8Encode(`${salt}:${farmerId}:${String(nin).trim()}`));
+  return base64UrlEncode(digest.slice(0, NIN_HASH_BYTES));
+}
+
+/**
+ * Split a token into its claims without checking the signature.
+ * Returns { claims, signedText, signature } or null if it isn't a token.
+ */
+export function decodeCertificateToken(token) {
+  const parts = String(token || '').trim().split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) return null;
+
+  try {
+    const claims = JSON.parse(utf8Decode(base64UrlDecode(parts[1])));
+    if (!claims || typeof claims !== 'object') return null;
+    return {
+      claims,
+      signedText: `${parts[0]}.${parts[1]}`,
+      signature: base64UrlDecode(parts[2]),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a token's signature against the bundled public keys
+ * ({ [kid]: base64 Ed25519 public key }).
+ *
+ * Returns { valid, reason, claims } where reason is null when valid, or
+ * 'malformed', 'unknown_key' or 'bad_signature'.
+ */
+export function verifyCertificateToken(token, publicKeys = {}) {
+  const decoded = decodeCertificateToken(token);
+  if (!decoded || !decoded.claims.cid || !decoded.claims.fid || decoded.signature.length !== nacl.sign.signatureLength) {
+    return { valid: false, reason: 'malformed', claims: decoded?.claims || null };
+  }
+
+  const { claims, signedText, signature } = decoded;
+  const encodedKey = publicKeys[claims.kid];
+  let publicKey = null;
+  try {
+    publicKey = encodedKey ? base64UrlDecode(encodedKey) : null;
+  } catch (error) {
+    publicKey = null;
+  }
+  if (!publicKey || publicKey.length !== nacl.sign.publicKeyLength) {
+    return { valid: false, reason: 'unknown_key', claims };
+  }
+
+  const valid = nacl.sign.detached.verify(utf8Encode(signedText), signature, publicKey);
+  return { valid, reason: valid ? null : 'bad_signature', claims };
+}
+
+/**
+ * Whether a NIN matches the hash in a token's claims
+ */
+export const ninMatchesClaims = (claims, nin) =>
+  !!claims?.ns && !!claims?.nh && !!claims?.fid && hashNin(claims.ns, claims.fid, nin) === claims.nh;
+
+/**
+ * The QR code text for a certificate: its verification page with the token
+ * attached, so a phone camera opens the page and the app can read the token
+ */
+export const buildCertificateQrValue = (verifyBaseUrl, certificateId, token) =>
+  `${verifyBaseUrl.replace(/\/+$/, '')}/${encodeURIComponent(certificateId)}?t=${token}`;
+
+/**
+ * The token from scanned QR text: a verification URL or a bare token
+ */
+export function extractCertificateToken(text) {
+  const value = String(text || '').trim();
+  if (value.startsWith(`${TOKEN_PREFIX}.`)) return value;
+  const match = value.match(/[?&]t=([\w.-]+)/);
+  return match ? match[1] : null;
+}
+
+export default {
+  TOKEN_PREFIX,
+  hashNin,
+  decodeCertificateToken,
+  verifyCertificateToken,
+  ninMatchesClaims,
+  buildCertificateQrValue,
+  extractCertificateToken,
+};
@@ -1,47 +1,16 @@
+import { validateFarmShape } from './polygonValidation';
+import { summarizeBoundaryAccuracy } from './gpsAveraging';
+import { polygonArea, polygonPerimeter } from './geodesy';
+import { toShape, shapeToGeometry } from './polygonUtils';
+
 /**
- * Calculate the area of a polygon using the Shoelace formula
- * Coordinates should be in [longitude, latitude] format or [{lat, lng}] format
+ * Calculate the area of a farm boundary on the WGS84 ellipsoid
+ * Accepts a ring of points ([longitude, latitude], {latitude, longitude} or
+ * {lat, lng}) or a GeoJSON Polygon/MultiPolygon; holes are subtracted
  * Returns area in square meters
  */
 export function calculatePolygonArea(coordinates) {
-  if (!coordinates || !Array.isArray(coordinates) || coordinates.length < 3) {
-    return 0;
-  }
-
-  // Convert latitude/longitude to approximate meters using spherical approximation
-  // This is a simplified calculation suitable for small areas
-  const earthRadius = 6371000; // Earth's radius in meters
-  
-  // Normalize coordinates format - handle both [lng, lat] and {latitude, longitude} formats
-  const normalizedCoords = coordinates.map(coord => {
-    if (Array.isArray(coord)) {
-      return [coord[0], coord[1]]; // [lng, lat]
-    } else if (coord.latitude !== undefined && coord.longitude !== undefined) {
-      return [coord.longitude, coord.latitude]; // Convert {lat, lng} to [lng, lat]
-    } else if (coord.lng !== undefined && coord.lat !== undefined) {
-      return [coord.lng, coord.lat]; // Convert {lat, lng} to [lng, lat]
-    }
-    return coord;
-  });
-  
-  // Convert degrees to radians and calculate area using the Shoelace formula
-  let area = 0;
-  const n = normalizedCoords.length;
-  
-  for (let i = 0; i < n; i++) {
-    const j = (i + 1) % n;
-    
-    const lat1 = normalizedCoords[i][1] * Math.PI / 180;
-    const lon1 = normalizedCoords[i][0] * Math.PI / 180;
-    const lat2 = normalizedCoords[j][1] * Math.PI / 180;
-    const lon2 = normalizedCoords[j][0] * Math.PI / 180;
-    
-    area += (lon2 - lon1) * (2 + Math.sin(lat1) + Math.sin(lat2));
-  }
-  
-  area = Math.abs(area) * earthRadius * earthRadius / 2;
-  
-  return area; // Returns area in square meters
+  return polygonArea(coordinates);
 }
 
 /**
@@ -52,33 +21,15 @@ export function metersToHectares(squareMeters) {
 }
 
 /**
- * Calculate farm size from polygon coordinates
- * Returns size in hectares rounded to 2 decimal places
+ * Calculate farm size from polygon coordinates or a farm shape
+ * Returns net size in hectares (excluded areas subtracted) rounded to 2 decimal places
  */
 export function calculateFarmSizeFromPolygon(farmPolygon) {
   try {
     if (!farmPolygon) return 0;
     
-    let coordinates;
-    
-    // Handle different polygon data formats
-    if (typeof farmPolygon === 'string') {
-      const parsed = JSON.parse(farmPolygon);
-      coordinates = parsed.coordinates || parsed;
-    } else if (Array.isArray(farmPolygon)) {
-      coordinates = farmPolygon;
-    } else if (farmPolygon.coordinates) {
-      coordinates = farmPolygon.coordinates;
-    } else {
-      return 0;
-    }
-    
-    // Handle GeoJSON polygon format (array of rings)
-    if (Array.isArray(coordinates[0]) && Array.isArray(coordinates[0][0])) {
-      coordinates = coordinates[0]; // Use the outer ring
-    }
-    
-    const areaInSquareMeters = calculatePolygonArea(coordinates);
+    // Strings, GeoJSON and plain point arrays are all handled by the geodesy library
+    const areaInSquareMeters = calculatePolygonArea(farmPolygon);
     const areaInHectares = metersToHectares(areaInSquareMeters);
     
     return Math.round(areaInHectares * 100) / 100; // Round to 2 decimal places
@@ -96,6 +47,29 @@ export function processFarmDataWithSize(farmData) {
   try {
     const processedData = { ...farmData };
     
+    // A farm shape (several plots or excluded areas) takes precedence over the single ring
+    const shape = toShape(farmData.farmShape);
+    delete processedData.farmShape;
+    if (shape.length > 0) {
+      const netSize = calculateFarmSizeFromPolygon(shape);
+      processedData.farmSize = netSize.toString();
+      processedData.grossFarmSize = calculateFarmSizeFromPolygon(shape.map(plot => ({ outer: plot.outer, holes: [] }))).toString();
+      processedData.farmPolygon = shape[0].outer;
+      processedData.farmBoundaries = { ...shapeToGeometry(shape), calculatedArea: processedData.farmSize };
+      processedData.farmPerimeter = Math.round(polygonPerimeter(shape)).toString(); // metres
+      processedData.boundaryAccuracy = summarizeBoundaryAccuracy(
+        shape.flatMap(plot => [...plot.outer, ...plot.holes.flat()])
+      );
+
+      console.log('🌾 Farm size calculated:', {
+        plots: shape.length,
+        excludedAreas: shape.reduce((count, plot) => count + plot.holes.length, 0),
+        grossHectares: processedData.grossFarmSize,
+        netHectares: processedData.farmSize
+      });
+      return processedData;
+    }
+
     // Calculate farm size if polygon exists
     if (farmData.farmPolygon && Array.isArray(farmData.farmPolygon)) {
       const calculatedSize = calculateFarmSizeFromPolygon(farmData.farmPolygon);
@@ -116,6 +90,9 @@ export function processFarmDataWithSize(farmData) {
         coordinates: [processedData.farmPolygon.map(point => [point.longitude, point.latitude])],
         calculatedArea: processedData.farmSize
       };
+      processedData.farmPerimeter = Math.round(polygonPerimeter(processedData.farmPolygon)).toString(); // metres
+      // Per-point GPS quality, so reviewers can judge the boundary
+      processedData.boundaryAccuracy = summarizeBoundaryAccuracy(processedData.farmPolygon);
     }
     
     return processedData;
@@ -127,9 +104,11 @@ export function processFarmDataWithSize(farmData) {
 
 /**
  * Validate and format farm coordinates
- * Enhanced validation for Nigerian farm boundaries
+ * Enhanced validation for Nigerian farm boundaries. Geometry warnings
+ * (duplicate points, spikes, unusual area) are returned for the caller to confirm.
+ * Pass shape to validate every plot and excluded area; coordinates is then its first plot.
  */
-export function validateFarmCoordinates(coordinates) {
+export function validateFarmCoordinates(coordinates, { farmCategory, shape = null } = {}) {
   try {
     if (!coordinates || !Array.isArray(coordinates)) {
       return { valid: false, error: 'Coordinates must be an array' };
@@ -139,9 +118,12 @@ export function validateFarmCoordinates(coordinates) {
       return { valid: false, error: 'A farm boundary must have at least 3 points to form a valid polygon' };
     }
     
+    const plots = shape && shape.length > 0 ? toShape(shape) : [{ outer: coordinates, holes: [] }];
+    const allCoordinates = plots.flatMap(plot => [...plot.outer, ...plot.holes.flat()]);
+
     // Check if each coordinate is valid
-    for (let i = 0; i < coordinates.length; i++) {
-      const coord = coordinates[i];
+    for (let i = 0; i < allCoordinates.length; i++) {
+      const coord = allCoordinates[i];
       let lat, lon;
       
       // Handle different coordinate formats
@@ -167,16 +149,14 @@ export function validateFarmCoordinates(coordinates) {
       }
     }
     
-    // Check if polygon forms a reasonable area (not too small or too large)
-    const area = calculateFarmSizeFromPolygon(coordinates);
-    if (area < 0.01) { // Less than 100 square meters
-      return { valid: false, error: 'Farm area is too small. Please check your boundary points.' };
-    }
-    if (area > 10000) { // More than 10,000 hectares (unrealistic for most farms)
-      return { valid: false, error: 'Farm area is unusually large. Please verify your boundary points.' };
+    // Shape checks: self-intersections and an area plausible for the farm category
+    const geometry = validateFarmShape(plots, { farmCategory });
+    if (!geometry.valid) {
+      return { valid: false, error: geometry.errors[0].message, errors: geometry.errors, warnings: geometry.warnings };
     }
-    
-    return { valid: true, area, areaText: `${area} hectares` };
+
+    const area = calculateFarmSizeFromPolygon(plots);
+    return { valid: true, area, areaText: `${area} hectares`, warnings: geometry.warnings };
   } catch (error) {
     return { valid: false, error: error.message };
   }
@@ -0,0 +1,267 @@
+/**
+ * Geodesic measurements on the WGS84 ellipsoid
+ *
+ * The single source of farm area and perimeter - farm size drives subsidy
+ * eligibility, so every screen and submission must agree on it.
+ *
+ * Area: latitudes are mapped to authalic latitudes (an equal-area mapping of
+ * the ellipsoid onto a sphere of radius Rq) and the ring's spherical excess
+ * is summed edge by edge. Edges are great circles on that sphere rather than
+ * ellipsoidal geodesics, which differs by well under a part per million for
+ * farm-sized parcels. Distances use Vincenty's inverse formula; for nearly
+ * antipodal points, where it does not converge, they fall back to a great
+ * circle on the mean-radius sphere (within about 0.2%).
+ *
+ * Accepted shapes: an array of points ({latitude, longitude}, {lat, lng} or
+ * [lng, lat]), GeoJSON Polygon / MultiPolygon geometries or Features, their
+ * bare coordinate arrays, a farm shape ([{ outer, holes }], one entry per
+ * plot), or a JSON string of any of these. Polygon holes are subtracted from
+ * the area and added to the perimeter.
+ */
+
+export const WGS84 = {
+  a: 6378137, // Semi-major axis, metres
+  f: 1 / 298.257223563, // Flattening
+};
+
+const DEG = Math.PI / 180;
+const b = WGS84.a * (1 - WGS84.f);
+const e2 = WGS84.f * (2 - WGS84.f);
+const e = Math.sqrt(e2);
+
+// Authalic sphere
+const q = (sinPhi) =>
+  (1 - e2) * (sinPhi / (1 - e2 * sinPhi * sinPhi) - Math.log((1 - e * sinPhi) / (1 + e * sinPhi)) / (2 * e));
+const qp = q(1);
+const AUTHALIC_RADIUS_SQ = WGS84.a * WGS84.a * qp / 2;
+
+const authalicLatitude = (phi) => Math.asin(Math.max(-1, Math.min(1, q(Math.sin(phi)) / qp)));
+
+const MEAN_RADIUS = (2 * WGS84.a + b) / 3;
+
+// ─── Input normalisation ─────────────────────────────────────────────────────
+
+// Stored farms sometimes carry coordinates as numeric strings
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+function toLngLat(point) {
+  if (!point) return null;
+  if (Array.isArray(point)) return [toNumber(point[0]), toNumber(point[1])];
+  if (point.latitude !== undefined) return [toNumber(point.longitude), toNumber(point.latitude)];
+  if (point.lat !== undefined) return [toNumber(point.lng), toNumber(point.lat)];
+  return null;
+}
+
+const isPosition = (value) => Array.isArray(value) && typeof value[0] === 'number';
+const isPointLike = (value) => isPosition(value) || (value && typeof value === 'object' && !Array.isArray(value));
+
+/**
+ * Normalise any accepted shape to a list of polygons, each a list of rings
+ * (outer ring first, then holes), each ring a list of [lng, lat] without a
+ * repeated closing position.
+ */
+export function toPolygons(shape) {
+  if (!shape) return [];
+  if (typeof shape === 'string') {
+    try {
+      return toPolygons(JSON.parse(shape));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  if (!Array.isArray(shape)) {
+    if (shape.type === 'Feature') return toPolygons(shape.geometry);
+    if (shape.type === 'MultiPolygon') return shape.coordinates.flatMap(rings => toPolygons(rings));
+    if (shape.coordinates) return toPolygons(shape.coordinates);
+    return [];
+  }
+
+  if (shape.length === 0) return [];
+
+  // A farm shape: one { outer, holes } per plot
+  if (shape[0] && shape[0].outer) {
+    return shape.map(plot => [plot.outer || [], ...(plot.holes || [])].map(cleanRing));
+  }
+
+  // A single ring of points
+  if (isPointLike(shape[0])) return [[cleanRing(shape)]];
+
+  // A polygon's rings
+  if (isPointLike(shape[0][0])) return [shape.map(cleanRing)];
+
+  // MultiPolygon coordinates
+  return shape.flatMap(rings => toPolygons(rings));
+}
+
+function cleanRing(points) {
+  const ring = points.map(toLngLat).filter(p => p && Number.isFinite(p[0]) && Number.isFinite(p[1]));
+  if (ring.length > 1) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] === last[0] && first[1] === last[1]) ring.pop();
+  }
+  return ring;
+}
+
+// ─── Area ────────────────────────────────────────────────────────────────────
+
+/**
+ * Area enclosed by one ring, in square metres (always positive)
+ */
+export function ringArea(points) {
+  const ring = cleanRing(points || []);
+  if (ring.length < 3) return 0;
+
+  let excess = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[(i + 1) % ring.length];
+
+    let dLng = (lng2 - lng1) * DEG;
+    if (dLng > Math.PI) dLng -= 2 * Math.PI;
+    if (dLng < -Math.PI) dLng += 2 * Math.PI;
+
+    const t1 = Math.tan(authalicLatitude(lat1 * DEG) / 2);
+    const t2 = Math.tan(authalicLatitude(lat2 * DEG) / 2);
+    excess += 2 * Math.atan2(Math.tan(dLng / 2) * (t1 + t2), 1 + t1 * t2);
+  }
+
+  excess = Math.abs(excess);
+  // A ring is taken to enclose the smaller of the two regions it separates
+  if (excess > 2 * Math.PI) excess = 4 * Math.PI - excess;
+
+  return excess * AUTHALIC_RADIUS_SQ;
+}
+
+/**
+ * Area of any accepted shape in square metres, holes subtracted
+ */
+export function polygonArea(shape) {
+  return toPolygons(shape).reduce((total, [outer, ...holes]) => {
+    if (!outer) return total;
+    const holeArea = holes.reduce((sum, hole) => sum + ringArea(hole), 0);
+    return total + Math.max(0, ringArea(outer) - holeArea);
+  }, 0);
+}
+
+// ─── Distance and perimeter ──────────────────────────────────────────────────
+
+// Haversine on the mean-radius sphere
+function greatCircleDistance(lng1, lat1, lng2, lat2) {
+  const sinDLat = Math.sin((lat2 - lat1) * DEG / 2);
+  const sinDLng = Math.sin((lng2 - lng1) * DEG / 2);
+  const h = sinDLat * sinDLat + Math.cos(lat1 * DEG) * Math.cos(lat2 * DEG) * sinDLng * sinDLng;
+  return 2 * MEAN_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Geodesic distance between two points in metres (Vincenty inverse)
+ */
+export function geodesicDistance(from, to) {
+  const [lng1, lat1] = toLngLat(from);
+  const [lng2, lat2] = toLngLat(to);
+  if (lng1 === lng2 && lat1 === lat2) return 0;
+
+  const { a, f } = WGS84;
+  const L = (lng2 - lng1) * DEG;
+  const U1 = Math.atan((1 - f) * Math.tan(lat1 * DEG));
+  const U2 = Math.atan((1 - f) * Math.tan(lat2 * DEG));
+  const sinU1 = Math.sin(U1);
+  const cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2);
+  const cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  let sinSigma;
+  let cosSigma;
+  let sigma;
+  let cosSqAlpha;
+  let cos2SigmaM;
+  let converged = false;
+
+  for (let iteration = 0; iteration < 200; iteration++) {
+    const sinLambda = Math.sin(lambda);
+    const cosLambda = Math.cos(lambda);
+    sinSigma = Math.sqrt(
+      (cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2
+    );
+    if (sinSigma === 0) return 0;
+
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+    cosSqAlpha = 1 - sinAlpha * sinAlpha;
+    cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0; // Equatorial line
+
+    const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+    const previous = lambda;
+    lambda = L + (1 - C) * f * sinAlpha *
+      (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+    if (Math.abs(lambda - previous) < 1e-12) {
+      converged = true;
+      break;
+    }
+  }
+
+  if (!converged) {
+    return greatCircleDistance(lng1, lat1, lng2, lat2);
+  }
+
+  const uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+  const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+  const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (
+    cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+    B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)
+  ));
+
+  return b * A * (sigma - deltaSigma);
+}
+
+/**
+ * Length of one closed ring in metres
+ */
+export function ringPerimeter(points) {
+  const ring = cleanRing(points || []);
+  if (ring.length < 2) return 0;
+
+  let perimeter = 0;
+  for (let i = 0; i < ring.length; i++) {
+    perimeter += geodesicDistance(ring[i], ring[(i + 1) % ring.length]);
+  }
+  return perimeter;
+}
+
+/**
+ * Total boundary length of any accepted shape in metres, holes included
+ */
+export function polygonPerimeter(shape) {
+  return toPolygons(shape).reduce(
+    (total, rings) => total + rings.reduce((sum, ring) => sum + ringPerimeter(ring), 0),
+    0
+  );
+}
+
+/**
+ * Area and perimeter together
+ */
+export function measurePolygon(shape) {
+  const areaSquareMeters = polygonArea(shape);
+  return {
+    areaSquareMeters,
+    areaHectares: areaSquareMeters / 10000,
+    perimeterMeters: polygonPerimeter(shape),
+  };
+}
+
+export default {
+  WGS84,
+  toPolygons,
+  ringArea,
+  polygonArea,
+  geodesicDistance,
+  ringPerimeter,
+  polygonPerimeter,
+  measurePolygon,
+};
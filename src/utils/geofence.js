@@ -0,0 +1,103 @@
+import { distanceMeters } from './polygonUtils';
+import { checkAdminUnit, hasAdminBoundaryData } from './adminBoundaries';
+
+/**
+ * Attendance geofences
+ *
+ * An agent's work area is their assigned ward or LGA (checked against the
+ * bundled administrative boundaries) and any configured sites, each a centre
+ * and radius. A fix inside any of them is inside the work area. Builds
+ * without boundary data can only check sites.
+ */
+
+// Poor fixes get the benefit of the doubt, up to this much
+const MAX_ACCURACY_ALLOWANCE_M = 50;
+
+// Faster than road travel between two fixes, over more than GPS noise
+export const MAX_PLAUSIBLE_SPEED_KMH = 150;
+const MIN_JUMP_DISTANCE_M = 2000;
+
+/**
+ * Evaluate a fix against the agent's work area.
+ *
+ * assignment: { state, lga, ward, sites: [{ id, name, latitude, longitude, radiusM }] }
+ * Returns { status, inside, fence, distanceM, reason } where status is
+ * 'inside', 'outside' or 'unknown' (nothing to check against), fence the
+ * site or unit that decided it ({ type: 'site' | 'ward' | 'lga', id, name })
+ * and distanceM how far outside that fence the fix is (0 inside). reason
+ * says why an 'unknown' fix could not be checked: 'no_assignment' when no
+ * work area is assigned, 'no_boundary' when the assigned ward or LGA has no
+ * bundled boundary, 'no_boundary_data' when this build has no boundaries at
+ * all. 'unknown' is not a pass.
+ */
+export function evaluateGeofence(fix, { state = null, lga = null, ward = null, sites = [] } = {}) {
+  const allowance = Math.min(fix.accuracy || 0, MAX_ACCURACY_ALLOWANCE_M);
+  const results = [];
+
+  for (const site of sites || []) {
+    if (typeof site.latitude !== 'number' || typeof site.longitude !== 'number' || !site.radiusM) continue;
+    const outsideBy = distanceMeters(fix, site) - site.radiusM - allowance;
+    results.push({
+      inside: outsideBy <= 0,
+      fence: { type: 'site', id: site.id || null, name: site.name || 'Work site' },
+      distanceM: Math.max(0, Math.round(outsideBy)),
+    });
+  }
+
+  // The ward when one is assigned, otherwise the LGA
+  const unitCheck = checkAdminUnit({ state, lga, ward }, fix);
+  if (unitCheck.status !== 'unknown') {
+    const type = unitCheck.level || (ward ? 'ward' : 'lga');
+    const inside = unitCheck.status === 'match' || unitCheck.status === 'near_boundary';
+    results.push({
+      inside,
+      fence: { type, id: type === 'ward' ? ward : lga, name: null },
+      distanceM: inside ? 0 : Math.max(0, unitCheck.distanceM - allowance),
+    });
+  }
+
+  if (results.length === 0) {
+    const type = ward ? 'ward' : 'lga';
+    return {
+      status: 'unknown',
+      inside: null,
+      fence: lga ? { type, id: type === 'ward' ? ward : lga, name: null } : null,
+      distanceM: null,
+      reason: !lga ? 'no_assignment' : hasAdminBoundaryData() ? 'no_boundary' : 'no_boundary_data',
+    };
+  }
+
+  const match = results.find(result => result.inside);
+  if (match) {
+    return { status: 'inside', inside: true, fence: match.fence, distanceM: 0 };
+  }
+
+  const nearest = results.reduce((best, result) => (result.distanceM < best.distanceM ? result : best));
+  return { status: 'outside', inside: false, fence: nearest.fence, distanceM: nearest.distanceM };
+}
+
+/**
+ * Distance and implied speed between an agent's previous fix and this one.
+ * previous and current are { latitude, longitude, timestamp }.
+ */
+export function detectJump(previous, current) {
+  if (!previous?.latitude || !current?.latitude || !previous.timestamp || !current.timestamp) {
+    return null;
+  }
+
+  const distanceM = distanceMeters(previous, current);
+  const hours = Math.max(0, new Date(current.timestamp) - new Date(previous.timestamp)) / 3600000;
+  const speedKmh = hours > 0 ? distanceM / 1000 / hours : Infinity;
+
+  return {
+    distanceM: Math.round(distanceM),
+    speedKmh: Number.isFinite(speedKmh) ? Math.round(speedKmh) : null,
+    implausible: distanceM > MIN_JUMP_DISTANCE_M && speedKmh > MAX_PLAUSIBLE_SPEED_KMH,
+  };
+}
+
+export default {
+  MAX_PLAUSIBLE_SPEED_KMH,
+  evaluateGeofence,
+  detectJump,
+};
@@ -0,0 +1,103 @@
+/**
+ * GPS fix averaging for boundary corners
+ *
+ * A single fix on a phone can be off by tens of metres. Standing at a corner
+ * and averaging several fixes, weighted by their reported accuracy, gives a
+ * steadier position and an honest measure of how good it is.
+ */
+
+import { projectToMeters } from './polygonUtils';
+
+export const GPS_CAPTURE_DEFAULTS = {
+  accuracyThreshold: 10, // metres - a corner at or below this is good
+  rejectAccuracy: 30, // metres - a corner worse than this is not accepted
+  minSamples: 5,
+  maxSamples: 30,
+  timeoutMs: 30 * 1000,
+};
+
+// Selectable thresholds in the mapping screen
+export const ACCURACY_THRESHOLD_OPTIONS = [5, 10, 20];
+
+// Single fixes worse than this add nothing useful to an average
+const MAX_SAMPLE_ACCURACY_M = 50;
+
+/**
+ * Average a set of fixes ({latitude, longitude, accuracy}).
+ *
+ * Fixes are weighted by 1 / accuracy². accuracy of the result is the
+ * weighted mean of the fixes' accuracies - GPS errors at one spot are
+ * correlated, so averaging does not shrink it the way independent samples
+ * would. spread is the RMS distance of the fixes from the average.
+ */
+export function averageFixes(fixes) {
+  const usable = fixes.filter(f =>
+    Number.isFinite(f.latitude) && Number.isFinite(f.longitude) &&
+    Number.isFinite(f.accuracy) && f.accuracy > 0 && f.accuracy <= MAX_SAMPLE_ACCURACY_M);
+  if (usable.length === 0) return null;
+
+  let weightSum = 0;
+  let latitude = 0;
+  let longitude = 0;
+  let accuracy = 0;
+  usable.forEach(fix => {
+    const weight = 1 / (fix.accuracy * fix.accuracy);
+    weightSum += weight;
+    latitude += fix.latitude * weight;
+    longitude += fix.longitude * weight;
+    accuracy += fix.accuracy * weight;
+  });
+
+  const average = {
+    latitude: latitude / weightSum,
+    longitude: longitude / weightSum,
+  };
+
+  const offsets = projectToMeters(usable, average);
+  const spread = Math.sqrt(offsets.reduce((sum, p) => sum + p.x * p.x + p.y * p.y, 0) / offsets.length);
+
+  return {
+    ...average,
+    accuracy: accuracy / weightSum,
+    spread,
+    samples: usable.length,
+  };
+}
+
+/**
+ * Whether a capture has collected enough to stop
+ */
+export function isCaptureComplete(average, { accuracyThreshold, minSamples, maxSamples }) {
+  if (!average) return false;
+  if (average.samples >= maxSamples) return true;
+  return average.samples >= minSamples && average.accuracy <= accuracyThreshold;
+}
+
+/**
+ * Accuracy summary for a whole boundary, stored with the farm so reviewers
+ * can judge how well it was captured
+ */
+export function summarizeBoundaryAccuracy(points) {
+  const accuracies = (points || [])
+    .map(p => p.accuracy)
+    .filter(a => Number.isFinite(a));
+
+  if (accuracies.length === 0) {
+    return null;
+  }
+
+  return {
+    pointCount: points.length,
+    averagedPoints: points.filter(p => p.samples > 1).length,
+    flaggedPoints: points.filter(p => p.flagged).length,
+    meanAccuracy: accuracies.reduce((sum, a) => sum + a, 0) / accuracies.length,
+    worstAccuracy: Math.max(...accuracies),
+    bestAccuracy: Math.min(...accuracies),
+  };
+}
+
+export default {
+  averageFixes,
+  isCaptureComplete,
+  summarizeBoundaryAccuracy,
+};
@@ -0,0 +1,319 @@
+/**
+ * Shared helpers for farm boundary polygons
+ *
+ * Points may be {latitude, longitude}, {lat, lng} or [lng, lat]; a ring may
+ * also arrive as a GeoJSON Polygon or a JSON string of either. Area and
+ * distance measurements live in geodesy.js.
+ *
+ * A farm shape is a list of plots, each { outer, holes }: the plot's
+ * boundary ring and the excluded areas (ponds, homesteads, rock) inside it.
+ * Most farms are a single plot without holes.
+ */
+
+import { ringArea, polygonArea, toPolygons } from './geodesy';
+
+const EARTH_RADIUS_M = 6371008.8;
+
+// Grid resolution used to estimate the overlap of two boundaries
+const OVERLAP_SAMPLES_PER_SIDE = 60;
+
+/**
+ * Normalize a point to {latitude, longitude}, or null if it isn't one
+ */
+export function toLatLng(point) {
+  if (!point) return null;
+  if (Array.isArray(point)) return { latitude: point[1], longitude: point[0] };
+  if (point.latitude !== undefined) return { latitude: point.latitude, longitude: point.longitude };
+  if (point.lat !== undefined) return { latitude: point.lat, longitude: point.lng };
+  return null;
+}
+
+/**
+ * Read a stored boundary (points array, GeoJSON Polygon or JSON string) as an
+ * open list of {latitude, longitude}. Returns [] when there is no usable ring.
+ */
+export function toRing(boundary) {
+  try {
+    if (!boundary) return [];
+    if (typeof boundary === 'string') return toRing(JSON.parse(boundary));
+
+    // GeoJSON: the outer ring of the first polygon
+    if (!Array.isArray(boundary)) return toShape(boundary)[0]?.outer || [];
+
+    const ring = boundary.map(toLatLng).filter(p =>
+      p && Number.isFinite(p.latitude) && Number.isFinite(p.longitude));
+
+    // Files and GeoJSON repeat the first point to close the ring; app-captured rings don't
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (ring.length > 1 && first.latitude === last.latitude && first.longitude === last.longitude) {
+      ring.pop();
+    }
+    return ring.length >= 3 ? ring : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * A farm record's boundary ring, from whichever field it was stored in
+ */
+export function farmBoundaryOf(farm) {
+  return toRing(farm.farmPolygon || farm.farmBoundaries || farm.farmCoordinates);
+}
+
+/**
+ * Read any stored boundary as a farm shape. A shape that is already a list
+ * of plots is returned with its points untouched, so capture metadata such
+ * as accuracy survives; anything else is normalized to {latitude, longitude}.
+ * Plots with fewer than 3 outer points are dropped.
+ */
+export function toShape(boundary) {
+  if (Array.isArray(boundary) && boundary[0] && boundary[0].outer) {
+    return boundary
+      .map(plot => ({ outer: plot.outer || [], holes: (plot.holes || []).filter(hole => hole.length >= 3) }))
+      .filter(plot => plot.outer.length >= 3);
+  }
+
+  const toPoints = (ring) => ring.map(([longitude, latitude]) => ({ latitude, longitude }));
+  return toPolygons(boundary)
+    .map(([outer = [], ...holes]) => ({
+      outer: toPoints(outer),
+      holes: holes.filter(hole => hole.length >= 3).map(toPoints),
+    }))
+    .filter(plot => plot.outer.length >= 3);
+}
+
+/**
+ * A farm record's full shape. farmBoundaries is read first because it is
+ * the only field that keeps holes and extra plots.
+ */
+export function farmShapeOf(farm) {
+  return toShape(farm.farmBoundaries || farm.farmPolygon || farm.farmCoordinates);
+}
+
+/**
+ * A farm shape as a GeoJSON Polygon (one plot) or MultiPolygon, with closed rings
+ */
+export function shapeToGeometry(shape) {
+  const closed = (ring) => [...ring, ring[0]].map(p => {
+    const { latitude, longitude } = toLatLng(p);
+    return [longitude, latitude];
+  });
+  const polygons = shape.map(plot => [plot.outer, ...(plot.holes || [])].map(closed));
+
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Whether a shape has more than a single plain ring
+ */
+export function isCompoundShape(shape) {
+  return shape.length > 1 || shape.some(plot => (plot.holes || []).length > 0);
+}
+
+/**
+ * Project points to a flat metre grid around an origin - accurate enough at farm scale
+ */
+export function projectToMeters(points, origin = points[0]) {
+  const originLat = origin.latitude * Math.PI / 180;
+  const originLng = origin.longitude * Math.PI / 180;
+  const cosLat = Math.cos(originLat);
+  return points.map(p => ({
+    x: (p.longitude * Math.PI / 180 - originLng) * cosLat * EARTH_RADIUS_M,
+    y: (p.latitude * Math.PI / 180 - originLat) * EARTH_RADIUS_M,
+  }));
+}
+
+/**
+ * Distance between two points in metres
+ */
+export function distanceMeters(a, b) {
+  const [p, q] = projectToMeters([toLatLng(a), toLatLng(b)]);
+  return Math.hypot(q.x - p.x, q.y - p.y);
+}
+
+// Distance from p to the segment a-b, all in projected metres
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Distance in metres from a point to the nearest edge of a ring
+ */
+export function distanceToRing(point, ring) {
+  const origin = toLatLng(point);
+  const [p, ...xy] = projectToMeters([origin, ...ring.map(toLatLng)], origin);
+  let nearest = Infinity;
+  for (let i = 0, j = xy.length - 1; i < xy.length; j = i++) {
+    nearest = Math.min(nearest, distanceToSegment(p, xy[j], xy[i]));
+  }
+  return nearest;
+}
+
+/**
+ * Douglas-Peucker simplification of a recorded track.
+ *
+ * Keeps the points needed to stay within toleranceM of the original path and
+ * returns them as the original point objects, in order.
+ */
+export function simplifyTrack(points, toleranceM) {
+  if (points.length <= 2) return points.slice();
+
+  const xy = projectToMeters(points.map(toLatLng));
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let farthest = -1;
+    let farthestDistance = 0;
+    for (let i = start + 1; i < end; i++) {
+      const d = distanceToSegment(xy[i], xy[start], xy[end]);
+      if (d > farthestDistance) {
+        farthest = i;
+        farthestDistance = d;
+      }
+    }
+    if (farthest !== -1 && farthestDistance > toleranceM) {
+      keep[farthest] = true;
+      stack.push([start, farthest], [farthest, end]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+}
+
+export function boundingBox(ring) {
+  return ring.reduce(
+    (box, p) => ({
+      minLat: Math.min(box.minLat, p.latitude),
+      maxLat: Math.max(box.maxLat, p.latitude),
+      minLng: Math.min(box.minLng, p.longitude),
+      maxLng: Math.max(box.maxLng, p.longitude),
+    }),
+    { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity }
+  );
+}
+
+export function boxesIntersect(a, b) {
+  return a.minLat <= b.maxLat && b.minLat <= a.maxLat &&
+    a.minLng <= b.maxLng && b.minLng <= a.maxLng;
+}
+
+/**
+ * Ray-casting test: is the point inside the ring?
+ */
+export function pointInPolygon(point, ring) {
+  const { latitude: y, longitude: x } = toLatLng(point);
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const yi = ring[i].latitude;
+    const xi = ring[i].longitude;
+    const yj = ring[j].latitude;
+    const xj = ring[j].longitude;
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Inside the plot's outer ring and not in one of its excluded areas
+function pointInPlot(point, plot) {
+  return pointInPolygon(point, plot.outer) && !plot.holes.some(hole => pointInPolygon(point, hole));
+}
+
+// Shared area of two plots in m², sampled over the region where their bounding boxes meet
+function plotOverlapM2(plotA, plotB) {
+  const boxA = boundingBox(plotA.outer);
+  const boxB = boundingBox(plotB.outer);
+  if (!boxesIntersect(boxA, boxB)) return 0;
+
+  const box = {
+    minLat: Math.max(boxA.minLat, boxB.minLat),
+    maxLat: Math.min(boxA.maxLat, boxB.maxLat),
+    minLng: Math.max(boxA.minLng, boxB.minLng),
+    maxLng: Math.min(boxA.maxLng, boxB.maxLng),
+  };
+  const latStep = (box.maxLat - box.minLat) / OVERLAP_SAMPLES_PER_SIDE;
+  const lngStep = (box.maxLng - box.minLng) / OVERLAP_SAMPLES_PER_SIDE;
+  if (latStep === 0 || lngStep === 0) return 0;
+
+  // Sample the centre of each grid cell
+  let shared = 0;
+  for (let row = 0; row < OVERLAP_SAMPLES_PER_SIDE; row++) {
+    const latitude = box.minLat + (row + 0.5) * latStep;
+    for (let col = 0; col < OVERLAP_SAMPLES_PER_SIDE; col++) {
+      const point = { latitude, longitude: box.minLng + (col + 0.5) * lngStep };
+      if (pointInPlot(point, plotA) && pointInPlot(point, plotB)) shared++;
+    }
+  }
+  if (shared === 0) return 0;
+
+  const boxArea = ringArea([
+    { latitude: box.minLat, longitude: box.minLng },
+    { latitude: box.minLat, longitude: box.maxLng },
+    { latitude: box.maxLat, longitude: box.maxLng },
+    { latitude: box.maxLat, longitude: box.minLng },
+  ]);
+  return boxArea * shared / (OVERLAP_SAMPLES_PER_SIDE * OVERLAP_SAMPLES_PER_SIDE);
+}
+
+/**
+ * Estimate how much two boundaries overlap. Either may be a ring or a farm
+ * shape; every plot of one is compared with every plot of the other, and
+ * excluded areas count as outside the farm.
+ *
+ * Returns { overlapHectares, percentOfA, percentOfB } - the shared area and
+ * its share of each boundary's net area.
+ */
+export function estimateOverlap(a, b) {
+  const none = { overlapHectares: 0, percentOfA: 0, percentOfB: 0 };
+  const shapeA = toShape(a);
+  const shapeB = toShape(b);
+  if (shapeA.length === 0 || shapeB.length === 0) return none;
+
+  const overlapM2 = shapeA.reduce(
+    (sum, plotA) => sum + shapeB.reduce((plotSum, plotB) => plotSum + plotOverlapM2(plotA, plotB), 0),
+    0
+  );
+  if (overlapM2 === 0) return none;
+
+  const areaA = polygonArea(shapeA);
+  const areaB = polygonArea(shapeB);
+
+  return {
+    overlapHectares: overlapM2 / 10000,
+    percentOfA: areaA > 0 ? Math.min(100, overlapM2 / areaA * 100) : 0,
+    percentOfB: areaB > 0 ? Math.min(100, overlapM2 / areaB * 100) : 0,
+  };
+}
+
+export default {
+  toLatLng,
+  toRing,
+  farmBoundaryOf,
+  toShape,
+  farmShapeOf,
+  shapeToGeometry,
+  isCompoundShape,
+  projectToMeters,
+  distanceMeters,
+  distanceToRing,
+  simplifyTrack,
+  boundingBox,
+  boxesIntersect,
+  pointInPolygon,
+  estimateOverlap,
+};
@@ -0,0 +1,421 @@
+/**
+ * Farm boundary geometry checks
+ *
+ * Finds the mistakes agents make while walking a boundary: figure-eight
+ * (self-intersecting) shapes, double-tapped points, spikes from a GPS jump
+ * and areas that are implausible for the farm category. Errors make the
+ * boundary unusable and should block saving; warnings should be confirmed.
+ * Farms made of several plots or with excluded areas are checked ring by
+ * ring with validateFarmShape.
+ *
+ * Points may be {latitude, longitude}, {lat, lng} or [lng, lat].
+ */
+
+import { toLatLng, projectToMeters, pointInPolygon } from './polygonUtils';
+import { ringArea } from './geodesy';
+
+// Consecutive points closer than this are treated as the same corner
+export const DUPLICATE_VERTEX_TOLERANCE_M = 1.5;
+
+// An interior angle sharper than this is a spike (out-and-back GPS jump)
+export const SPIKE_ANGLE_DEG = 12;
+
+export const POLYGON_ISSUES = {
+  TOO_FEW_POINTS: 'too_few_points',
+  INVALID_COORDINATE: 'invalid_coordinate',
+  SELF_INTERSECTION: 'self_intersection',
+  DUPLICATE_VERTEX: 'duplicate_vertex',
+  SPIKE: 'spike',
+  AREA_TOO_SMALL: 'area_too_small',
+  AREA_TOO_LARGE: 'area_too_large',
+  AREA_UNUSUAL: 'area_unusual',
+  HOLE_OUTSIDE_PLOT: 'hole_outside_plot',
+  RINGS_OVERLAP: 'rings_overlap',
+};
+
+/**
+ * Plausible areas in hectares per farm category.
+ * Outside min/max is an error; outside the typical range is a warning.
+ */
+export const AREA_LIMITS_BY_CATEGORY = {
+  ARABLE: { min: 0.01, typicalMin: 0.05, typicalMax: 200, max: 5000 },
+  LIVESTOCK: { min: 0.01, typicalMin: 0.05, typicalMax: 1000, max: 10000 },
+  MIXED: { min: 0.01, typicalMin: 0.05, typicalMax: 500, max: 10000 },
+  AQUACULTURE: { min: 0.001, typicalMin: 0.005, typicalMax: 50, max: 500 },
+  POULTRY: { min: 0.001, typicalMin: 0.005, typicalMax: 50, max: 200 },
+  HORTICULTURE: { min: 0.001, typicalMin: 0.01, typicalMax: 100, max: 1000 },
+  DEFAULT: { min: 0.01, typicalMin: 0.05, typicalMax: 1000, max: 10000 },
+};
+
+// Drop a repeated closing point so rings are handled as open lists of corners
+function openRing(points) {
+  if (points.length > 1) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (first && last && first.latitude === last.latitude && first.longitude === last.longitude) {
+      return points.slice(0, -1);
+    }
+  }
+  return points;
+}
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+const onSegment = (p, a, b) =>
+  Math.min(a.x, b.x) <= p.x && p.x <= Math.max(a.x, b.x) &&
+  Math.min(a.y, b.y) <= p.y && p.y <= Math.max(a.y, b.y);
+
+function segmentsIntersect(a1, a2, b1, b2) {
+  const d1 = cross(b1, b2, a1);
+  const d2 = cross(b1, b2, a2);
+  const d3 = cross(a1, a2, b1);
+  const d4 = cross(a1, a2, b2);
+
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+    return true;
+  }
+
+  // Touching or overlapping collinear segments
+  return (d1 === 0 && onSegment(a1, b1, b2)) ||
+    (d2 === 0 && onSegment(a2, b1, b2)) ||
+    (d3 === 0 && onSegment(b1, a1, a2)) ||
+    (d4 === 0 && onSegment(b2, a1, a2));
+}
+
+/**
+ * Pairs of edges that cross. Edge i runs from corner i to corner i + 1
+ * (the last edge closes the ring).
+ */
+export function findSelfIntersections(points) {
+  const corners = openRing(points.map(toLatLng));
+  if (corners.length < 4) return [];
+
+  const xy = projectToMeters(corners);
+  const n = xy.length;
+  const crossings = [];
+
+  for (let i = 0; i < n; i++) {
+    const a1 = xy[i];
+    const a2 = xy[(i + 1) % n];
+    if (distance(a1, a2) === 0) continue;
+
+    for (let j = i + 2; j < n; j++) {
+      // The first and last edges share the closing corner
+      if (i === 0 && j === n - 1) continue;
+
+      const b1 = xy[j];
+      const b2 = xy[(j + 1) % n];
+      if (distance(b1, b2) === 0) continue;
+
+      if (segmentsIntersect(a1, a2, b1, b2)) {
+        crossings.push([i, j]);
+      }
+    }
+  }
+
+  return crossings;
+}
+
+/**
+ * Indexes of corners that repeat the previous one within the tolerance
+ */
+export function findDuplicateVertices(points, toleranceM = DUPLICATE_VERTEX_TOLERANCE_M) {
+  const corners = openRing(points.map(toLatLng));
+  if (corners.length < 2) return [];
+
+  const xy = projectToMeters(corners);
+  const duplicates = [];
+  for (let i = 1; i < xy.length; i++) {
+    if (distance(xy[i], xy[i - 1]) < toleranceM) duplicates.push(i);
+  }
+  // The last corner against the first closes the ring
+  if (xy.length > 2 && distance(xy[xy.length - 1], xy[0]) < toleranceM && !duplicates.includes(xy.length - 1)) {
+    duplicates.push(xy.length - 1);
+  }
+  return duplicates;
+}
+
+/**
+ * Remove near-duplicate corners, keeping the first of each cluster
+ */
+export function removeDuplicateVertices(points, toleranceM = DUPLICATE_VERTEX_TOLERANCE_M) {
+  const duplicates = new Set(findDuplicateVertices(points, toleranceM));
+  return points.filter((_, index) => !duplicates.has(index));
+}
+
+/**
+ * Indexes of corners whose interior angle is sharper than SPIKE_ANGLE_DEG
+ */
+export function findSpikes(points, maxAngleDeg = SPIKE_ANGLE_DEG) {
+  const corners = openRing(points.map(toLatLng));
+  if (corners.length < 3) return [];
+
+  const xy = projectToMeters(corners);
+  const n = xy.length;
+  const spikes = [];
+
+  for (let i = 0; i < n; i++) {
+    const prev = xy[(i - 1 + n) % n];
+    const curr = xy[i];
+    const next = xy[(i + 1) % n];
+    const v1 = { x: prev.x - curr.x, y: prev.y - curr.y };
+    const v2 = { x: next.x - curr.x, y: next.y - curr.y };
+    const lengths = Math.hypot(v1.x, v1.y) * Math.hypot(v2.x, v2.y);
+    if (lengths === 0) continue; // Duplicates are reported separately
+
+    const cosAngle = Math.max(-1, Math.min(1, (v1.x * v2.x + v1.y * v2.y) / lengths));
+    const angle = Math.acos(cosAngle) * 180 / Math.PI;
+    if (angle < maxAngleDeg) spikes.push(i);
+  }
+
+  return spikes;
+}
+
+/**
+ * Area of the ring in hectares
+ */
+export function polygonAreaHectares(points) {
+  return ringArea(openRing(points.map(toLatLng))) / 10000;
+}
+
+const formatHectares = (ha) => (ha < 0.1 ? `${(ha * 10000).toFixed(0)} m²` : `${ha.toFixed(2)} hectares`);
+
+/**
+ * Area errors and warnings for the farm category
+ */
+function checkArea(area, farmCategory) {
+  const errors = [];
+  const warnings = [];
+  const limits = AREA_LIMITS_BY_CATEGORY[farmCategory] || AREA_LIMITS_BY_CATEGORY.DEFAULT;
+
+  if (area < limits.min) {
+    errors.push({
+      code: POLYGON_ISSUES.AREA_TOO_SMALL,
+      message: `The boundary encloses only ${formatHectares(area)}, too small for a farm. Check the boundary points.`,
+    });
+  } else if (area > limits.max) {
+    errors.push({
+      code: POLYGON_ISSUES.AREA_TOO_LARGE,
+      message: `The boundary encloses ${formatHectares(area)}, larger than any plausible farm of this type.`,
+    });
+  } else if (area < limits.typicalMin || area > limits.typicalMax) {
+    warnings.push({
+      code: POLYGON_ISSUES.AREA_UNUSUAL,
+      message: `${formatHectares(area)} is unusual for this farm category (typically ${formatHectares(limits.typicalMin)} to ${formatHectares(limits.typicalMax)}).`,
+    });
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate a farm boundary.
+ *
+ * Returns { valid, errors, warnings, area } where errors and warnings are
+ * lists of { code, message, vertices? } (vertices are 0-based corner
+ * indexes) and area is in hectares. valid is false when there are errors.
+ * Pass checkArea: false to judge only the shape, e.g. for an excluded area.
+ */
+export function validatePolygonGeometry(points, { farmCategory, checkArea: judgeArea = true } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  const corners = openRing((points || []).map(toLatLng));
+
+  const badIndex = corners.findIndex(p =>
+    !p || !Number.isFinite(p.latitude) || !Number.isFinite(p.longitude));
+  if (badIndex !== -1) {
+    errors.push({
+      code: POLYGON_ISSUES.INVALID_COORDINATE,
+      message: `Point ${badIndex + 1} is not a valid coordinate`,
+      vertices: [badIndex],
+    });
+    return { valid: false, errors, warnings, area: 0 };
+  }
+
+  const duplicates = findDuplicateVertices(corners);
+  if (duplicates.length > 0) {
+    warnings.push({
+      code: POLYGON_ISSUES.DUPLICATE_VERTEX,
+      message: `${duplicates.length} point${duplicates.length > 1 ? 's are' : ' is'} within ${DUPLICATE_VERTEX_TOLERANCE_M} m of the previous point (point ${duplicates.map(i => i + 1).join(', ')})`,
+      vertices: duplicates,
+    });
+  }
+
+  // Judge the shape on distinct corners so a double tap isn't also a spike
+  const distinct = removeDuplicateVertices(corners);
+  if (distinct.length < 3) {
+    errors.push({
+      code: POLYGON_ISSUES.TOO_FEW_POINTS,
+      message: 'A farm boundary needs at least 3 distinct points',
+    });
+    return { valid: false, errors, warnings, area: 0 };
+  }
+
+  const crossings = findSelfIntersections(distinct);
+  if (crossings.length > 0) {
+    const [i, j] = crossings[0];
+    errors.push({
+      code: POLYGON_ISSUES.SELF_INTERSECTION,
+      message: `The boundary crosses itself (between points ${i + 1}–${(i + 1) % distinct.length + 1} and ${j + 1}–${(j + 1) % distinct.length + 1}). Walk the boundary in one direction without doubling back.`,
+      vertices: [i, (i + 1) % distinct.length, j, (j + 1) % distinct.length],
+    });
+  }
+
+  const spikes = findSpikes(distinct);
+  if (spikes.length > 0) {
+    warnings.push({
+      code: POLYGON_ISSUES.SPIKE,
+      message: `Very sharp corner at point ${spikes.map(i => i + 1).join(', ')} - possibly a GPS jump`,
+      vertices: spikes,
+    });
+  }
+
+  const area = polygonAreaHectares(distinct);
+
+  // The area of a crossed ring is meaningless, so only judge it for a simple shape
+  if (judgeArea && crossings.length === 0) {
+    const areaIssues = checkArea(area, farmCategory);
+    errors.push(...areaIssues.errors);
+    warnings.push(...areaIssues.warnings);
+  }
+
+  return { valid: errors.length === 0, errors, warnings, area };
+}
+
+// Any edge of one ring crossing any edge of the other
+function ringEdgesCross(a, b) {
+  const [xyA, xyB] = [a, b].map(ring => projectToMeters(ring, a[0]));
+  for (let i = 0; i < xyA.length; i++) {
+    for (let j = 0; j < xyB.length; j++) {
+      if (segmentsIntersect(xyA[i], xyA[(i + 1) % xyA.length], xyB[j], xyB[(j + 1) % xyB.length])) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+const ringsOverlap = (a, b) =>
+  ringEdgesCross(a, b) || pointInPolygon(a[0], b) || pointInPolygon(b[0], a);
+
+/**
+ * Name of a ring in a farm shape, for messages
+ */
+export function describeRing(plotIndex, holeIndex = null, plotCount = 1) {
+  const plot = plotCount > 1 ? `Plot ${plotIndex + 1}` : 'The farm';
+  if (holeIndex === null) return plot;
+  return plotCount > 1 ? `${plot}, excluded area ${holeIndex + 1}` : `Excluded area ${holeIndex + 1}`;
+}
+
+/**
+ * Validate a farm shape - plots ({ outer, holes }) with excluded areas.
+ *
+ * Each ring gets the single-boundary checks; excluded areas must lie inside
+ * their plot without touching each other, and plots must not overlap. The
+ * category area limits apply to the net area (plots minus excluded areas).
+ * Issues are prefixed with the ring they belong to and carry
+ * ring: { plot, hole } (hole is null for a plot's outer boundary).
+ *
+ * Returns { valid, errors, warnings, area, grossArea, excludedArea } with
+ * areas in hectares. A single plot without holes gives the same result as
+ * validatePolygonGeometry.
+ */
+export function validateFarmShape(shape, { farmCategory } = {}) {
+  const plots = (shape || []).filter(plot => plot && plot.outer);
+  if (plots.length === 1 && !(plots[0].holes || []).length) {
+    const result = validatePolygonGeometry(plots[0].outer, { farmCategory });
+    return { ...result, grossArea: result.area, excludedArea: 0 };
+  }
+
+  const errors = [];
+  const warnings = [];
+  let crossed = false;
+  let grossArea = 0;
+  let excludedArea = 0;
+
+  const checkRing = (points, plot, hole) => {
+    const result = validatePolygonGeometry(points, { checkArea: false });
+    const label = describeRing(plot, hole, plots.length);
+    const tag = (issue) => ({ ...issue, message: `${label}: ${issue.message}`, ring: { plot, hole } });
+    errors.push(...result.errors.map(tag));
+    warnings.push(...result.warnings.map(tag));
+    if (result.errors.some(e => e.code === POLYGON_ISSUES.SELF_INTERSECTION)) crossed = true;
+    return result.valid ? openRing(points.map(toLatLng)) : null;
+  };
+
+  const outers = plots.map((plot, plotIndex) => {
+    const outer = checkRing(plot.outer, plotIndex, null);
+    if (outer) grossArea += polygonAreaHectares(outer);
+
+    const holes = (plot.holes || [])
+      .map((hole, holeIndex) => ({ ring: checkRing(hole, plotIndex, holeIndex), holeIndex }))
+      .filter(({ ring }) => ring);
+
+    holes.forEach(({ ring, holeIndex }, position) => {
+      const label = describeRing(plotIndex, holeIndex, plots.length);
+      if (outer && (ringEdgesCross(ring, outer) || !ring.every(p => pointInPolygon(p, outer)))) {
+        errors.push({
+          code: POLYGON_ISSUES.HOLE_OUTSIDE_PLOT,
+          message: `${label} is not completely inside the plot boundary.`,
+          ring: { plot: plotIndex, hole: holeIndex },
+        });
+        return;
+      }
+      const overlapping = holes.slice(position + 1).find(other => ringsOverlap(ring, other.ring));
+      if (overlapping) {
+        errors.push({
+          code: POLYGON_ISSUES.RINGS_OVERLAP,
+          message: `${label} overlaps ${describeRing(plotIndex, overlapping.holeIndex, plots.length).toLowerCase()}. Map them as one excluded area.`,
+          ring: { plot: plotIndex, hole: holeIndex },
+        });
+        return;
+      }
+      excludedArea += polygonAreaHectares(ring);
+    });
+
+    return outer;
+  });
+
+  outers.forEach((outer, i) => {
+    if (!outer) return;
+    const overlapping = outers.findIndex((other, j) => j > i && other && ringsOverlap(outer, other));
+    if (overlapping !== -1) {
+      errors.push({
+        code: POLYGON_ISSUES.RINGS_OVERLAP,
+        message: `Plot ${i + 1} overlaps plot ${overlapping + 1}. Map overlapping plots as one boundary.`,
+        ring: { plot: i, hole: null },
+      });
+    }
+  });
+
+  const area = Math.max(0, grossArea - excludedArea);
+  if (!crossed && errors.length === 0) {
+    const areaIssues = checkArea(area, farmCategory);
+    errors.push(...areaIssues.errors);
+    warnings.push(...areaIssues.warnings);
+  }
+
+  return { valid: errors.length === 0, errors, warnings, area, grossArea, excludedArea };
+}
+
+/**
+ * One message listing every issue, for alerts
+ */
+export function describePolygonIssues({ errors = [], warnings = [] }) {
+  return [...errors, ...warnings].map(issue => `• ${issue.message}`).join('\n');
+}
+
+export default {
+  validatePolygonGeometry,
+  validateFarmShape,
+  describeRing,
+  describePolygonIssues,
+  findSelfIntersections,
+  findDuplicateVertices,
+  removeDuplicateVertices,
+  findSpikes,
+  polygonAreaHectares,
+};
@@ -0,0 +1,230 @@
+/**
+ * Web Mercator ("slippy map") tile arithmetic
+ *
+ * World coordinates run from 0 to 1 across the map, x eastwards from the
+ * antimeridian and y southwards from the top edge; at zoom z the world is
+ * 2^z tiles of TILE_SIZE pixels on each side. Boxes are the
+ * { minLat, maxLat, minLng, maxLng } produced by polygonUtils.boundingBox.
+ */
+
+export const TILE_SIZE = 256;
+
+// Web Mercator stops short of the poles
+const MAX_LATITUDE = 85.05112878;
+const EARTH_CIRCUMFERENCE_M = 40075016.686;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Longitude/latitude to world coordinates { x, y }, each 0..1
+ */
+export function toWorld(longitude, latitude) {
+  const lat = clamp(latitude, -MAX_LATITUDE, MAX_LATITUDE) * Math.PI / 180;
+  return {
+    x: (longitude + 180) / 360,
+    y: (1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2,
+  };
+}
+
+/**
+ * World coordinates back to { latitude, longitude }
+ */
+export function fromWorld(x, y) {
+  const n = Math.PI * (1 - 2 * y);
+  return {
+    latitude: Math.atan(Math.sinh(n)) * 180 / Math.PI,
+    longitude: x * 360 - 180,
+  };
+}
+
+/**
+ * The range of tiles at zoom z that covers a box: { z, minX, maxX, minY, maxY }
+ */
+export function tileRange(box, z) {
+  const tiles = 2 ** z;
+  const northWest = toWorld(box.minLng, box.maxLat);
+  const southEast = toWorld(box.maxLng, box.minLat);
+  const toTile = (value) => clamp(Math.floor(value * tiles), 0, tiles - 1);
+  return {
+    z,
+    minX: toTile(northWest.x),
+    maxX: toTile(southEast.x),
+    minY: toTile(northWest.y),
+    maxY: toTile(southEast.y),
+  };
+}
+
+export function rangeSize(range) {
+  return (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+}
+
+/**
+ * Number of tiles needed to cover a box at every zoom from minZoom to maxZoom
+ */
+export function countTiles(box, minZoom, maxZoom) {
+  let count = 0;
+  for (let z = minZoom; z <= maxZoom; z++) {
+    count += rangeSize(tileRange(box, z));
+  }
+  return count;
+}
+
+/**
+ * Every tile { z, x, y } covering a box, coarsest zoom first
+ */
+export function* tilesInBox(box, minZoom, maxZoom) {
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const range = tileRange(box, z);
+    for (let x = range.minX; x <= range.maxX; x++) {
+      for (let y = range.minY; y <= range.maxY; y++) {
+        yield { z, x, y };
+      }
+    }
+  }
+}
+
+/**
+ * Whether a tile lies (at least partly) inside a box
+ */
+export function tileInBox(tile, box) {
+  const range = tileRange(box, tile.z);
+  return tile.x >= range.minX && tile.x <= range.maxX &&
+    tile.y >= range.minY && tile.y <= range.maxY;
+}
+
+/**
+ * A square box of radiusM metres around a point
+ */
+export function boxAround(point, radiusM) {
+  const latDelta = radiusM / 111320;
+  const lngDelta = radiusM / (111320 * Math.cos(point.latitude * Math.PI / 180));
+  return {
+    minLat: point.latitude - latDelta,
+    maxLat: point.latitude + latDelta,
+    minLng: point.longitude - lngDelta,
+    maxLng: point.longitude + lngDelta,
+  };
+}
+
+/**
+ * A map view: world coordinates of its centre and pixels per world unit,
+ * with the world-coordinate edges of a width x height pixel canvas
+ */
+export function makeView(centerX, centerY, scale, width, height) {
+  return {
+    centerX,
+    centerY,
+    scale,
+    width,
+    height,
+    left: centerX - width / 2 / scale,
+    right: centerX + width / 2 / scale,
+    top: centerY - height / 2 / scale,
+    bottom: centerY + height / 2 / scale,
+  };
+}
+
+/**
+ * The view that fits a box on a width x height canvas, keeping padding
+ * pixels clear at the edges. minSpan (world units, about 200 m by default)
+ * stops a single point or a tiny plot filling the canvas.
+ */
+export function fitView(box, width, height, { padding = 20, minSpan = 5e-6 } = {}) {
+  const northWest = toWorld(box.minLng, box.maxLat);
+  const southEast = toWorld(box.maxLng, box.minLat);
+  const scale = Math.min(
+    (width - padding * 2) / Math.max(southEast.x - northWest.x, minSpan),
+    (height - padding * 2) / Math.max(southEast.y - northWest.y, minSpan)
+  );
+  return makeView((northWest.x + southEast.x) / 2, (northWest.y + southEast.y) / 2, scale, width, height);
+}
+
+/**
+ * Canvas pixel [x, y] of a longitude/latitude
+ */
+export function toViewPixel(view, longitude, latitude) {
+  const world = toWorld(longitude, latitude);
+  return [
+    view.width / 2 + (world.x - view.centerX) * view.scale,
+    view.height / 2 + (world.y - view.centerY) * view.scale,
+  ];
+}
+
+/**
+ * { latitude, longitude } under a canvas pixel
+ */
+export function fromViewPixel(view, x, y) {
+  return fromWorld(
+    view.centerX + (x - view.width / 2) / view.scale,
+    view.centerY + (y - view.height / 2) / view.scale
+  );
+}
+
+/**
+ * The box a view shows
+ */
+export function viewBox(view) {
+  const northWest = fromWorld(view.left, view.top);
+  const southEast = fromWorld(view.right, view.bottom);
+  return {
+    minLat: southEast.latitude,
+    maxLat: northWest.latitude,
+    minLng: northWest.longitude,
+    maxLng: southEast.longitude,
+  };
+}
+
+/**
+ * Tiles covering a view at the zoom where each is drawn 128-256 px wide
+ */
+export function viewTileRange(view, maxZoom) {
+  const z = clamp(Math.ceil(Math.log2(view.scale / TILE_SIZE)), 0, maxZoom);
+  const count = 2 ** z;
+  const toTile = (value) => clamp(Math.floor(value * count), 0, count - 1);
+  return {
+    z,
+    minX: toTile(view.left),
+    maxX: toTile(view.right),
+    minY: toTile(view.top),
+    maxY: toTile(view.bottom),
+  };
+}
+
+/**
+ * Where a tile is drawn on a view's canvas: { x, y, size } in pixels
+ */
+export function tileRect(view, { z, x, y }) {
+  const tiles = 2 ** z;
+  return {
+    x: view.width / 2 + (x / tiles - view.centerX) * view.scale,
+    y: view.height / 2 + (y / tiles - view.centerY) * view.scale,
+    size: view.scale / tiles,
+  };
+}
+
+/**
+ * Metres to canvas pixels at a latitude
+ */
+export function metersToPixels(view, meters, latitude) {
+  return meters / (EARTH_CIRCUMFERENCE_M * Math.cos(latitude * Math.PI / 180)) * view.scale;
+}
+
+export default {
+  TILE_SIZE,
+  toWorld,
+  fromWorld,
+  tileRange,
+  rangeSize,
+  countTiles,
+  tilesInBox,
+  tileInBox,
+  boxAround,
+  makeView,
+  fitView,
+  toViewPixel,
+  fromViewPixel,
+  viewBox,
+  viewTileRange,
+  tileRect,
+  metersToPixels,
+};
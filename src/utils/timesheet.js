@@ -0,0 +1,276 @@
+/**
+ * Attendance timesheets
+ *
+ * Pairs an agent's check-ins and check-outs into sessions and totals them
+ * per day over a week or month. Sessions closed automatically by the shift
+ * rules and not yet confirmed are listed but not counted as worked time.
+ */
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local calendar date as YYYY-MM-DD
+export const dayKey = (value) => {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const locationKey = (location) =>
+  typeof location?.latitude === 'number' && typeof location?.longitude === 'number'
+    ? `${location.latitude.toFixed(4)},${location.longitude.toFixed(4)}`
+    : null;
+
+/**
+ * The week (Monday to Sunday) or calendar month containing reference,
+ * moved by offset periods: { kind, from, to } with to exclusive
+ */
+export function periodRange(kind, reference = new Date(), offset = 0) {
+  const from = startOfDay(reference);
+  let to;
+  if (kind === 'month') {
+    from.setDate(1);
+    from.setMonth(from.getMonth() + offset);
+    to = new Date(from);
+    to.setMonth(to.getMonth() + 1);
+  } else {
+    from.setDate(from.getDate() - ((from.getDay() + 6) % 7) + offset * 7);
+    to = new Date(from);
+    to.setDate(to.getDate() + 7);
+  }
+  return { kind, from, to };
+}
+
+/**
+ * Pair check-ins with the check-outs that close them, oldest first:
+ * [{ id, start, end, minutes, open, autoClosed, unconfirmed, checkIn, checkOut }]
+ */
+export function buildSessions(history, now = new Date()) {
+  const entries = [...history].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const checkOutsByCheckIn = new Map(
+    entries.filter(entry => entry.type === 'check_out' && entry.checkInId).map(entry => [entry.checkInId, entry])
+  );
+
+  const sessions = [];
+  entries.forEach((entry, index) => {
+    if (entry.type !== 'check_in') return;
+
+    // Older entries have no checkInId; their check-out is the next entry
+    const next = entries[index + 1];
+    const checkOut = checkOutsByCheckIn.get(entry.id) ||
+      (next?.type === 'check_out' && !next.checkInId ? next : null);
+    const end = checkOut ? new Date(checkOut.timestamp) : null;
+    const start = new Date(entry.timestamp);
+
+    sessions.push({
+      id: entry.id || entry.timestamp,
+      start,
+      end,
+      minutes: Math.max(0, Math.floor(((end || now) - start) / 60000)),
+      open: !checkOut,
+      autoClosed: !!checkOut?.autoClosed,
+      unconfirmed: !!(checkOut?.autoClosed && checkOut.needsConfirmation),
+      checkIn: entry,
+      checkOut,
+    });
+  });
+  return sessions;
+}
+
+/**
+ * Per-day totals for a period.
+ *
+ * enrollments: timestamps of farmer registrations; each is credited to the
+ * session it happened in. Returns { kind, from, to, days, totals } where each
+ * day is { date, sessions, minutes, unconfirmedMinutes, locations, enrollments }
+ * and only confirmed, closed sessions count towards minutes and days worked.
+ */
+export function buildTimesheet(history, { kind, from, to }, { enrollments = [], now = new Date() } = {}) {
+  const enrollmentTimes = enrollments.map(value => new Date(value).getTime()).filter(Number.isFinite);
+  const sessions = buildSessions(history, now)
+    .filter(session => session.start >= from && session.start < to)
+    .map((session) => {
+      const endTime = (session.end || now).getTime();
+      return {
+        ...session,
+        enrollments: enrollmentTimes.filter(time => time >= session.start.getTime() && time <= endTime).length,
+        locations: [session.checkIn.location, session.checkOut?.location].map(locationKey).filter(Boolean),
+      };
+    });
+
+  const days = [];
+  // Step by calendar day so a daylight-saving change can't skip or repeat one
+  for (const day = new Date(from); day < to; day.setDate(day.getDate() + 1)) {
+    const date = dayKey(day);
+    const daySessions = sessions.filter(session => dayKey(session.start) === date);
+    const counted = daySessions.filter(session => !session.open && !session.unconfirmed);
+
+    days.push({
+      date,
+      sessions: daySessions,
+      minutes: counted.reduce((total, session) => total + session.minutes, 0),
+      unconfirmedMinutes: daySessions
+        .filter(session => session.unconfirmed)
+        .reduce((total, session) => total + session.minutes, 0),
+      locations: new Set(daySessions.flatMap(session => session.locations)).size,
+      enrollments: daySessions.reduce((total, session) => total + session.enrollments, 0),
+    });
+  }
+
+  return {
+    kind,
+    from,
+    to,
+    days,
+    totals: {
+      daysWorked: days.filter(day => day.minutes > 0).length,
+      sessions: sessions.length,
+      minutes: days.reduce((total, day) => total + day.minutes, 0),
+      unconfirmedMinutes: days.reduce((total, day) => total + day.unconfirmedMinutes, 0),
+      enrollments: days.reduce((total, day) => total + day.enrollments, 0),
+      autoClosed: sessions.filter(session => session.autoClosed).length,
+    },
+  };
+}
+
+export const formatMinutes = (minutes) => `${Math.floor(minutes / 60)}h ${pad(minutes % 60)}m`;
+
+const formatClock = (date) => (date ? `${pad(date.getHours())}:${pad(date.getMinutes())}` : '');
+
+const sessionStatus = (session) => {
+  if (session.open) return 'Open';
+  if (session.unconfirmed) return 'Auto-closed, not confirmed';
+  if (session.autoClosed) return 'Auto-closed, confirmed';
+  return 'Closed';
+};
+
+const daysWorkedLabel = (count) => `${count} day${count === 1 ? '' : 's'} worked`;
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One row per session plus a total row
+ */
+export function timesheetToCsv(timesheet) {
+  const rows = [[
+    'Date', 'Check In', 'Check Out', 'Minutes', 'Counted Minutes', 'Status',
+    'Enrollments', 'Check-in Location', 'Check-out Location', 'Flags',
+  ]];
+
+  for (const day of timesheet.days) {
+    for (const session of day.sessions) {
+      const counted = !session.open && !session.unconfirmed;
+      rows.push([
+        day.date,
+        formatClock(session.start),
+        formatClock(session.end),
+        session.minutes,
+        counted ? session.minutes : 0,
+        sessionStatus(session),
+        session.enrollments,
+        locationKey(session.checkIn.location) || '',
+        locationKey(session.checkOut?.location) || '',
+        [...(session.checkIn.flags || []), ...(session.checkOut?.flags || [])].join(' '),
+      ]);
+    }
+  }
+
+  const { totals } = timesheet;
+  const recordedMinutes = timesheet.days
+    .flatMap(day => day.sessions)
+    .reduce((total, session) => total + session.minutes, 0);
+  rows.push([
+    'Total', '', '', recordedMinutes, totals.minutes,
+    daysWorkedLabel(totals.daysWorked), totals.enrollments, '', '', '',
+  ]);
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Printable timesheet for expo-print
+ */
+export function timesheetToHtml(timesheet, { agentName = '', title = 'Attendance Timesheet' } = {}) {
+  const lastDay = new Date(timesheet.to.getTime() - 1);
+  const period = `${timesheet.from.toDateString()} - ${lastDay.toDateString()}`;
+  const { totals } = timesheet;
+
+  const rows = timesheet.days.map((day) => {
+    const sessions = day.sessions.length === 0
+      ? '<span class="muted">No attendance</span>'
+      : day.sessions.map(session =>
+        `${formatClock(session.start)} - ${formatClock(session.end) || '…'} (${formatMinutes(session.minutes)})` +
+        (session.open || session.autoClosed ? ` <span class="note">${escapeHtml(sessionStatus(session))}</span>` : '')
+      ).join('<br/>');
+    return `
+      <tr>
+        <td>${escapeHtml(new Date(`${day.date}T00:00:00`).toDateString())}</td>
+        <td>${sessions}</td>
+        <td class="num">${day.minutes > 0 ? formatMinutes(day.minutes) : '-'}</td>
+        <td class="num">${day.locations}</td>
+        <td class="num">${day.enrollments}</td>
+      </tr>`;
+  }).join('');
+
+  return `
+    <html>
+      <head>
+        <meta charset="utf-8" />
+        <style>
+          body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; font-size: 12px; }
+          h1 { color: #013358; font-size: 20px; margin-bottom: 4px; }
+          .meta { color: #6b7280; margin-bottom: 16px; }
+          table { width: 100%; border-collapse: collapse; }
+          th { background: #013358; color: #fff; text-align: left; padding: 6px; }
+          td { border-bottom: 1px solid #e5e7eb; padding: 6px; vertical-align: top; }
+          .num { text-align: right; }
+          .muted { color: #9ca3af; }
+          .note { color: #d97706; }
+          .totals td { font-weight: bold; border-top: 2px solid #013358; }
+        </style>
+      </head>
+      <body>
+        <h1>${escapeHtml(title)}</h1>
+        <div class="meta">
+          ${agentName ? `${escapeHtml(agentName)} &middot; ` : ''}${escapeHtml(period)}<br/>
+          Generated ${escapeHtml(new Date().toLocaleString())}
+        </div>
+        <table>
+          <tr><th>Date</th><th>Sessions</th><th class="num">Worked</th><th class="num">Locations</th><th class="num">Enrollments</th></tr>
+          ${rows}
+          <tr class="totals">
+            <td>${daysWorkedLabel(totals.daysWorked)}</td>
+            <td>${totals.sessions} sessions${totals.autoClosed ? `, ${totals.autoClosed} auto-closed` : ''}</td>
+            <td class="num">${formatMinutes(totals.minutes)}</td>
+            <td></td>
+            <td class="num">${totals.enrollments}</td>
+          </tr>
+        </table>
+        ${totals.unconfirmedMinutes > 0
+          ? `<p class="note">${formatMinutes(totals.unconfirmedMinutes)} in auto-closed sessions awaiting the agent's confirmation is not counted.</p>`
+          : ''}
+      </body>
+    </html>`;
+}
+
+export default {
+  dayKey,
+  periodRange,
+  buildSessions,
+  buildTimesheet,
+  formatMinutes,
+  timesheetToCsv,
+  timesheetToHtml,
+};